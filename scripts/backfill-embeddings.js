@@ -11,6 +11,9 @@
  *   --limit=N         Maximum total transcriptions to process (default: unlimited)
  *   --meeting-id=ID   Only process transcriptions for specific meeting
  *   --skip-existing   Skip transcriptions that already have embeddings
+ *   --reembed-stale   Only process transcriptions whose embedding was produced by a different
+ *                     provider/model/dimensions than the current configuration (or is missing).
+ *                     Run this after changing EMBEDDING_PROVIDER, EMBEDDING_MODEL or EMBEDDING_DIMENSIONS.
  */
 
 const mongoose = require('mongoose');
@@ -24,6 +27,7 @@ const args = process.argv.slice(2);
 const options = {
   dryRun: args.includes('--dry-run'),
   skipExisting: args.includes('--skip-existing'),
+  reembedStale: args.includes('--reembed-stale'),
   batchSize: parseInt(args.find(arg => arg.startsWith('--batch-size='))?.split('=')[1]) || 100,
   limit: parseInt(args.find(arg => arg.startsWith('--limit='))?.split('=')[1]) || null,
   meetingId: args.find(arg => arg.startsWith('--meeting-id='))?.split('=')[1] || null
@@ -53,11 +57,12 @@ async function backfillEmbeddings() {
     const embeddingService = new EmbeddingService(logger);
 
     if (!embeddingService.isEnabled()) {
-      logger.error('Embedding service is not enabled. Please configure OPENAI_API_KEY.');
+      logger.error('Embedding service is not enabled. Check EMBEDDING_PROVIDER configuration (OPENAI_API_KEY or EMBEDDING_API_URL).');
       process.exit(1);
     }
 
     logger.info('Embedding service initialized', embeddingService.getConfig());
+    const embeddingModel = embeddingService.getSignature();
 
     // Build query
     const query = {};
@@ -71,6 +76,12 @@ async function backfillEmbeddings() {
       logger.info('Skipping transcriptions that already have embeddings');
     }
 
+    if (options.reembedStale) {
+      // Matches missing embeddings, legacy rows without a signature and other providers' vectors
+      query.embeddingModel = { $ne: embeddingModel };
+      logger.info('Re-embedding transcriptions with stale or missing embeddings', { embeddingModel });
+    }
+
     // Get total count
     const totalCount = await Transcription.countDocuments(query);
     stats.total = options.limit ? Math.min(totalCount, options.limit) : totalCount;
@@ -106,8 +117,10 @@ async function backfillEmbeddings() {
     }
 
     // Process in batches
+    // Page by _id rather than skip(): updated rows drop out of --skip-existing/--reembed-stale queries
     const batchSize = options.batchSize;
     let processed = 0;
+    let lastId = null;
 
     while (processed < stats.total) {
       const currentBatchSize = Math.min(batchSize, stats.total - processed);
@@ -119,9 +132,10 @@ async function backfillEmbeddings() {
       });
 
       // Fetch batch
-      const transcriptions = await Transcription.find(query)
+      const batchQuery = lastId ? { ...query, _id: { $gt: lastId } } : query;
+      const transcriptions = await Transcription.find(batchQuery)
         .select('_id meetingId text')
-        .skip(processed)
+        .sort({ _id: 1 })
         .limit(currentBatchSize)
         .lean();
 
@@ -129,6 +143,8 @@ async function backfillEmbeddings() {
         break;
       }
 
+      lastId = transcriptions[transcriptions.length - 1]._id;
+
       // Extract texts
       const texts = transcriptions.map(t => t.text);
 
@@ -144,7 +160,7 @@ async function backfillEmbeddings() {
             updates.push({
               updateOne: {
                 filter: { _id: transcriptions[i]._id },
-                update: { $set: { embedding: embeddings[i] } }
+                update: { $set: { embedding: embeddings[i], embeddingModel } }
               }
             });
           } else {
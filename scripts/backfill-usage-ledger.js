@@ -0,0 +1,152 @@
+/**
+ * Backfill Usage Ledger Script
+ * Records ledger charges for meetings created before the usage ledger existed
+ *
+ * Each meeting with a duration and no ledger entries is charged to its project owner
+ * in the month it was created, matching what the old usage counter billed. Cached
+ * currentMonthUsage values are rebuilt from the ledger on the next usage read.
+ *
+ * Usage:
+ *   node scripts/backfill-usage-ledger.js [--dry-run] [--batch-size=500]
+ *
+ * Options:
+ *   --dry-run         Show what would be charged without making changes
+ *   --batch-size=N    Number of meetings to process per batch (default: 500)
+ */
+
+const mongoose = require('mongoose');
+const Meeting = require('../src/models/meeting.model');
+const Project = require('../src/models/project.model');
+const User = require('../src/models/user.model');
+const UsageEntry = require('../src/models/usage-entry.model');
+const { UsageEntryReason } = require('../src/core/constants');
+const logger = require('../src/components/logging');
+require('dotenv').config();
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+  dryRun: args.includes('--dry-run'),
+  batchSize: parseInt(args.find(arg => arg.startsWith('--batch-size='))?.split('=')[1]) || 500
+};
+
+// Statistics
+const stats = {
+  scanned: 0,
+  charged: 0,
+  alreadyRecorded: 0,
+  orphaned: 0,
+  seconds: 0
+};
+
+/**
+ * Main execution function
+ */
+async function backfillUsageLedger() {
+  try {
+    logger.info('Starting usage ledger backfill', options);
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/meno-api');
+    logger.info('Connected to MongoDB');
+
+    if (options.dryRun) {
+      logger.info('DRY RUN MODE - No changes will be made');
+    }
+
+    const ownerCache = new Map();
+    let lastId = null;
+
+    for (;;) {
+      const query = { duration: { $gt: 0 }, ...(lastId && { _id: { $gt: lastId } }) };
+      const meetings = await Meeting.find(query)
+        .select('_id title projectId duration createdAt')
+        .sort({ _id: 1 })
+        .limit(options.batchSize)
+        .lean();
+
+      if (meetings.length === 0) {
+        break;
+      }
+
+      lastId = meetings[meetings.length - 1]._id;
+      stats.scanned += meetings.length;
+
+      const recorded = new Set(
+        (await UsageEntry.distinct('meetingId', { meetingId: { $in: meetings.map(m => m._id) } }))
+          .map(id => id.toString())
+      );
+
+      const entries = [];
+      for (const meeting of meetings) {
+        if (recorded.has(meeting._id.toString())) {
+          stats.alreadyRecorded++;
+          continue;
+        }
+
+        const owner = await getProjectOwner(meeting.projectId, ownerCache);
+        if (!owner) {
+          stats.orphaned++;
+          logger.warn('Skipping meeting without a project owner', { meetingId: meeting._id });
+          continue;
+        }
+
+        entries.push({
+          userId: owner._id,
+          organizationId: owner.organizationId || null,
+          meetingId: meeting._id,
+          meetingTitle: meeting.title,
+          seconds: meeting.duration,
+          reason: UsageEntryReason.BACKFILL,
+          ...UsageEntry.periodOf(meeting.createdAt)
+        });
+      }
+
+      if (entries.length > 0 && !options.dryRun) {
+        await UsageEntry.insertMany(entries);
+      }
+
+      stats.charged += entries.length;
+      stats.seconds += entries.reduce((sum, entry) => sum + entry.seconds, 0);
+
+      logger.info('Batch completed', { ...stats });
+    }
+
+    logger.info('Usage ledger backfill completed', {
+      ...stats,
+      dryRun: options.dryRun
+    });
+  } catch (error) {
+    logger.error('Backfill process failed', { error: error.message, stack: error.stack });
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    logger.info('Database connection closed');
+  }
+}
+
+/**
+ * Look up (and cache) the owner of a project
+ */
+async function getProjectOwner(projectId, cache) {
+  const key = projectId.toString();
+  if (!cache.has(key)) {
+    const project = await Project.findById(projectId).select('userId').lean();
+    const owner = project
+      ? await User.findById(project.userId).select('_id organizationId').lean()
+      : null;
+    cache.set(key, owner);
+  }
+  return cache.get(key);
+}
+
+// Run the script
+backfillUsageLedger()
+  .then(() => {
+    logger.info('Script completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    logger.error('Script failed', { error: error.message });
+    process.exit(1);
+  });
@@ -5,6 +5,9 @@
  *
  * Usage: npm run generate:token <userId>
  * Example: npm run generate:token 507f1f77bcf86cd799439011
+ *
+ * For CI jobs and other automation, create a scoped personal access token
+ * (POST /api/access-tokens) instead of using a user's JWT.
  */
 
 require('dotenv').config();
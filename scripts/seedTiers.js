@@ -2,7 +2,8 @@
  * Tier Configuration Seeder
  * Seeds the database with initial tier configurations
  *
- * Usage: node scripts/seedTiers.js
+ * Usage: node scripts/seedTiers.js [--update]
+ *   --update  Upsert tiers by name so existing deployments pick up new limits and features
  */
 
 const mongoose = require('mongoose');
@@ -33,7 +34,10 @@ const tiers = [
       'basic_transcription',
       'advanced_transcription',
       'export_formats',
-      'priority_processing'
+      'priority_processing',
+      'summary_stream',
+      'action_items',
+      'hybrid_search'
     ],
     price: 999, // $9.99 in cents
     isActive: true
@@ -50,6 +54,10 @@ const tiers = [
       'advanced_transcription',
       'export_formats',
       'priority_processing',
+      'summary_stream',
+      'action_items',
+      'hybrid_search',
+      'integrations',
       'custom_vocabulary',
       'api_access',
       'team_collaboration'
@@ -66,6 +74,22 @@ async function seedTiers() {
     await mongoose.connect(MONGODB_URI);
     console.log('✅ Connected to MongoDB');
 
+    if (process.argv.includes('--update')) {
+      console.log('\n🔄 Updating tier configurations...\n');
+
+      for (const tierData of tiers) {
+        const tier = await TierConfig.findOneAndUpdate(
+          { name: tierData.name },
+          { $set: tierData },
+          { new: true, upsert: true, runValidators: true }
+        );
+        console.log(`✅ Updated tier: ${tier.displayName} (${tier.features.join(', ')})`);
+      }
+
+      console.log('\n✨ Tier update completed successfully!\n');
+      return;
+    }
+
     // Check if tiers already exist
     const existingCount = await TierConfig.countDocuments();
     if (existingCount > 0) {
@@ -73,7 +97,7 @@ async function seedTiers() {
       console.log('   1. Skip seeding (recommended if tiers are already configured)');
       console.log('   2. Update existing tiers with these values');
       console.log('   3. Delete all and recreate');
-      console.log('\nℹ️  To proceed, modify this script or manually delete tiers first.');
+      console.log('\nℹ️  To update them in place, run: node scripts/seedTiers.js --update');
       console.log('   You can also update tiers via the API endpoints.\n');
 
       // For safety, we'll just skip
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Set User Role
+ * Grants or revokes the system admin role for a user by email
+ * Use this to bootstrap the first admin; later changes can go through PATCH /api/admin/users/:id/role
+ *
+ * Usage: npm run set:role <email> [user|admin]
+ * Example: npm run set:role admin@example.com admin
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/user.model');
+
+// Validate command-line arguments
+const email = process.argv[2];
+const role = process.argv[3] || 'admin';
+
+if (!email) {
+  console.error('❌ Error: Email is required');
+  console.log('\nUsage: npm run set:role <email> [user|admin]');
+  console.log('Example: npm run set:role admin@example.com admin');
+  process.exit(1);
+}
+
+if (!['user', 'admin'].includes(role)) {
+  console.error(`❌ Error: Invalid role '${role}'. Must be 'user' or 'admin'`);
+  process.exit(1);
+}
+
+// Validate MONGODB_URI is configured
+if (!process.env.MONGODB_URI) {
+  console.error('❌ Error: MONGODB_URI not found in environment variables');
+  console.error('Please ensure .env file exists with MONGODB_URI configured');
+  process.exit(1);
+}
+
+async function setUserRole() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to database\n');
+
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase().trim() },
+      { role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      throw new Error(`User not found with email: ${email}`);
+    }
+
+    console.log(`✅ ${user.name} (${user.email}) now has role '${user.role}'\n`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('\n❌ Error setting user role:', error.message);
+
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+    }
+
+    process.exit(1);
+  }
+}
+
+setUserRole();
@@ -0,0 +1,41 @@
+/**
+ * Access Token Controller
+ * Handles HTTP requests for personal access token endpoints
+ */
+const BaseController = require('./base.controller');
+
+class AccessTokenController extends BaseController {
+  constructor(personalAccessTokenService, logger) {
+    super(personalAccessTokenService, logger);
+    this.personalAccessTokenService = personalAccessTokenService;
+  }
+
+  /**
+   * Create a personal access token
+   * POST /api/access-tokens
+   */
+  create = this.asyncHandler(async (req, res) => {
+    const token = await this.personalAccessTokenService.createToken(this.getUserId(req), req.body);
+    return this.sendCreated(res, token, 'Access token created successfully');
+  });
+
+  /**
+   * List the user's personal access tokens
+   * GET /api/access-tokens
+   */
+  list = this.asyncHandler(async (req, res) => {
+    const tokens = await this.personalAccessTokenService.listTokens(this.getUserId(req));
+    return this.sendSuccess(res, { tokens }, 'Access tokens retrieved successfully');
+  });
+
+  /**
+   * Revoke a personal access token
+   * DELETE /api/access-tokens/:tokenId
+   */
+  revoke = this.asyncHandler(async (req, res) => {
+    const token = await this.personalAccessTokenService.revokeToken(req.params.tokenId, this.getUserId(req));
+    return this.sendSuccess(res, token, 'Access token revoked successfully');
+  });
+}
+
+module.exports = AccessTokenController;
@@ -0,0 +1,109 @@
+/**
+ * Admin Controller
+ * Handles HTTP requests for system administration endpoints
+ */
+const BaseController = require('./base.controller');
+
+class AdminController extends BaseController {
+  constructor(userService, tierService, usageService, logger) {
+    super(userService, logger);
+    this.userService = userService;
+    this.tierService = tierService;
+    this.usageService = usageService;
+  }
+
+  /**
+   * List users with optional status/role/tier/search filters
+   * GET /api/admin/users
+   */
+  listUsers = this.asyncHandler(async (req, res) => {
+    const { page, limit } = this.getPaginationParams(req);
+    const { status, role, tier, search } = req.query;
+
+    const result = await this.userService.getAllUsers(page, limit, { status, role, tier, search });
+    return this.sendPaginated(res, result.users.map(user => user.toSafeObject()), page, limit, result.total);
+  });
+
+  /**
+   * Get a single user
+   * GET /api/admin/users/:id
+   */
+  getUser = this.asyncHandler(async (req, res) => {
+    const user = await this.userService.getUserById(req.params.id);
+    return this.sendSuccess(res, user.toSafeObject(), 'User retrieved successfully');
+  });
+
+  /**
+   * Suspend or reactivate a user
+   * PATCH /api/admin/users/:id/status
+   */
+  updateUserStatus = this.asyncHandler(async (req, res) => {
+    const user = await this.userService.updateUserStatus(req.params.id, req.body.status, this.getUserId(req));
+    return this.sendSuccess(res, user.toSafeObject(), 'User status updated successfully');
+  });
+
+  /**
+   * Change a user's tier
+   * PATCH /api/admin/users/:id/tier
+   */
+  updateUserTier = this.asyncHandler(async (req, res) => {
+    const user = await this.userService.updateUserTier(req.params.id, req.body.tier, this.getUserId(req));
+    return this.sendSuccess(res, user.toSafeObject(), 'User tier updated successfully');
+  });
+
+  /**
+   * Grant or revoke the admin role
+   * PATCH /api/admin/users/:id/role
+   */
+  updateUserRole = this.asyncHandler(async (req, res) => {
+    const user = await this.userService.updateUserRole(req.params.id, req.body.role, this.getUserId(req));
+    return this.sendSuccess(res, user.toSafeObject(), 'User role updated successfully');
+  });
+
+  /**
+   * List all tiers, including inactive ones
+   * GET /api/admin/tiers
+   */
+  listTiers = this.asyncHandler(async (req, res) => {
+    const tiers = await this.tierService.getAllTiers();
+    return this.sendSuccess(res, tiers, 'Tiers retrieved successfully');
+  });
+
+  /**
+   * Create a tier configuration
+   * POST /api/admin/tiers
+   */
+  createTier = this.asyncHandler(async (req, res) => {
+    const tier = await this.tierService.createTier(req.body);
+    return this.sendCreated(res, tier, 'Tier created successfully');
+  });
+
+  /**
+   * Update a tier configuration
+   * PATCH /api/admin/tiers/:name
+   */
+  updateTier = this.asyncHandler(async (req, res) => {
+    const tier = await this.tierService.updateTier(req.params.name, req.body);
+    return this.sendSuccess(res, tier, 'Tier updated successfully');
+  });
+
+  /**
+   * Deactivate a tier (existing users keep it; it is hidden from plan listings)
+   * DELETE /api/admin/tiers/:name
+   */
+  deactivateTier = this.asyncHandler(async (req, res) => {
+    const tier = await this.tierService.deactivateTier(req.params.name);
+    return this.sendSuccess(res, tier, 'Tier deactivated successfully');
+  });
+
+  /**
+   * Get system-wide usage for the current month
+   * GET /api/admin/usage
+   */
+  getSystemUsage = this.asyncHandler(async (req, res) => {
+    const stats = await this.usageService.getSystemUsageStats();
+    return this.sendSuccess(res, stats, 'System usage retrieved successfully');
+  });
+}
+
+module.exports = AdminController;
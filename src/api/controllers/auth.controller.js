@@ -11,6 +11,18 @@ class AuthController extends BaseController {
     this.authService = authService;
   }
 
+  /**
+   * Client details stored with a session so users can recognize their devices
+   * @param {Object} req - Express request
+   * @returns {Object} { userAgent, ipAddress }
+   */
+  getSessionContext(req) {
+    return {
+      userAgent: req.get('user-agent')?.substring(0, 512) || null,
+      ipAddress: req.ip || null
+    };
+  }
+
   /**
    * @swagger
    * /auth/signup:
@@ -47,7 +59,7 @@ class AuthController extends BaseController {
    *         description: User already exists
    */
   signup = this.asyncHandler(async (req, res) => {
-    const result = await this.authService.signup(req.body);
+    const result = await this.authService.signup(req.body, this.getSessionContext(req));
 
     // Set refresh token in httpOnly cookie
     const isProduction = process.env.NODE_ENV === 'production';
@@ -92,12 +104,18 @@ class AuthController extends BaseController {
    *                 format: password
    *     responses:
    *       200:
-   *         description: Login successful
+   *         description: |
+   *           Login successful, or - for accounts with two-factor authentication - a challenge
+   *           `{ twoFactorRequired: true, challengeToken, expiresIn }` to complete at /auth/login/2fa
    *       401:
    *         description: Invalid credentials
    */
   login = this.asyncHandler(async (req, res) => {
-    const result = await this.authService.login(req.body);
+    const result = await this.authService.login(req.body, this.getSessionContext(req));
+
+    if (result.twoFactorRequired) {
+      return this.sendSuccess(res, result, 'Two-factor authentication required');
+    }
 
     // Set refresh token in httpOnly cookie
     const isProduction = process.env.NODE_ENV === 'production';
@@ -118,6 +136,71 @@ class AuthController extends BaseController {
     return this.sendSuccess(res, result, 'Login successful');
   });
 
+  /**
+   * @swagger
+   * /auth/login/2fa:
+   *   post:
+   *     summary: Complete a login with a two-factor code
+   *     description: |
+   *       Second step of the login for accounts with two-factor authentication. Send the challenge
+   *       token from /auth/login with either the current code from the authenticator app or one of
+   *       the recovery codes. Each recovery code works once. By default, verification is locked for
+   *       15 minutes after 5 wrong codes.
+   *     tags: [Auth]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - challengeToken
+   *             properties:
+   *               challengeToken:
+   *                 type: string
+   *               code:
+   *                 type: string
+   *                 example: "123456"
+   *               recoveryCode:
+   *                 type: string
+   *                 example: "3f9a2-c81d0"
+   *     responses:
+   *       200:
+   *         description: Login successful; includes recoveryCodesRemaining when a recovery code was used
+   *       400:
+   *         description: Validation error
+   *       401:
+   *         description: Invalid code, or the challenge expired
+   *       429:
+   *         description: Too many failed attempts
+   */
+  loginTwoFactor = this.asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const result = await this.authService.completeTwoFactorLogin(
+      challengeToken,
+      { code, recoveryCode },
+      this.getSessionContext(req)
+    );
+
+    // Set refresh token in httpOnly cookie
+    const isProduction = process.env.NODE_ENV === 'production';
+    const refreshTokenExpiry = process.env.REFRESH_TOKEN_EXPIRY || '7d';
+    const expiryMs = this.authService.calculateTokenExpiryMs(refreshTokenExpiry);
+
+    res.cookie('refreshToken', result.refreshToken, {
+      httpOnly: true,
+      secure: isProduction,
+      sameSite: 'lax',
+      maxAge: expiryMs
+    });
+
+    this.logger.debug('Set refresh token cookie on two-factor login', {
+      userId: result.user._id
+    });
+
+    return this.sendSuccess(res, result, 'Login successful');
+  });
+
   /**
    * @swagger
    * /auth/me:
@@ -150,7 +233,7 @@ class AuthController extends BaseController {
     });
 
     // User is attached by passport
-    const result = await this.authService.googleAuth(req.user);
+    const result = await this.authService.googleAuth(req.user, this.getSessionContext(req));
 
     this.logger.debug('Google auth service completed', {
       userId: result.user._id,
@@ -259,7 +342,7 @@ class AuthController extends BaseController {
     });
 
     // Verify tokens and get user profile
-    const result = await this.authService.googleTokenExchange(idToken, accessToken);
+    const result = await this.authService.googleTokenExchange(idToken, accessToken, this.getSessionContext(req));
 
     this.logger.info('Google token verification successful', {
       userId: result.user.id,
@@ -275,6 +358,9 @@ class AuthController extends BaseController {
    * /auth/refresh:
    *   post:
    *     summary: Refresh access token using refresh token
+   *     description: |
+   *       Each refresh token can be used once; the response contains its replacement. Reusing a
+   *       refresh token that was already exchanged revokes the whole session.
    *     tags: [Auth]
    *     requestBody:
    *       required: true
@@ -312,7 +398,7 @@ class AuthController extends BaseController {
    *       400:
    *         description: Missing refresh token
    *       401:
-   *         description: Invalid or expired refresh token
+   *         description: Invalid, expired or reused refresh token
    */
   refreshToken = this.asyncHandler(async (req, res) => {
     // Try cookie first (web app), then body (Chrome extension or legacy)
@@ -333,7 +419,7 @@ class AuthController extends BaseController {
       source: fromCookie ? 'cookie' : 'body'
     });
 
-    const result = await this.authService.refreshAccessToken(refreshToken);
+    const result = await this.authService.refreshAccessToken(refreshToken, this.getSessionContext(req));
 
     // If token came from cookie, update the cookie with new refresh token
     if (fromCookie) {
@@ -367,6 +453,7 @@ class AuthController extends BaseController {
    * /auth/logout:
    *   post:
    *     summary: Logout and revoke refresh token
+   *     description: Ends the session the refresh token belongs to.
    *     tags: [Auth]
    *     requestBody:
    *       required: true
@@ -424,6 +511,83 @@ class AuthController extends BaseController {
 
     return this.sendSuccess(res, null, 'Logout successful');
   });
+
+  /**
+   * List the current user's active sessions
+   * GET /api/auth/sessions
+   */
+  listSessions = this.asyncHandler(async (req, res) => {
+    const sessions = await this.authService.listSessions(this.getUserId(req), req.sessionId);
+    return this.sendSuccess(res, { sessions }, 'Sessions retrieved successfully');
+  });
+
+  /**
+   * Revoke one session
+   * DELETE /api/auth/sessions/:sessionId
+   */
+  revokeSession = this.asyncHandler(async (req, res) => {
+    const result = await this.authService.revokeSession(this.getUserId(req), req.params.sessionId);
+    return this.sendSuccess(res, result, 'Session revoked successfully');
+  });
+
+  /**
+   * Revoke all sessions except the current one
+   * DELETE /api/auth/sessions
+   */
+  revokeOtherSessions = this.asyncHandler(async (req, res) => {
+    const result = await this.authService.revokeOtherSessions(this.getUserId(req), req.sessionId);
+    return this.sendSuccess(res, result, 'Other sessions revoked successfully');
+  });
+
+  /**
+   * Email a password reset link
+   * POST /api/auth/forgot-password
+   */
+  forgotPassword = this.asyncHandler(async (req, res) => {
+    await this.authService.requestPasswordReset(req.body.email, this.getSessionContext(req));
+    return this.sendSuccess(
+      res,
+      null,
+      'If an account with that email exists, a password reset link has been sent'
+    );
+  });
+
+  /**
+   * Set a new password with a reset token
+   * POST /api/auth/reset-password
+   */
+  resetPassword = this.asyncHandler(async (req, res) => {
+    await this.authService.resetPassword(req.body.token, req.body.password);
+
+    // Every session was revoked, including the one in this browser's cookie
+    if (req.cookies?.refreshToken) {
+      res.clearCookie('refreshToken', {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax'
+      });
+    }
+
+    return this.sendSuccess(res, null, 'Password reset successfully. Please log in with your new password');
+  });
+
+  /**
+   * Verify an email address
+   * POST /api/auth/verify-email
+   */
+  verifyEmail = this.asyncHandler(async (req, res) => {
+    const user = await this.authService.verifyEmail(req.body.token);
+    return this.sendSuccess(res, user, 'Email verified successfully');
+  });
+
+  /**
+   * Send a new verification email to the current user
+   * POST /api/auth/verify-email/resend
+   */
+  resendVerificationEmail = this.asyncHandler(async (req, res) => {
+    const result = await this.authService.sendVerificationEmail(this.getUserId(req), this.getSessionContext(req));
+    return this.sendSuccess(res, result, 'Verification email sent');
+  });
 }
 
 module.exports = AuthController;
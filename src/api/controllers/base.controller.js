@@ -3,6 +3,7 @@
  * Provides common controller functionality and error handling
  */
 const { success, created, paginated } = require('../../utils/responses');
+const { ForbiddenError } = require('../../utils/errors');
 
 class BaseController {
   constructor(service, logger) {
@@ -12,12 +13,17 @@ class BaseController {
 
   /**
    * Async handler wrapper with error handling
+   * Rejects personal access tokens unless the route granted a scope (requireScope)
    * @param {Function} fn - Async function to wrap
    * @returns {Function} Express middleware function
    */
   asyncHandler = (fn) => {
     return async (req, res, next) => {
       try {
+        if (req.tokenScopes && !req.scopeVerified) {
+          throw new ForbiddenError('Personal access tokens cannot be used for this endpoint');
+        }
+
         await fn(req, res, next);
       } catch (error) {
         next(error);
@@ -0,0 +1,149 @@
+/**
+ * Chat Controller
+ * Handles HTTP requests for RAG chat over meeting transcripts
+ */
+const BaseController = require('./base.controller');
+
+class ChatController extends BaseController {
+  constructor(chatService, logger) {
+    super(chatService, logger);
+    this.chatService = chatService;
+  }
+
+  /**
+   * Ask a question across all meetings in a project (SSE stream)
+   * POST /api/projects/:projectId/chat
+   */
+  chatProject = this.asyncHandler(async (req, res) => {
+    await this._streamChat(req, res, 'project', req.params.projectId);
+  });
+
+  /**
+   * Ask a question about a single meeting (SSE stream)
+   * POST /api/projects/:projectId/meetings/:meetingId/chat
+   */
+  chatMeeting = this.asyncHandler(async (req, res) => {
+    await this._streamChat(req, res, 'meeting', req.params.meetingId);
+  });
+
+  /**
+   * List conversations in a project
+   * GET /api/projects/:projectId/chat/conversations
+   */
+  listConversations = this.asyncHandler(async (req, res) => {
+    const { projectId } = req.params;
+    const { page, limit, meetingId } = req.query;
+
+    const result = await this.chatService.listConversations(projectId, {
+      page,
+      limit,
+      meetingId
+    });
+
+    return this.sendSuccess(res, result, 'Conversations retrieved successfully');
+  });
+
+  /**
+   * Get a conversation with messages and citations
+   * GET /api/projects/:projectId/chat/conversations/:conversationId
+   */
+  getConversation = this.asyncHandler(async (req, res) => {
+    const { projectId, conversationId } = req.params;
+    const conversation = await this.chatService.getConversation(projectId, conversationId);
+    return this.sendSuccess(res, conversation, 'Conversation retrieved successfully');
+  });
+
+  /**
+   * Delete a conversation
+   * DELETE /api/projects/:projectId/chat/conversations/:conversationId
+   */
+  deleteConversation = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { projectId, conversationId } = req.params;
+    const result = await this.chatService.deleteConversation(projectId, conversationId, userId);
+    return this.sendSuccess(res, null, result.message);
+  });
+
+  /**
+   * Stream chat answer as Server-Sent Events
+   * Events: connected, citations, chunk, complete, error
+   * The exchange is saved to the conversation after the answer completes
+   * @private
+   */
+  async _streamChat(req, res, scope, scopeId) {
+    const { message, topK, conversationId } = req.body;
+    // Meeting chats are filed under the meeting's own project rather than the project in the URL
+    const projectId = req.meeting ? req.meeting.projectId._id : req.params.projectId;
+    const userId = this.getUserId(req);
+    const meetingId = scope === 'meeting' ? scopeId : null;
+
+    // Resolve the conversation before opening the stream so lookup errors return a regular JSON response
+    const conversation = conversationId
+      ? await this.chatService.getConversationForChat(conversationId, { projectId, scope, meetingId })
+      : null;
+
+    // Stored turns take precedence over client-supplied history when continuing a conversation
+    const history = conversation ? conversation.getHistory() : req.body.history;
+
+    try {
+      // Set headers for Server-Sent Events
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+
+      // Send initial connection event
+      res.write(`data: ${JSON.stringify({
+        type: 'connected',
+        scope,
+        scopeId,
+        conversationId: conversation?._id || null
+      })}\n\n`);
+
+      let answer = '';
+      let citations = [];
+
+      const stream = this.chatService.chatStream(message, { scope, scopeId, history, topK });
+
+      for await (const event of stream) {
+        if (event.type === 'citations') {
+          citations = event.citations;
+        } else {
+          answer += event.content;
+        }
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+      }
+
+      answer = answer.trim();
+
+      const saved = await this.chatService.saveExchange(conversation, {
+        userId,
+        projectId,
+        scope,
+        meetingId,
+        question: message,
+        answer,
+        citations
+      });
+
+      // Send completion event with full answer for clients that don't assemble chunks
+      res.write(`data: ${JSON.stringify({
+        type: 'complete',
+        conversationId: saved._id,
+        answer,
+        citations
+      })}\n\n`);
+
+      res.end();
+    } catch (error) {
+      // Send error event
+      res.write(`data: ${JSON.stringify({
+        type: 'error',
+        message: error.message
+      })}\n\n`);
+      res.end();
+    }
+  }
+}
+
+module.exports = ChatController;
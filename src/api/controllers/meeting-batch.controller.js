@@ -0,0 +1,38 @@
+/**
+ * Meeting Batch Controller
+ * Handles HTTP requests for bulk meeting operations
+ */
+const BaseController = require('./base.controller');
+
+class MeetingBatchController extends BaseController {
+  constructor(meetingBatchService, logger) {
+    super(meetingBatchService, logger);
+    this.meetingBatchService = meetingBatchService;
+  }
+
+  /**
+   * Queue a bulk operation
+   * POST /api/meetings/bulk
+   */
+  create = this.asyncHandler(async (req, res) => {
+    const batch = await this.meetingBatchService.createBatch(this.getUserId(req), req.body);
+
+    // 202 Accepted for async processing
+    return res.status(202).json({
+      success: true,
+      message: 'Bulk operation started',
+      data: batch
+    });
+  });
+
+  /**
+   * Get a bulk operation's progress
+   * GET /api/meetings/bulk/:batchId
+   */
+  getById = this.asyncHandler(async (req, res) => {
+    const batch = await this.meetingBatchService.getBatch(req.params.batchId, this.getUserId(req));
+    return this.sendSuccess(res, batch, 'Bulk operation retrieved successfully');
+  });
+}
+
+module.exports = MeetingBatchController;
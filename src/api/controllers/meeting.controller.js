@@ -4,6 +4,9 @@
  */
 const BaseController = require('./base.controller');
 const { BadRequestError } = require('../../utils/errors');
+const transcriptionEvents = require('../../core/queue/transcription-events');
+
+const SSE_HEARTBEAT_INTERVAL = 15000;
 
 class MeetingController extends BaseController {
   constructor(meetingService, actionItemService, logger) {
@@ -64,6 +67,27 @@ class MeetingController extends BaseController {
     return this.sendCreated(res, meeting, 'Meeting created successfully');
   });
 
+  /**
+   * Import meeting from an existing transcript file
+   */
+  importTranscript = this.asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new BadRequestError('Transcript file is required');
+    }
+
+    const userId = this.getUserId(req);
+    const { projectId } = req.params;
+
+    const meeting = await this.meetingService.importMeeting(
+      projectId,
+      userId,
+      req.body,
+      req.file
+    );
+
+    return this.sendCreated(res, meeting, 'Meeting imported successfully');
+  });
+
   /**
    * List meetings
    */
@@ -99,6 +123,27 @@ class MeetingController extends BaseController {
     return this.sendSuccess(res, meeting, 'Meeting updated successfully');
   });
 
+  /**
+   * Move meeting to another project
+   * POST /api/projects/:projectId/meetings/:id/move
+   */
+  move = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const meeting = await this.meetingService.moveMeeting(req.params.id, userId, req.body.targetProjectId);
+    return this.sendSuccess(res, meeting, 'Meeting moved successfully');
+  });
+
+  /**
+   * Copy meeting into a project
+   * POST /api/projects/:projectId/meetings/:id/copy
+   */
+  copy = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { targetProjectId, title } = req.body;
+    const meeting = await this.meetingService.copyMeeting(req.params.id, userId, targetProjectId, { title });
+    return this.sendCreated(res, meeting, 'Meeting copied successfully');
+  });
+
   /**
    * Delete meeting
    */
@@ -136,6 +181,18 @@ class MeetingController extends BaseController {
     res.send(result.data);
   });
 
+  /**
+   * Export meeting transcript as a downloadable file
+   */
+  exportTranscript = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const result = await this.meetingService.exportTranscript(req.params.id, userId, req.query.format);
+
+    res.setHeader('Content-Type', `${result.mimeType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.send(result.content);
+  });
+
   /**
    * Get transcription status
    */
@@ -145,6 +202,74 @@ class MeetingController extends BaseController {
     return this.sendSuccess(res, status, 'Transcription status retrieved successfully');
   });
 
+  /**
+   * Stream transcription progress and newly saved segments (Server-Sent Events)
+   * Ends after the final status; segments saved before connecting are not replayed
+   */
+  streamStatus = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const { id: meetingId } = req.params;
+
+    // Verifies access before the stream is opened
+    await this.meetingService.getTranscriptionStatus(meetingId, userId);
+
+    // Set headers for Server-Sent Events
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+    res.flushHeaders();
+
+    let unsubscribe = null;
+    let closed = false;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+    const send = (event) => {
+      if (!closed) {
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+      }
+    };
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+      res.end();
+    };
+
+    const isFinal = (status, willRetry = false) =>
+      status === 'completed' || (status === 'failed' && !willRetry);
+
+    req.on('close', close);
+
+    try {
+      unsubscribe = await transcriptionEvents.subscribe(meetingId, (event) => {
+        send(event);
+        if (event.type === 'status' && isFinal(event.status, event.willRetry)) {
+          close();
+        }
+      });
+
+      if (closed) {
+        // Client disconnected while subscribing
+        unsubscribe();
+        return;
+      }
+
+      // Snapshot taken after subscribing so no update falls between the two
+      const status = await this.meetingService.getTranscriptionStatus(meetingId, userId);
+      send({ type: 'connected', meetingId, ...status });
+
+      if (isFinal(status.status)) {
+        close();
+      }
+    } catch (error) {
+      send({ type: 'error', message: error.message });
+      close();
+    }
+  });
+
   /**
    * Get user's recent meetings across all projects
    */
@@ -0,0 +1,132 @@
+/**
+ * Organization Controller
+ * Handles HTTP requests for organization (workspace) endpoints
+ */
+const BaseController = require('./base.controller');
+
+class OrganizationController extends BaseController {
+  constructor(organizationService, logger) {
+    super(organizationService, logger);
+    this.organizationService = organizationService;
+  }
+
+  /**
+   * Create an organization
+   * POST /api/organizations
+   */
+  create = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const organization = await this.organizationService.createOrganization(userId, req.body);
+    return this.sendCreated(res, organization, 'Organization created successfully');
+  });
+
+  /**
+   * Get the current user's organization with pooled usage
+   * GET /api/organizations/me
+   */
+  getMine = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const organization = await this.organizationService.getUserOrganization(userId);
+    return this.sendSuccess(res, organization, 'Organization retrieved successfully');
+  });
+
+  /**
+   * Invite a member by email
+   * POST /api/organizations/:organizationId/invitations
+   */
+  invite = this.asyncHandler(async (req, res) => {
+    const invitation = await this.organizationService.inviteMember(
+      req.params.organizationId,
+      this.getUserId(req),
+      req.body
+    );
+    return this.sendCreated(res, invitation, 'Invitation sent successfully');
+  });
+
+  /**
+   * List pending invitations of an organization
+   * GET /api/organizations/:organizationId/invitations
+   */
+  listInvitations = this.asyncHandler(async (req, res) => {
+    const invitations = await this.organizationService.listInvitations(req.params.organizationId, this.getUserId(req));
+    return this.sendSuccess(res, invitations, 'Invitations retrieved successfully');
+  });
+
+  /**
+   * Revoke a pending invitation
+   * DELETE /api/organizations/:organizationId/invitations/:invitationId
+   */
+  revokeInvitation = this.asyncHandler(async (req, res) => {
+    const { organizationId, invitationId } = req.params;
+    const result = await this.organizationService.revokeInvitation(organizationId, this.getUserId(req), invitationId);
+    return this.sendSuccess(res, null, result.message);
+  });
+
+  /**
+   * List organization invitations addressed to the current user
+   * GET /api/organizations/invitations
+   */
+  listMyInvitations = this.asyncHandler(async (req, res) => {
+    const invitations = await this.organizationService.listUserInvitations(req.user);
+    return this.sendSuccess(res, invitations, 'Invitations retrieved successfully');
+  });
+
+  /**
+   * Accept an invitation
+   * POST /api/organizations/invitations/:invitationId/accept
+   */
+  acceptInvitation = this.asyncHandler(async (req, res) => {
+    const result = await this.organizationService.acceptInvitation(req.params.invitationId, req.user);
+    return this.sendSuccess(res, result, 'Invitation accepted');
+  });
+
+  /**
+   * Decline an invitation
+   * POST /api/organizations/invitations/:invitationId/decline
+   */
+  declineInvitation = this.asyncHandler(async (req, res) => {
+    const result = await this.organizationService.declineInvitation(req.params.invitationId, req.user);
+    return this.sendSuccess(res, null, result.message);
+  });
+
+  /**
+   * Change a member's role
+   * PATCH /api/organizations/:organizationId/members/:userId
+   */
+  updateMemberRole = this.asyncHandler(async (req, res) => {
+    const { organizationId, userId } = req.params;
+    const member = await this.organizationService.updateMemberRole(
+      organizationId,
+      this.getUserId(req),
+      userId,
+      req.body.role
+    );
+    return this.sendSuccess(res, member, 'Member role updated successfully');
+  });
+
+  /**
+   * Remove a member or leave the organization
+   * DELETE /api/organizations/:organizationId/members/:userId
+   */
+  removeMember = this.asyncHandler(async (req, res) => {
+    const { organizationId, userId } = req.params;
+    const result = await this.organizationService.removeMember(organizationId, this.getUserId(req), userId);
+    return this.sendSuccess(res, null, result.message);
+  });
+
+  /**
+   * Get pooled usage history with per-member breakdown
+   * GET /api/organizations/:organizationId/usage
+   */
+  getUsage = this.asyncHandler(async (req, res) => {
+    const months = parseInt(req.query.months) || 3;
+    const history = await this.organizationService.getUsageHistory(
+      req.params.organizationId,
+      this.getUserId(req),
+      months
+    );
+    return this.sendSuccess(res, history, 'Usage history retrieved successfully');
+  });
+}
+
+module.exports = OrganizationController;
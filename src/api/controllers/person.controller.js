@@ -6,10 +6,11 @@ const BaseController = require('./base.controller');
 const { NotFoundError } = require('../../utils/errors');
 
 class PersonController extends BaseController {
-  constructor(personService, transcriptionDataService, logger) {
+  constructor(personService, transcriptionDataService, actionItemService, logger) {
     super(personService, logger);
     this.personService = personService;
     this.transcriptionDataService = transcriptionDataService;
+    this.actionItemService = actionItemService;
   }
 
   /**
@@ -105,32 +106,7 @@ class PersonController extends BaseController {
       throw new NotFoundError('Person not found or does not belong to you');
     }
 
-    // Get action items - we need to use a custom query to exclude personId from population
-    const ActionItem = require('../../models/action-item.model');
-    const pageNum = parseInt(page) || 1;
-    const limitNum = parseInt(limit) || 50;
-    const sortField = sort || 'createdAt';
-
-    const query = { personId };
-
-    const actionItems = await ActionItem.find(query)
-      .populate('meetingId', 'title projectId')
-      .sort(sortField)
-      .skip((pageNum - 1) * limitNum)
-      .limit(limitNum)
-      .lean();
-
-    const total = await ActionItem.countDocuments(query);
-
-    const result = {
-      actionItems,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total,
-        pages: Math.ceil(total / limitNum)
-      }
-    };
+    const result = await this.actionItemService.getActionItemsByPersonId(personId, { page, limit, sort });
 
     return this.sendSuccess(res, result);
   });
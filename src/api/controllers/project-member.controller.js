@@ -0,0 +1,102 @@
+/**
+ * Project Member Controller
+ * Handles HTTP requests for project collaborators and invitations
+ */
+const BaseController = require('./base.controller');
+
+class ProjectMemberController extends BaseController {
+  constructor(projectMemberService, logger) {
+    super(projectMemberService, logger);
+    this.projectMemberService = projectMemberService;
+  }
+
+  /**
+   * List project members
+   * GET /api/projects/:projectId/members
+   */
+  listMembers = this.asyncHandler(async (req, res) => {
+    const members = await this.projectMemberService.listMembers(req.params.projectId);
+    return this.sendSuccess(res, members, 'Members retrieved successfully');
+  });
+
+  /**
+   * Change a member's role
+   * PATCH /api/projects/:projectId/members/:userId
+   */
+  updateMemberRole = this.asyncHandler(async (req, res) => {
+    const { projectId, userId } = req.params;
+    const member = await this.projectMemberService.updateMemberRole(projectId, userId, req.body.role);
+    return this.sendSuccess(res, member, 'Member role updated successfully');
+  });
+
+  /**
+   * Remove a member or leave the project
+   * DELETE /api/projects/:projectId/members/:userId
+   */
+  removeMember = this.asyncHandler(async (req, res) => {
+    const { projectId, userId } = req.params;
+    const result = await this.projectMemberService.removeMember(projectId, userId, this.getUserId(req));
+    return this.sendSuccess(res, null, result.message);
+  });
+
+  /**
+   * Invite a user by email
+   * POST /api/projects/:projectId/invitations
+   */
+  invite = this.asyncHandler(async (req, res) => {
+    const invitation = await this.projectMemberService.inviteMember(
+      req.params.projectId,
+      this.getUserId(req),
+      req.body
+    );
+    return this.sendCreated(res, invitation, 'Invitation sent successfully');
+  });
+
+  /**
+   * List pending invitations for a project
+   * GET /api/projects/:projectId/invitations
+   */
+  listProjectInvitations = this.asyncHandler(async (req, res) => {
+    const invitations = await this.projectMemberService.listProjectInvitations(req.params.projectId);
+    return this.sendSuccess(res, invitations, 'Invitations retrieved successfully');
+  });
+
+  /**
+   * Revoke a pending invitation
+   * DELETE /api/projects/:projectId/invitations/:invitationId
+   */
+  revokeInvitation = this.asyncHandler(async (req, res) => {
+    const { projectId, invitationId } = req.params;
+    const result = await this.projectMemberService.revokeInvitation(projectId, invitationId);
+    return this.sendSuccess(res, null, result.message);
+  });
+
+  /**
+   * List invitations addressed to the current user
+   * GET /api/invitations
+   */
+  listMyInvitations = this.asyncHandler(async (req, res) => {
+    const invitations = await this.projectMemberService.listUserInvitations(req.user);
+    return this.sendSuccess(res, invitations, 'Invitations retrieved successfully');
+  });
+
+  /**
+   * Accept an invitation
+   * POST /api/invitations/:invitationId/accept
+   */
+  acceptInvitation = this.asyncHandler(async (req, res) => {
+    const result = await this.projectMemberService.acceptInvitation(req.params.invitationId, req.user);
+    return this.sendSuccess(res, result, 'Invitation accepted');
+  });
+
+  /**
+   * Decline an invitation
+   * POST /api/invitations/:invitationId/decline
+   */
+  declineInvitation = this.asyncHandler(async (req, res) => {
+    const result = await this.projectMemberService.declineInvitation(req.params.invitationId, req.user);
+    return this.sendSuccess(res, null, result.message);
+  });
+}
+
+module.exports = ProjectMemberController;
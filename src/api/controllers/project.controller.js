@@ -2,12 +2,15 @@
  * Project Controller
  * Handles HTTP requests for project endpoints
  */
+const fs = require('fs');
 const BaseController = require('./base.controller');
+const { BadRequestError } = require('../../utils/errors');
 
 class ProjectController extends BaseController {
-  constructor(projectService, logger) {
+  constructor(projectService, logger, projectBundleService = null) {
     super(projectService, logger);
     this.projectService = projectService;
+    this.projectBundleService = projectBundleService;
   }
 
   /**
@@ -73,6 +76,48 @@ class ProjectController extends BaseController {
     const stats = await this.projectService.getProjectStats(req.params.id, userId);
     return this.sendSuccess(res, stats);
   });
+
+  /**
+   * Download the project as a portable bundle
+   */
+  exportBundle = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+    const result = await this.projectBundleService.exportBundle(req.params.id, userId, {
+      includeAudio: req.query.includeAudio === 'true'
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+
+    // Headers are already sent once streaming starts, so a failure can only abort the download
+    result.stream.once('error', () => res.destroy());
+    res.once('close', () => {
+      if (!res.writableFinished) {
+        result.stream.destroy();
+      }
+    });
+    result.stream.pipe(res);
+  });
+
+  /**
+   * Create a new project from an uploaded bundle
+   */
+  importBundle = this.asyncHandler(async (req, res) => {
+    const userId = this.getUserId(req);
+
+    if (!req.file) {
+      throw new BadRequestError('No bundle file provided');
+    }
+
+    try {
+      const result = await this.projectBundleService.importBundle(userId, req.file.path, {
+        name: req.body.name
+      });
+      return this.sendCreated(res, result, 'Project imported successfully');
+    } finally {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  });
 }
 
 module.exports = ProjectController;
@@ -3,8 +3,9 @@
  * Handles HTTP requests for transcription endpoints
  */
 const BaseController = require('./base.controller');
-const { BadRequestError, ForbiddenError, NotFoundError } = require('../../utils/errors');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
 const PersonService = require('../../core/services/person.service');
+const { FEATURES } = require('../../core/utils/tier-features');
 
 class TranscriptionController extends BaseController {
   constructor(transcriptionDataService, semanticSearchService, projectService, logger) {
@@ -128,17 +129,11 @@ class TranscriptionController extends BaseController {
       throw new BadRequestError('Search query is required');
     }
 
-    // Verify project ownership
-    const project = await this.projectService.getProjectById(projectId, req.user.id);
+    // Verify project access (any role can search; throws if the user has none)
+    await this.projectService.getProjectById(projectId, req.user.id);
 
-    if (!project) {
-      throw new NotFoundError('Project not found');
-    }
-
-    // Check authorization
-    if (project.userId.toString() !== req.user.id) {
-      throw new ForbiddenError('Not authorized to access this project');
-    }
+    // Plans without hybrid search fall back to semantic-only results
+    const canUseHybrid = await req.user.hasFeature(FEATURES.HYBRID_SEARCH);
 
     const result = await this.semanticSearchService.searchAcrossMeetings(projectId, q, {
       page: page ? parseInt(page) : undefined,
@@ -148,7 +143,7 @@ class TranscriptionController extends BaseController {
       to,
       personId,
       groupByMeeting: groupByMeeting !== 'false', // Default to true
-      hybrid: hybrid !== 'false' // Default to true (hybrid search)
+      hybrid: hybrid !== 'false' && canUseHybrid // Default to true (hybrid search) when the plan allows it
     });
 
     return this.sendSuccess(res, result);
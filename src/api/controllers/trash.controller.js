@@ -0,0 +1,43 @@
+/**
+ * Trash Controller
+ * Handles HTTP requests for listing and restoring trashed projects and meetings
+ */
+const BaseController = require('./base.controller');
+
+class TrashController extends BaseController {
+  constructor(trashService, projectService, meetingService, logger) {
+    super(trashService, logger);
+    this.trashService = trashService;
+    this.projectService = projectService;
+    this.meetingService = meetingService;
+  }
+
+  /**
+   * List the user's trash
+   * GET /api/trash
+   */
+  list = this.asyncHandler(async (req, res) => {
+    const trash = await this.trashService.listTrash(this.getUserId(req));
+    return this.sendSuccess(res, trash, 'Trash retrieved successfully');
+  });
+
+  /**
+   * Restore a trashed project and the meetings deleted with it
+   * POST /api/trash/projects/:id/restore
+   */
+  restoreProject = this.asyncHandler(async (req, res) => {
+    const project = await this.projectService.restoreProject(req.params.id, this.getUserId(req));
+    return this.sendSuccess(res, project, 'Project restored successfully');
+  });
+
+  /**
+   * Restore a trashed meeting
+   * POST /api/trash/meetings/:id/restore
+   */
+  restoreMeeting = this.asyncHandler(async (req, res) => {
+    const meeting = await this.meetingService.restoreMeeting(req.params.id, this.getUserId(req));
+    return this.sendSuccess(res, meeting, 'Meeting restored successfully');
+  });
+}
+
+module.exports = TrashController;
@@ -0,0 +1,59 @@
+/**
+ * Two-Factor Controller
+ * Handles HTTP requests for two-factor authentication enrollment
+ */
+const BaseController = require('./base.controller');
+
+class TwoFactorController extends BaseController {
+  constructor(twoFactorService, logger) {
+    super(twoFactorService, logger);
+    this.twoFactorService = twoFactorService;
+  }
+
+  /**
+   * Get two-factor status
+   * GET /api/auth/2fa
+   */
+  getStatus = this.asyncHandler(async (req, res) => {
+    const status = await this.twoFactorService.getStatus(this.getUserId(req));
+    return this.sendSuccess(res, status, 'Two-factor status retrieved successfully');
+  });
+
+  /**
+   * Start enrollment
+   * POST /api/auth/2fa/setup
+   */
+  setup = this.asyncHandler(async (req, res) => {
+    const result = await this.twoFactorService.setup(this.getUserId(req));
+    return this.sendSuccess(res, result, 'Scan the QR code and confirm with a code to enable two-factor authentication');
+  });
+
+  /**
+   * Confirm enrollment
+   * POST /api/auth/2fa/enable
+   */
+  enable = this.asyncHandler(async (req, res) => {
+    const result = await this.twoFactorService.enable(this.getUserId(req), req.body.code);
+    return this.sendSuccess(res, result, 'Two-factor authentication enabled. Store your recovery codes safely');
+  });
+
+  /**
+   * Turn two-factor authentication off
+   * POST /api/auth/2fa/disable
+   */
+  disable = this.asyncHandler(async (req, res) => {
+    const result = await this.twoFactorService.disable(this.getUserId(req), req.body);
+    return this.sendSuccess(res, result, 'Two-factor authentication disabled');
+  });
+
+  /**
+   * Replace recovery codes
+   * POST /api/auth/2fa/recovery-codes
+   */
+  regenerateRecoveryCodes = this.asyncHandler(async (req, res) => {
+    const result = await this.twoFactorService.regenerateRecoveryCodes(this.getUserId(req), req.body.code);
+    return this.sendSuccess(res, result, 'Recovery codes regenerated. Previous codes no longer work');
+  });
+}
+
+module.exports = TwoFactorController;
@@ -6,9 +6,11 @@ const BaseController = require('./base.controller');
 const { BadRequestError } = require('../../utils/errors');
 
 class UserController extends BaseController {
-  constructor(userService, logger) {
+  constructor(userService, logger, accountDataService, usageService) {
     super(userService, logger);
     this.userService = userService;
+    this.accountDataService = accountDataService;
+    this.usageService = usageService;
   }
 
   /**
@@ -139,7 +141,8 @@ class UserController extends BaseController {
    *         description: User deleted
    */
   deleteUser = this.asyncHandler(async (req, res) => {
-    await this.userService.deleteUser(req.params.id);
+    const user = await this.userService.getUserById(req.params.id);
+    await this.accountDataService.purgeUserData(user);
     return this.sendSuccess(res, null, 'User deleted successfully');
   });
 
@@ -291,6 +294,66 @@ class UserController extends BaseController {
     const usageStats = await this.userService.getMonthlyUsage(userId, parsedYear, parsedMonth);
     return this.sendSuccess(res, usageStats, 'Usage statistics retrieved successfully');
   });
+
+  /**
+   * Get the current user's usage ledger entries for a month
+   * GET /api/users/me/usage/ledger
+   */
+  getUsageLedger = this.asyncHandler(async (req, res) => {
+    const { year, month } = req.query;
+    const ledger = await this.usageService.getLedger(this.getUserId(req), { year, month });
+    return this.sendSuccess(res, ledger, 'Usage ledger retrieved successfully');
+  });
+
+  /**
+   * Request an export of the current user's data
+   * POST /api/users/me/export
+   */
+  requestDataExport = this.asyncHandler(async (req, res) => {
+    const dataExport = await this.accountDataService.requestExport(this.getUserId(req));
+    return res.status(202).json({
+      success: true,
+      message: 'Data export started',
+      data: dataExport
+    });
+  });
+
+  /**
+   * List the current user's data exports
+   * GET /api/users/me/exports
+   */
+  listDataExports = this.asyncHandler(async (req, res) => {
+    const exports = await this.accountDataService.listExports(this.getUserId(req));
+    return this.sendSuccess(res, { exports }, 'Data exports retrieved successfully');
+  });
+
+  /**
+   * Download a completed data export
+   * GET /api/users/me/exports/:exportId/download
+   */
+  downloadDataExport = this.asyncHandler(async (req, res) => {
+    const result = await this.accountDataService.downloadExport(req.params.exportId, this.getUserId(req));
+
+    res.setHeader('Content-Type', result.mimeType);
+    res.setHeader('Content-Length', result.size);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.send(result.data);
+  });
+
+  /**
+   * Permanently delete the current user's account and data
+   * DELETE /api/users/me
+   */
+  deleteCurrentUser = this.asyncHandler(async (req, res) => {
+    const result = await this.accountDataService.deleteAccount(this.getUserId(req), req.body);
+
+    res.clearCookie('refreshToken', {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax'
+    });
+    return this.sendSuccess(res, result, 'Account deleted successfully');
+  });
 }
 
 module.exports = UserController;
@@ -0,0 +1,95 @@
+/**
+ * Webhook Controller
+ * Handles HTTP requests for webhook endpoints and their delivery logs
+ */
+const BaseController = require('./base.controller');
+
+class WebhookController extends BaseController {
+  constructor(webhookService, logger) {
+    super(webhookService, logger);
+    this.webhookService = webhookService;
+  }
+
+  /**
+   * Register a webhook endpoint
+   * POST /api/webhooks
+   */
+  create = this.asyncHandler(async (req, res) => {
+    const webhook = await this.webhookService.createWebhook(this.getUserId(req), req.body);
+    return this.sendCreated(res, webhook, 'Webhook created successfully');
+  });
+
+  /**
+   * List the user's webhooks
+   * GET /api/webhooks
+   */
+  list = this.asyncHandler(async (req, res) => {
+    const webhooks = await this.webhookService.listWebhooks(this.getUserId(req));
+    return this.sendSuccess(res, { webhooks }, 'Webhooks retrieved successfully');
+  });
+
+  /**
+   * Get a webhook
+   * GET /api/webhooks/:webhookId
+   */
+  get = this.asyncHandler(async (req, res) => {
+    const webhook = await this.webhookService.getWebhook(req.params.webhookId, this.getUserId(req));
+    return this.sendSuccess(res, webhook, 'Webhook retrieved successfully');
+  });
+
+  /**
+   * Update a webhook
+   * PATCH /api/webhooks/:webhookId
+   */
+  update = this.asyncHandler(async (req, res) => {
+    const webhook = await this.webhookService.updateWebhook(req.params.webhookId, this.getUserId(req), req.body);
+    return this.sendSuccess(res, webhook, 'Webhook updated successfully');
+  });
+
+  /**
+   * Replace a webhook's signing secret
+   * POST /api/webhooks/:webhookId/rotate-secret
+   */
+  rotateSecret = this.asyncHandler(async (req, res) => {
+    const webhook = await this.webhookService.rotateSecret(req.params.webhookId, this.getUserId(req));
+    return this.sendSuccess(res, webhook, 'Webhook secret rotated successfully');
+  });
+
+  /**
+   * Delete a webhook
+   * DELETE /api/webhooks/:webhookId
+   */
+  delete = this.asyncHandler(async (req, res) => {
+    const result = await this.webhookService.deleteWebhook(req.params.webhookId, this.getUserId(req));
+    return this.sendSuccess(res, result, 'Webhook deleted successfully');
+  });
+
+  /**
+   * List delivery logs of a webhook
+   * GET /api/webhooks/:webhookId/deliveries
+   */
+  listDeliveries = this.asyncHandler(async (req, res) => {
+    const { page, limit, status } = req.query;
+    const result = await this.webhookService.listDeliveries(req.params.webhookId, this.getUserId(req), {
+      page,
+      limit,
+      status
+    });
+    return this.sendPaginated(res, result.deliveries, page, limit, result.total);
+  });
+
+  /**
+   * Send a logged event again
+   * POST /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+   */
+  redeliver = this.asyncHandler(async (req, res) => {
+    const delivery = await this.webhookService.redeliver(
+      req.params.webhookId,
+      req.params.deliveryId,
+      this.getUserId(req)
+    );
+    return this.sendCreated(res, delivery, 'Redelivery queued');
+  });
+}
+
+module.exports = WebhookController;
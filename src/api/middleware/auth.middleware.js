@@ -4,7 +4,13 @@
  */
 const jwt = require('jsonwebtoken');
 const User = require('../../models/user.model');
+const PersonalAccessToken = require('../../models/personal-access-token.model');
 const logger = require('../../components/logging');
+const { FEATURES } = require('../../core/utils/tier-features');
+const { isAccessToken } = require('../../core/utils/token-scopes');
+
+// How often the last-used time of a personal access token is written
+const ACCESS_TOKEN_USAGE_INTERVAL = 60 * 1000;
 
 /**
  * Sanitize token for logging (show first/last 10 chars only)
@@ -15,8 +21,43 @@ const sanitizeToken = (token) => {
   return `${token.substring(0, 10)}...${token.substring(token.length - 10)}`;
 };
 
+/**
+ * Resolve a personal access token to its active user
+ * @param {string} token - Plain personal access token
+ * @param {string} ipAddress - Client IP address (recorded as last use)
+ * @returns {Promise<Object>} { user, accessToken } or { status, message } when rejected
+ */
+const resolveAccessToken = async (token, ipAddress = null) => {
+  const accessToken = await PersonalAccessToken.findActiveByToken(token);
+  if (!accessToken) {
+    return { status: 401, message: 'Invalid or expired access token' };
+  }
+
+  const user = await User.findById(accessToken.userId).populate('tier');
+  if (!user || user.status !== 'active') {
+    return { status: 401, message: 'Account is not active' };
+  }
+
+  // Tokens stop working when the plan no longer includes API access
+  if (!(await user.hasFeature(FEATURES.API_ACCESS))) {
+    return { status: 403, message: 'Your plan does not include API access' };
+  }
+
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > ACCESS_TOKEN_USAGE_INTERVAL) {
+    PersonalAccessToken.updateOne(
+      { _id: accessToken._id },
+      { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+    ).catch((error) => {
+      logger.debug('Failed to record access token usage', { tokenId: accessToken._id, error: error.message });
+    });
+  }
+
+  return { user, accessToken };
+};
+
 /**
  * Verify JWT token and attach user to request
+ * Personal access tokens are accepted too; their scopes are attached as req.tokenScopes
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -48,6 +89,32 @@ const authenticate = async (req, res, next) => {
       tokenPreview: sanitizeToken(token)
     });
 
+    if (isAccessToken(token)) {
+      const { user, accessToken, status, message } = await resolveAccessToken(token, req.ip);
+
+      if (!user) {
+        logger.warn('Personal access token rejected', { path: req.path, reason: message });
+        return res.status(status).json({
+          success: false,
+          message
+        });
+      }
+
+      // Routes must grant one of the token's scopes (see scope middleware)
+      req.user = user;
+      req.sessionId = null;
+      req.tokenScopes = accessToken.scopes;
+      req.accessTokenId = accessToken._id;
+
+      logger.debug('Authentication successful with personal access token', {
+        userId: user._id,
+        tokenId: accessToken._id,
+        path: req.path
+      });
+
+      return next();
+    }
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
@@ -95,8 +162,9 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    // Attach user and login session (refresh token family) to request
     req.user = user;
+    req.sessionId = decoded.sid || null;
 
     logger.debug('Authentication successful', {
       userId: user._id,
@@ -145,6 +213,30 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Resolve the active user of an access token
+ * For callers outside the middleware chain (e.g. WebSocket upgrades)
+ * @param {string} token - JWT or personal access token
+ * @param {Object} options - Options
+ * @param {string} options.scope - Scope a personal access token must have (they are rejected without one)
+ * @returns {Promise<Object|null>} User with tier populated, or null if the token or user is not valid
+ */
+const resolveTokenUser = async (token, { scope = null } = {}) => {
+  try {
+    if (isAccessToken(token)) {
+      const { user, accessToken } = await resolveAccessToken(token);
+      return user && scope && accessToken.scopes.includes(scope) ? user : null;
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId).populate('tier');
+
+    return user && user.status === 'active' ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Optional authentication - doesn't fail if no token
  */
@@ -156,11 +248,9 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).populate('tier');
+    const user = await resolveTokenUser(authHeader.substring(7));
 
-    if (user && user.status === 'active') {
+    if (user) {
       req.user = user;
     }
 
@@ -171,7 +261,69 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Require the authenticated user to be a system admin
+ * Must be used after authenticate
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (req.user.role !== 'admin') {
+    logger.warn('Non-admin attempted admin access', {
+      userId: req.user._id,
+      path: req.path,
+      method: req.method
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Require the user ID route param to match the authenticated user, unless they are an admin
+ * Must be used after authenticate
+ * @param {string} paramName - Route parameter holding the user ID
+ */
+const requireSelfOrAdmin = (paramName = 'id') => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const isSelf = req.params[paramName] === req.user._id.toString();
+
+  if (!isSelf && req.user.role !== 'admin') {
+    logger.warn('User attempted to access another user', {
+      userId: req.user._id,
+      targetUserId: req.params[paramName],
+      path: req.path
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticate,
-  optionalAuth
+  optionalAuth,
+  resolveTokenUser,
+  requireAdmin,
+  requireSelfOrAdmin
 };
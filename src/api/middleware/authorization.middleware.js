@@ -1,21 +1,28 @@
 /**
  * Authorization Middleware
  * Resource-level authorization checks for protected routes
+ *
+ * Checks are role-aware for shared projects: by default safe methods (GET/HEAD)
+ * need the viewer role and everything else needs editor. Use requireProjectRole /
+ * requireMeetingRole to demand a specific role instead.
  */
 const Meeting = require('../../models/meeting.model');
 const Project = require('../../models/project.model');
 const logger = require('../../components/logging');
 const { AuthorizationService } = require('../../core/services');
+const { getRequiredRoleForMethod } = require('../../core/utils/project-roles');
 
 // Initialize authorization service
 const authorizationService = new AuthorizationService(logger);
 
 /**
- * Middleware to verify user owns the meeting specified in route params
+ * Create middleware verifying the user has a role on the meeting's project
  * Expects: req.params.id or req.params.meetingId
- * Sets: req.meeting (populated meeting document)
+ * Sets: req.meeting (populated meeting document), req.projectRole
+ * @param {string|null} requiredRole - Minimum role, or null to derive it from the HTTP method
+ * @returns {Function} Express middleware
  */
-const requireMeetingOwnership = async (req, res, next) => {
+const requireMeetingRole = (requiredRole = null) => async (req, res, next) => {
   try {
     const meetingId = req.params.id || req.params.meetingId;
     const userId = req.user._id || req.user.id;
@@ -46,13 +53,15 @@ const requireMeetingOwnership = async (req, res, next) => {
       });
     }
 
-    // Verify ownership using authorization service
+    // Verify role using authorization service
+    const role = requiredRole || getRequiredRoleForMethod(req.method);
     try {
-      authorizationService.verifyMeetingOwnership(meeting, userId);
+      req.projectRole = authorizationService.verifyMeetingRole(meeting, userId, role);
     } catch (authError) {
-      logger.warn('Authorization failed: User does not own meeting', {
+      logger.warn('Authorization failed: User lacks access to meeting', {
         meetingId,
         userId,
+        requiredRole: role,
         ownerId: meeting.projectId?.userId?.toString(),
         path: req.path
       });
@@ -65,7 +74,7 @@ const requireMeetingOwnership = async (req, res, next) => {
     // Attach meeting to request for use in route handler
     req.meeting = meeting;
 
-    logger.debug('Meeting ownership verified', {
+    logger.debug('Meeting access verified', {
       meetingId,
       userId,
       path: req.path
@@ -86,11 +95,13 @@ const requireMeetingOwnership = async (req, res, next) => {
 };
 
 /**
- * Middleware to verify user owns the project specified in route params
+ * Create middleware verifying the user has a role on the project in route params
  * Expects: req.params.projectId
- * Sets: req.project (project document)
+ * Sets: req.project (project document), req.projectRole
+ * @param {string|null} requiredRole - Minimum role, or null to derive it from the HTTP method
+ * @returns {Function} Express middleware
  */
-const requireProjectOwnership = async (req, res, next) => {
+const requireProjectRole = (requiredRole = null) => async (req, res, next) => {
   try {
     const projectId = req.params.projectId;
     const userId = req.user._id || req.user.id;
@@ -121,13 +132,15 @@ const requireProjectOwnership = async (req, res, next) => {
       });
     }
 
-    // Verify ownership using authorization service
+    // Verify role using authorization service
+    const role = requiredRole || getRequiredRoleForMethod(req.method);
     try {
-      authorizationService.verifyProjectOwnership(project, userId);
+      req.projectRole = authorizationService.verifyProjectRole(project, userId, role);
     } catch (authError) {
-      logger.warn('Authorization failed: User does not own project', {
+      logger.warn('Authorization failed: User lacks access to project', {
         projectId,
         userId,
+        requiredRole: role,
         ownerId: project.userId?.toString(),
         path: req.path
       });
@@ -140,7 +153,7 @@ const requireProjectOwnership = async (req, res, next) => {
     // Attach project to request for use in route handler
     req.project = project;
 
-    logger.debug('Project ownership verified', {
+    logger.debug('Project access verified', {
       projectId,
       userId,
       path: req.path
@@ -164,7 +177,7 @@ const requireProjectOwnership = async (req, res, next) => {
  * Middleware to verify user owns the meeting via transcription
  * Used for transcription routes where the primary resource is a transcription
  * Expects: req.params.meetingId
- * Sets: req.meeting (populated meeting document)
+ * Sets: req.meeting (populated meeting document), req.projectRole
  */
 const requireMeetingOwnershipForTranscription = async (req, res, next) => {
   try {
@@ -197,13 +210,15 @@ const requireMeetingOwnershipForTranscription = async (req, res, next) => {
       });
     }
 
-    // Verify ownership using authorization service
+    // Verify role using authorization service (viewers can read, editors can modify segments)
+    const role = getRequiredRoleForMethod(req.method);
     try {
-      authorizationService.verifyMeetingOwnership(meeting, userId);
+      req.projectRole = authorizationService.verifyMeetingRole(meeting, userId, role);
     } catch (authError) {
-      logger.warn('Authorization failed: User does not own meeting', {
+      logger.warn('Authorization failed: User lacks access to meeting', {
         meetingId,
         userId,
+        requiredRole: role,
         ownerId: meeting.projectId?.userId?.toString(),
         path: req.path
       });
@@ -236,8 +251,22 @@ const requireMeetingOwnershipForTranscription = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to verify user can access the meeting specified in route params
+ * Reads need viewer, writes need editor (see requireMeetingRole)
+ */
+const requireMeetingOwnership = requireMeetingRole();
+
+/**
+ * Middleware to verify user can access the project specified in route params
+ * Reads need viewer, writes need editor (see requireProjectRole)
+ */
+const requireProjectOwnership = requireProjectRole();
+
 module.exports = {
   requireMeetingOwnership,
   requireProjectOwnership,
+  requireMeetingRole,
+  requireProjectRole,
   requireMeetingOwnershipForTranscription
 };
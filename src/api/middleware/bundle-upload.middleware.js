@@ -0,0 +1,82 @@
+/**
+ * Bundle Upload Middleware
+ * Multer configuration for project bundle imports
+ * Bundles can contain audio, so they are written to a temporary file instead of memory;
+ * the controller removes the file once the import is done
+ */
+const multer = require('multer');
+const os = require('os');
+const path = require('path');
+const logger = require('../../components/logging/logger');
+
+const maxBundleSize = parseInt(process.env.MAX_PROJECT_BUNDLE_SIZE) || 1073741824; // 1GB default
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, os.tmpdir());
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `project-bundle-${uniqueSuffix}.zip`);
+  }
+});
+
+// File filter - only allow zip archives
+const fileFilter = (req, file, cb) => {
+  if (path.extname(file.originalname).toLowerCase() === '.zip') {
+    cb(null, true);
+  } else {
+    logger.error('Bundle upload: invalid file type rejected', {
+      originalname: file.originalname,
+      mimetype: file.mimetype
+    });
+    cb(new Error('Invalid project bundle. Expected a .zip file'), false);
+  }
+};
+
+const upload = multer({
+  storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: maxBundleSize
+  }
+});
+
+// Single bundle file upload
+const uploadBundleFile = upload.single('bundle');
+
+// Error handling wrapper
+const handleBundleUpload = (req, res, next) => {
+  uploadBundleFile(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      logger.error('Bundle upload: Multer error occurred', {
+        errorCode: err.code,
+        errorMessage: err.message,
+        url: req.url
+      });
+
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          message: `File size exceeds maximum allowed size of ${maxBundleSize / 1024 / 1024}MB`
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: `Upload error: ${err.message}`
+      });
+    } else if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadBundle: handleBundleUpload
+};
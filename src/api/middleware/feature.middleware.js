@@ -0,0 +1,84 @@
+/**
+ * Feature Middleware
+ * Gates routes on the feature flags of the user's tier (TierConfig.features)
+ * Organization members are checked against the organization's tier
+ */
+const TierConfig = require('../../models/tierConfig.model');
+const logger = require('../../components/logging');
+const { FEATURES, FEATURE_LABELS } = require('../../core/utils/tier-features');
+
+/**
+ * Create middleware requiring a feature flag on the user's tier
+ * Expects req.user to be populated by auth middleware
+ * Responds 403 with code 'feature_not_available' and the tiers that include the feature
+ * @param {string} feature - Feature flag (see FEATURES)
+ * @returns {Function} Express middleware
+ */
+const requireFeature = (feature) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const tier = await req.user.getEffectiveTier();
+
+    if (!tier) {
+      return res.status(500).json({
+        success: false,
+        message: 'User tier configuration not found'
+      });
+    }
+
+    if (tier.features.includes(feature)) {
+      return next();
+    }
+
+    // Cheapest active tiers that include the feature, for the upgrade hint
+    const availableIn = await TierConfig.find({ isActive: true, features: feature })
+      .sort({ price: 1 })
+      .select('name displayName');
+
+    const label = FEATURE_LABELS[feature] || feature;
+    const upgradeHint = availableIn.length > 0
+      ? ` Upgrade to ${availableIn[0].displayName} to unlock it.`
+      : '';
+
+    logger.warn('Request rejected - feature not available on tier', {
+      userId: req.user._id,
+      feature,
+      tier: tier.name,
+      path: req.path
+    });
+
+    return res.status(403).json({
+      success: false,
+      message: `${label} is not available on the ${tier.displayName} plan.${upgradeHint}`,
+      error: {
+        code: 'feature_not_available',
+        feature,
+        tier: tier.name,
+        availableIn: availableIn.map(t => t.name),
+        upgradeRequired: true
+      }
+    });
+  } catch (error) {
+    logger.error('Feature check failed', {
+      error: error.message,
+      feature,
+      userId: req.user?._id
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify plan features'
+    });
+  }
+};
+
+module.exports = {
+  FEATURES,
+  requireFeature
+};
@@ -0,0 +1,47 @@
+/**
+ * Scope Middleware
+ * Limits what personal access tokens can do (req.tokenScopes, set by auth middleware)
+ * Logins with a Bearer JWT are not scoped and always pass
+ */
+const logger = require('../../components/logging');
+const { SCOPES } = require('../../core/utils/token-scopes');
+
+/**
+ * Create middleware requiring a scope on personal access tokens
+ * Routes without it reject personal access tokens (see BaseController.asyncHandler)
+ * Responds 403 with code 'insufficient_scope' and the required scope
+ * @param {string} scope - Scope (see SCOPES)
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.tokenScopes) {
+    return next();
+  }
+
+  if (req.tokenScopes.includes(scope)) {
+    req.scopeVerified = true;
+    return next();
+  }
+
+  logger.warn('Request rejected - token scope missing', {
+    userId: req.user?._id,
+    tokenId: req.accessTokenId,
+    scope,
+    path: req.path
+  });
+
+  return res.status(403).json({
+    success: false,
+    message: `This access token does not have the ${scope} scope`,
+    error: {
+      code: 'insufficient_scope',
+      scope,
+      tokenScopes: req.tokenScopes
+    }
+  });
+};
+
+module.exports = {
+  SCOPES,
+  requireScope
+};
@@ -0,0 +1,73 @@
+/**
+ * Transcript Upload Middleware
+ * Multer configuration for subtitle/JSON transcript imports
+ * Files are small text documents, so they are kept in memory and parsed directly
+ */
+const multer = require('multer');
+const path = require('path');
+const logger = require('../../components/logging/logger');
+const { IMPORT_FORMATS } = require('../../core/utils/transcript-parser');
+
+const maxTranscriptSize = parseInt(process.env.MAX_TRANSCRIPT_FILE_SIZE) || 5242880; // 5MB default
+
+// File filter - only allow subtitle and JSON transcripts
+const fileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase().replace('.', '');
+
+  if (IMPORT_FORMATS.includes(ext)) {
+    cb(null, true);
+  } else {
+    logger.error('Transcript upload: invalid file type rejected', {
+      originalname: file.originalname,
+      mimetype: file.mimetype
+    });
+    cb(new Error('Invalid transcript file. Allowed types: SRT, VTT, JSON'), false);
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: maxTranscriptSize
+  }
+});
+
+// Single transcript file upload
+const uploadTranscriptFile = upload.single('transcriptFile');
+
+// Error handling wrapper
+const handleTranscriptUpload = (req, res, next) => {
+  uploadTranscriptFile(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      logger.error('Transcript upload: Multer error occurred', {
+        errorCode: err.code,
+        errorMessage: err.message,
+        url: req.url
+      });
+
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          message: `File size exceeds maximum allowed size of ${maxTranscriptSize / 1024 / 1024}MB`
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: `Upload error: ${err.message}`
+      });
+    } else if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  uploadTranscript: handleTranscriptUpload
+};
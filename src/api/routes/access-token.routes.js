@@ -0,0 +1,132 @@
+/**
+ * Access Token Routes
+ * Define routes for managing personal access tokens
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth.middleware');
+const { FEATURES, requireFeature } = require('../middleware/feature.middleware');
+const { validateCreateAccessToken } = require('../validators/access-token.validator');
+
+const createAccessTokenRoutes = (accessTokenController) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Access Tokens
+   *   description: |
+   *     Personal access tokens let scripts and CI jobs call the API without a user's login.
+   *     Send them like a JWT: `Authorization: Bearer meno_pat_...`. A token only reaches routes
+   *     covered by its scopes:
+   *
+   *     - `projects:read` - List and read projects
+   *     - `meetings:read` - Read meetings, transcripts, status and action items, and download audio
+   *     - `meetings:write` - Upload, import, edit and delete meetings and transcripts, and start transcription
+   *     - `search` - Search transcripts
+   *     - `action_items:write` - Generate, update and delete action items
+   *
+   *     All other routes, including these management endpoints, require a login.
+   */
+
+  // All access token routes require authentication
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /api/access-tokens:
+   *   post:
+   *     summary: Create a personal access token
+   *     description: The token is only returned in this response. Store it securely.
+   *     tags: [Access Tokens]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *               - scopes
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 maxLength: 100
+   *                 example: "CI uploads"
+   *               scopes:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   enum: [projects:read, meetings:read, meetings:write, search, action_items:write]
+   *               expiresAt:
+   *                 type: string
+   *                 format: date-time
+   *                 nullable: true
+   *                 description: Omit or null for a token that never expires
+   *     responses:
+   *       201:
+   *         description: Token created; response includes the plain token
+   *       400:
+   *         description: Validation error or token limit reached
+   *       403:
+   *         description: Plan does not include API access
+   */
+  router.post('/', requireFeature(FEATURES.API_ACCESS), validateCreateAccessToken, accessTokenController.create);
+
+  /**
+   * @swagger
+   * /api/access-tokens:
+   *   get:
+   *     summary: List your personal access tokens
+   *     description: Includes revoked and expired tokens. Token values are never returned.
+   *     tags: [Access Tokens]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Access tokens retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     tokens:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/PersonalAccessToken'
+   */
+  router.get('/', accessTokenController.list);
+
+  /**
+   * @swagger
+   * /api/access-tokens/{tokenId}:
+   *   delete:
+   *     summary: Revoke a personal access token
+   *     description: Requests using the token are rejected immediately.
+   *     tags: [Access Tokens]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: tokenId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Access token revoked successfully
+   *       404:
+   *         description: Access token not found
+   */
+  router.delete('/:tokenId', accessTokenController.revoke);
+
+  return router;
+};
+
+module.exports = createAccessTokenRoutes;
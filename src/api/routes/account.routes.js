@@ -0,0 +1,148 @@
+/**
+ * Account Routes
+ * Define routes for password recovery and email verification
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth.middleware');
+const {
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail
+} = require('../validators/auth.validator');
+
+const createAccountRoutes = (authController) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Account
+   *   description: |
+   *     Password recovery and email verification. Links in the emails point to the web app
+   *     (`FRONTEND_URL/reset-password?token=...` and `FRONTEND_URL/verify-email?token=...`), which
+   *     posts the token to these endpoints. Tokens are single-use; requesting a new one invalidates
+   *     the previous one.
+   */
+
+  /**
+   * @swagger
+   * /api/auth/forgot-password:
+   *   post:
+   *     summary: Email a password reset link
+   *     description: |
+   *       Always answers with the same message, whether or not the email belongs to an account.
+   *       Accounts that sign in with Google have no password and receive no email. The link
+   *       expires after one hour by default.
+   *     tags: [Account]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *     responses:
+   *       200:
+   *         description: Request accepted
+   *       400:
+   *         description: Validation error
+   */
+  router.post('/forgot-password', validateForgotPassword, authController.forgotPassword);
+
+  /**
+   * @swagger
+   * /api/auth/reset-password:
+   *   post:
+   *     summary: Set a new password with a reset token
+   *     description: Signs the user out on all devices. Personal access tokens keep working.
+   *     tags: [Account]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *               - password
+   *             properties:
+   *               token:
+   *                 type: string
+   *                 description: Token from the reset link
+   *               password:
+   *                 type: string
+   *                 format: password
+   *                 minLength: 6
+   *     responses:
+   *       200:
+   *         description: Password reset successfully
+   *       400:
+   *         description: Validation error, or the token is invalid, used or expired
+   */
+  router.post('/reset-password', validateResetPassword, authController.resetPassword);
+
+  /**
+   * @swagger
+   * /api/auth/verify-email:
+   *   post:
+   *     summary: Verify an email address
+   *     tags: [Account]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *             properties:
+   *               token:
+   *                 type: string
+   *                 description: Token from the verification link
+   *     responses:
+   *       200:
+   *         description: Email verified; returns the updated user
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/User'
+   *       400:
+   *         description: Validation error, or the token is invalid, used or expired
+   */
+  router.post('/verify-email', validateVerifyEmail, authController.verifyEmail);
+
+  /**
+   * @swagger
+   * /api/auth/verify-email/resend:
+   *   post:
+   *     summary: Send a new verification email to the current user
+   *     description: A verification email is sent automatically after signup; use this if it got lost.
+   *     tags: [Account]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Verification email sent
+   *       400:
+   *         description: Email is already verified
+   *       401:
+   *         description: Unauthorized
+   *       429:
+   *         description: A verification email was sent too recently (ACCOUNT_EMAIL_COOLDOWN)
+   */
+  router.post('/verify-email/resend', authenticate, authController.resendVerificationEmail);
+
+  return router;
+};
+
+module.exports = createAccountRoutes;
@@ -0,0 +1,404 @@
+/**
+ * Admin Routes
+ * Define routes for system administration (users, tiers, usage)
+ */
+const express = require('express');
+const validate = require('../middleware/validator');
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+const {
+  listUsersSchema,
+  getUserSchema,
+  updateUserStatusSchema,
+  updateUserTierSchema,
+  updateUserRoleSchema,
+  createTierSchema,
+  updateTierSchema,
+  tierNameSchema
+} = require('../validators/admin.validator');
+
+const createAdminRoutes = (adminController) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Admin
+   *   description: System administration endpoints (requires the admin role)
+   */
+
+  // All admin routes require an authenticated admin
+  router.use(authenticate, requireAdmin);
+
+  /**
+   * @swagger
+   * /api/admin/users:
+   *   get:
+   *     summary: List users
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 10
+   *           maximum: 100
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [active, inactive, suspended]
+   *       - in: query
+   *         name: role
+   *         schema:
+   *           type: string
+   *           enum: [user, admin]
+   *       - in: query
+   *         name: tier
+   *         schema:
+   *           type: string
+   *           enum: [free, plus, pro]
+   *       - in: query
+   *         name: search
+   *         schema:
+   *           type: string
+   *         description: Case-insensitive match on name or email
+   *     responses:
+   *       200:
+   *         description: Users retrieved successfully
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Admin access required
+   */
+  router.get('/users', validate(listUsersSchema), adminController.listUsers);
+
+  /**
+   * @swagger
+   * /api/admin/users/{id}:
+   *   get:
+   *     summary: Get a user
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: User retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/User'
+   *       403:
+   *         description: Admin access required
+   *       404:
+   *         description: User not found
+   */
+  router.get('/users/:id', validate(getUserSchema), adminController.getUser);
+
+  /**
+   * @swagger
+   * /api/admin/users/{id}/status:
+   *   patch:
+   *     summary: Suspend or reactivate a user
+   *     description: Suspended and inactive users are rejected on their next authenticated request
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - status
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [active, inactive, suspended]
+   *     responses:
+   *       200:
+   *         description: User status updated successfully
+   *       400:
+   *         description: Admins cannot suspend themselves
+   *       403:
+   *         description: Admin access required
+   *       404:
+   *         description: User not found
+   */
+  router.patch('/users/:id/status', validate(updateUserStatusSchema), adminController.updateUserStatus);
+
+  /**
+   * @swagger
+   * /api/admin/users/{id}/tier:
+   *   patch:
+   *     summary: Change a user's tier
+   *     description: Organization members keep using the organization's tier until they leave it
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - tier
+   *             properties:
+   *               tier:
+   *                 type: string
+   *                 enum: [free, plus, pro]
+   *     responses:
+   *       200:
+   *         description: User tier updated successfully
+   *       400:
+   *         description: Tier is not active
+   *       403:
+   *         description: Admin access required
+   *       404:
+   *         description: User or tier not found
+   */
+  router.patch('/users/:id/tier', validate(updateUserTierSchema), adminController.updateUserTier);
+
+  /**
+   * @swagger
+   * /api/admin/users/{id}/role:
+   *   patch:
+   *     summary: Grant or revoke the admin role
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - role
+   *             properties:
+   *               role:
+   *                 type: string
+   *                 enum: [user, admin]
+   *     responses:
+   *       200:
+   *         description: User role updated successfully
+   *       400:
+   *         description: Admins cannot remove their own admin role
+   *       403:
+   *         description: Admin access required
+   *       404:
+   *         description: User not found
+   */
+  router.patch('/users/:id/role', validate(updateUserRoleSchema), adminController.updateUserRole);
+
+  /**
+   * @swagger
+   * /api/admin/tiers:
+   *   get:
+   *     summary: List all tiers, including inactive ones
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Tiers retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/TierConfig'
+   *       403:
+   *         description: Admin access required
+   *   post:
+   *     summary: Create a tier configuration
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/TierConfig'
+   *     responses:
+   *       201:
+   *         description: Tier created successfully
+   *       403:
+   *         description: Admin access required
+   *       409:
+   *         description: Tier already exists
+   *       422:
+   *         description: Validation error
+   */
+  router.get('/tiers', adminController.listTiers);
+  router.post('/tiers', validate(createTierSchema), adminController.createTier);
+
+  /**
+   * @swagger
+   * /api/admin/tiers/{name}:
+   *   patch:
+   *     summary: Update a tier's display name, limits, features, price or active flag
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [free, plus, pro]
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               displayName:
+   *                 type: string
+   *               limits:
+   *                 type: object
+   *                 properties:
+   *                   monthlyDuration:
+   *                     type: number
+   *                     description: Seconds per month, -1 for unlimited
+   *                   maxFileSize:
+   *                     type: number
+   *                     description: Bytes
+   *               features:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               price:
+   *                 type: number
+   *                 description: Monthly price in cents
+   *               isActive:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: Tier updated successfully
+   *       403:
+   *         description: Admin access required
+   *       404:
+   *         description: Tier not found
+   *       422:
+   *         description: Validation error
+   *   delete:
+   *     summary: Deactivate a tier
+   *     description: Hides the tier from plan listings; users already on it keep their limits. The free tier cannot be deactivated.
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [free, plus, pro]
+   *     responses:
+   *       200:
+   *         description: Tier deactivated successfully
+   *       403:
+   *         description: Admin access required
+   *       404:
+   *         description: Tier not found
+   *       422:
+   *         description: The free tier cannot be deactivated
+   */
+  router.patch('/tiers/:name', validate(updateTierSchema), adminController.updateTier);
+  router.delete('/tiers/:name', validate(tierNameSchema), adminController.deactivateTier);
+
+  /**
+   * @swagger
+   * /api/admin/usage:
+   *   get:
+   *     summary: Get system-wide usage for the current month
+   *     tags: [Admin]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: System usage retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     tierStats:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           _id:
+   *                             type: string
+   *                             description: Tier name
+   *                           count:
+   *                             type: integer
+   *                           totalUsage:
+   *                             type: number
+   *                             description: Cached duration used this month (seconds)
+   *                     totalMeetings:
+   *                       type: integer
+   *                     month:
+   *                       type: integer
+   *                     year:
+   *                       type: integer
+   *       403:
+   *         description: Admin access required
+   */
+  router.get('/usage', adminController.getSystemUsage);
+
+  return router;
+};
+
+module.exports = createAdminRoutes;
@@ -4,7 +4,14 @@
  */
 const express = require('express');
 const passport = require('passport');
-const { validateSignup, validateLogin, validateGoogleToken, validateRefreshToken, validateLogout } = require('../validators/auth.validator');
+const {
+  validateSignup,
+  validateLogin,
+  validateTwoFactorLogin,
+  validateGoogleToken,
+  validateRefreshToken,
+  validateLogout
+} = require('../validators/auth.validator');
 const { authenticate } = require('../middleware/auth.middleware');
 
 const createAuthRoutes = (authController) => {
@@ -30,6 +37,7 @@ const createAuthRoutes = (authController) => {
   // Email/Password Authentication
   router.post('/signup', validateSignup, authController.signup);
   router.post('/login', validateLogin, authController.login);
+  router.post('/login/2fa', validateTwoFactorLogin, authController.loginTwoFactor);
 
   // Get current user profile (protected route)
   router.get('/me', authenticate, authController.getProfile);
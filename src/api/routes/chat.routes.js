@@ -0,0 +1,305 @@
+/**
+ * Chat Routes
+ * Define routes for RAG chat over meeting transcripts
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requireMeetingRole, requireProjectRole } = require('../middleware/authorization.middleware');
+const { validateChat } = require('../validators/chat.validator');
+const { validatePagination } = require('../validators/transcription.validator');
+
+const createChatRoutes = (chatController) => {
+  // Mounted at /projects/:projectId alongside other project routers, so authentication is applied per route
+  // Asking questions only reads transcripts, so every chat route is open to viewers
+  const router = express.Router({ mergeParams: true }); // mergeParams to access :projectId
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Chat
+   *   description: Ask questions about meetings using retrieval-augmented generation
+   */
+
+  /**
+   * @swagger
+   * components:
+   *   schemas:
+   *     ChatRequest:
+   *       type: object
+   *       required:
+   *         - message
+   *       properties:
+   *         message:
+   *           type: string
+   *           maxLength: 2000
+   *           example: "What did we decide about pricing last month?"
+   *         history:
+   *           type: array
+   *           maxItems: 20
+   *           description: Previous turns of the conversation (ignored when conversationId is set)
+   *           items:
+   *             type: object
+   *             properties:
+   *               role:
+   *                 type: string
+   *                 enum: [user, assistant]
+   *               content:
+   *                 type: string
+   *         conversationId:
+   *           type: string
+   *           description: Continue a saved conversation; its stored turns are used as history
+   *         topK:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 30
+   *           description: Number of transcript segments to retrieve
+   *     ChatCitation:
+   *       type: object
+   *       properties:
+   *         index:
+   *           type: integer
+   *           description: Citation number referenced in the answer as [n]
+   *         transcriptionId:
+   *           type: string
+   *         meetingId:
+   *           type: string
+   *         meetingTitle:
+   *           type: string
+   *         meetingDate:
+   *           type: string
+   *           format: date-time
+   *         startTime:
+   *           type: number
+   *           description: Segment start time in milliseconds
+   *         endTime:
+   *           type: number
+   *           description: Segment end time in milliseconds
+   *         speaker:
+   *           type: string
+   *         text:
+   *           type: string
+   *         score:
+   *           type: number
+   */
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/chat:
+   *   post:
+   *     summary: Ask a question across all meetings in a project
+   *     description: |
+   *       Retrieves the most relevant transcript segments in the project and streams an AI answer
+   *       with numbered citations using Server-Sent Events.
+   *
+   *       Event types:
+   *       - `connected` - `{ conversationId }` stream opened (null for a new conversation)
+   *       - `citations` - `{ citations: ChatCitation[] }` sent before the answer
+   *       - `chunk` - `{ content }` partial answer text
+   *       - `complete` - `{ conversationId, answer, citations }` full answer, saved to the conversation
+   *       - `error` - `{ message }`
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Project ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ChatRequest'
+   *     responses:
+   *       200:
+   *         description: SSE stream of answer events
+   *         content:
+   *           text/event-stream:
+   *             schema:
+   *               type: string
+   *       400:
+   *         description: Validation error
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Not authorized to access this project
+   *       404:
+   *         description: Project or conversation not found
+   */
+  router.post('/chat', authenticate, requireProjectRole('viewer'), validateChat, chatController.chatProject);
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/meetings/{meetingId}/chat:
+   *   post:
+   *     summary: Ask a question about a single meeting
+   *     description: Same as project chat, but retrieval is limited to one meeting's transcript
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: meetingId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Meeting ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/ChatRequest'
+   *     responses:
+   *       200:
+   *         description: SSE stream of answer events
+   *         content:
+   *           text/event-stream:
+   *             schema:
+   *               type: string
+   *       400:
+   *         description: Validation error
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Not authorized to access this meeting
+   *       404:
+   *         description: Meeting or conversation not found
+   */
+  router.post('/meetings/:meetingId/chat', authenticate, requireMeetingRole('viewer'), validateChat, chatController.chatMeeting);
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/chat/conversations:
+   *   get:
+   *     summary: List saved chat conversations in a project
+   *     description: Returns conversations without message bodies, most recently active first
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: meetingId
+   *         schema:
+   *           type: string
+   *         description: Only conversations about this meeting
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *     responses:
+   *       200:
+   *         description: Conversations retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     conversations:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/ChatConversation'
+   *                     pagination:
+   *                       type: object
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Not authorized to access this project
+   */
+  router.get('/chat/conversations', authenticate, requireProjectRole('viewer'), validatePagination, chatController.listConversations);
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/chat/conversations/{conversationId}:
+   *   get:
+   *     summary: Get a saved conversation with its messages and citations
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: conversationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Conversation retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/ChatConversation'
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Not authorized to access this project
+   *       404:
+   *         description: Conversation not found
+   *   delete:
+   *     summary: Delete a saved conversation
+   *     description: Only the user who started the conversation can delete it
+   *     tags: [Chat]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: conversationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Conversation deleted successfully
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Not allowed to delete this conversation
+   *       404:
+   *         description: Conversation not found
+   */
+  router.get('/chat/conversations/:conversationId', authenticate, requireProjectRole('viewer'), chatController.getConversation);
+  router.delete('/chat/conversations/:conversationId', authenticate, requireProjectRole('viewer'), chatController.deleteConversation);
+
+  return router;
+};
+
+module.exports = createChatRoutes;
@@ -11,6 +11,18 @@ const createMeetingRoutes = require('./meeting.routes');
 const createTranscriptionRoutes = require('./transcription.routes');
 const createPersonRoutes = require('./person.routes');
 const createIntegrationRoutes = require('./integration.routes');
+const createChatRoutes = require('./chat.routes');
+const createProjectMemberRoutes = require('./project-member.routes');
+const createInvitationRoutes = require('./invitation.routes');
+const createOrganizationRoutes = require('./organization.routes');
+const createAdminRoutes = require('./admin.routes');
+const createWebhookRoutes = require('./webhook.routes');
+const createSessionRoutes = require('./session.routes');
+const createAccountRoutes = require('./account.routes');
+const createTwoFactorRoutes = require('./two-factor.routes');
+const createAccessTokenRoutes = require('./access-token.routes');
+const createTrashRoutes = require('./trash.routes');
+const createMeetingBatchRoutes = require('./meeting-batch.routes');
 
 const createRoutes = (controllers, audioStorageProvider) => {
   const router = express.Router();
@@ -18,6 +30,15 @@ const createRoutes = (controllers, audioStorageProvider) => {
   // Health routes
   router.use('/health', createHealthRoutes(controllers.healthController));
 
+  // Login session routes (token endpoints themselves live under /auth)
+  router.use('/auth/sessions', createSessionRoutes(controllers.authController));
+
+  // Two-factor authentication enrollment routes
+  router.use('/auth/2fa', createTwoFactorRoutes(controllers.twoFactorController));
+
+  // Password recovery and email verification routes
+  router.use('/auth', createAccountRoutes(controllers.authController));
+
   // User routes (pass meetingController for user meetings endpoint)
   router.use('/users', createUserRoutes(controllers.userController, controllers.meetingController));
 
@@ -27,9 +48,34 @@ const createRoutes = (controllers, audioStorageProvider) => {
   // Project routes
   router.use('/projects', createProjectRoutes(controllers.projectController));
 
+  // Project member and invitation management (shared projects)
+  router.use('/projects/:projectId', createProjectMemberRoutes(controllers.projectMemberController));
+  router.use('/invitations', createInvitationRoutes(controllers.projectMemberController));
+
+  // Chat routes (project and meeting scoped RAG chat)
+  router.use('/projects/:projectId', createChatRoutes(controllers.chatController));
+
   // Meeting routes (nested under projects) - pass audioStorageProvider for streaming uploads
   router.use('/projects/:projectId/meetings', createMeetingRoutes(controllers.meetingController, audioStorageProvider));
 
+  // Bulk meeting operations (move, delete, re-transcribe, regenerate action items)
+  router.use('/meetings/bulk', createMeetingBatchRoutes(controllers.meetingBatchController));
+
+  // Organization routes (shared tier and pooled usage)
+  router.use('/organizations', createOrganizationRoutes(controllers.organizationController));
+
+  // Admin routes (users, tiers and system usage; admin role required)
+  router.use('/admin', createAdminRoutes(controllers.adminController));
+
+  // Webhook routes (outbound meeting lifecycle events)
+  router.use('/webhooks', createWebhookRoutes(controllers.webhookController));
+
+  // Personal access token routes (scoped API tokens for automation)
+  router.use('/access-tokens', createAccessTokenRoutes(controllers.accessTokenController));
+
+  // Trash routes (restore deleted projects and meetings before they are purged)
+  router.use('/trash', createTrashRoutes(controllers.trashController));
+
   // People routes
   router.use('/people', createPersonRoutes(controllers.personController));
 
@@ -39,6 +85,7 @@ const createRoutes = (controllers, audioStorageProvider) => {
 
   // Project-level transcription search route (cross-meeting search)
   const { validateSearchQuery } = require('../validators/transcription.validator');
+  const { SCOPES, requireScope } = require('../middleware/scope.middleware');
 
   /**
    * @swagger
@@ -147,6 +194,7 @@ const createRoutes = (controllers, audioStorageProvider) => {
    */
   router.get('/projects/:projectId/transcriptions/search-all',
     authenticate,
+    requireScope(SCOPES.SEARCH),
     validateSearchQuery,
     controllers.transcriptionController.searchAcrossMeetings
   );
@@ -1,5 +1,6 @@
 const express = require('express');
 const { validateUpdateSettings } = require('../validators/integration.validator');
+const { FEATURES, requireFeature } = require('../middleware/feature.middleware');
 
 /**
  * Integration routes factory
@@ -82,9 +83,12 @@ const createIntegrationRoutes = (integrationController) => {
    *         description: LINE integration already linked
    *       401:
    *         description: Unauthorized
+   *       403:
+   *         description: Messaging integrations are not included in the user's plan (code feature_not_available)
    */
   router.post(
     '/line/link/initiate',
+    requireFeature(FEATURES.INTEGRATIONS),
     integrationController.initiateLinking.bind(integrationController)
   );
 
@@ -205,11 +209,14 @@ const createIntegrationRoutes = (integrationController) => {
    *         description: Validation error or invalid project ID
    *       401:
    *         description: Unauthorized
+   *       403:
+   *         description: Messaging integrations are not included in the user's plan (code feature_not_available)
    *       404:
    *         description: No LINE integration found
    */
   router.patch(
     '/line/settings',
+    requireFeature(FEATURES.INTEGRATIONS),
     validateUpdateSettings,
     integrationController.updateSettings.bind(integrationController)
   );
@@ -0,0 +1,99 @@
+/**
+ * Invitation Routes
+ * Define routes for the current user's project invitations
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const createInvitationRoutes = (projectMemberController) => {
+  const router = express.Router();
+
+  // All invitation routes require authentication
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /api/invitations:
+   *   get:
+   *     summary: List my pending project invitations
+   *     description: Returns unexpired invitations addressed to the authenticated user's email. The email must be verified.
+   *     tags: [Project Members]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Invitations retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ProjectInvitation'
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Email address not verified
+   */
+  router.get('/', projectMemberController.listMyInvitations);
+
+  /**
+   * @swagger
+   * /api/invitations/{invitationId}/accept:
+   *   post:
+   *     summary: Accept a project invitation
+   *     tags: [Project Members]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: invitationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Invitation accepted, returns projectId and role
+   *       400:
+   *         description: Invitation has expired
+   *       403:
+   *         description: Email address not verified
+   *       404:
+   *         description: Invitation not found
+   */
+  router.post('/:invitationId/accept', projectMemberController.acceptInvitation);
+
+  /**
+   * @swagger
+   * /api/invitations/{invitationId}/decline:
+   *   post:
+   *     summary: Decline a project invitation
+   *     tags: [Project Members]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: invitationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Invitation declined
+   *       400:
+   *         description: Invitation has expired
+   *       403:
+   *         description: Email address not verified
+   *       404:
+   *         description: Invitation not found
+   */
+  router.post('/:invitationId/decline', projectMemberController.declineInvitation);
+
+  return router;
+};
+
+module.exports = createInvitationRoutes;
@@ -0,0 +1,121 @@
+/**
+ * Meeting Batch Routes
+ * Define routes for bulk meeting operations
+ */
+const express = require('express');
+const validate = require('../middleware/validator');
+const { createBatchSchema, getBatchSchema } = require('../validators/meeting-batch.validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { SCOPES, requireScope } = require('../middleware/scope.middleware');
+
+const createMeetingBatchRoutes = (meetingBatchController) => {
+  const router = express.Router();
+
+  // All bulk routes require authentication
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /api/meetings/bulk:
+   *   post:
+   *     summary: Apply an operation to many meetings
+   *     description: |
+   *       Checks that you have the editor role on the project of every meeting (and on the
+   *       target project of a move), then processes the meetings in the background. Poll
+   *       GET /api/meetings/bulk/{batchId} for progress and per-meeting results.
+   *
+   *       - move: move the meetings to targetProjectId
+   *       - delete: move the meetings to the trash
+   *       - retranscribe: replace the transcript by transcribing the audio again (manual edits are lost);
+   *         a meeting succeeds once its transcription job is queued. Transcribed meetings are charged
+   *         to your monthly duration quota again, and fail once the quota is used up
+   *       - regenerate_action_items: replace the action items of transcribed meetings
+   *     tags: [Meetings]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - action
+   *               - meetingIds
+   *             properties:
+   *               action:
+   *                 type: string
+   *                 enum: [move, delete, retranscribe, regenerate_action_items]
+   *               meetingIds:
+   *                 type: array
+   *                 minItems: 1
+   *                 maxItems: 100
+   *                 items:
+   *                   type: string
+   *               targetProjectId:
+   *                 type: string
+   *                 description: Destination project (required for move only)
+   *     responses:
+   *       202:
+   *         description: Bulk operation started
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/MeetingBatch'
+   *       400:
+   *         description: Validation error
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Editor role required on some meetings or the target project, or regenerate_action_items on a plan without action items
+   *       404:
+   *         description: Some meetings or the target project were not found
+   *       503:
+   *         description: Background processing is unavailable
+   */
+  router.post('/', requireScope(SCOPES.MEETINGS_WRITE), validate(createBatchSchema), meetingBatchController.create);
+
+  /**
+   * @swagger
+   * /api/meetings/bulk/{batchId}:
+   *   get:
+   *     summary: Get the progress of a bulk operation
+   *     tags: [Meetings]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: batchId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Bulk operation retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   $ref: '#/components/schemas/MeetingBatch'
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Batch not found
+   */
+  router.get('/:batchId', requireScope(SCOPES.MEETINGS_READ), validate(getBatchSchema), meetingBatchController.getById);
+
+  return router;
+};
+
+module.exports = createMeetingBatchRoutes;
@@ -4,9 +4,19 @@
  */
 const express = require('express');
 const { authenticate } = require('../middleware/auth.middleware');
-const { requireMeetingOwnership, requireProjectOwnership } = require('../middleware/authorization.middleware');
+const { requireMeetingOwnership, requireMeetingRole, requireProjectOwnership } = require('../middleware/authorization.middleware');
+const { FEATURES, requireFeature } = require('../middleware/feature.middleware');
+const { SCOPES, requireScope } = require('../middleware/scope.middleware');
 const { handleStreamingUpload } = require('../middleware/streaming-upload.middleware');
-const { validateCreateMeeting, validateUpdateMeeting } = require('../validators/meeting.validator');
+const { uploadTranscript } = require('../middleware/transcript-upload.middleware');
+const {
+  validateCreateMeeting,
+  validateImportMeeting,
+  validateUpdateMeeting,
+  validateMoveMeeting,
+  validateCopyMeeting,
+  validateExportFormat
+} = require('../validators/meeting.validator');
 
 const createMeetingRoutes = (meetingController, audioStorageProvider) => {
   const router = express.Router({ mergeParams: true }); // mergeParams to access :projectId
@@ -78,7 +88,120 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *       404:
    *         description: Project not found
    */
-  router.post('/', requireProjectOwnership, uploadAudio, validateCreateMeeting, meetingController.create);
+  router.post('/', requireScope(SCOPES.MEETINGS_WRITE), requireProjectOwnership, uploadAudio, validateCreateMeeting, meetingController.create);
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/meetings/live:
+   *   get:
+   *     summary: Record a live meeting over WebSocket
+   *     description: |
+   *       WebSocket endpoint (upgrade request) that records a meeting while it happens. A meeting with
+   *       `recordingType: direct` is created when the connection opens, and audio is stored as it arrives,
+   *       so closing the connection unexpectedly (e.g. a crashed browser tab) still keeps the recording.
+   *
+   *       Browsers cannot set headers on WebSocket requests, so the access token can be passed as the
+   *       `token` query parameter. Wait for the `ready` message before relying on the meeting ID.
+   *
+   *       Client messages:
+   *       - Binary frames: audio chunks in order (max 1MB each), e.g. MediaRecorder output with a short timeslice
+   *       - {"type":"stop"}: end the recording
+   *
+   *       Server messages:
+   *       - {"type":"ready","meeting":{...}}
+   *       - {"type":"segments","window":0,"segments":[{"_id":"...","startTime":0,"endTime":4200,"speaker":"Speaker 1","text":"..."}]}
+   *       - {"type":"warning","message":"..."} (live transcript paused)
+   *       - {"type":"limit","reason":"file_size_exceeded","message":"..."} (recording is finalized and the socket closed)
+   *       - {"type":"finalized","meeting":{...}} (duration and usage recorded, transcription queued)
+   *       - {"type":"discarded","message":"..."} (no audio was received; the meeting is removed)
+   *       - {"type":"error","message":"..."}
+   *
+   *       Partial transcript segments are also published on the status stream of the meeting. They are
+   *       replaced by the full transcript once the final transcription completes.
+   *     tags: [Meetings]
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: token
+   *         schema:
+   *           type: string
+   *         description: JWT access token (alternative to the Authorization header)
+   *       - in: query
+   *         name: title
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: mimeType
+   *         schema:
+   *           type: string
+   *           enum: [audio/webm, video/webm, audio/ogg, audio/mpeg, audio/aac]
+   *           default: audio/webm
+   *         description: Audio format of the chunks (codec parameters such as `;codecs=opus` are allowed)
+   *     responses:
+   *       101:
+   *         description: Switching protocols to WebSocket
+   *       400:
+   *         description: Invalid query parameters
+   *       401:
+   *         description: Missing or invalid token
+   */
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/meetings/import:
+   *   post:
+   *     summary: Create a meeting from an existing transcript
+   *     description: |
+   *       Upload an SRT, WebVTT or JSON transcript instead of audio. Segments are saved directly,
+   *       the meeting is marked as transcribed and no transcription minutes are consumed.
+   *       Title/description and action items are generated in the background.
+   *     tags: [Meetings]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Project ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - transcriptFile
+   *             properties:
+   *               transcriptFile:
+   *                 type: string
+   *                 format: binary
+   *                 description: Transcript file (.srt, .vtt or .json - max 5MB)
+   *               title:
+   *                 type: string
+   *                 minLength: 2
+   *                 maxLength: 200
+   *                 description: Meeting title (generated from the transcript if omitted)
+   *               format:
+   *                 type: string
+   *                 enum: [srt, vtt, json]
+   *                 description: Transcript format (detected from the file if omitted)
+   *     responses:
+   *       201:
+   *         description: Meeting imported successfully
+   *       400:
+   *         description: Validation error or unparseable transcript
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Project not found
+   */
+  router.post('/import', requireScope(SCOPES.MEETINGS_WRITE), requireProjectOwnership, uploadTranscript, validateImportMeeting, meetingController.importTranscript);
 
   /**
    * @swagger
@@ -119,7 +242,7 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *       404:
    *         description: Project not found
    */
-  router.get('/', requireProjectOwnership, meetingController.list);
+  router.get('/', requireScope(SCOPES.MEETINGS_READ), requireProjectOwnership, meetingController.list);
 
   /**
    * @swagger
@@ -150,7 +273,7 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *       404:
    *         description: Meeting not found
    */
-  router.get('/:id', requireMeetingOwnership, meetingController.getById);
+  router.get('/:id', requireScope(SCOPES.MEETINGS_READ), requireMeetingOwnership, meetingController.getById);
 
   /**
    * @swagger
@@ -188,7 +311,7 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *               projectId:
    *                 type: string
    *                 pattern: '^[0-9a-fA-F]{24}$'
-   *                 description: New project ID to move the meeting to (user must own the project)
+   *                 description: New project ID to move the meeting to (editor role required on both projects)
    *     responses:
    *       200:
    *         description: Meeting updated successfully
@@ -196,17 +319,129 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *         description: Validation error
    *       401:
    *         description: Unauthorized
+   *       403:
+   *         description: Editor role required on the meeting's or the new project
    *       404:
    *         description: Meeting not found or new project not found
    */
-  router.put('/:id', requireMeetingOwnership, validateUpdateMeeting, meetingController.update);
+  router.put('/:id', requireScope(SCOPES.MEETINGS_WRITE), requireMeetingOwnership, validateUpdateMeeting, meetingController.update);
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/meetings/{id}/move:
+   *   post:
+   *     summary: Move meeting to another project
+   *     description: |
+   *       Requires the editor role on both projects. Transcripts, action items and chats
+   *       about the meeting move with it. To move many meetings at once use /api/meetings/bulk.
+   *     tags: [Meetings]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Meeting ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - targetProjectId
+   *             properties:
+   *               targetProjectId:
+   *                 type: string
+   *                 pattern: '^[0-9a-fA-F]{24}$'
+   *     responses:
+   *       200:
+   *         description: Meeting moved successfully
+   *       400:
+   *         description: Validation error
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Editor role required on both projects
+   *       404:
+   *         description: Meeting or target project not found
+   */
+  router.post('/:id/move', requireScope(SCOPES.MEETINGS_WRITE), requireMeetingOwnership, validateMoveMeeting, meetingController.move);
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/meetings/{id}/copy:
+   *   post:
+   *     summary: Copy meeting into a project
+   *     description: |
+   *       Creates an independent copy with its own audio file, transcript, summary and action
+   *       items. Viewer access to the meeting and the editor role on the target project are
+   *       required; the target can be the same project. Copying a transcribed meeting does not
+   *       count towards usage. A meeting that was not transcribed (pending or failed) is copied
+   *       without its transcript and the copy is transcribed, which counts towards usage.
+   *     tags: [Meetings]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Meeting ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - targetProjectId
+   *             properties:
+   *               targetProjectId:
+   *                 type: string
+   *                 pattern: '^[0-9a-fA-F]{24}$'
+   *               title:
+   *                 type: string
+   *                 minLength: 2
+   *                 maxLength: 200
+   *                 description: Title of the copy (default is the meeting's title)
+   *     responses:
+   *       201:
+   *         description: Meeting copied successfully
+   *       400:
+   *         description: Validation error
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Editor role required on the target project
+   *       404:
+   *         description: Meeting or target project not found
+   *       409:
+   *         description: The meeting is still being recorded or processed
+   */
+  router.post('/:id/copy', requireScope(SCOPES.MEETINGS_WRITE), requireMeetingRole('viewer'), validateCopyMeeting, meetingController.copy);
 
   /**
    * @swagger
    * /api/projects/{projectId}/meetings/{id}:
    *   delete:
    *     summary: Delete meeting
-   *     description: Delete meeting, audio file, and all transcriptions
+   *     description: |
+   *       Move the meeting to the trash. It can be restored from /api/trash until its audio,
+   *       transcripts and action items are permanently deleted after TRASH_RETENTION_DAYS (default 30).
    *     tags: [Meetings]
    *     security:
    *       - bearerAuth: []
@@ -224,13 +459,13 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *         description: Meeting ID
    *     responses:
    *       200:
-   *         description: Meeting deleted successfully
+   *         description: Meeting moved to trash
    *       401:
    *         description: Unauthorized
    *       404:
    *         description: Meeting not found
    */
-  router.delete('/:id', requireMeetingOwnership, meetingController.delete);
+  router.delete('/:id', requireScope(SCOPES.MEETINGS_WRITE), requireMeetingOwnership, meetingController.delete);
 
   /**
    * @swagger
@@ -263,7 +498,7 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *       404:
    *         description: Meeting not found
    */
-  router.post('/:id/transcribe', requireMeetingOwnership, meetingController.startTranscription);
+  router.post('/:id/transcribe', requireScope(SCOPES.MEETINGS_WRITE), requireMeetingOwnership, meetingController.startTranscription);
 
   /**
    * @swagger
@@ -307,7 +542,65 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *       404:
    *         description: Meeting not found
    */
-  router.get('/:id/download', requireMeetingOwnership, meetingController.downloadAudio);
+  router.get('/:id/download', requireScope(SCOPES.MEETINGS_READ), requireMeetingOwnership, meetingController.downloadAudio);
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/meetings/{id}/transcript/export:
+   *   get:
+   *     summary: Export meeting transcript
+   *     description: Download the meeting transcript as subtitles (SRT, WebVTT) or a document (plain text, Markdown, JSON)
+   *     tags: [Meetings]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Meeting ID
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [srt, vtt, txt, json, md]
+   *           default: txt
+   *         description: Export format
+   *     responses:
+   *       200:
+   *         description: Transcript exported successfully
+   *         content:
+   *           application/x-subrip:
+   *             schema:
+   *               type: string
+   *           text/vtt:
+   *             schema:
+   *               type: string
+   *           text/plain:
+   *             schema:
+   *               type: string
+   *           text/markdown:
+   *             schema:
+   *               type: string
+   *           application/json:
+   *             schema:
+   *               type: object
+   *       400:
+   *         description: Invalid export format
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Not authorized, or transcript export is not included in the user's plan (code feature_not_available)
+   *       404:
+   *         description: Meeting or transcription not found
+   */
+  router.get('/:id/transcript/export', requireScope(SCOPES.MEETINGS_READ), requireMeetingOwnership, requireFeature(FEATURES.EXPORT_FORMATS), validateExportFormat, meetingController.exportTranscript);
 
   /**
    * @swagger
@@ -338,7 +631,55 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *       404:
    *         description: Meeting not found
    */
-  router.get('/:id/status', requireMeetingOwnership, meetingController.getStatus);
+  router.get('/:id/status', requireScope(SCOPES.MEETINGS_READ), requireMeetingOwnership, meetingController.getStatus);
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/meetings/{id}/status/stream:
+   *   get:
+   *     summary: Stream transcription progress
+   *     description: |
+   *       Server-Sent Events stream of transcription progress and newly saved transcript segments,
+   *       replacing polling of the status endpoint. The stream ends once transcription completes or
+   *       fails with no retries left. Segments saved before connecting are not replayed; load them
+   *       from the transcriptions endpoint and de-duplicate by `_id`.
+   *     tags: [Meetings]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Meeting ID
+   *     responses:
+   *       200:
+   *         description: Streaming response with Server-Sent Events
+   *         content:
+   *           text/event-stream:
+   *             schema:
+   *               type: string
+   *               description: |
+   *                 SSE stream with JSON events:
+   *                 - {"type":"connected","meetingId":"...","status":"processing","progress":40}
+   *                 - {"type":"progress","meetingId":"...","progress":45,"processedSegments":120}
+   *                 - {"type":"segments","meetingId":"...","segments":[{"_id":"...","startTime":0,"endTime":4200,"speaker":"Speaker 1","text":"..."}]}
+   *                 - {"type":"reset","meetingId":"..."} (previously sent segments were replaced, e.g. the final transcript of a live recording)
+   *                 - {"type":"status","meetingId":"...","status":"completed","progress":100}
+   *                 - {"type":"status","meetingId":"...","status":"failed","error":"...","willRetry":true}
+   *                 - {"type":"error","message":"..."}
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Meeting not found
+   */
+  router.get('/:id/status/stream', requireScope(SCOPES.MEETINGS_READ), requireMeetingOwnership, meetingController.streamStatus);
 
   /**
    * @swagger
@@ -406,10 +747,12 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *         description: Transcription not completed
    *       401:
    *         description: Unauthorized
+   *       403:
+   *         description: Not authorized, or AI summaries are not included in the user's plan (code feature_not_available)
    *       404:
    *         description: Meeting not found
    */
-  router.post('/:id/summary/stream', requireMeetingOwnership, meetingController.generateSummaryStream);
+  router.post('/:id/summary/stream', requireScope(SCOPES.MEETINGS_WRITE), requireMeetingOwnership, requireFeature(FEATURES.SUMMARY_STREAM), meetingController.generateSummaryStream);
 
   /**
    * @swagger
@@ -464,10 +807,12 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *         description: Transcription not completed or already processing
    *       401:
    *         description: Unauthorized
+   *       403:
+   *         description: Not authorized, or action item generation is not included in the user's plan (code feature_not_available)
    *       404:
    *         description: Meeting not found
    */
-  router.post('/:id/action-items/generate', requireMeetingOwnership, meetingController.generateActionItems);
+  router.post('/:id/action-items/generate', requireScope(SCOPES.ACTION_ITEMS_WRITE), requireMeetingOwnership, requireFeature(FEATURES.ACTION_ITEMS), meetingController.generateActionItems);
 
   /**
    * @swagger
@@ -562,7 +907,7 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *       404:
    *         description: Meeting not found
    */
-  router.get('/:id/action-items', requireMeetingOwnership, meetingController.listActionItems);
+  router.get('/:id/action-items', requireScope(SCOPES.MEETINGS_READ), requireMeetingOwnership, meetingController.listActionItems);
 
   /**
    * @swagger
@@ -626,7 +971,7 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *       404:
    *         description: Action item not found
    */
-  router.patch('/:id/action-items/:actionItemId', requireMeetingOwnership, meetingController.updateActionItem);
+  router.patch('/:id/action-items/:actionItemId', requireScope(SCOPES.ACTION_ITEMS_WRITE), requireMeetingOwnership, meetingController.updateActionItem);
 
   /**
    * @swagger
@@ -664,7 +1009,7 @@ const createMeetingRoutes = (meetingController, audioStorageProvider) => {
    *       404:
    *         description: Action item not found
    */
-  router.delete('/:id/action-items/:actionItemId', requireMeetingOwnership, meetingController.deleteActionItem);
+  router.delete('/:id/action-items/:actionItemId', requireScope(SCOPES.ACTION_ITEMS_WRITE), requireMeetingOwnership, meetingController.deleteActionItem);
 
   return router;
 };
@@ -0,0 +1,434 @@
+/**
+ * Organization Routes
+ * Define routes for organization (workspace) endpoints
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth.middleware');
+const {
+  validateCreateOrganization,
+  validateInviteOrganizationMember,
+  validateUpdateOrganizationMemberRole,
+  validateUsageHistoryQuery
+} = require('../validators/organization.validator');
+
+const createOrganizationRoutes = (organizationController) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Organizations
+   *   description: Workspace accounts that share one tier and a pooled monthly quota
+   */
+
+  // All organization routes require authentication
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /api/organizations:
+   *   post:
+   *     summary: Create an organization
+   *     description: |
+   *       Creates an organization with the current user as owner and admin. Members of an organization
+   *       upload against the organization's tier and pooled monthly duration instead of their own.
+   *       A user can belong to one organization at a time.
+   *     tags: [Organizations]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 minLength: 2
+   *                 maxLength: 100
+   *                 example: "Acme Inc."
+   *     responses:
+   *       201:
+   *         description: Organization created successfully
+   *       400:
+   *         description: Validation error
+   *       409:
+   *         description: User already belongs to an organization
+   */
+  router.post('/', validateCreateOrganization, organizationController.create);
+
+  /**
+   * @swagger
+   * /api/organizations/me:
+   *   get:
+   *     summary: Get my organization
+   *     description: Returns the organization, its members, tier and current pooled usage
+   *     tags: [Organizations]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Organization retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/Organization'
+   *       404:
+   *         description: User does not belong to an organization
+   */
+  router.get('/me', organizationController.getMine);
+
+  /**
+   * @swagger
+   * /api/organizations/invitations:
+   *   get:
+   *     summary: List my pending organization invitations
+   *     description: Returns unexpired invitations addressed to the authenticated user's email. The email must be verified.
+   *     tags: [Organizations]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Invitations retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/OrganizationInvitation'
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Email address not verified
+   */
+  router.get('/invitations', organizationController.listMyInvitations);
+
+  /**
+   * @swagger
+   * /api/organizations/invitations/{invitationId}/accept:
+   *   post:
+   *     summary: Accept an organization invitation
+   *     description: Joins the organization; your uploads then use its tier and pooled monthly quota
+   *     tags: [Organizations]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: invitationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Invitation accepted, returns organizationId and role
+   *       400:
+   *         description: Invitation has expired
+   *       403:
+   *         description: Email address not verified
+   *       404:
+   *         description: Invitation not found
+   *       409:
+   *         description: You already belong to another organization
+   */
+  router.post('/invitations/:invitationId/accept', organizationController.acceptInvitation);
+
+  /**
+   * @swagger
+   * /api/organizations/invitations/{invitationId}/decline:
+   *   post:
+   *     summary: Decline an organization invitation
+   *     tags: [Organizations]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: invitationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Invitation declined
+   *       400:
+   *         description: Invitation has expired
+   *       403:
+   *         description: Email address not verified
+   *       404:
+   *         description: Invitation not found
+   */
+  router.post('/invitations/:invitationId/decline', organizationController.declineInvitation);
+
+  /**
+   * @swagger
+   * /api/organizations/{organizationId}/invitations:
+   *   get:
+   *     summary: List pending invitations (admins only)
+   *     tags: [Organizations]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: organizationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Invitations retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/OrganizationInvitation'
+   *       403:
+   *         description: Only organization admins can manage members
+   *       404:
+   *         description: Organization not found
+   *   post:
+   *     summary: Invite a member by email (admins only)
+   *     description: |
+   *       Creates a pending invitation and emails it to the invitee. They join the organization
+   *       only once they accept it under GET /api/organizations/invitations, signed in with that
+   *       email and having verified it. Re-inviting the same email updates the role and expiry
+   *       and sends the email again.
+   *     tags: [Organizations]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: organizationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *               role:
+   *                 type: string
+   *                 enum: [admin, member]
+   *                 default: member
+   *     responses:
+   *       201:
+   *         description: Invitation sent successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/OrganizationInvitation'
+   *       400:
+   *         description: Validation error
+   *       403:
+   *         description: Only organization admins can manage members
+   *       404:
+   *         description: Organization not found
+   *       409:
+   *         description: User is already a member of this organization
+   */
+  router.get('/:organizationId/invitations', organizationController.listInvitations);
+  router.post('/:organizationId/invitations', validateInviteOrganizationMember, organizationController.invite);
+
+  /**
+   * @swagger
+   * /api/organizations/{organizationId}/invitations/{invitationId}:
+   *   delete:
+   *     summary: Revoke a pending invitation (admins only)
+   *     tags: [Organizations]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: organizationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: invitationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Invitation revoked successfully
+   *       403:
+   *         description: Only organization admins can manage members
+   *       404:
+   *         description: Organization or invitation not found
+   */
+  router.delete('/:organizationId/invitations/:invitationId', organizationController.revokeInvitation);
+
+  /**
+   * @swagger
+   * /api/organizations/{organizationId}/members/{userId}:
+   *   patch:
+   *     summary: Change a member's role (admins only)
+   *     tags: [Organizations]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: organizationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - role
+   *             properties:
+   *               role:
+   *                 type: string
+   *                 enum: [admin, member]
+   *     responses:
+   *       200:
+   *         description: Member role updated successfully
+   *       400:
+   *         description: The owner must remain an admin
+   *       403:
+   *         description: Only organization admins can manage members
+   *       404:
+   *         description: Member not found
+   *   delete:
+   *     summary: Remove a member or leave the organization
+   *     description: Admins can remove any member except the owner. Members can remove themselves.
+   *     tags: [Organizations]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: organizationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Member removed successfully
+   *       400:
+   *         description: The owner cannot be removed
+   *       403:
+   *         description: Only organization admins can remove other members
+   *       404:
+   *         description: Member not found
+   */
+  router.patch('/:organizationId/members/:userId', validateUpdateOrganizationMemberRole, organizationController.updateMemberRole);
+  router.delete('/:organizationId/members/:userId', organizationController.removeMember);
+
+  /**
+   * @swagger
+   * /api/organizations/{organizationId}/usage:
+   *   get:
+   *     summary: Get pooled usage history with per-member breakdown
+   *     description: Monthly duration and meeting counts for the organization, newest month first (admins only)
+   *     tags: [Organizations]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: organizationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: months
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 12
+   *           default: 3
+   *     responses:
+   *       200:
+   *         description: Usage history retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       month:
+   *                         type: integer
+   *                       year:
+   *                         type: integer
+   *                       duration:
+   *                         type: number
+   *                         description: Pooled duration in seconds
+   *                       meetingCount:
+   *                         type: integer
+   *                       members:
+   *                         type: array
+   *                         items:
+   *                           type: object
+   *                           properties:
+   *                             userId:
+   *                               type: string
+   *                             name:
+   *                               type: string
+   *                             email:
+   *                               type: string
+   *                             duration:
+   *                               type: number
+   *                             meetingCount:
+   *                               type: integer
+   *       400:
+   *         description: Invalid months parameter
+   *       403:
+   *         description: Only organization admins can view member usage
+   *       404:
+   *         description: Organization not found
+   */
+  router.get('/:organizationId/usage', validateUsageHistoryQuery, organizationController.getUsage);
+
+  return router;
+};
+
+module.exports = createOrganizationRoutes;
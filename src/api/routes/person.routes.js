@@ -330,7 +330,7 @@ const createPersonRoutes = (personController) => {
    * /api/people/{id}/action-items:
    *   get:
    *     summary: Get person's action items
-   *     description: Retrieve all action items assigned to a person across all meetings
+   *     description: Retrieve all action items assigned to a person across all meetings (meetings in the trash are left out)
    *     tags: [People]
    *     security:
    *       - bearerAuth: []
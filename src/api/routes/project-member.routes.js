@@ -0,0 +1,224 @@
+/**
+ * Project Member Routes
+ * Define routes for project collaborators and invitations
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth.middleware');
+const { requireProjectRole } = require('../middleware/authorization.middleware');
+const { validateInviteMember, validateUpdateMemberRole } = require('../validators/project.validator');
+
+const createProjectMemberRoutes = (projectMemberController) => {
+  // Mounted at /projects/:projectId alongside other project routers, so authentication is applied per route
+  const router = express.Router({ mergeParams: true }); // mergeParams to access :projectId
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Project Members
+   *   description: Share projects with collaborators as editors or viewers
+   */
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/members:
+   *   get:
+   *     summary: List project members
+   *     description: Returns the owner followed by collaborators. Any member can view the list.
+   *     tags: [Project Members]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Members retrieved successfully
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Not a member of this project
+   *       404:
+   *         description: Project not found
+   */
+  router.get('/members', authenticate, requireProjectRole('viewer'), projectMemberController.listMembers);
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/members/{userId}:
+   *   patch:
+   *     summary: Change a member's role
+   *     tags: [Project Members]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - role
+   *             properties:
+   *               role:
+   *                 type: string
+   *                 enum: [editor, viewer]
+   *     responses:
+   *       200:
+   *         description: Member role updated successfully
+   *       400:
+   *         description: Validation error or attempt to change the owner
+   *       403:
+   *         description: Only the owner can change roles
+   *       404:
+   *         description: Member not found
+   *   delete:
+   *     summary: Remove a member or leave the project
+   *     description: The owner can remove any member. Other members can only remove themselves.
+   *     tags: [Project Members]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: userId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Member removed successfully
+   *       400:
+   *         description: The owner cannot be removed
+   *       403:
+   *         description: Not allowed to remove this member
+   *       404:
+   *         description: Member not found
+   */
+  router.patch('/members/:userId', authenticate, requireProjectRole('owner'), validateUpdateMemberRole, projectMemberController.updateMemberRole);
+  router.delete('/members/:userId', authenticate, requireProjectRole('viewer'), projectMemberController.removeMember);
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/invitations:
+   *   get:
+   *     summary: List pending invitations for a project
+   *     tags: [Project Members]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Invitations retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ProjectInvitation'
+   *       403:
+   *         description: Only the owner can manage invitations
+   *   post:
+   *     summary: Invite a collaborator by email
+   *     description: |
+   *       Creates a pending invitation and emails it to the invitee, who sees it under
+   *       GET /api/invitations once they sign in with that email and verify it. Re-inviting
+   *       the same email updates the role and expiry and sends the email again.
+   *     tags: [Project Members]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - email
+   *               - role
+   *             properties:
+   *               email:
+   *                 type: string
+   *                 format: email
+   *               role:
+   *                 type: string
+   *                 enum: [editor, viewer]
+   *     responses:
+   *       201:
+   *         description: Invitation sent successfully
+   *       400:
+   *         description: Validation error
+   *       403:
+   *         description: Only the owner can invite members
+   *       409:
+   *         description: User already has access to this project
+   */
+  router.get('/invitations', authenticate, requireProjectRole('owner'), projectMemberController.listProjectInvitations);
+  router.post('/invitations', authenticate, requireProjectRole('owner'), validateInviteMember, projectMemberController.invite);
+
+  /**
+   * @swagger
+   * /api/projects/{projectId}/invitations/{invitationId}:
+   *   delete:
+   *     summary: Revoke a pending invitation
+   *     tags: [Project Members]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: projectId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: invitationId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Invitation revoked successfully
+   *       403:
+   *         description: Only the owner can revoke invitations
+   *       404:
+   *         description: Invitation not found
+   */
+  router.delete('/invitations/:invitationId', authenticate, requireProjectRole('owner'), projectMemberController.revokeInvitation);
+
+  return router;
+};
+
+module.exports = createProjectMemberRoutes;
@@ -4,7 +4,9 @@
  */
 const express = require('express');
 const { authenticate } = require('../middleware/auth.middleware');
-const { validateCreateProject, validateUpdateProject } = require('../validators/project.validator');
+const { SCOPES, requireScope } = require('../middleware/scope.middleware');
+const { uploadBundle } = require('../middleware/bundle-upload.middleware');
+const { validateCreateProject, validateUpdateProject, validateImportProject } = require('../validators/project.validator');
 
 const createProjectRoutes = (projectController) => {
   const router = express.Router();
@@ -90,7 +92,7 @@ const createProjectRoutes = (projectController) => {
    *       401:
    *         description: Unauthorized
    */
-  router.get('/', projectController.list);
+  router.get('/', requireScope(SCOPES.PROJECTS_READ), projectController.list);
 
   /**
    * @swagger
@@ -116,7 +118,7 @@ const createProjectRoutes = (projectController) => {
    *       404:
    *         description: Project not found
    */
-  router.get('/:id', projectController.getById);
+  router.get('/:id', requireScope(SCOPES.PROJECTS_READ), projectController.getById);
 
   /**
    * @swagger
@@ -165,7 +167,9 @@ const createProjectRoutes = (projectController) => {
    * /api/projects/{id}:
    *   delete:
    *     summary: Delete project
-   *     description: Delete project and all associated meetings and transcriptions
+   *     description: |
+   *       Move the project and its meetings to the trash (owner only). They can be restored from
+   *       /api/trash until they are permanently deleted after TRASH_RETENTION_DAYS (default 30).
    *     tags: [Projects]
    *     security:
    *       - bearerAuth: []
@@ -178,7 +182,7 @@ const createProjectRoutes = (projectController) => {
    *         description: Project ID
    *     responses:
    *       200:
-   *         description: Project deleted successfully
+   *         description: Project moved to trash
    *       401:
    *         description: Unauthorized
    *       404:
@@ -210,7 +214,121 @@ const createProjectRoutes = (projectController) => {
    *       404:
    *         description: Project not found
    */
-  router.get('/:id/stats', projectController.getStats);
+  router.get('/:id/stats', requireScope(SCOPES.PROJECTS_READ), projectController.getStats);
+
+  /**
+   * @swagger
+   * /api/projects/{id}/bundle:
+   *   get:
+   *     summary: Export project as a bundle
+   *     description: |
+   *       Download the project as a versioned zip bundle (owner only): its meetings with
+   *       summaries, transcripts with speaker and person assignments, action items and the
+   *       people they reference. The bundle can be imported into another account with
+   *       POST /api/projects/import.
+   *     tags: [Projects]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Project ID
+   *       - in: query
+   *         name: includeAudio
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *         description: Include the meetings' audio files (needed to transcribe them again after import)
+   *     responses:
+   *       200:
+   *         description: Project bundle
+   *         content:
+   *           application/zip:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Only the project owner can export it
+   *       404:
+   *         description: Project not found
+   */
+  router.get(
+    '/:id/bundle',
+    requireScope(SCOPES.PROJECTS_READ),
+    requireScope(SCOPES.MEETINGS_READ),
+    projectController.exportBundle
+  );
+
+  /**
+   * @swagger
+   * /api/projects/import:
+   *   post:
+   *     summary: Import a project bundle
+   *     description: |
+   *       Create a new project from a bundle exported with GET /api/projects/{id}/bundle.
+   *       People in the bundle are matched to your people by email, then by name, and
+   *       created when missing. Meetings whose transcription had not completed are
+   *       transcribed again if the bundle includes their audio (counted towards your usage
+   *       like an upload), and failed otherwise.
+   *     tags: [Projects]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - bundle
+   *             properties:
+   *               bundle:
+   *                 type: string
+   *                 format: binary
+   *                 description: Project bundle (.zip)
+   *               name:
+   *                 type: string
+   *                 description: Name of the new project (defaults to the exported project's name)
+   *     responses:
+   *       201:
+   *         description: Project imported successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     project:
+   *                       $ref: '#/components/schemas/Project'
+   *                     counts:
+   *                       type: object
+   *                       properties:
+   *                         meetings:
+   *                           type: integer
+   *                         transcriptSegments:
+   *                           type: integer
+   *                         actionItems:
+   *                           type: integer
+   *                         people:
+   *                           type: integer
+   *                         audioFiles:
+   *                           type: integer
+   *       400:
+   *         description: Invalid or unsupported bundle
+   *       401:
+   *         description: Unauthorized
+   */
+  router.post('/import', uploadBundle, validateImportProject, projectController.importBundle);
 
   return router;
 };
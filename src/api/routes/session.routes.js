@@ -0,0 +1,112 @@
+/**
+ * Session Routes
+ * Define routes for listing and revoking login sessions (devices)
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const createSessionRoutes = (authController) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Sessions
+   *   description: |
+   *     Login sessions of the current user. A session starts at login and lives on through refresh
+   *     token rotation until it is logged out, revoked or expires. Revoking a session stops its refresh
+   *     token; access tokens already issued to it stay valid until they expire.
+   */
+
+  // All session routes require authentication
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /api/auth/sessions:
+   *   get:
+   *     summary: List your active sessions
+   *     tags: [Sessions]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Sessions retrieved successfully, most recently used first
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     sessions:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           id:
+   *                             type: string
+   *                           userAgent:
+   *                             type: string
+   *                           ipAddress:
+   *                             type: string
+   *                           createdAt:
+   *                             type: string
+   *                             format: date-time
+   *                           lastUsedAt:
+   *                             type: string
+   *                             format: date-time
+   *                           expiresAt:
+   *                             type: string
+   *                             format: date-time
+   *                           current:
+   *                             type: boolean
+   *                             description: Whether this is the session making the request
+   *       401:
+   *         description: Unauthorized
+   *   delete:
+   *     summary: Revoke all other sessions
+   *     description: Signs out every other device. The current session is kept.
+   *     tags: [Sessions]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Sessions revoked; response includes the number of revoked tokens
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/', authController.listSessions);
+  router.delete('/', authController.revokeOtherSessions);
+
+  /**
+   * @swagger
+   * /api/auth/sessions/{sessionId}:
+   *   delete:
+   *     summary: Revoke a session
+   *     tags: [Sessions]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: sessionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Session revoked successfully
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Session not found or already ended
+   */
+  router.delete('/:sessionId', authController.revokeSession);
+
+  return router;
+};
+
+module.exports = createSessionRoutes;
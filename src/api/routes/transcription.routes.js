@@ -5,6 +5,8 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth.middleware');
 const { requireMeetingOwnershipForTranscription } = require('../middleware/authorization.middleware');
+const { FEATURES, requireFeature } = require('../middleware/feature.middleware');
+const { SCOPES, requireScope } = require('../middleware/scope.middleware');
 const {
   validateUpdateTranscription,
   validateSearchQuery,
@@ -80,7 +82,7 @@ const createTranscriptionRoutes = (transcriptionController) => {
    *       404:
    *         description: Meeting not found
    */
-  router.get('/status', transcriptionController.getStatus);
+  router.get('/status', requireScope(SCOPES.MEETINGS_READ), transcriptionController.getStatus);
 
   /**
    * @swagger
@@ -125,10 +127,12 @@ const createTranscriptionRoutes = (transcriptionController) => {
    *         description: Invalid search query
    *       401:
    *         description: Unauthorized
+   *       403:
+   *         description: Hybrid search is not included in the user's plan (code feature_not_available)
    *       404:
    *         description: Meeting not found
    */
-  router.get('/hybrid-search', validateSearchQuery, transcriptionController.hybridSearch);
+  router.get('/hybrid-search', requireScope(SCOPES.SEARCH), requireFeature(FEATURES.HYBRID_SEARCH), validateSearchQuery, transcriptionController.hybridSearch);
 
   /**
    * @swagger
@@ -160,7 +164,7 @@ const createTranscriptionRoutes = (transcriptionController) => {
    *       404:
    *         description: Meeting not found
    */
-  router.get('/person/:personId', transcriptionController.getByPerson);
+  router.get('/person/:personId', requireScope(SCOPES.MEETINGS_READ), transcriptionController.getByPerson);
 
   /**
    * @swagger
@@ -204,7 +208,7 @@ const createTranscriptionRoutes = (transcriptionController) => {
    *       404:
    *         description: Meeting not found
    */
-  router.get('/', validatePagination, transcriptionController.list);
+  router.get('/', requireScope(SCOPES.MEETINGS_READ), validatePagination, transcriptionController.list);
 
   /**
    * @swagger
@@ -236,7 +240,7 @@ const createTranscriptionRoutes = (transcriptionController) => {
    *       404:
    *         description: Transcription not found
    */
-  router.get('/:id', transcriptionController.getById);
+  router.get('/:id', requireScope(SCOPES.MEETINGS_READ), transcriptionController.getById);
 
   /**
    * @swagger
@@ -332,8 +336,8 @@ const createTranscriptionRoutes = (transcriptionController) => {
    *       404:
    *         description: Transcription not found
    */
-  router.patch('/:id', validateUpdateTranscription, transcriptionController.update);
-  router.put('/:id', validateUpdateTranscription, transcriptionController.update);
+  router.patch('/:id', requireScope(SCOPES.MEETINGS_WRITE), validateUpdateTranscription, transcriptionController.update);
+  router.put('/:id', requireScope(SCOPES.MEETINGS_WRITE), validateUpdateTranscription, transcriptionController.update);
 
   /**
    * @swagger
@@ -365,7 +369,7 @@ const createTranscriptionRoutes = (transcriptionController) => {
    *       404:
    *         description: Transcription not found
    */
-  router.delete('/:id', transcriptionController.delete);
+  router.delete('/:id', requireScope(SCOPES.MEETINGS_WRITE), transcriptionController.delete);
 
   /**
    * @swagger
@@ -440,7 +444,7 @@ const createTranscriptionRoutes = (transcriptionController) => {
    *       404:
    *         description: Meeting or person not found
    */
-  router.put('/speaker/:speaker/assign', validateBulkAssignSpeaker, transcriptionController.bulkAssignSpeaker);
+  router.put('/speaker/:speaker/assign', requireScope(SCOPES.MEETINGS_WRITE), validateBulkAssignSpeaker, transcriptionController.bulkAssignSpeaker);
 
   /**
    * @swagger
@@ -519,7 +523,7 @@ const createTranscriptionRoutes = (transcriptionController) => {
    *       404:
    *         description: Meeting or person not found
    */
-  router.put('/people/:personId/assign', validateBulkReassignPerson, transcriptionController.bulkReassignPerson);
+  router.put('/people/:personId/assign', requireScope(SCOPES.MEETINGS_WRITE), validateBulkReassignPerson, transcriptionController.bulkReassignPerson);
 
   return router;
 };
@@ -0,0 +1,167 @@
+/**
+ * Trash Routes
+ * Define routes for listing and restoring deleted projects and meetings
+ */
+const express = require('express');
+const validate = require('../middleware/validator');
+const { restoreSchema } = require('../validators/trash.validator');
+const { authenticate } = require('../middleware/auth.middleware');
+const { SCOPES, requireScope } = require('../middleware/scope.middleware');
+
+const createTrashRoutes = (trashController) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Trash
+   *   description: |
+   *     Deleted projects and meetings stay in the trash for TRASH_RETENTION_DAYS (default 30)
+   *     before they are permanently deleted with their audio, transcripts and action items.
+   *     Meetings deleted together with their project are restored by restoring the project.
+   */
+
+  // All trash routes require authentication
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /api/trash:
+   *   get:
+   *     summary: List the trash
+   *     description: |
+   *       Projects you own that were deleted, and meetings deleted on their own from projects
+   *       where you are an editor or the owner. Each item has the date it will be purged.
+   *     tags: [Trash]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Trash retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     projects:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           _id:
+   *                             type: string
+   *                           name:
+   *                             type: string
+   *                           description:
+   *                             type: string
+   *                           meetingsCount:
+   *                             type: integer
+   *                             description: Meetings deleted with the project
+   *                           deletedAt:
+   *                             type: string
+   *                             format: date-time
+   *                           purgeAt:
+   *                             type: string
+   *                             format: date-time
+   *                     meetings:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           _id:
+   *                             type: string
+   *                           title:
+   *                             type: string
+   *                           projectId:
+   *                             type: string
+   *                           projectName:
+   *                             type: string
+   *                           duration:
+   *                             type: number
+   *                           deletedAt:
+   *                             type: string
+   *                             format: date-time
+   *                           deletedBy:
+   *                             type: string
+   *                           purgeAt:
+   *                             type: string
+   *                             format: date-time
+   *                     retentionDays:
+   *                       type: integer
+   *                       example: 30
+   *       401:
+   *         description: Unauthorized
+   */
+  router.get('/', requireScope(SCOPES.MEETINGS_READ), trashController.list);
+
+  /**
+   * @swagger
+   * /api/trash/projects/{id}/restore:
+   *   post:
+   *     summary: Restore a deleted project
+   *     description: Restores the project and the meetings that were deleted with it (owner only)
+   *     tags: [Trash]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Project ID
+   *     responses:
+   *       200:
+   *         description: Project restored successfully
+   *       401:
+   *         description: Unauthorized
+   *       404:
+   *         description: Project not found in trash
+   */
+  router.post('/projects/:id/restore', validate(restoreSchema), trashController.restoreProject);
+
+  /**
+   * @swagger
+   * /api/trash/meetings/{id}/restore:
+   *   post:
+   *     summary: Restore a deleted meeting
+   *     description: Requires the editor role on the meeting's project
+   *     tags: [Trash]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Meeting ID
+   *     responses:
+   *       200:
+   *         description: Meeting restored successfully
+   *       401:
+   *         description: Unauthorized
+   *       403:
+   *         description: Editor role required
+   *       404:
+   *         description: Meeting not found in trash
+   *       409:
+   *         description: The meeting was deleted with its project; restore the project instead
+   */
+  router.post(
+    '/meetings/:id/restore',
+    requireScope(SCOPES.MEETINGS_WRITE),
+    validate(restoreSchema),
+    trashController.restoreMeeting
+  );
+
+  return router;
+};
+
+module.exports = createTrashRoutes;
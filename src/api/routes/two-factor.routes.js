@@ -0,0 +1,198 @@
+/**
+ * Two-Factor Routes
+ * Define routes for TOTP two-factor authentication enrollment
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth.middleware');
+const { validateTwoFactorCode, validateDisableTwoFactor } = require('../validators/auth.validator');
+
+const createTwoFactorRoutes = (twoFactorController) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Two-Factor Authentication
+   *   description: |
+   *     Optional TOTP second factor for email/password accounts (Google accounts use Google's MFA).
+   *     Enrollment: call setup, add the secret to an authenticator app (e.g. by rendering `otpauthUri`
+   *     as a QR code), then enable with the first code. Once enabled, /auth/login returns a challenge
+   *     that is completed at /auth/login/2fa.
+   */
+
+  // All two-factor routes require authentication
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /api/auth/2fa:
+   *   get:
+   *     summary: Get your two-factor status
+   *     tags: [Two-Factor Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Two-factor status
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     available:
+   *                       type: boolean
+   *                       description: False for accounts that sign in with Google
+   *                     enabled:
+   *                       type: boolean
+   *                     enabledAt:
+   *                       type: string
+   *                       format: date-time
+   *                       nullable: true
+   *                     recoveryCodesRemaining:
+   *                       type: integer
+   */
+  router.get('/', twoFactorController.getStatus);
+
+  /**
+   * @swagger
+   * /api/auth/2fa/setup:
+   *   post:
+   *     summary: Start two-factor enrollment
+   *     description: Generates a new secret. Two-factor authentication stays off until it is enabled with a code.
+   *     tags: [Two-Factor Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Secret generated
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     secret:
+   *                       type: string
+   *                       description: Base32 secret for manual entry
+   *                     otpauthUri:
+   *                       type: string
+   *                       example: "otpauth://totp/Meno:jane%40example.com?secret=...&issuer=Meno"
+   *       400:
+   *         description: Account signs in with Google
+   *       409:
+   *         description: Already enabled
+   */
+  router.post('/setup', twoFactorController.setup);
+
+  /**
+   * @swagger
+   * /api/auth/2fa/enable:
+   *   post:
+   *     summary: Enable two-factor authentication
+   *     description: Confirms the secret from setup. Returns 10 single-use recovery codes, shown only once.
+   *     tags: [Two-Factor Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *                 example: "123456"
+   *     responses:
+   *       200:
+   *         description: Enabled; response includes the recovery codes
+   *       400:
+   *         description: Invalid code or setup not started
+   *       409:
+   *         description: Already enabled
+   */
+  router.post('/enable', validateTwoFactorCode, twoFactorController.enable);
+
+  /**
+   * @swagger
+   * /api/auth/2fa/disable:
+   *   post:
+   *     summary: Disable two-factor authentication
+   *     tags: [Two-Factor Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - password
+   *             properties:
+   *               password:
+   *                 type: string
+   *                 format: password
+   *               code:
+   *                 type: string
+   *               recoveryCode:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Disabled
+   *       400:
+   *         description: Not enabled, incorrect password or validation error
+   *       401:
+   *         description: Invalid two-factor code
+   *       429:
+   *         description: Too many failed attempts
+   */
+  router.post('/disable', validateDisableTwoFactor, twoFactorController.disable);
+
+  /**
+   * @swagger
+   * /api/auth/2fa/recovery-codes:
+   *   post:
+   *     summary: Replace your recovery codes
+   *     description: Previous recovery codes stop working.
+   *     tags: [Two-Factor Authentication]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - code
+   *             properties:
+   *               code:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: New recovery codes
+   *       400:
+   *         description: Not enabled
+   *       401:
+   *         description: Invalid two-factor code
+   *       429:
+   *         description: Too many failed attempts
+   */
+  router.post('/recovery-codes', validateTwoFactorCode, twoFactorController.regenerateRecoveryCodes);
+
+  return router;
+};
+
+module.exports = createTwoFactorRoutes;
@@ -5,8 +5,16 @@
 const express = require('express');
 const multer = require('multer');
 const validate = require('../middleware/validator');
-const { createUserSchema, updateUserSchema, getUserSchema } = require('../validators/user.validator');
-const { authenticate } = require('../middleware/auth.middleware');
+const {
+  createUserSchema,
+  updateUserSchema,
+  getUserSchema,
+  deleteAccountSchema,
+  getDataExportSchema,
+  getUsageLedgerSchema
+} = require('../validators/user.validator');
+const { authenticate, requireAdmin, requireSelfOrAdmin } = require('../middleware/auth.middleware');
+const { SCOPES, requireScope } = require('../middleware/scope.middleware');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -31,8 +39,10 @@ const createUserRoutes = (userController, meetingController) => {
    * /api/users:
    *   get:
    *     summary: Get all users
-   *     description: Retrieve a list of all users in the system
+   *     description: Retrieve a list of all users in the system (admin only)
    *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
    *     responses:
    *       200:
    *         description: List of users retrieved successfully
@@ -48,6 +58,10 @@ const createUserRoutes = (userController, meetingController) => {
    *                   type: array
    *                   items:
    *                     $ref: '#/components/schemas/User'
+   *       401:
+   *         description: Unauthorized - authentication required
+   *       403:
+   *         description: Admin access required
    *       500:
    *         description: Server error
    *         content:
@@ -55,7 +69,7 @@ const createUserRoutes = (userController, meetingController) => {
    *             schema:
    *               $ref: '#/components/schemas/Error'
    */
-  router.get('/', userController.getAllUsers.bind(userController));
+  router.get('/', authenticate, requireAdmin, userController.getAllUsers.bind(userController));
 
   /**
    * @swagger
@@ -88,13 +102,154 @@ const createUserRoutes = (userController, meetingController) => {
    */
   router.get('/me', authenticate, userController.getCurrentUser.bind(userController));
 
+  /**
+   * @swagger
+   * /api/users/me:
+   *   delete:
+   *     summary: Permanently delete your account
+   *     description: |
+   *       Deletes the account and everything stored for it: owned projects with their meetings, transcripts,
+   *       action items and audio files, people, integrations, webhooks, access tokens, sessions, uploaded files
+   *       and data exports. You are removed from projects shared with you. An organization you own is dissolved
+   *       once it has no other members. This cannot be undone.
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               password:
+   *                 type: string
+   *                 description: Current password (email/password accounts)
+   *               confirmEmail:
+   *                 type: string
+   *                 format: email
+   *                 description: Your account email (Google accounts)
+   *     responses:
+   *       200:
+   *         description: Account deleted; response includes counts of deleted records
+   *       400:
+   *         description: Validation error or incorrect confirmation
+   *       401:
+   *         description: Unauthorized - authentication required
+   *       409:
+   *         description: You own an organization that still has other members
+   */
+  router.delete('/me', authenticate, validate(deleteAccountSchema), userController.deleteCurrentUser.bind(userController));
+
+  /**
+   * @swagger
+   * /api/users/me/export:
+   *   post:
+   *     summary: Request an export of all your data
+   *     description: |
+   *       Starts a background job that assembles a zip of your profile, projects, meetings, transcripts,
+   *       summaries, action items, people and audio files. Poll `GET /api/users/me/exports` until the export
+   *       is `completed`, then download it. Archives can be downloaded for 7 days.
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       202:
+   *         description: Export started
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   $ref: '#/components/schemas/DataExport'
+   *       401:
+   *         description: Unauthorized - authentication required
+   *       409:
+   *         description: An export is already being prepared
+   *       503:
+   *         description: The export queue is unavailable
+   */
+  router.post('/me/export', authenticate, userController.requestDataExport.bind(userController));
+
+  /**
+   * @swagger
+   * /api/users/me/exports:
+   *   get:
+   *     summary: List your data exports
+   *     description: Newest first (last 20)
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Exports retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     exports:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/DataExport'
+   *       401:
+   *         description: Unauthorized - authentication required
+   */
+  router.get('/me/exports', authenticate, userController.listDataExports.bind(userController));
+
+  /**
+   * @swagger
+   * /api/users/me/exports/{exportId}/download:
+   *   get:
+   *     summary: Download a completed data export
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: exportId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Zip archive
+   *         content:
+   *           application/zip:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *       400:
+   *         description: Export is not ready yet
+   *       404:
+   *         description: Export not found
+   *       410:
+   *         description: Export has expired
+   */
+  router.get(
+    '/me/exports/:exportId/download',
+    authenticate,
+    validate(getDataExportSchema),
+    userController.downloadDataExport.bind(userController)
+  );
+
   /**
    * @swagger
    * /api/users/{id}:
    *   get:
    *     summary: Get user by ID
-   *     description: Retrieve a single user by their unique ID
+   *     description: Retrieve a single user by their unique ID (own account or admin)
    *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
    *     parameters:
    *       - in: path
    *         name: id
@@ -122,6 +277,10 @@ const createUserRoutes = (userController, meetingController) => {
    *           application/json:
    *             schema:
    *               $ref: '#/components/schemas/Error'
+   *       401:
+   *         description: Unauthorized - authentication required
+   *       403:
+   *         description: Can only access your own account unless admin
    *       404:
    *         description: User not found
    *         content:
@@ -135,15 +294,17 @@ const createUserRoutes = (userController, meetingController) => {
    *             schema:
    *               $ref: '#/components/schemas/Error'
    */
-  router.get('/:id', validate(getUserSchema), userController.getUserById.bind(userController));
+  router.get('/:id', authenticate, requireSelfOrAdmin('id'), validate(getUserSchema), userController.getUserById.bind(userController));
 
   /**
    * @swagger
    * /api/users:
    *   post:
    *     summary: Create a new user
-   *     description: Create a new user with email and name
+   *     description: Create a new user with email and name (admin only)
    *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
    *     requestBody:
    *       required: true
    *       content:
@@ -189,6 +350,10 @@ const createUserRoutes = (userController, meetingController) => {
    *           application/json:
    *             schema:
    *               $ref: '#/components/schemas/Error'
+   *       401:
+   *         description: Unauthorized - authentication required
+   *       403:
+   *         description: Admin access required
    *       500:
    *         description: Server error
    *         content:
@@ -196,15 +361,17 @@ const createUserRoutes = (userController, meetingController) => {
    *             schema:
    *               $ref: '#/components/schemas/Error'
    */
-  router.post('/', validate(createUserSchema), userController.createUser.bind(userController));
+  router.post('/', authenticate, requireAdmin, validate(createUserSchema), userController.createUser.bind(userController));
 
   /**
    * @swagger
    * /api/users/{id}:
    *   put:
    *     summary: Update user
-   *     description: Update an existing user's information
+   *     description: Update an existing user's information (admin only)
    *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
    *     parameters:
    *       - in: path
    *         name: id
@@ -255,6 +422,10 @@ const createUserRoutes = (userController, meetingController) => {
    *           application/json:
    *             schema:
    *               $ref: '#/components/schemas/Error'
+   *       401:
+   *         description: Unauthorized - authentication required
+   *       403:
+   *         description: Admin access required
    *       404:
    *         description: User not found
    *         content:
@@ -268,15 +439,17 @@ const createUserRoutes = (userController, meetingController) => {
    *             schema:
    *               $ref: '#/components/schemas/Error'
    */
-  router.put('/:id', validate(updateUserSchema), userController.updateUser.bind(userController));
+  router.put('/:id', authenticate, requireAdmin, validate(updateUserSchema), userController.updateUser.bind(userController));
 
   /**
    * @swagger
    * /api/users/{id}:
    *   delete:
    *     summary: Delete user
-   *     description: Delete a user from the system
+   *     description: Delete a user from the system (admin only)
    *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
    *     parameters:
    *       - in: path
    *         name: id
@@ -305,6 +478,10 @@ const createUserRoutes = (userController, meetingController) => {
    *           application/json:
    *             schema:
    *               $ref: '#/components/schemas/Error'
+   *       401:
+   *         description: Unauthorized - authentication required
+   *       403:
+   *         description: Admin access required
    *       404:
    *         description: User not found
    *         content:
@@ -318,15 +495,17 @@ const createUserRoutes = (userController, meetingController) => {
    *             schema:
    *               $ref: '#/components/schemas/Error'
    */
-  router.delete('/:id', validate(getUserSchema), userController.deleteUser.bind(userController));
+  router.delete('/:id', authenticate, requireAdmin, validate(getUserSchema), userController.deleteUser.bind(userController));
 
   /**
    * @swagger
    * /api/users/{id}/avatar:
    *   post:
    *     summary: Upload user avatar
-   *     description: Upload an avatar image for a user (max 5MB)
+   *     description: Upload an avatar image for a user (max 5MB, own account or admin)
    *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
    *     parameters:
    *       - in: path
    *         name: id
@@ -367,6 +546,10 @@ const createUserRoutes = (userController, meetingController) => {
    *           application/json:
    *             schema:
    *               $ref: '#/components/schemas/Error'
+   *       401:
+   *         description: Unauthorized - authentication required
+   *       403:
+   *         description: Can only access your own account unless admin
    *       404:
    *         description: User not found
    *         content:
@@ -382,6 +565,8 @@ const createUserRoutes = (userController, meetingController) => {
    */
   router.post(
     '/:id/avatar',
+    authenticate,
+    requireSelfOrAdmin('id'),
     validate(getUserSchema),
     upload.single('avatar'),
     userController.uploadAvatar.bind(userController)
@@ -462,12 +647,83 @@ const createUserRoutes = (userController, meetingController) => {
    */
   router.get('/me/usage', authenticate, userController.getUsageStats.bind(userController));
 
+  /**
+   * @swagger
+   * /api/users/me/usage/ledger:
+   *   get:
+   *     summary: Get current user's usage ledger
+   *     description: |
+   *       Itemized charges and credits behind the monthly usage figure. Uploads and live
+   *       recordings are charged; failed transcriptions and (depending on the
+   *       USAGE_REFUND_ON_DELETE policy) meetings moved to the trash are credited back,
+   *       then charged again if they are restored.
+   *     tags: [Users]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: year
+   *         schema:
+   *           type: integer
+   *         description: Year (defaults to current year)
+   *         example: 2025
+   *       - in: query
+   *         name: month
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 12
+   *         description: Month 1-12 (defaults to current month)
+   *         example: 1
+   *     responses:
+   *       200:
+   *         description: Usage ledger retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     year:
+   *                       type: integer
+   *                     month:
+   *                       type: integer
+   *                     charged:
+   *                       type: number
+   *                       description: Seconds charged
+   *                     credited:
+   *                       type: number
+   *                       description: Seconds credited back
+   *                     net:
+   *                       type: number
+   *                       description: Seconds counted towards the quota
+   *                     entries:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/UsageEntry'
+   *       401:
+   *         description: Unauthorized - authentication required
+   *       400:
+   *         description: Invalid query parameters
+   */
+  router.get(
+    '/me/usage/ledger',
+    authenticate,
+    validate(getUsageLedgerSchema),
+    userController.getUsageLedger.bind(userController)
+  );
+
   /**
    * @swagger
    * /api/users/{userId}/meetings:
    *   get:
    *     summary: Get user's recent meetings
-   *     description: Retrieve paginated list of meetings for a user across all their projects
+   *     description: Retrieve paginated list of meetings for a user across all projects they own or are a member of
    *     tags: [Users]
    *     security:
    *       - bearerAuth: []
@@ -498,11 +754,13 @@ const createUserRoutes = (userController, meetingController) => {
    *         description: User meetings retrieved successfully
    *       401:
    *         description: Unauthorized
+   *       403:
+   *         description: Can only access your own account unless admin
    *       404:
    *         description: User not found
    */
   if (meetingController) {
-    router.get('/:userId/meetings', authenticate, meetingController.getUserMeetings);
+    router.get('/:userId/meetings', authenticate, requireScope(SCOPES.MEETINGS_READ), requireSelfOrAdmin('userId'), meetingController.getUserMeetings);
   }
 
   /**
@@ -607,11 +865,13 @@ const createUserRoutes = (userController, meetingController) => {
    *                       type: integer
    *       401:
    *         description: Unauthorized
+   *       403:
+   *         description: Can only access your own account unless admin
    *       404:
    *         description: User not found
    */
   if (meetingController) {
-    router.get('/:userId/action-items', authenticate, meetingController.listUserActionItems);
+    router.get('/:userId/action-items', authenticate, requireScope(SCOPES.MEETINGS_READ), requireSelfOrAdmin('userId'), meetingController.listUserActionItems);
   }
 
   return router;
@@ -0,0 +1,304 @@
+/**
+ * Webhook Routes
+ * Define routes for outbound webhook endpoints and their delivery logs
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/auth.middleware');
+const { FEATURES, requireFeature } = require('../middleware/feature.middleware');
+const {
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateDeliveriesQuery
+} = require('../validators/webhook.validator');
+
+const createWebhookRoutes = (webhookController) => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * tags:
+   *   name: Webhooks
+   *   description: |
+   *     Signed HTTP callbacks for meeting lifecycle events. Each request is a POST with a JSON body
+   *     `{ id, type, createdAt, data }` and the headers `X-Meno-Event`, `X-Meno-Event-Id`, `X-Meno-Delivery`
+   *     and `X-Meno-Signature: t=<unix seconds>,v1=<hex>`, where v1 is the HMAC-SHA256 of `<t>.<raw body>`
+   *     keyed with the webhook secret. Non-2xx responses are retried with exponential backoff.
+   */
+
+  // All webhook routes require authentication
+  router.use(authenticate);
+
+  /**
+   * @swagger
+   * /api/webhooks:
+   *   post:
+   *     summary: Register a webhook endpoint
+   *     description: The signing secret is only returned in this response and when it is rotated.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - url
+   *               - events
+   *             properties:
+   *               url:
+   *                 type: string
+   *                 format: uri
+   *                 example: "https://example.com/hooks/meno"
+   *                 description: Must resolve to a public address (private, loopback and link-local hosts are refused)
+   *               events:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   enum: [meeting.created, transcription.completed, transcription.failed, summary.saved, action_items.generated]
+   *               description:
+   *                 type: string
+   *                 maxLength: 200
+   *               projectId:
+   *                 type: string
+   *                 description: Only send events for this project (must be owned by you)
+   *     responses:
+   *       201:
+   *         description: Webhook created; response includes the secret
+   *       400:
+   *         description: Validation error or non-public URL
+   *       403:
+   *         description: Plan does not include API access
+   *       404:
+   *         description: Project not found or not owned by you
+   */
+  router.post('/', requireFeature(FEATURES.API_ACCESS), validateCreateWebhook, webhookController.create);
+
+  /**
+   * @swagger
+   * /api/webhooks:
+   *   get:
+   *     summary: List your webhooks
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Webhooks retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     webhooks:
+   *                       type: array
+   *                       items:
+   *                         $ref: '#/components/schemas/Webhook'
+   */
+  router.get('/', webhookController.list);
+
+  /**
+   * @swagger
+   * /api/webhooks/{webhookId}:
+   *   get:
+   *     summary: Get a webhook
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: webhookId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Webhook retrieved successfully
+   *       404:
+   *         description: Webhook not found
+   *   patch:
+   *     summary: Update a webhook
+   *     description: Change the URL, events or project filter, or disable/enable the webhook with `active`.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: webhookId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               url:
+   *                 type: string
+   *                 format: uri
+   *               events:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               description:
+   *                 type: string
+   *               projectId:
+   *                 type: string
+   *                 nullable: true
+   *               active:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: Webhook updated successfully
+   *       400:
+   *         description: Validation error or non-public URL
+   *       403:
+   *         description: Plan does not include API access
+   *       404:
+   *         description: Webhook not found
+   *   delete:
+   *     summary: Delete a webhook and its delivery logs
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: webhookId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Webhook deleted successfully
+   *       404:
+   *         description: Webhook not found
+   */
+  router.get('/:webhookId', webhookController.get);
+  router.patch('/:webhookId', requireFeature(FEATURES.API_ACCESS), validateUpdateWebhook, webhookController.update);
+  router.delete('/:webhookId', webhookController.delete);
+
+  /**
+   * @swagger
+   * /api/webhooks/{webhookId}/rotate-secret:
+   *   post:
+   *     summary: Rotate a webhook's signing secret
+   *     description: The previous secret stops working immediately, including for pending retries.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: webhookId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Secret rotated; response includes the new secret
+   *       403:
+   *         description: Plan does not include API access
+   *       404:
+   *         description: Webhook not found
+   */
+  router.post('/:webhookId/rotate-secret', requireFeature(FEATURES.API_ACCESS), webhookController.rotateSecret);
+
+  /**
+   * @swagger
+   * /api/webhooks/{webhookId}/deliveries:
+   *   get:
+   *     summary: List delivery logs of a webhook
+   *     description: Newest first. Logs are kept for 30 days.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: webhookId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, success, failed]
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 20
+   *           maximum: 100
+   *     responses:
+   *       200:
+   *         description: Deliveries retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/WebhookDelivery'
+   *                 pagination:
+   *                   type: object
+   *       404:
+   *         description: Webhook not found
+   */
+  router.get('/:webhookId/deliveries', validateDeliveriesQuery, webhookController.listDeliveries);
+
+  /**
+   * @swagger
+   * /api/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver:
+   *   post:
+   *     summary: Send a logged event again
+   *     description: Creates a new delivery with the same event ID and payload, signed with the current secret.
+   *     tags: [Webhooks]
+   *     security:
+   *       - bearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: webhookId
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: deliveryId
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       201:
+   *         description: Redelivery queued
+   *       400:
+   *         description: Webhook is disabled
+   *       403:
+   *         description: Plan does not include API access
+   *       404:
+   *         description: Webhook or delivery not found
+   */
+  router.post(
+    '/:webhookId/deliveries/:deliveryId/redeliver',
+    requireFeature(FEATURES.API_ACCESS),
+    webhookController.redeliver
+  );
+
+  return router;
+};
+
+module.exports = createWebhookRoutes;
@@ -0,0 +1,64 @@
+/**
+ * Access Token Validators
+ * Request validation schemas for personal access token endpoints
+ */
+const Joi = require('joi');
+const { SCOPES } = require('../../core/utils/token-scopes');
+
+const validate = (schema, property = 'body') => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[property], { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    req[property] = value;
+    next();
+  };
+};
+
+const scopeValues = Object.values(SCOPES);
+
+const createAccessTokenSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'any.required': 'Token name is required',
+      'string.max': 'Token name cannot exceed 100 characters'
+    }),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...scopeValues))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'any.only': `Scopes must be one of: ${scopeValues.join(', ')}`,
+      'array.min': 'At least one scope is required',
+      'any.required': 'Scopes are required'
+    }),
+  expiresAt: Joi.date()
+    .iso()
+    .greater('now')
+    .allow(null)
+    .messages({
+      'date.greater': 'Expiry must be in the future',
+      'date.format': 'Expiry must be an ISO 8601 date'
+    })
+});
+
+module.exports = {
+  validateCreateAccessToken: validate(createAccessTokenSchema)
+};
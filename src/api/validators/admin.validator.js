@@ -0,0 +1,134 @@
+/**
+ * Admin Validation Schemas
+ * Request validation using Joi
+ */
+const Joi = require('joi');
+
+const TIER_NAMES = ['free', 'plus', 'pro'];
+
+const userIdParams = Joi.object({
+  id: Joi.string().hex().length(24).required().messages({
+    'string.hex': 'Invalid user ID format',
+    'string.length': 'Invalid user ID format',
+    'any.required': 'User ID is required'
+  })
+});
+
+const tierNameParams = Joi.object({
+  name: Joi.string().valid(...TIER_NAMES).required().messages({
+    'any.only': `Tier name must be one of: ${TIER_NAMES.join(', ')}`
+  })
+});
+
+const monthlyDuration = Joi.number().integer().min(-1).invalid(0).messages({
+  'any.invalid': 'Monthly duration must be positive or -1 for unlimited',
+  'number.min': 'Monthly duration must be positive or -1 for unlimited'
+});
+
+const maxFileSize = Joi.number().integer().min(1).messages({
+  'number.min': 'Max file size must be at least 1 byte'
+});
+
+// Feature flags checked by routes are listed in core/utils/tier-features
+const tierFeatures = Joi.array().items(Joi.string().trim().min(1).max(50)).unique().messages({
+  'array.unique': 'Features must not contain duplicates'
+});
+
+const listUsersSchema = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    status: Joi.string().valid('active', 'inactive', 'suspended'),
+    role: Joi.string().valid('user', 'admin'),
+    tier: Joi.string().valid(...TIER_NAMES),
+    search: Joi.string().trim().max(100)
+  })
+};
+
+const getUserSchema = {
+  params: userIdParams
+};
+
+const updateUserStatusSchema = {
+  params: userIdParams,
+  body: Joi.object({
+    status: Joi.string().valid('active', 'inactive', 'suspended').required().messages({
+      'any.only': 'Status must be one of: active, inactive, suspended',
+      'any.required': 'Status is required'
+    })
+  })
+};
+
+const updateUserTierSchema = {
+  params: userIdParams,
+  body: Joi.object({
+    tier: Joi.string().valid(...TIER_NAMES).required().messages({
+      'any.only': `Tier must be one of: ${TIER_NAMES.join(', ')}`,
+      'any.required': 'Tier is required'
+    })
+  })
+};
+
+const updateUserRoleSchema = {
+  params: userIdParams,
+  body: Joi.object({
+    role: Joi.string().valid('user', 'admin').required().messages({
+      'any.only': 'Role must be one of: user, admin',
+      'any.required': 'Role is required'
+    })
+  })
+};
+
+const createTierSchema = {
+  body: Joi.object({
+    name: Joi.string().valid(...TIER_NAMES).required().messages({
+      'any.only': `Tier name must be one of: ${TIER_NAMES.join(', ')}`,
+      'any.required': 'Tier name is required'
+    }),
+    displayName: Joi.string().trim().min(1).max(50).required().messages({
+      'any.required': 'Display name is required'
+    }),
+    limits: Joi.object({
+      monthlyDuration: monthlyDuration.required(),
+      maxFileSize: maxFileSize.required()
+    }).required().messages({
+      'any.required': 'Limits are required'
+    }),
+    features: tierFeatures,
+    price: Joi.number().integer().min(0).required().messages({
+      'number.min': 'Price cannot be negative',
+      'any.required': 'Price is required'
+    }),
+    isActive: Joi.boolean()
+  })
+};
+
+const updateTierSchema = {
+  params: tierNameParams,
+  body: Joi.object({
+    displayName: Joi.string().trim().min(1).max(50),
+    limits: Joi.object({ monthlyDuration, maxFileSize }).min(1),
+    features: tierFeatures,
+    price: Joi.number().integer().min(0).messages({
+      'number.min': 'Price cannot be negative'
+    }),
+    isActive: Joi.boolean()
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  })
+};
+
+const tierNameSchema = {
+  params: tierNameParams
+};
+
+module.exports = {
+  listUsersSchema,
+  getUserSchema,
+  updateUserStatusSchema,
+  updateUserTierSchema,
+  updateUserRoleSchema,
+  createTierSchema,
+  updateTierSchema,
+  tierNameSchema
+};
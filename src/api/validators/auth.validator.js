@@ -100,10 +100,99 @@ const logoutSchema = Joi.object({
     })
 }).unknown(true); // Allow empty object when token is in cookie
 
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    })
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Reset token is required',
+      'string.empty': 'Reset token cannot be empty'
+    }),
+  password: Joi.string()
+    .min(6)
+    .required()
+    .messages({
+      'string.min': 'Password must be at least 6 characters long',
+      'any.required': 'Password is required'
+    })
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Verification token is required',
+      'string.empty': 'Verification token cannot be empty'
+    })
+});
+
+const totpCode = Joi.string()
+  .pattern(/^\d{6}$/)
+  .messages({
+    'string.pattern.base': 'Code must be 6 digits'
+  });
+
+const recoveryCode = Joi.string()
+  .max(20)
+  .messages({
+    'string.max': 'Recovery code is too long'
+  });
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Challenge token is required'
+    }),
+  code: totpCode,
+  recoveryCode
+})
+  .xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Provide a code or a recovery code',
+    'object.xor': 'Provide either a code or a recovery code, not both'
+  });
+
+const twoFactorCodeSchema = Joi.object({
+  code: totpCode.required().messages({
+    'any.required': 'Code is required'
+  })
+});
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Password is required'
+    }),
+  code: totpCode,
+  recoveryCode
+})
+  .xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Provide a code or a recovery code',
+    'object.xor': 'Provide either a code or a recovery code, not both'
+  });
+
 module.exports = {
   validateSignup: validate(signupSchema),
   validateLogin: validate(loginSchema),
   validateGoogleToken: validate(googleTokenSchema),
   validateRefreshToken: validate(refreshTokenSchema),
-  validateLogout: validate(logoutSchema)
+  validateLogout: validate(logoutSchema),
+  validateForgotPassword: validate(forgotPasswordSchema),
+  validateResetPassword: validate(resetPasswordSchema),
+  validateVerifyEmail: validate(verifyEmailSchema),
+  validateTwoFactorLogin: validate(twoFactorLoginSchema),
+  validateTwoFactorCode: validate(twoFactorCodeSchema),
+  validateDisableTwoFactor: validate(disableTwoFactorSchema)
 };
@@ -0,0 +1,69 @@
+/**
+ * Chat Validators
+ * Request validation schemas for chat endpoints
+ */
+const Joi = require('joi');
+
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const chatSchema = Joi.object({
+  message: Joi.string()
+    .trim()
+    .min(1)
+    .max(2000)
+    .required()
+    .messages({
+      'string.empty': 'Message cannot be empty',
+      'string.max': 'Message cannot exceed 2000 characters',
+      'any.required': 'Message is required'
+    }),
+  history: Joi.array()
+    .items(Joi.object({
+      role: Joi.string().valid('user', 'assistant').required(),
+      content: Joi.string().max(10000).required()
+    }))
+    .max(20)
+    .default([])
+    .messages({
+      'array.max': 'History cannot exceed 20 messages'
+    }),
+  conversationId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Invalid conversation ID format'
+    }),
+  topK: Joi.number()
+    .integer()
+    .min(1)
+    .max(30)
+    .optional()
+    .messages({
+      'number.min': 'topK must be at least 1',
+      'number.max': 'topK cannot exceed 30'
+    })
+});
+
+module.exports = {
+  validateChat: validate(chatSchema)
+};
@@ -0,0 +1,57 @@
+/**
+ * Meeting Batch Validators
+ * Request validation schemas for bulk meeting operations
+ */
+const Joi = require('joi');
+const { MeetingBatchAction } = require('../../core/constants');
+
+// Upper bound keeps a single batch job within its timeout
+const MAX_BATCH_MEETINGS = 100;
+
+const objectId = Joi.string().hex().length(24).messages({
+  'string.hex': 'Invalid ID',
+  'string.length': 'Invalid ID'
+});
+
+const createBatchSchema = {
+  body: Joi.object({
+    action: Joi.string()
+      .valid(...Object.values(MeetingBatchAction))
+      .required()
+      .messages({
+        'any.only': `Action must be one of: ${Object.values(MeetingBatchAction).join(', ')}`,
+        'any.required': 'Action is required'
+      }),
+    meetingIds: Joi.array()
+      .items(objectId)
+      .min(1)
+      .max(MAX_BATCH_MEETINGS)
+      .required()
+      .messages({
+        'array.min': 'At least one meeting ID is required',
+        'array.max': `A batch cannot contain more than ${MAX_BATCH_MEETINGS} meetings`,
+        'any.required': 'Meeting IDs are required'
+      }),
+    targetProjectId: objectId.when('action', {
+      is: MeetingBatchAction.MOVE,
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'any.required': 'Target project ID is required to move meetings',
+      'any.unknown': 'Target project ID is only allowed when moving meetings'
+    })
+  })
+};
+
+const getBatchSchema = {
+  params: Joi.object({
+    batchId: objectId.required().messages({
+      'any.required': 'Batch ID is required'
+    })
+  })
+};
+
+module.exports = {
+  createBatchSchema,
+  getBatchSchema
+};
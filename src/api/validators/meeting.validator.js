@@ -4,6 +4,7 @@
  */
 const Joi = require('joi');
 const logger = require('../../components/logging/logger');
+const { EXPORT_FORMATS } = require('../../core/utils/transcript-formatter');
 
 const validate = (schema) => {
   return (req, res, next) => {
@@ -71,6 +72,23 @@ const createMeetingSchema = Joi.object({
     })
 });
 
+const importMeetingSchema = Joi.object({
+  title: Joi.string()
+    .min(2)
+    .max(200)
+    .optional()
+    .messages({
+      'string.min': 'Meeting title must be at least 2 characters long',
+      'string.max': 'Meeting title cannot exceed 200 characters'
+    }),
+  format: Joi.string()
+    .valid('srt', 'vtt', 'json')
+    .optional()
+    .messages({
+      'any.only': 'Format must be one of "srt", "vtt" or "json"'
+    })
+});
+
 const updateMeetingSchema = Joi.object({
   title: Joi.string()
     .min(2)
@@ -90,6 +108,30 @@ const updateMeetingSchema = Joi.object({
   'object.min': 'At least one field must be provided for update'
 });
 
+const targetProjectIdSchema = Joi.string()
+  .regex(/^[0-9a-fA-F]{24}$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Invalid project ID format. Must be a valid MongoDB ObjectId',
+    'any.required': 'Target project ID is required'
+  });
+
+const moveMeetingSchema = Joi.object({
+  targetProjectId: targetProjectIdSchema
+});
+
+const copyMeetingSchema = Joi.object({
+  targetProjectId: targetProjectIdSchema,
+  title: Joi.string()
+    .min(2)
+    .max(200)
+    .optional()
+    .messages({
+      'string.min': 'Meeting title must be at least 2 characters long',
+      'string.max': 'Meeting title cannot exceed 200 characters'
+    })
+});
+
 /**
  * Validate audio file upload
  */
@@ -177,8 +219,46 @@ const validateAudioFile = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate transcript export format query parameter
+ */
+const validateExportFormat = (req, res, next) => {
+  const format = (req.query.format || 'txt').toLowerCase();
+
+  if (!Object.keys(EXPORT_FORMATS).includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid export format. Allowed formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  req.query.format = format;
+  next();
+};
+
+// Query string of the live recording WebSocket; checked by the gateway during the upgrade
+const liveRecordingQuerySchema = Joi.object({
+  token: Joi.string().optional(),
+  title: Joi.string()
+    .min(2)
+    .max(200)
+    .optional()
+    .messages({
+      'string.min': 'Meeting title must be at least 2 characters long',
+      'string.max': 'Meeting title cannot exceed 200 characters'
+    }),
+  mimeType: Joi.string()
+    .max(100)
+    .default('audio/webm')
+});
+
 module.exports = {
+  liveRecordingQuerySchema,
   validateCreateMeeting: validate(createMeetingSchema),
+  validateImportMeeting: validate(importMeetingSchema),
   validateUpdateMeeting: validate(updateMeetingSchema),
-  validateAudioFile
+  validateMoveMeeting: validate(moveMeetingSchema),
+  validateCopyMeeting: validate(copyMeetingSchema),
+  validateAudioFile,
+  validateExportFormat
 };
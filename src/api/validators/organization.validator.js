@@ -0,0 +1,92 @@
+/**
+ * Organization Validators
+ * Request validation schemas for organization endpoints
+ */
+const Joi = require('joi');
+
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const createOrganizationSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Organization name must be at least 2 characters long',
+      'string.max': 'Organization name cannot exceed 100 characters',
+      'any.required': 'Organization name is required'
+    })
+});
+
+const inviteMemberSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+  role: Joi.string()
+    .valid('admin', 'member')
+    .default('member')
+    .messages({
+      'any.only': 'Role must be one of: admin, member'
+    })
+});
+
+const updateMemberRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid('admin', 'member')
+    .required()
+    .messages({
+      'any.only': 'Role must be one of: admin, member',
+      'any.required': 'Role is required'
+    })
+});
+
+/**
+ * Validate usage history query parameters
+ */
+const validateUsageHistoryQuery = (req, res, next) => {
+  const { months } = req.query;
+
+  if (months !== undefined) {
+    const monthsNum = parseInt(months);
+    if (isNaN(monthsNum) || monthsNum < 1 || monthsNum > 12) {
+      return res.status(400).json({
+        success: false,
+        message: 'Months must be between 1 and 12'
+      });
+    }
+  }
+
+  next();
+};
+
+module.exports = {
+  validateCreateOrganization: validate(createOrganizationSchema),
+  validateInviteOrganizationMember: validate(inviteMemberSchema),
+  validateUpdateOrganizationMemberRole: validate(updateMemberRoleSchema),
+  validateUsageHistoryQuery
+};
@@ -3,6 +3,7 @@
  * Request validation schemas for project endpoints
  */
 const Joi = require('joi');
+const { MEMBER_ROLES } = require('../../core/utils/project-roles');
 
 const validate = (schema) => {
   return (req, res, next) => {
@@ -64,7 +65,48 @@ const updateProjectSchema = Joi.object({
   'object.min': 'At least one field must be provided for update'
 });
 
+const importProjectSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .optional()
+    .messages({
+      'string.min': 'Project name must be at least 2 characters long',
+      'string.max': 'Project name cannot exceed 100 characters'
+    })
+});
+
+const inviteMemberSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    }),
+  role: Joi.string()
+    .valid(...MEMBER_ROLES)
+    .required()
+    .messages({
+      'any.only': `Role must be one of: ${MEMBER_ROLES.join(', ')}`,
+      'any.required': 'Role is required'
+    })
+});
+
+const updateMemberRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...MEMBER_ROLES)
+    .required()
+    .messages({
+      'any.only': `Role must be one of: ${MEMBER_ROLES.join(', ')}`,
+      'any.required': 'Role is required'
+    })
+});
+
 module.exports = {
   validateCreateProject: validate(createProjectSchema),
-  validateUpdateProject: validate(updateProjectSchema)
+  validateUpdateProject: validate(updateProjectSchema),
+  validateImportProject: validate(importProjectSchema),
+  validateInviteMember: validate(inviteMemberSchema),
+  validateUpdateMemberRole: validate(updateMemberRoleSchema)
 };
@@ -0,0 +1,19 @@
+/**
+ * Trash Validators
+ * Request validation schemas for trash endpoints
+ */
+const Joi = require('joi');
+
+const restoreSchema = {
+  params: Joi.object({
+    id: Joi.string().hex().length(24).required().messages({
+      'string.hex': 'Invalid ID',
+      'string.length': 'Invalid ID',
+      'any.required': 'ID is required'
+    })
+  })
+};
+
+module.exports = {
+  restoreSchema
+};
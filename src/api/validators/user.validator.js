@@ -47,8 +47,42 @@ const getUserSchema = {
   })
 };
 
+const deleteAccountSchema = {
+  body: Joi.object({
+    password: Joi.string().max(128),
+    confirmEmail: Joi.string().email().messages({
+      'string.email': 'Please provide a valid email address'
+    })
+  }).or('password', 'confirmEmail').messages({
+    'object.missing': 'Confirm the deletion with your password (or your email for Google accounts)'
+  })
+};
+
+const getDataExportSchema = {
+  params: Joi.object({
+    exportId: Joi.string().hex().length(24).required().messages({
+      'string.hex': 'Invalid export ID',
+      'string.length': 'Invalid export ID',
+      'any.required': 'Export ID is required'
+    })
+  })
+};
+
+const getUsageLedgerSchema = {
+  query: Joi.object({
+    year: Joi.number().integer().min(2000).max(9999),
+    month: Joi.number().integer().min(1).max(12).messages({
+      'number.min': 'Month must be between 1 and 12',
+      'number.max': 'Month must be between 1 and 12'
+    })
+  })
+};
+
 module.exports = {
   createUserSchema,
   updateUserSchema,
-  getUserSchema
+  getUserSchema,
+  deleteAccountSchema,
+  getDataExportSchema,
+  getUsageLedgerSchema
 };
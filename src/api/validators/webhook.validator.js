@@ -0,0 +1,85 @@
+/**
+ * Webhook Validators
+ * Request validation schemas for webhook endpoints
+ */
+const Joi = require('joi');
+const { WEBHOOK_EVENTS } = require('../../core/utils/webhook-events');
+
+const validate = (schema, property = 'body') => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[property], { abortEarly: false });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    req[property] = value;
+    next();
+  };
+};
+
+const eventValues = Object.values(WEBHOOK_EVENTS);
+
+const url = Joi.string()
+  .uri({ scheme: ['http', 'https'] })
+  .max(2048)
+  .messages({
+    'string.uri': 'URL must be a valid http or https URL',
+    'string.uriCustomScheme': 'URL must be a valid http or https URL'
+  });
+
+const events = Joi.array()
+  .items(Joi.string().valid(...eventValues))
+  .min(1)
+  .unique()
+  .messages({
+    'any.only': `Events must be one of: ${eventValues.join(', ')}`,
+    'array.min': 'At least one event is required'
+  });
+
+const projectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .allow(null)
+  .messages({
+    'string.pattern.base': 'Invalid project ID format'
+  });
+
+const description = Joi.string().trim().max(200).allow('');
+
+const createWebhookSchema = Joi.object({
+  url: url.required().messages({ 'any.required': 'URL is required' }),
+  events: events.required().messages({ 'any.required': 'Events are required' }),
+  description,
+  projectId
+});
+
+const updateWebhookSchema = Joi.object({
+  url,
+  events,
+  description,
+  projectId,
+  active: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided'
+});
+
+const deliveriesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('pending', 'success', 'failed')
+});
+
+module.exports = {
+  validateCreateWebhook: validate(createWebhookSchema),
+  validateUpdateWebhook: validate(updateWebhookSchema),
+  validateDeliveriesQuery: validate(deliveriesQuerySchema, 'query')
+};
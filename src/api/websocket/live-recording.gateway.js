@@ -0,0 +1,218 @@
+/**
+ * Live Recording Gateway
+ * WebSocket endpoint for streaming audio of a live meeting
+ *
+ * Path: /api/projects/:projectId/meetings/live?token=<JWT>&title=<title>&mimeType=<type>
+ * (the token may also be sent as an `Authorization: Bearer` header by non-browser clients)
+ *
+ * Client -> server: binary frames with audio chunks (e.g. MediaRecorder output), and the text
+ * message {"type":"stop"} to end the recording.
+ * Server -> client: JSON messages { type: 'ready' | 'segments' | 'warning' | 'limit' |
+ * 'finalized' | 'discarded' | 'error', ... }.
+ *
+ * Closing the socket without "stop" (e.g. a crashed tab) still finalizes the recording
+ * with the audio received so far.
+ */
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('../../components/config');
+const { resolveTokenUser } = require('../middleware/auth.middleware');
+const { SCOPES } = require('../middleware/scope.middleware');
+const { liveRecordingQuerySchema } = require('../validators/meeting.validator');
+
+const LIVE_PATH = new RegExp(`^${config.api.prefix}/projects/([0-9a-fA-F]{24})/meetings/live$`);
+const HEARTBEAT_INTERVAL = 30000;
+const MAX_CHUNK_SIZE = 1024 * 1024; // 1MB per message
+
+class LiveRecordingGateway {
+  constructor(liveRecordingService, logger) {
+    this.liveRecordingService = liveRecordingService;
+    this.logger = logger;
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_CHUNK_SIZE });
+  }
+
+  /**
+   * Handle WebSocket upgrades of an HTTP server
+   * @param {http.Server} server - HTTP server returned by app.listen
+   */
+  attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      this._handleUpgrade(req, socket, head).catch((error) => {
+        this.logger.error('Live recording upgrade failed', { error: error.message });
+        this._rejectUpgrade(socket, 500, 'Internal Server Error');
+      });
+    });
+
+    this.heartbeat = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+
+    this.logger.info('Live recording WebSocket endpoint ready', {
+      path: `${config.api.prefix}/projects/:projectId/meetings/live`
+    });
+  }
+
+  /**
+   * Close all connections and finalize their recordings
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this.heartbeat);
+
+    for (const ws of this.wss.clients) {
+      ws.close(1001, 'Server shutting down');
+    }
+    await this.liveRecordingService.endAllSessions('server_shutdown');
+  }
+
+  /**
+   * Authenticate and validate an upgrade request before accepting it
+   * @private
+   */
+  async _handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(LIVE_PATH);
+
+    if (!match) {
+      return this._rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const { error, value: query } = liveRecordingQuerySchema.validate(
+      Object.fromEntries(url.searchParams),
+      { abortEarly: false }
+    );
+    if (error) {
+      return this._rejectUpgrade(socket, 400, 'Bad Request');
+    }
+
+    const authHeader = req.headers.authorization;
+    const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : query.token;
+    const user = token ? await resolveTokenUser(token, { scope: SCOPES.MEETINGS_WRITE }) : null;
+
+    if (!user) {
+      this.logger.warn('Live recording connection rejected: unauthenticated', { path: url.pathname });
+      return this._rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this._handleConnection(ws, match[1], user, query);
+    });
+  }
+
+  /**
+   * Run a live recording session over an accepted connection
+   * @private
+   */
+  async _handleConnection(ws, projectId, user, { title, mimeType }) {
+    const send = (event) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(event));
+      }
+    };
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    // Chunks sent before the session is ready are kept until it is
+    const pending = [];
+    let session = null;
+    let meeting = null;
+    let endReason = null;
+
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        return session ? this.liveRecordingService.appendChunk(session, data) : pending.push(data);
+      }
+
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (parseError) {
+        return send({ type: 'error', message: 'Control messages must be JSON' });
+      }
+
+      if (message.type === 'stop') {
+        endReason = 'stopped';
+        if (session) {
+          this._end(ws, session, endReason);
+        }
+      }
+    });
+
+    ws.on('close', () => {
+      endReason = endReason || 'connection_lost';
+      if (session) {
+        this.liveRecordingService.endSession(session, endReason);
+      }
+    });
+
+    ws.on('error', (error) => {
+      this.logger.warn('Live recording socket error', { userId: user._id, error: error.message });
+    });
+
+    try {
+      const result = await this.liveRecordingService.startSession(projectId, user, {
+        title,
+        mimeType,
+        onEvent: send
+      });
+      session = result.session;
+      meeting = result.meeting;
+    } catch (error) {
+      send({ type: 'error', message: error.statusCode ? error.message : 'Failed to start recording' });
+      return ws.close(error.statusCode && error.statusCode < 500 ? 1008 : 1011);
+    }
+
+    // Limits end the session from the service side; close the socket once it is finalized
+    session.onEvent = (event) => {
+      send(event);
+      if (event.type === 'limit') {
+        this._end(ws, session, event.reason);
+      }
+    };
+
+    pending.splice(0).forEach(chunk => this.liveRecordingService.appendChunk(session, chunk));
+
+    if (endReason) {
+      if (ws.readyState === WebSocket.OPEN) {
+        return this._end(ws, session, endReason);
+      }
+      return this.liveRecordingService.endSession(session, endReason);
+    }
+
+    send({ type: 'ready', meeting });
+  }
+
+  /**
+   * Finalize a session and then close its socket
+   * @private
+   */
+  async _end(ws, session, reason) {
+    await this.liveRecordingService.endSession(session, reason);
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.close(1000, 'Recording finalized');
+    }
+  }
+
+  /**
+   * Answer a rejected upgrade with a plain HTTP response
+   * @private
+   */
+  _rejectUpgrade(socket, status, message) {
+    if (socket.writable) {
+      socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    }
+    socket.destroy();
+  }
+}
+
+module.exports = LiveRecordingGateway;
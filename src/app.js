@@ -20,6 +20,7 @@ const requestLogger = require('./api/middleware/requestLogger');
 // Import services and controllers
 const { UserService, FileService, AuthService, AuthorizationService, PersonService, IntegrationService, LineService, LineWebhookService } = require('./core/services');
 const ProjectService = require('./core/services/project.service');
+const ProjectMemberService = require('./core/services/project-member.service');
 const MeetingService = require('./core/services/meeting.service');
 const TranscriptionDataService = require('./core/services/transcription-data.service');
 const TranscriptionServiceFactory = require('./core/services/transcription-service.factory');
@@ -27,6 +28,20 @@ const ActionItemService = require('./core/services/action-item.service');
 const EmbeddingService = require('./core/services/embedding.service');
 const RetrievalService = require('./core/services/retrieval.service');
 const SemanticSearchService = require('./core/services/semantic-search.service');
+const ChatService = require('./core/services/chat.service');
+const UsageService = require('./core/services/usage.service');
+const OrganizationService = require('./core/services/organization.service');
+const TierService = require('./core/services/tier.service');
+const WebhookService = require('./core/services/webhook.service');
+const LiveRecordingService = require('./core/services/live-recording.service');
+const PersonalAccessTokenService = require('./core/services/personal-access-token.service');
+const MailService = require('./core/services/mail.service');
+const TwoFactorService = require('./core/services/two-factor.service');
+const AccountDataService = require('./core/services/account-data.service');
+const ProjectBundleService = require('./core/services/project-bundle.service');
+const TrashService = require('./core/services/trash.service');
+const MeetingBatchService = require('./core/services/meeting-batch.service');
+const MailTransportFactory = require('./core/mail/mail-transport.factory');
 const UserController = require('./api/controllers/user.controller');
 const FileController = require('./api/controllers/file.controller');
 const HealthController = require('./api/controllers/health.controller');
@@ -37,6 +52,16 @@ const TranscriptionController = require('./api/controllers/transcription.control
 const PersonController = require('./api/controllers/person.controller');
 const IntegrationController = require('./api/controllers/integration.controller');
 const LineWebhookController = require('./api/controllers/line-webhook.controller');
+const ChatController = require('./api/controllers/chat.controller');
+const ProjectMemberController = require('./api/controllers/project-member.controller');
+const OrganizationController = require('./api/controllers/organization.controller');
+const AdminController = require('./api/controllers/admin.controller');
+const WebhookController = require('./api/controllers/webhook.controller');
+const AccessTokenController = require('./api/controllers/access-token.controller');
+const TwoFactorController = require('./api/controllers/two-factor.controller');
+const TrashController = require('./api/controllers/trash.controller');
+const MeetingBatchController = require('./api/controllers/meeting-batch.controller');
+const LiveRecordingGateway = require('./api/websocket/live-recording.gateway');
 
 /**
  * Create and configure Express app
@@ -53,49 +78,63 @@ const createApp = () => {
 
   // Initialize storage provider
   logger.info('Initializing storage providers...');
+  const userFilesBucket = config.storage.provider === 's3'
+    ? config.storage.s3Bucket
+    : (config.storage.gcsBucket || 'user-files');
   const storageProvider = StorageFactory.createProvider(logger, {
     provider: config.storage.provider,
     basePath: config.storage.localPath,
-    bucket: config.storage.gcsBucket || 'user-files',
+    bucket: userFilesBucket,
     keyFilename: config.storage.gcsKeyFile
   });
 
   logger.info('✅ User files storage provider initialized', {
     provider: config.storage.provider,
-    bucket: config.storage.provider === 'gcs' ? (config.storage.gcsBucket || 'user-files') : 'N/A',
+    bucket: config.storage.provider !== 'local' ? userFilesBucket : 'N/A',
     basePath: config.storage.provider === 'local' ? config.storage.localPath : 'N/A'
   });
 
   // Initialize audio storage provider for meetings
+  const audioBucket = process.env.STORAGE_PROVIDER === 's3'
+    ? process.env.AWS_BUCKET_NAME
+    : (process.env.GCS_BUCKET_NAME || 'audio-files');
   const audioStorageProvider = StorageFactory.createProvider(logger, {
     provider: process.env.STORAGE_PROVIDER || 'local',
     basePath: process.env.LOCAL_STORAGE_PATH || './storage',
-    bucket: process.env.GCS_BUCKET_NAME || 'audio-files',
+    bucket: audioBucket,
     // GCS configuration
     projectId: process.env.GCS_PROJECT_ID,
     keyFilename: process.env.GCS_KEYFILE_PATH
+    // S3 configuration is read from AWS_* environment variables by the factory
   });
 
   logger.info('✅ Audio storage provider initialized', {
     provider: process.env.STORAGE_PROVIDER || 'local',
-    bucket: process.env.STORAGE_PROVIDER === 'gcs' ? (process.env.GCS_BUCKET_NAME || 'audio-files') : 'N/A',
+    bucket: ['gcs', 's3'].includes(process.env.STORAGE_PROVIDER) ? audioBucket : 'N/A',
     basePath: process.env.STORAGE_PROVIDER === 'local' ? (process.env.LOCAL_STORAGE_PATH || './storage') : 'N/A'
   });
 
+  // Initialize mail transport (password reset and verification emails)
+  const mailTransport = MailTransportFactory.createTransport(logger);
+  logger.info('✅ Mail transport initialized', { transport: mailTransport.name });
+
   // Initialize services with dependencies
   logger.info('Initializing core services...');
 
   const userService = new UserService(logger, storageProvider);
   const fileService = new FileService(logger, storageProvider);
-  const authService = new AuthService(logger);
+  const mailService = new MailService(logger, mailTransport);
+  const twoFactorService = new TwoFactorService(logger);
+  const authService = new AuthService(logger, mailService, twoFactorService);
   const authorizationService = new AuthorizationService(logger);
   const personService = new PersonService(logger);
 
-  logger.info('✅ Core services initialized (User, File, Auth, Authorization, Person)');
+  logger.info('✅ Core services initialized (User, File, Mail, TwoFactor, Auth, Authorization, Person)');
 
   // Initialize project service without meeting service (circular dependency)
   const projectService = new ProjectService(logger);
-  logger.info('✅ Project service initialized');
+  const projectMemberService = new ProjectMemberService(logger, mailService);
+  logger.info('✅ Project services initialized (Project, ProjectMember)');
 
   // Initialize embedding service for semantic search
   logger.info('Initializing AI/ML services...');
@@ -121,6 +160,15 @@ const createApp = () => {
   const actionItemService = new ActionItemService(logger);
   logger.info('✅ Action item service initialized');
 
+  // Initialize webhook service (outbound meeting events, delivered by the worker)
+  const webhookService = new WebhookService(logger);
+
+  // Initialize personal access token service (scoped API tokens for automation)
+  const personalAccessTokenService = new PersonalAccessTokenService(logger);
+
+  // Initialize usage service (minutes ledger, shared by meetings and organizations)
+  const usageService = new UsageService(logger);
+
   // Initialize meeting service first (needed for transcription factory)
   logger.info('Initializing meeting and transcription services...');
   const meetingService = new MeetingService(
@@ -131,7 +179,9 @@ const createApp = () => {
     transcriptionDataService,
     audioStorageProvider,
     authorizationService,
-    actionItemService
+    actionItemService,
+    webhookService,
+    usageService
   );
 
   // Initialize transcription service using factory
@@ -147,8 +197,44 @@ const createApp = () => {
   // Set the meeting service on project service (for cascade deletion)
   projectService.meetingService = meetingService;
 
+  // Initialize trash service (listing and purging soft-deleted projects and meetings)
+  const trashService = new TrashService(logger, meetingService, projectService);
+
+  // Initialize meeting batch service (bulk meeting operations, processed by the worker)
+  const meetingBatchService = new MeetingBatchService(logger, meetingService, projectService);
+
+  // Initialize account data service (data exports and cascading account deletion)
+  const accountDataService = new AccountDataService(
+    logger,
+    audioStorageProvider,
+    transcriptionDataService,
+    projectService,
+    userService,
+    fileService
+  );
+
+  // Initialize project bundle service (portable project export and import)
+  const projectBundleService = new ProjectBundleService(
+    logger,
+    audioStorageProvider,
+    transcriptionDataService,
+    projectService,
+    usageService,
+    meetingService
+  );
+
+  // Initialize live recording service (audio streamed over WebSocket)
+  const liveRecordingService = new LiveRecordingService(logger, meetingService, audioStorageProvider);
+
   logger.info('✅ Meeting and transcription services initialized');
 
+  // Initialize chat service (RAG over transcripts, uses transcription service LLM)
+  const chatService = new ChatService(logger, retrievalService, transcriptionService);
+
+  // Initialize organization services (pooled tier usage)
+  const organizationService = new OrganizationService(logger, usageService, mailService);
+  const tierService = new TierService(logger);
+
   // Initialize integration services
   logger.info('Initializing integration services...');
   const integrationService = new IntegrationService(logger, projectService);
@@ -166,11 +252,11 @@ const createApp = () => {
   // Initialize controllers with services
   logger.info('Initializing API controllers...');
 
-  const userController = new UserController(userService, logger);
+  const userController = new UserController(userService, logger, accountDataService, usageService);
   const fileController = new FileController(fileService, logger);
   const healthController = new HealthController(logger);
   const authController = new AuthController(authService, logger);
-  const projectController = new ProjectController(projectService, logger);
+  const projectController = new ProjectController(projectService, logger, projectBundleService);
   const meetingController = new MeetingController(meetingService, actionItemService, logger);
   const transcriptionController = new TranscriptionController(
     transcriptionDataService,
@@ -178,11 +264,20 @@ const createApp = () => {
     projectService,
     logger
   );
-  const personController = new PersonController(personService, transcriptionDataService, logger);
+  const personController = new PersonController(personService, transcriptionDataService, actionItemService, logger);
   const integrationController = new IntegrationController(logger, integrationService);
   const lineWebhookController = new LineWebhookController(logger, lineWebhookService);
-
-  logger.info('✅ API controllers initialized (10 controllers ready)');
+  const chatController = new ChatController(chatService, logger);
+  const projectMemberController = new ProjectMemberController(projectMemberService, logger);
+  const organizationController = new OrganizationController(organizationService, logger);
+  const adminController = new AdminController(userService, tierService, usageService, logger);
+  const webhookController = new WebhookController(webhookService, logger);
+  const accessTokenController = new AccessTokenController(personalAccessTokenService, logger);
+  const twoFactorController = new TwoFactorController(twoFactorService, logger);
+  const trashController = new TrashController(trashService, projectService, meetingService, logger);
+  const meetingBatchController = new MeetingBatchController(meetingBatchService, logger);
+
+  logger.info('✅ API controllers initialized (17 controllers ready)');
 
   // Basic middleware
   logger.info('Configuring Express middleware...');
@@ -285,15 +380,28 @@ const createApp = () => {
     userController,
     fileController,
     healthController,
+    authController,
     projectController,
     meetingController,
     transcriptionController,
     personController,
-    integrationController
+    integrationController,
+    chatController,
+    projectMemberController,
+    organizationController,
+    adminController,
+    webhookController,
+    accessTokenController,
+    twoFactorController,
+    trashController,
+    meetingBatchController
   }, audioStorageProvider));
 
   logger.info('✅ Routes mounted successfully');
 
+  // WebSocket endpoints are attached to the HTTP server once it is listening (see server.js)
+  app.set('liveRecordingGateway', new LiveRecordingGateway(liveRecordingService, logger));
+
   // Serve static files (for local storage)
   if (config.storage.provider === 'local') {
     logger.info(`Serving static files from ${config.storage.localPath} at /files`);
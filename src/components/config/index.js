@@ -24,7 +24,9 @@ const config = {
     provider: process.env.STORAGE_PROVIDER || 'local',
     localPath: process.env.LOCAL_STORAGE_PATH || './storage',
     gcsBucket: process.env.GCS_BUCKET_NAME,
-    gcsKeyFile: process.env.GCS_KEYFILE_PATH
+    gcsKeyFile: process.env.GCS_KEYFILE_PATH,
+    s3Bucket: process.env.AWS_BUCKET_NAME,
+    s3Endpoint: process.env.AWS_S3_ENDPOINT
   },
 
   auth: {
@@ -47,6 +49,7 @@ const config = {
   embedding: {
     provider: process.env.EMBEDDING_PROVIDER || 'openai',
     openaiApiKey: process.env.OPENAI_API_KEY,
+    apiUrl: process.env.EMBEDDING_API_URL,
     model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
     dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || 1536,
     vectorSearchEnabled: process.env.VECTOR_SEARCH_ENABLED !== 'false'
@@ -72,4 +75,8 @@ if (config.storage.provider === 'gcs' && !config.storage.gcsBucket) {
   throw new Error('GCS_BUCKET_NAME is required when STORAGE_PROVIDER=gcs');
 }
 
+if (config.storage.provider === 's3' && !config.storage.s3Bucket) {
+  throw new Error('AWS_BUCKET_NAME is required when STORAGE_PROVIDER=s3');
+}
+
 module.exports = config;
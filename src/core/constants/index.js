@@ -6,7 +6,12 @@ const {
   TranscriptionStatus,
   MeetingStatus,
   FileStatus,
-  AuthProvider
+  AuthProvider,
+  AccountTokenType,
+  DataExportStatus,
+  UsageEntryReason,
+  MeetingBatchStatus,
+  MeetingBatchAction
 } = require('./status.constants');
 
 module.exports = {
@@ -14,5 +19,10 @@ module.exports = {
   TranscriptionStatus,
   MeetingStatus,
   FileStatus,
-  AuthProvider
+  AuthProvider,
+  AccountTokenType,
+  DataExportStatus,
+  UsageEntryReason,
+  MeetingBatchStatus,
+  MeetingBatchAction
 };
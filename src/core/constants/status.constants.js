@@ -48,10 +48,71 @@ const AuthProvider = {
   GOOGLE: 'google'
 };
 
+/**
+ * Emailed single-use account token types
+ */
+const AccountTokenType = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+/**
+ * Account data export status values
+ */
+const DataExportStatus = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Usage ledger entry reasons
+ * Charges are positive entries, credits negative
+ */
+const UsageEntryReason = {
+  UPLOAD: 'upload',
+  LIVE_RECORDING: 'live_recording',
+  TRANSCRIPTION_RETRY: 'transcription_retry',
+  RETRANSCRIPTION: 'retranscription',
+  TRANSCRIPTION_FAILED: 'transcription_failed',
+  MEETING_DELETED: 'meeting_deleted',
+  MEETING_RESTORED: 'meeting_restored',
+  MEETING_COPY: 'meeting_copy',
+  BUNDLE_IMPORT: 'bundle_import',
+  BACKFILL: 'backfill'
+};
+
+/**
+ * Bulk meeting operation status values
+ */
+const MeetingBatchStatus = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * Operations that can be applied to many meetings at once
+ */
+const MeetingBatchAction = {
+  MOVE: 'move',
+  DELETE: 'delete',
+  RETRANSCRIBE: 'retranscribe',
+  REGENERATE_ACTION_ITEMS: 'regenerate_action_items'
+};
+
 module.exports = {
   UserStatus,
   TranscriptionStatus,
   MeetingStatus,
   FileStatus,
-  AuthProvider
+  AuthProvider,
+  AccountTokenType,
+  DataExportStatus,
+  UsageEntryReason,
+  MeetingBatchStatus,
+  MeetingBatchAction
 };
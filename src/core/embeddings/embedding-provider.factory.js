@@ -0,0 +1,61 @@
+/**
+ * Embedding Provider Factory
+ * Creates appropriate embedding provider based on configuration
+ *
+ * Environment Variables:
+ * - EMBEDDING_PROVIDER: 'openai', 'http' or 'hash' (default: 'openai')
+ * - EMBEDDING_MODEL: Model name (default: 'text-embedding-3-small')
+ * - EMBEDDING_DIMENSIONS: Vector dimensions (default: 1536)
+ * - OPENAI_API_KEY: API key for the openai provider
+ * - EMBEDDING_API_URL: Base URL of an OpenAI-compatible endpoint (http provider, e.g. http://localhost:8080/v1)
+ * - EMBEDDING_API_KEY: Optional bearer token for the http provider
+ * - EMBEDDING_API_SEND_DIMENSIONS: 'true' to send the dimensions parameter (http provider)
+ */
+const OpenAIEmbeddingProvider = require('./openai-embedding.provider');
+const HttpEmbeddingProvider = require('./http-embedding.provider');
+const HashEmbeddingProvider = require('./hash-embedding.provider');
+
+class EmbeddingProviderFactory {
+  /**
+   * Create embedding provider instance
+   * @param {Object} logger - Logger instance
+   * @param {Object} config - Embedding configuration
+   * @returns {EmbeddingProvider} Embedding provider instance
+   */
+  static createProvider(logger, config = {}) {
+    const provider = (config.provider || process.env.EMBEDDING_PROVIDER || 'openai').toLowerCase();
+    const model = config.model || process.env.EMBEDDING_MODEL;
+    const dimensions = config.dimensions || parseInt(process.env.EMBEDDING_DIMENSIONS) || 1536;
+
+    switch (provider) {
+      case 'openai':
+        return new OpenAIEmbeddingProvider({
+          apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+          model: model || 'text-embedding-3-small',
+          dimensions
+        });
+
+      case 'http':
+        return new HttpEmbeddingProvider({
+          baseUrl: config.baseUrl || process.env.EMBEDDING_API_URL,
+          apiKey: config.apiKey || process.env.EMBEDDING_API_KEY,
+          sendDimensions: config.sendDimensions ?? process.env.EMBEDDING_API_SEND_DIMENSIONS === 'true',
+          model: model || 'text-embedding-3-small',
+          dimensions
+        });
+
+      case 'hash':
+        return new HashEmbeddingProvider({ dimensions });
+
+      default:
+        logger.warn(`Unknown embedding provider: ${provider}, falling back to openai`);
+        return new OpenAIEmbeddingProvider({
+          apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+          model: model || 'text-embedding-3-small',
+          dimensions
+        });
+    }
+  }
+}
+
+module.exports = EmbeddingProviderFactory;
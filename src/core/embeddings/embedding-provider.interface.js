@@ -0,0 +1,56 @@
+/**
+ * Embedding Provider Interface
+ * Abstract interface for text embedding implementations
+ * Supports OpenAI, OpenAI-compatible HTTP endpoints, and a local hashing embedder
+ */
+
+class EmbeddingProvider {
+  constructor(config = {}) {
+    this.model = config.model;
+    this.dimensions = config.dimensions;
+  }
+
+  /**
+   * Provider name (used in logs and embedding signatures)
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('name must be implemented by embedding provider');
+  }
+
+  /**
+   * Check whether the provider has everything it needs to generate embeddings
+   * @returns {boolean}
+   */
+  isConfigured() {
+    throw new Error('isConfigured() must be implemented by embedding provider');
+  }
+
+  /**
+   * Generate embeddings for a batch of texts
+   * @param {Array<string>} _texts - Non-empty texts
+   * @returns {Promise<Array<Array<number>>>} Embedding vectors (same order as input)
+   */
+  async embed(_texts) {
+    throw new Error('embed() must be implemented by embedding provider');
+  }
+
+  /**
+   * Maximum number of texts per embed() call
+   * @returns {number}
+   */
+  get maxBatchSize() {
+    return 100;
+  }
+
+  /**
+   * Signature identifying the vector space produced by this provider
+   * Embeddings with different signatures are not comparable
+   * @returns {string} e.g. "openai:text-embedding-3-small:1536"
+   */
+  getSignature() {
+    return `${this.name}:${this.model}:${this.dimensions}`;
+  }
+}
+
+module.exports = EmbeddingProvider;
@@ -0,0 +1,89 @@
+/**
+ * Hash Embedding Provider
+ * Deterministic, network-free embedder based on feature hashing
+ * Words and character trigrams are hashed into a fixed-size signed vector and L2-normalized
+ *
+ * Captures lexical overlap only (no semantics), which is enough to exercise
+ * the full search pipeline in CI and air-gapped deployments
+ */
+const EmbeddingProvider = require('./embedding-provider.interface');
+const { tokenize } = require('../utils/retrieval-scoring');
+
+// FNV-1a 32-bit constants
+const FNV_OFFSET_BASIS = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+class HashEmbeddingProvider extends EmbeddingProvider {
+  constructor(config = {}) {
+    super({ ...config, model: config.model || 'hash-v1' });
+  }
+
+  get name() {
+    return 'hash';
+  }
+
+  get maxBatchSize() {
+    return 1000;
+  }
+
+  isConfigured() {
+    return this.dimensions > 0;
+  }
+
+  /**
+   * Generate embeddings locally
+   * @param {Array<string>} texts - Non-empty texts
+   * @returns {Promise<Array<Array<number>>>} Embedding vectors
+   */
+  async embed(texts) {
+    return texts.map(text => this._embedText(text));
+  }
+
+  /**
+   * Hash a single text into a normalized vector
+   * @private
+   */
+  _embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = tokenize(text);
+
+    tokens.forEach(token => {
+      this._addFeature(vector, `w:${token}`, 1);
+
+      // Character trigrams make the embedding tolerant to inflections and typos
+      const padded = `#${token}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        this._addFeature(vector, `c:${padded.substring(i, i + 3)}`, 0.5);
+      }
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  /**
+   * Add a hashed feature to the vector (sign bit reduces collision bias)
+   * @private
+   */
+  _addFeature(vector, feature, weight) {
+    const hash = this._fnv1a(feature);
+    const index = hash % this.dimensions;
+    const sign = (hash >>> 31) === 1 ? -1 : 1;
+    vector[index] += sign * weight;
+  }
+
+  /**
+   * FNV-1a 32-bit hash
+   * @private
+   */
+  _fnv1a(input) {
+    let hash = FNV_OFFSET_BASIS;
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, FNV_PRIME);
+    }
+    return hash >>> 0;
+  }
+}
+
+module.exports = HashEmbeddingProvider;
@@ -0,0 +1,83 @@
+/**
+ * HTTP Embedding Provider
+ * Generates embeddings from any OpenAI-compatible `/embeddings` endpoint
+ * (self-hosted servers such as text-embeddings-inference, vLLM, Ollama, LocalAI)
+ */
+const EmbeddingProvider = require('./embedding-provider.interface');
+
+class HttpEmbeddingProvider extends EmbeddingProvider {
+  constructor(config = {}) {
+    super(config);
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || null;
+    this.sendDimensions = config.sendDimensions === true;
+    this.timeout = config.timeout || 30000;
+    this.batchSize = config.batchSize || 32;
+  }
+
+  get name() {
+    return 'http';
+  }
+
+  get maxBatchSize() {
+    return this.batchSize;
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Generate embeddings via HTTP endpoint
+   * @param {Array<string>} texts - Non-empty texts
+   * @returns {Promise<Array<Array<number>>>} Embedding vectors
+   */
+  async embed(texts) {
+    const body = {
+      model: this.model,
+      input: texts
+    };
+
+    // Many self-hosted servers reject the dimensions parameter
+    if (this.sendDimensions) {
+      body.dimensions = this.dimensions;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Embedding endpoint returned ${response.status}: ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const payload = await response.json();
+
+    if (!Array.isArray(payload.data)) {
+      throw new Error('Embedding endpoint returned an invalid response (missing data array)');
+    }
+
+    const embeddings = [...payload.data]
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(item => item.embedding);
+
+    const mismatch = embeddings.find(embedding => embedding.length !== this.dimensions);
+    if (mismatch) {
+      throw new Error(`Embedding endpoint returned ${mismatch.length} dimensions, expected ${this.dimensions} (check EMBEDDING_DIMENSIONS)`);
+    }
+
+    return embeddings;
+  }
+}
+
+module.exports = HttpEmbeddingProvider;
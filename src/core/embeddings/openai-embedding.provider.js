@@ -0,0 +1,42 @@
+/**
+ * OpenAI Embedding Provider
+ * Generates embeddings with the OpenAI embeddings API
+ */
+const OpenAI = require('openai');
+const EmbeddingProvider = require('./embedding-provider.interface');
+
+class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  constructor(config = {}) {
+    super(config);
+    this.apiKey = config.apiKey;
+
+    if (this.apiKey) {
+      this.client = new OpenAI({ apiKey: this.apiKey });
+    }
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Generate embeddings via OpenAI
+   * @param {Array<string>} texts - Non-empty texts
+   * @returns {Promise<Array<Array<number>>>} Embedding vectors
+   */
+  async embed(texts) {
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts,
+      dimensions: this.dimensions
+    });
+
+    return response.data.map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
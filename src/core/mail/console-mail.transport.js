@@ -0,0 +1,33 @@
+/**
+ * Console Mail Transport
+ * Logs messages instead of sending them (default when no SMTP server is configured)
+ */
+const crypto = require('crypto');
+const MailTransport = require('./mail-transport.interface');
+
+class ConsoleMailTransport extends MailTransport {
+  constructor(config = {}) {
+    super(config);
+    this.logger = config.logger;
+  }
+
+  get name() {
+    return 'console';
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    this.logger.info('📧 Email (console transport, not sent)', {
+      messageId,
+      from: this.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleMailTransport;
@@ -0,0 +1,35 @@
+/**
+ * File Mail Transport
+ * Writes each message to a JSON file instead of sending it (local development and staging)
+ * Links in the files can be opened directly to walk through email-based flows
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const MailTransport = require('./mail-transport.interface');
+
+class FileMailTransport extends MailTransport {
+  constructor(config = {}) {
+    super(config);
+    this.directory = path.resolve(config.directory || './tmp/mail');
+  }
+
+  get name() {
+    return 'file';
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(this.directory, `${messageId}.json`);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ messageId, from: this.from, date: new Date().toISOString(), ...message }, null, 2)
+    );
+
+    return { messageId, path: filePath };
+  }
+}
+
+module.exports = FileMailTransport;
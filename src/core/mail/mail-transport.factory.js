@@ -0,0 +1,55 @@
+/**
+ * Mail Transport Factory
+ * Creates appropriate mail transport based on configuration
+ *
+ * Environment Variables:
+ * - MAIL_TRANSPORT: 'smtp', 'file' or 'console' (default: 'smtp' when SMTP_HOST is set, 'console' otherwise)
+ * - MAIL_FROM: Sender address (default: 'Meno <no-reply@localhost>')
+ * - SMTP_HOST, SMTP_PORT (default: 587), SMTP_SECURE ('true' for implicit TLS, e.g. port 465)
+ * - SMTP_USER, SMTP_PASSWORD: Optional SMTP credentials
+ * - MAIL_FILE_DIR: Output directory of the file transport (default: ./tmp/mail, keep it outside the served storage path)
+ */
+const SmtpMailTransport = require('./smtp-mail.transport');
+const FileMailTransport = require('./file-mail.transport');
+const ConsoleMailTransport = require('./console-mail.transport');
+
+class MailTransportFactory {
+  /**
+   * Create mail transport instance
+   * @param {Object} logger - Logger instance
+   * @param {Object} config - Mail configuration
+   * @returns {MailTransport} Mail transport instance
+   */
+  static createTransport(logger, config = {}) {
+    const defaultTransport = (config.host || process.env.SMTP_HOST) ? 'smtp' : 'console';
+    const transport = (config.transport || process.env.MAIL_TRANSPORT || defaultTransport).toLowerCase();
+    const from = config.from || process.env.MAIL_FROM || 'Meno <no-reply@localhost>';
+
+    switch (transport) {
+      case 'smtp':
+        return new SmtpMailTransport({
+          from,
+          host: config.host || process.env.SMTP_HOST,
+          port: config.port || parseInt(process.env.SMTP_PORT) || 587,
+          secure: config.secure ?? process.env.SMTP_SECURE === 'true',
+          user: config.user || process.env.SMTP_USER,
+          password: config.password || process.env.SMTP_PASSWORD
+        });
+
+      case 'file':
+        return new FileMailTransport({
+          from,
+          directory: config.directory || process.env.MAIL_FILE_DIR
+        });
+
+      case 'console':
+        return new ConsoleMailTransport({ from, logger });
+
+      default:
+        logger.warn(`Unknown mail transport: ${transport}, falling back to console`);
+        return new ConsoleMailTransport({ from, logger });
+    }
+  }
+}
+
+module.exports = MailTransportFactory;
@@ -0,0 +1,42 @@
+/**
+ * Mail Transport Interface
+ * Abstract interface for delivering email messages
+ * Supports SMTP, and file and console transports for local development
+ */
+
+class MailTransport {
+  constructor(config = {}) {
+    this.from = config.from;
+  }
+
+  /**
+   * Transport name (used in logs)
+   * @returns {string}
+   */
+  get name() {
+    throw new Error('name must be implemented by mail transport');
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} _message - Message to send
+   * @param {string} _message.to - Recipient address
+   * @param {string} _message.subject - Subject line
+   * @param {string} _message.text - Plain text body
+   * @param {string} [_message.html] - HTML body
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(_message) {
+    throw new Error('send() must be implemented by mail transport');
+  }
+
+  /**
+   * Check that the transport can deliver mail (e.g. SMTP credentials work)
+   * @returns {Promise<boolean>}
+   */
+  async verify() {
+    return true;
+  }
+}
+
+module.exports = MailTransport;
@@ -0,0 +1,39 @@
+/**
+ * SMTP Mail Transport
+ * Delivers messages through an SMTP server using nodemailer
+ */
+const nodemailer = require('nodemailer');
+const MailTransport = require('./mail-transport.interface');
+
+class SmtpMailTransport extends MailTransport {
+  constructor(config = {}) {
+    super(config);
+
+    if (!config.host) {
+      throw new Error('SMTP_HOST is required when MAIL_TRANSPORT=smtp');
+    }
+
+    this.transporter = nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: config.user ? { user: config.user, pass: config.password } : undefined
+    });
+  }
+
+  get name() {
+    return 'smtp';
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({ from: this.from, ...message });
+    return { messageId: info.messageId };
+  }
+
+  async verify() {
+    await this.transporter.verify();
+    return true;
+  }
+}
+
+module.exports = SmtpMailTransport;
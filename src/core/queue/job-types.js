@@ -12,6 +12,10 @@
 const JOB_TYPES = {
   TRANSCRIPTION: 'transcription',
   TRANSCRIPTION_LARGE: 'transcription-large', // For meetings > 40 minutes
+  WEBHOOK_DELIVERY: 'webhook-delivery', // Outbound webhook events
+  DATA_EXPORT: 'data-export', // Account data export archives
+  TRASH_PURGE: 'trash-purge', // Scheduled permanent deletion of expired trash
+  MEETING_BATCH: 'meeting-batch', // Bulk move/delete/re-transcribe/action items over many meetings
   // Future job types can be added here:
   // EMBEDDING: 'embedding',
   // ACTION_ITEMS: 'action-items',
@@ -80,11 +84,38 @@ const JOB_SCHEMAS = {
       },
     },
   },
+  [JOB_TYPES.WEBHOOK_DELIVERY]: {
+    deliveryId: {
+      type: 'string',
+      required: true,
+      description: 'MongoDB ObjectId of the WebhookDelivery log entry to send',
+    },
+  },
+  [JOB_TYPES.DATA_EXPORT]: {
+    exportId: {
+      type: 'string',
+      required: true,
+      description: 'MongoDB ObjectId of the DataExport request to assemble',
+    },
+  },
+  // Scheduled by the worker; purges everything past the retention window
+  [JOB_TYPES.TRASH_PURGE]: {},
+  [JOB_TYPES.MEETING_BATCH]: {
+    batchId: {
+      type: 'string',
+      required: true,
+      description: 'MongoDB ObjectId of the MeetingBatch to process',
+    },
+  },
 };
 
 const QUEUE_NAMES = {
   [JOB_TYPES.TRANSCRIPTION]: 'transcription-queue',
   [JOB_TYPES.TRANSCRIPTION_LARGE]: 'transcription-large-queue',
+  [JOB_TYPES.WEBHOOK_DELIVERY]: 'webhook-delivery-queue',
+  [JOB_TYPES.DATA_EXPORT]: 'data-export-queue',
+  [JOB_TYPES.TRASH_PURGE]: 'trash-purge-queue',
+  [JOB_TYPES.MEETING_BATCH]: 'meeting-batch-queue',
   // Future: [JOB_TYPES.EMBEDDING]: 'embedding-queue',
 };
 
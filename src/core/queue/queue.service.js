@@ -73,6 +73,82 @@ class QueueService {
         });
       });
 
+      // Initialize webhook delivery queue (outbound event notifications)
+      const webhookDeliveryQueue = new Queue(
+        QUEUE_NAMES[JOB_TYPES.WEBHOOK_DELIVERY],
+        {
+          connection: redisConnection,
+          defaultJobOptions: queueConfigs.webhookDelivery.defaultJobOptions,
+        }
+      );
+
+      this.queues.set(JOB_TYPES.WEBHOOK_DELIVERY, webhookDeliveryQueue);
+
+      // Test connection
+      webhookDeliveryQueue.on('error', (error) => {
+        this.logger.error('Queue connection error', {
+          error: error.message,
+          queue: QUEUE_NAMES[JOB_TYPES.WEBHOOK_DELIVERY],
+        });
+      });
+
+      // Initialize data export queue (account data archives)
+      const dataExportQueue = new Queue(
+        QUEUE_NAMES[JOB_TYPES.DATA_EXPORT],
+        {
+          connection: redisConnection,
+          defaultJobOptions: queueConfigs.dataExport.defaultJobOptions,
+        }
+      );
+
+      this.queues.set(JOB_TYPES.DATA_EXPORT, dataExportQueue);
+
+      // Test connection
+      dataExportQueue.on('error', (error) => {
+        this.logger.error('Queue connection error', {
+          error: error.message,
+          queue: QUEUE_NAMES[JOB_TYPES.DATA_EXPORT],
+        });
+      });
+
+      // Initialize trash purge queue (scheduled permanent deletion)
+      const trashPurgeQueue = new Queue(
+        QUEUE_NAMES[JOB_TYPES.TRASH_PURGE],
+        {
+          connection: redisConnection,
+          defaultJobOptions: queueConfigs.trashPurge.defaultJobOptions,
+        }
+      );
+
+      this.queues.set(JOB_TYPES.TRASH_PURGE, trashPurgeQueue);
+
+      // Test connection
+      trashPurgeQueue.on('error', (error) => {
+        this.logger.error('Queue connection error', {
+          error: error.message,
+          queue: QUEUE_NAMES[JOB_TYPES.TRASH_PURGE],
+        });
+      });
+
+      // Initialize meeting batch queue (bulk meeting operations)
+      const meetingBatchQueue = new Queue(
+        QUEUE_NAMES[JOB_TYPES.MEETING_BATCH],
+        {
+          connection: redisConnection,
+          defaultJobOptions: queueConfigs.meetingBatch.defaultJobOptions,
+        }
+      );
+
+      this.queues.set(JOB_TYPES.MEETING_BATCH, meetingBatchQueue);
+
+      // Test connection
+      meetingBatchQueue.on('error', (error) => {
+        this.logger.error('Queue connection error', {
+          error: error.message,
+          queue: QUEUE_NAMES[JOB_TYPES.MEETING_BATCH],
+        });
+      });
+
       this.logger.info('Queue service initialized', {
         queues: Array.from(this.queues.keys()),
         redis: `${redisConnection.host}:${redisConnection.port}`,
@@ -98,7 +174,7 @@ class QueueService {
    *
    * @param {string} meetingId - MongoDB ObjectId of the meeting
    * @param {string} audioUri - Storage URI of the audio file
-   * @param {object} options - Additional options (language, speakerDetection, etc.)
+   * @param {object} options - Additional options (language, speakerDetection, rerun, etc.)
    * @returns {Promise<object>} Job information { jobId, meetingId }
    */
   async enqueueTranscription(meetingId, audioUri, options = {}) {
@@ -115,7 +191,7 @@ class QueueService {
    *
    * @param {string} meetingId - MongoDB ObjectId of the meeting
    * @param {string} audioUri - Storage URI of the audio file
-   * @param {object} options - Additional options (language, speakerDetection, etc.)
+   * @param {object} options - Additional options (language, speakerDetection, rerun, etc.)
    * @returns {Promise<object>} Job information { jobId, meetingId }
    */
   async enqueueTranscriptionLarge(meetingId, audioUri, options = {}) {
@@ -155,7 +231,9 @@ class QueueService {
         jobType,
         jobData,
         {
-          jobId: `${jobType}-${meetingId}`, // Unique job ID prevents duplicates
+          // Unique job ID prevents duplicates; reruns of a finished transcription need a new one
+          // because completed and failed jobs keep their ID until they are removed
+          jobId: options.rerun ? `${jobType}-${meetingId}-${Date.now()}` : `${jobType}-${meetingId}`,
           priority: options.priority || 1, // Lower number = higher priority
         }
       );
@@ -182,6 +260,167 @@ class QueueService {
     }
   }
 
+  /**
+   * Enqueue delivery of a webhook event
+   * Retries with exponential backoff are configured on the queue (queueConfigs.webhookDelivery)
+   *
+   * @param {string} deliveryId - MongoDB ObjectId of the WebhookDelivery log entry
+   * @returns {Promise<object>} Job information { jobId, deliveryId }
+   */
+  async enqueueWebhookDelivery(deliveryId) {
+    this.ensureInitialized(); // Lazy initialization
+
+    try {
+      const queue = this.queues.get(JOB_TYPES.WEBHOOK_DELIVERY);
+
+      if (!queue) {
+        throw new Error(`Queue for job type ${JOB_TYPES.WEBHOOK_DELIVERY} not initialized`);
+      }
+
+      const job = await queue.add(
+        JOB_TYPES.WEBHOOK_DELIVERY,
+        { deliveryId: deliveryId.toString() },
+        {
+          jobId: `${JOB_TYPES.WEBHOOK_DELIVERY}-${deliveryId}`, // One job per delivery log entry
+        }
+      );
+
+      this.logger.debug('Webhook delivery job enqueued', {
+        jobId: job.id,
+        deliveryId,
+      });
+
+      return {
+        jobId: job.id,
+        deliveryId,
+      };
+    } catch (error) {
+      this.logger.error('Failed to enqueue webhook delivery job', {
+        error: error.message,
+        deliveryId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Enqueue assembly of an account data export archive
+   *
+   * @param {string} exportId - MongoDB ObjectId of the DataExport request
+   * @returns {Promise<object>} Job information { jobId, exportId }
+   */
+  async enqueueDataExport(exportId) {
+    this.ensureInitialized(); // Lazy initialization
+
+    try {
+      const queue = this.queues.get(JOB_TYPES.DATA_EXPORT);
+
+      if (!queue) {
+        throw new Error(`Queue for job type ${JOB_TYPES.DATA_EXPORT} not initialized`);
+      }
+
+      const job = await queue.add(
+        JOB_TYPES.DATA_EXPORT,
+        { exportId: exportId.toString() },
+        {
+          jobId: `${JOB_TYPES.DATA_EXPORT}-${exportId}`, // One job per export request
+        }
+      );
+
+      this.logger.info('Data export job enqueued', {
+        jobId: job.id,
+        exportId,
+      });
+
+      return {
+        jobId: job.id,
+        exportId,
+      };
+    } catch (error) {
+      this.logger.error('Failed to enqueue data export job', {
+        error: error.message,
+        exportId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Enqueue processing of a bulk meeting operation
+   *
+   * @param {string} batchId - MongoDB ObjectId of the MeetingBatch
+   * @returns {Promise<object>} Job information { jobId, batchId }
+   */
+  async enqueueMeetingBatch(batchId) {
+    this.ensureInitialized(); // Lazy initialization
+
+    try {
+      const queue = this.queues.get(JOB_TYPES.MEETING_BATCH);
+
+      if (!queue) {
+        throw new Error(`Queue for job type ${JOB_TYPES.MEETING_BATCH} not initialized`);
+      }
+
+      const job = await queue.add(
+        JOB_TYPES.MEETING_BATCH,
+        { batchId: batchId.toString() },
+        {
+          jobId: `${JOB_TYPES.MEETING_BATCH}-${batchId}`, // One job per batch
+        }
+      );
+
+      this.logger.info('Meeting batch job enqueued', {
+        jobId: job.id,
+        batchId,
+      });
+
+      return {
+        jobId: job.id,
+        batchId,
+      };
+    } catch (error) {
+      this.logger.error('Failed to enqueue meeting batch job', {
+        error: error.message,
+        batchId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule the recurring trash purge job (idempotent, safe to call from every worker)
+   *
+   * @param {number} every - Interval in milliseconds (default: queueConfigs.trashPurge.every)
+   * @returns {Promise<object>} Schedule information { schedulerId, every }
+   */
+  async scheduleTrashPurge(every = queueConfigs.trashPurge.every) {
+    this.ensureInitialized(); // Lazy initialization
+
+    try {
+      const queue = this.queues.get(JOB_TYPES.TRASH_PURGE);
+
+      if (!queue) {
+        throw new Error(`Queue for job type ${JOB_TYPES.TRASH_PURGE} not initialized`);
+      }
+
+      const schedulerId = `${JOB_TYPES.TRASH_PURGE}-schedule`;
+      await queue.upsertJobScheduler(
+        schedulerId,
+        { every },
+        { name: JOB_TYPES.TRASH_PURGE, data: {} }
+      );
+
+      this.logger.info('Trash purge job scheduled', { schedulerId, every });
+
+      return { schedulerId, every };
+    } catch (error) {
+      this.logger.error('Failed to schedule trash purge job', {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get job status and progress
    *
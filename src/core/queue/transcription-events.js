@@ -0,0 +1,224 @@
+/**
+ * Transcription Events
+ *
+ * Redis pub/sub channel carrying live transcription updates from the worker
+ * (progress, newly saved segments, final status) to API processes serving
+ * Server-Sent Events streams.
+ *
+ * Publishing is fire-and-forget and gives up quickly while Redis is unavailable, so
+ * it never slows down or fails a transcription. Each API process keeps one subscriber
+ * connection and fans messages out to its local listeners per meeting.
+ */
+
+const EventEmitter = require('events');
+const Redis = require('ioredis');
+const { redisConnection } = require('../../worker/config/queue.config');
+const logger = require('../../components/logging');
+
+const CHANNEL_PREFIX = 'meno:transcription:';
+
+class TranscriptionEvents {
+  constructor() {
+    this.logger = logger;
+    this.publisher = null;
+    this.subscriber = null;
+    this.subscriptions = new Map(); // Channel -> pending/active SUBSCRIBE promise
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open SSE stream
+  }
+
+  /**
+   * Redis channel for a meeting
+   * @param {string} meetingId - Meeting ID
+   * @returns {string} Channel name
+   * @private
+   */
+  _channel(meetingId) {
+    return `${CHANNEL_PREFIX}${meetingId}`;
+  }
+
+  /**
+   * Get the publisher connection (lazy initialization)
+   * @private
+   */
+  _getPublisher() {
+    if (!this.publisher) {
+      this.publisher = new Redis({
+        ...redisConnection,
+        maxRetriesPerRequest: 1, // Drop updates after one failed reconnect instead of queueing them forever
+      });
+
+      this.publisher.on('error', (error) => {
+        this.logger.debug('Transcription events publisher error', { error: error.message });
+      });
+    }
+    return this.publisher;
+  }
+
+  /**
+   * Get the subscriber connection (lazy initialization)
+   * @private
+   */
+  _getSubscriber() {
+    if (!this.subscriber) {
+      this.subscriber = new Redis(redisConnection);
+
+      this.subscriber.on('message', (channel, message) => {
+        if (!channel.startsWith(CHANNEL_PREFIX)) {
+          return;
+        }
+
+        try {
+          this.emitter.emit(channel, JSON.parse(message));
+        } catch (error) {
+          this.logger.warn('Ignoring malformed transcription event', { channel, error: error.message });
+        }
+      });
+
+      this.subscriber.on('error', (error) => {
+        this.logger.error('Transcription events subscriber error', { error: error.message });
+      });
+    }
+    return this.subscriber;
+  }
+
+  /**
+   * Publish an event for a meeting (never throws)
+   * @param {string} meetingId - Meeting ID
+   * @param {Object} event - Event with a `type` field
+   */
+  publish(meetingId, event) {
+    try {
+      const message = JSON.stringify({ ...event, meetingId: meetingId.toString() });
+
+      this._getPublisher()
+        .publish(this._channel(meetingId), message)
+        .catch((error) => {
+          this.logger.debug('Failed to publish transcription event', {
+            meetingId,
+            type: event.type,
+            error: error.message,
+          });
+        });
+    } catch (error) {
+      this.logger.debug('Failed to publish transcription event', {
+        meetingId,
+        type: event.type,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Publish transcription progress
+   * @param {string} meetingId - Meeting ID
+   * @param {Object} update - Progress fields
+   * @param {number} update.progress - Progress percentage
+   * @param {string} [update.status] - Transcription status, when it changed
+   * @param {number} [update.processedSegments] - Number of segments saved so far
+   */
+  publishProgress(meetingId, update) {
+    this.publish(meetingId, { type: 'progress', ...update });
+  }
+
+  /**
+   * Publish newly saved transcript segments
+   * @param {string} meetingId - Meeting ID
+   * @param {Array} transcriptions - Saved transcription documents
+   */
+  publishSegments(meetingId, transcriptions) {
+    if (!transcriptions || transcriptions.length === 0) {
+      return;
+    }
+
+    this.publish(meetingId, {
+      type: 'segments',
+      segments: transcriptions.map(t => ({
+        _id: t._id,
+        startTime: t.startTime,
+        endTime: t.endTime,
+        speaker: t.speaker,
+        text: t.text,
+      })),
+    });
+  }
+
+  /**
+   * Publish a final transcription status
+   * @param {string} meetingId - Meeting ID
+   * @param {string} status - 'completed' or 'failed'
+   * @param {Object} details - Extra fields (e.g. error, willRetry)
+   */
+  publishStatus(meetingId, status, details = {}) {
+    this.publish(meetingId, { type: 'status', status, ...details });
+  }
+
+  /**
+   * Listen to events of a meeting
+   * Resolves once the Redis subscription is active, so no event published afterwards is missed
+   * @param {string} meetingId - Meeting ID
+   * @param {Function} listener - Called with each event object
+   * @param {Object} options - Subscribe options
+   * @param {number} options.timeoutMs - How long to wait for Redis before giving up
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe(meetingId, listener, { timeoutMs = 5000 } = {}) {
+    const channel = this._channel(meetingId);
+    const subscriber = this._getSubscriber();
+
+    if (!this.subscriptions.has(channel)) {
+      this.subscriptions.set(channel, subscriber.subscribe(channel));
+    }
+
+    this.emitter.on(channel, listener);
+
+    let subscribed = true;
+    const unsubscribe = () => {
+      if (!subscribed) {
+        return;
+      }
+      subscribed = false;
+
+      this.emitter.off(channel, listener);
+
+      if (this.emitter.listenerCount(channel) === 0) {
+        this.subscriptions.delete(channel);
+        subscriber.unsubscribe(channel).catch((error) => {
+          this.logger.debug('Failed to unsubscribe from transcription events', { meetingId, error: error.message });
+        });
+      }
+    };
+
+    let timer;
+    try {
+      await Promise.race([
+        this.subscriptions.get(channel),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('Timed out subscribing to transcription events')), timeoutMs);
+        }),
+      ]);
+      return unsubscribe;
+    } catch (error) {
+      unsubscribe();
+      this.logger.error('Failed to subscribe to transcription events', { meetingId, error: error.message });
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Close Redis connections
+   * Call this when shutting down the application
+   */
+  async close() {
+    const connections = [this.publisher, this.subscriber].filter(Boolean);
+    await Promise.all(connections.map(connection => connection.quit().catch(() => connection.disconnect())));
+    this.publisher = null;
+    this.subscriber = null;
+    this.subscriptions.clear();
+  }
+}
+
+// Export singleton instance
+module.exports = new TranscriptionEvents();
@@ -0,0 +1,490 @@
+/**
+ * Account Data Service
+ * Data subject requests: export of everything stored for a user and cascading
+ * deletion of their account.
+ *
+ * Exports are assembled by the worker (see data-export.processor) into a zip in
+ * the audio storage provider and can be downloaded until they expire.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archiver = require('archiver');
+const BaseService = require('./base.service');
+const queueService = require('../queue/queue.service');
+const { formatTranscript } = require('../utils/transcript-formatter');
+const { appendEntry, appendJson } = require('../utils/zip-archive');
+const { AuthProvider, DataExportStatus } = require('../constants');
+const User = require('../../models/user.model');
+const Project = require('../../models/project.model');
+const Meeting = require('../../models/meeting.model');
+const ActionItem = require('../../models/action-item.model');
+const Person = require('../../models/person.model');
+const Integration = require('../../models/integration.model');
+const Organization = require('../../models/organization.model');
+const ProjectInvitation = require('../../models/project-invitation.model');
+const ChatConversation = require('../../models/chat-conversation.model');
+const File = require('../../models/file.model');
+const LinkingToken = require('../../models/linkingToken.model');
+const RefreshToken = require('../../models/refreshToken.model');
+const PersonalAccessToken = require('../../models/personal-access-token.model');
+const AccountToken = require('../../models/account-token.model');
+const Webhook = require('../../models/webhook.model');
+const WebhookDelivery = require('../../models/webhook-delivery.model');
+const DataExport = require('../../models/data-export.model');
+const UsageEntry = require('../../models/usage-entry.model');
+const {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError
+} = require('../../utils/errors');
+
+const EXPORT_README = `Meno account data export
+
+profile.json          Your account profile and organization membership
+people.json           People (speakers) you have created
+integrations.json     Connected messaging integrations
+projects/<id>/project.json
+projects/<id>/meetings/<id>/meeting.json        Meeting details, including the summary
+projects/<id>/meetings/<id>/transcript.json     Transcript segments with speakers
+projects/<id>/meetings/<id>/action-items.json   Action items of the meeting
+projects/<id>/meetings/<id>/audio.<ext>         Original recording, when one is stored
+`;
+
+class AccountDataService extends BaseService {
+  constructor(logger, audioStorageProvider, transcriptionDataService, projectService, userService, fileService) {
+    super(logger);
+    this.audioStorage = audioStorageProvider;
+    this.transcriptionDataService = transcriptionDataService;
+    this.projectService = projectService;
+    this.userService = userService;
+    this.fileService = fileService;
+    this.exportExpiryDays = parseInt(process.env.DATA_EXPORT_EXPIRY_DAYS) || 7;
+  }
+
+  /**
+   * Request an export of all the user's data
+   * Only one export can be in progress at a time
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Pending export
+   */
+  async requestExport(userId) {
+    try {
+      const inProgress = await DataExport.exists({
+        userId,
+        status: { $in: [DataExportStatus.PENDING, DataExportStatus.PROCESSING] }
+      });
+      if (inProgress) {
+        throw new ConflictError('An export is already being prepared');
+      }
+
+      const dataExport = await DataExport.create({ userId });
+
+      try {
+        await queueService.enqueueDataExport(dataExport._id);
+      } catch (queueError) {
+        dataExport.status = DataExportStatus.FAILED;
+        dataExport.error = 'Export could not be queued';
+        await dataExport.save();
+        throw new AppError('Data export is temporarily unavailable, please try again later', 503);
+      }
+
+      this.logSuccess('Data export requested', { userId, exportId: dataExport._id });
+      return dataExport.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Request data export', { userId });
+    }
+  }
+
+  /**
+   * List the user's exports, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Exports
+   */
+  async listExports(userId) {
+    try {
+      const exports = await DataExport.find({ userId }).sort({ createdAt: -1 }).limit(20);
+      return exports.map(dataExport => this._withExpiry(dataExport).toSafeObject());
+    } catch (error) {
+      this.logAndThrow(error, 'List data exports', { userId });
+    }
+  }
+
+  /**
+   * Download a completed export archive
+   * @param {string} exportId - Export ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { data, filename, mimeType, size }
+   */
+  async downloadExport(exportId, userId) {
+    try {
+      const dataExport = await DataExport.findOne({ _id: exportId, userId });
+      if (!dataExport) {
+        throw new NotFoundError('Export not found');
+      }
+
+      this._withExpiry(dataExport);
+
+      if (dataExport.status === DataExportStatus.EXPIRED) {
+        throw new AppError('This export has expired, please request a new one', 410);
+      }
+      if (dataExport.status !== DataExportStatus.COMPLETED) {
+        throw new BadRequestError('This export is not ready yet');
+      }
+
+      const data = await this.audioStorage.download(dataExport.fileUri);
+
+      this.logSuccess('Data export downloaded', { userId, exportId });
+
+      return {
+        data,
+        filename: `meno-export-${dataExport.createdAt.toISOString().slice(0, 10)}.zip`,
+        mimeType: 'application/zip',
+        size: data.length
+      };
+    } catch (error) {
+      this.logAndThrow(error, 'Download data export', { exportId, userId });
+    }
+  }
+
+  /**
+   * Assemble an export archive and store it (called by the worker)
+   * @param {string} exportId - Export ID
+   * @returns {Promise<Object>} { exportId, status, size, counts }
+   */
+  async buildExport(exportId) {
+    try {
+      await this.purgeExpiredExports();
+
+      const dataExport = await DataExport.findById(exportId);
+      if (!dataExport) {
+        throw new NotFoundError('Export not found');
+      }
+
+      // Retried jobs of a finished export have nothing left to do
+      if (![DataExportStatus.PENDING, DataExportStatus.PROCESSING, DataExportStatus.FAILED].includes(dataExport.status)) {
+        return { exportId, status: dataExport.status };
+      }
+
+      const user = await User.findById(dataExport.userId);
+      if (!user) {
+        await dataExport.deleteOne();
+        throw new NotFoundError('User not found');
+      }
+
+      dataExport.status = DataExportStatus.PROCESSING;
+      dataExport.startedAt = new Date();
+      dataExport.error = null;
+      await dataExport.save();
+
+      // Random suffix: local storage is publicly served under /files
+      const storagePath = `exports/${user._id}/${dataExport._id}-${crypto.randomBytes(16).toString('hex')}.zip`;
+      const tempPath = path.join(os.tmpdir(), `meno-export-${dataExport._id}-${Date.now()}.zip`);
+
+      try {
+        // Assembled on disk first so a failure never leaves a partial archive in storage
+        const counts = await this._writeArchive(user, tempPath);
+        const result = await this.audioStorage.uploadStream(storagePath, fs.createReadStream(tempPath), {
+          contentType: 'application/zip'
+        });
+
+        dataExport.status = DataExportStatus.COMPLETED;
+        dataExport.fileUri = result.uri;
+        dataExport.size = result.size;
+        dataExport.counts = counts;
+        dataExport.completedAt = new Date();
+        dataExport.expiresAt = new Date(Date.now() + this.exportExpiryDays * 24 * 60 * 60 * 1000);
+        await dataExport.save();
+
+        this.logSuccess('Data export completed', { exportId, userId: user._id, size: result.size, ...counts });
+        return { exportId, status: dataExport.status, size: result.size, counts };
+      } catch (buildError) {
+        dataExport.status = DataExportStatus.FAILED;
+        dataExport.error = buildError.message;
+        await dataExport.save();
+        throw buildError;
+      } finally {
+        await fs.promises.rm(tempPath, { force: true });
+      }
+    } catch (error) {
+      this.logAndThrow(error, 'Build data export', { exportId });
+    }
+  }
+
+  /**
+   * Delete the archives of expired exports
+   * @returns {Promise<number>} Number of archives deleted
+   */
+  async purgeExpiredExports() {
+    try {
+      const expired = await DataExport.find({
+        status: DataExportStatus.COMPLETED,
+        expiresAt: { $lte: new Date() }
+      }).limit(100);
+
+      for (const dataExport of expired) {
+        await this._deleteStoredFile(dataExport.fileUri);
+        dataExport.status = DataExportStatus.EXPIRED;
+        dataExport.fileUri = null;
+        await dataExport.save();
+      }
+
+      if (expired.length > 0) {
+        this.logSuccess('Expired data exports purged', { count: expired.length });
+      }
+      return expired.length;
+    } catch (error) {
+      this.logAndThrow(error, 'Purge expired data exports');
+    }
+  }
+
+  /**
+   * Permanently delete a user's account and everything stored for it
+   * Email accounts confirm with their password, Google accounts by typing their email.
+   * @param {string} userId - User ID
+   * @param {Object} confirmation - { password } or { confirmEmail }
+   * @returns {Promise<Object>} Deleted record counts
+   */
+  async deleteAccount(userId, { password, confirmEmail } = {}) {
+    try {
+      const user = await User.findById(userId).select('+password');
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      if (user.provider === AuthProvider.EMAIL) {
+        if (!password || !(await user.comparePassword(password))) {
+          throw new BadRequestError('Incorrect password');
+        }
+      } else if (!confirmEmail || confirmEmail.toLowerCase() !== user.email.toLowerCase()) {
+        throw new BadRequestError('Type your account email address to confirm the deletion');
+      }
+
+      // Checked before anything is deleted so a refused request leaves the account intact
+      const organization = user.organizationId ? await Organization.findById(user.organizationId) : null;
+      const ownsOrganization = organization && organization.ownerId.toString() === userId.toString();
+      if (ownsOrganization && organization.members.some(m => m.userId.toString() !== userId.toString())) {
+        throw new ConflictError('Remove the other members of your organization before deleting your account');
+      }
+
+      return await this.purgeUserData(user);
+    } catch (error) {
+      this.logAndThrow(error, 'Delete account', { userId });
+    }
+  }
+
+  /**
+   * Delete a user and all their data without confirmation (account deletion and admin removal)
+   * An owned organization is dissolved; its other members fall back to their own tiers.
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Deleted record counts
+   */
+  async purgeUserData(user) {
+    const userId = user._id;
+
+    try {
+      const organization = user.organizationId ? await Organization.findById(user.organizationId) : null;
+
+      // Owned projects (trashed ones too), with their meetings, transcripts, audio and chats
+      const projects = await Project.find({ userId }).setOptions({ withDeleted: true }).select('_id');
+      for (const project of projects) {
+        await this.projectService.purgeProject(project._id.toString());
+      }
+
+      // Memberships of projects shared by others
+      const memberships = await Project.updateMany(
+        { 'members.userId': userId },
+        { $pull: { members: { userId } } }
+      );
+      await ProjectInvitation.deleteMany({ $or: [{ invitedBy: userId }, { email: user.email }] });
+
+      if (organization) {
+        if (organization.ownerId.toString() === userId.toString()) {
+          await User.updateMany({ organizationId: organization._id }, { $set: { organizationId: null } });
+          await organization.deleteOne();
+        } else {
+          await Organization.updateOne({ _id: organization._id }, { $pull: { members: { userId } } });
+        }
+      }
+
+      const files = await File.find({ uploadedBy: userId }).select('_id');
+      for (const file of files) {
+        await this.fileService.deleteFile(file._id);
+      }
+
+      const dataExports = await DataExport.find({ userId, fileUri: { $ne: null } });
+      for (const dataExport of dataExports) {
+        await this._deleteStoredFile(dataExport.fileUri);
+      }
+
+      const webhooks = await Webhook.find({ userId }).select('_id');
+      await WebhookDelivery.deleteMany({ webhookId: { $in: webhooks.map(w => w._id) } });
+
+      const [people, actionItems, integrations] = await Promise.all([
+        Person.deleteMany({ userId }),
+        ActionItem.deleteMany({ userId }),
+        Integration.deleteMany({ userId }),
+        Webhook.deleteMany({ userId }),
+        ChatConversation.deleteMany({ userId }),
+        LinkingToken.deleteMany({ userId }),
+        RefreshToken.deleteMany({ userId }),
+        PersonalAccessToken.deleteMany({ userId }),
+        AccountToken.deleteMany({ userId }),
+        DataExport.deleteMany({ userId }),
+        UsageEntry.deleteMany({ userId })
+      ]);
+
+      // Removes the user document and avatar
+      await this.userService.deleteUser(userId);
+
+      const summary = {
+        projects: projects.length,
+        sharedProjectsLeft: memberships.modifiedCount,
+        people: people.deletedCount,
+        actionItems: actionItems.deletedCount,
+        integrations: integrations.deletedCount,
+        files: files.length
+      };
+
+      this.logSuccess('Account deleted', { userId, ...summary });
+      return summary;
+    } catch (error) {
+      this.logAndThrow(error, 'Purge user data', { userId });
+    }
+  }
+
+  /**
+   * Write the user's data into a zip file
+   * Entries are added one at a time so at most one audio file is held in memory.
+   * @returns {Promise<Object>} Counts of exported records
+   * @private
+   */
+  async _writeArchive(user, filePath) {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const written = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+    });
+    // Errors are rethrown by the appends or when awaiting the output below
+    written.catch(() => {});
+    archive.pipe(output);
+
+    const counts = { projects: 0, meetings: 0, audioFiles: 0 };
+
+    try {
+      const organization = user.organizationId
+        ? await Organization.findById(user.organizationId).select('name members')
+        : null;
+
+      await appendEntry(archive, 'README.txt', EXPORT_README);
+      await appendJson(archive, 'profile.json', {
+        user: user.toSafeObject(),
+        organization: organization
+          ? { _id: organization._id, name: organization.name, role: organization.getMember(user._id)?.role || null }
+          : null,
+        exportedAt: new Date()
+      });
+      await appendJson(archive, 'people.json', await Person.find({ userId: user._id }).lean());
+      await appendJson(archive, 'integrations.json', (await Integration.find({ userId: user._id })).map(i => i.toJSON()));
+
+      // Trashed projects and meetings are still the user's data until they are purged
+      const projects = await Project.find({ userId: user._id }).setOptions({ withDeleted: true }).sort({ createdAt: 1 });
+      for (const project of projects) {
+        const projectDir = `projects/${project._id}`;
+        await appendJson(archive, `${projectDir}/project.json`, project.toSafeObject());
+        counts.projects++;
+
+        const meetings = await Meeting.find({ projectId: project._id }).setOptions({ withDeleted: true }).sort({ createdAt: 1 });
+        for (const meeting of meetings) {
+          const meetingDir = `${projectDir}/meetings/${meeting._id}`;
+          const [segments, actionItems] = await Promise.all([
+            this.transcriptionDataService.getAllTranscriptions(meeting._id),
+            ActionItem.find({ meetingId: meeting._id }).sort({ createdAt: 1 }).lean()
+          ]);
+
+          await appendJson(archive, `${meetingDir}/meeting.json`, meeting.toSafeObject());
+          await appendEntry(archive, `${meetingDir}/transcript.json`, formatTranscript('json', segments, meeting));
+          await appendJson(archive, `${meetingDir}/action-items.json`, actionItems);
+
+          if (meeting.audioFile) {
+            const audio = await this._downloadAudio(meeting);
+            if (audio) {
+              // Audio is already compressed
+              await appendEntry(archive, `${meetingDir}/audio${this._audioExtension(meeting)}`, audio, { store: true });
+              counts.audioFiles++;
+            }
+          }
+          counts.meetings++;
+        }
+      }
+
+      await archive.finalize();
+      await written;
+      return counts;
+    } catch (error) {
+      archive.abort();
+      output.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Download a meeting's audio, skipping files missing from storage
+   * @private
+   */
+  async _downloadAudio(meeting) {
+    try {
+      return await this.audioStorage.download(meeting.audioFile);
+    } catch (error) {
+      this.logger.warn('Skipping missing audio file in data export', {
+        meetingId: meeting._id,
+        audioFile: meeting.audioFile,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * File extension of a meeting's audio (including the dot)
+   * @private
+   */
+  _audioExtension(meeting) {
+    const match = (meeting.metadata?.originalName || meeting.audioFile).match(/\.([a-z0-9]{1,5})$/i);
+    return match ? `.${match[1].toLowerCase()}` : '';
+  }
+
+  /**
+   * Mark a completed export as expired once its download window has passed
+   * The archive itself is deleted by purgeExpiredExports.
+   * @private
+   */
+  _withExpiry(dataExport) {
+    if (dataExport.status === DataExportStatus.COMPLETED && dataExport.expiresAt <= new Date()) {
+      dataExport.status = DataExportStatus.EXPIRED;
+    }
+    return dataExport;
+  }
+
+  /**
+   * Delete a stored file, logging failures
+   * @private
+   */
+  async _deleteStoredFile(uri) {
+    if (!uri) {
+      return;
+    }
+
+    try {
+      await this.audioStorage.delete(uri);
+    } catch (error) {
+      this.logger.warn('Failed to delete data export file', { uri, error: error.message });
+    }
+  }
+}
+
+module.exports = AccountDataService;
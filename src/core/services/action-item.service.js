@@ -3,6 +3,7 @@
  * Database operations for action items
  */
 const ActionItem = require('../../models/action-item.model');
+const Meeting = require('../../models/meeting.model');
 const BaseService = require('./base.service');
 
 class ActionItemService extends BaseService {
@@ -120,25 +121,39 @@ class ActionItemService extends BaseService {
 
   /**
    * Get action items for a person with pagination
+   * Only the meeting is populated, since every item belongs to the same person
    * @param {string} personId - Person ID
    * @param {Object} options - Query options
+   * @param {string} options.sort - Sort field (prefix with - for descending)
    * @returns {Promise<Object>} Action items with pagination
    */
   async getActionItemsByPersonId(personId, options = {}) {
     try {
-      const {
-        page = 1,
-        limit = 50
-      } = options;
+      const page = parseInt(options.page) || 1;
+      const limit = parseInt(options.limit) || 50;
+      const sort = options.sort || 'createdAt';
 
       const query = { personId };
-
-      const result = await this.ActionItem.findPaginated(query, {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        sort: 'createdAt',
-        populate: true
-      });
+      await this._excludeTrashedMeetings(query);
+
+      const actionItems = await this.ActionItem.find(query)
+        .populate('meetingId', 'title projectId')
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+
+      const total = await this.ActionItem.countDocuments(query);
+
+      const result = {
+        actionItems,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
 
       this.logSuccess('Action items retrieved for person', {
         personId,
@@ -167,6 +182,7 @@ class ActionItemService extends BaseService {
       } = options;
 
       const query = { userId };
+      await this._excludeTrashedMeetings(query);
 
       const result = await this.ActionItem.findPaginated(query, {
         page: parseInt(page),
@@ -187,6 +203,19 @@ class ActionItemService extends BaseService {
     }
   }
 
+  /**
+   * Restrict an action item query to meetings that are not in the trash
+   * @param {Object} query - Action item query (modified in place)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _excludeTrashedMeetings(query) {
+    const trashedIds = await Meeting.findTrashedIds(await this.ActionItem.distinct('meetingId', query));
+    if (trashedIds.length > 0) {
+      query.meetingId = { $nin: trashedIds };
+    }
+  }
+
   /**
    * Get single action item by ID
    * @param {string} actionItemId - Action item ID
@@ -9,11 +9,20 @@ const TierConfig = require('../../models/tierConfig.model');
 const Project = require('../../models/project.model');
 const Person = require('../../models/person.model');
 const RefreshToken = require('../../models/refreshToken.model');
+const AccountToken = require('../../models/account-token.model');
 const BaseService = require('./base.service');
+const { AccountTokenType } = require('../constants');
+const { AppError, BadRequestError, NotFoundError, UnauthorizedError } = require('../../utils/errors');
 
 class AuthService extends BaseService {
-  constructor(logger) {
+  constructor(logger, mailService, twoFactorService) {
     super(logger);
+    this.mailService = mailService;
+    this.twoFactorService = twoFactorService;
+    this.passwordResetExpiry = process.env.PASSWORD_RESET_TOKEN_EXPIRY || '1h';
+    this.emailVerificationExpiry = process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY || '48h';
+    // Minimum time between two emails of the same kind to one user
+    this.accountEmailCooldownMs = (parseInt(process.env.ACCOUNT_EMAIL_COOLDOWN) || 60) * 1000;
   }
 
   /**
@@ -29,10 +38,16 @@ class AuthService extends BaseService {
 
   /**
    * Generate refresh token (long-lived)
+   * Without a familyId a new session (token family) is started
    * @param {string} userId - User ID
-   * @returns {Object} Refresh token object with token string and expiry
+   * @param {Object} session - Session details
+   * @param {string} session.familyId - Token family to continue (on rotation)
+   * @param {Date} session.sessionStartedAt - Start of the session being continued
+   * @param {string} session.userAgent - Client user agent
+   * @param {string} session.ipAddress - Client IP address
+   * @returns {Object} Refresh token object with token string, expiry and session ID
    */
-  async generateRefreshToken(userId) {
+  async generateRefreshToken(userId, session = {}) {
     try {
       // Generate a random refresh token
       const token = crypto.randomBytes(64).toString('hex');
@@ -45,7 +60,12 @@ class AuthService extends BaseService {
       const refreshToken = new RefreshToken({
         token,
         userId,
-        expiresAt
+        expiresAt,
+        familyId: session.familyId || crypto.randomUUID(),
+        sessionStartedAt: session.sessionStartedAt || new Date(),
+        userAgent: session.userAgent || null,
+        ipAddress: session.ipAddress || null,
+        lastUsedAt: new Date()
       });
 
       await refreshToken.save();
@@ -53,12 +73,15 @@ class AuthService extends BaseService {
       this.logger.debug('Refresh token generated', {
         userId,
         expiresAt,
+        familyId: refreshToken.familyId,
         tokenPreview: `${token.substring(0, 20)}...`
       });
 
       return {
+        id: refreshToken._id,
         token,
-        expiresAt
+        expiresAt,
+        familyId: refreshToken.familyId
       };
     } catch (error) {
       this.logger.error('Failed to generate refresh token', {
@@ -127,12 +150,33 @@ class AuthService extends BaseService {
     }
   }
 
+  /**
+   * Issue an access token and a refresh token for a new session
+   * @param {Object} user - User document
+   * @param {Object} context - Client details ({ userAgent, ipAddress })
+   * @returns {Promise<Object>} { accessToken, refreshToken }
+   */
+  async issueSessionTokens(user, context = {}) {
+    const refreshToken = await this.generateRefreshToken(user._id, context);
+
+    const accessToken = this.generateToken({
+      userId: user._id,
+      email: user.email,
+      sid: refreshToken.familyId
+    });
+
+    return { accessToken, refreshToken: refreshToken.token };
+  }
+
   /**
    * Refresh access token using refresh token
+   * Every refresh rotates the refresh token within its family. Presenting a token that was
+   * already rotated means it was copied, so the whole family (session) is revoked.
    * @param {string} refreshTokenString - Refresh token
+   * @param {Object} context - Client details ({ userAgent, ipAddress })
    * @returns {Object} New access token and refresh token
    */
-  async refreshAccessToken(refreshTokenString) {
+  async refreshAccessToken(refreshTokenString, context = {}) {
     try {
       this.logger.debug('Attempting to refresh access token', {
         tokenPreview: `${refreshTokenString.substring(0, 20)}...`
@@ -141,62 +185,60 @@ class AuthService extends BaseService {
       // Find refresh token in database
       const refreshToken = await RefreshToken.findOne({
         token: refreshTokenString
-      }).populate('userId');
+      });
 
       if (!refreshToken) {
         this.logger.warn('Refresh token not found', {
           tokenPreview: `${refreshTokenString.substring(0, 20)}...`
         });
-        throw new Error('Invalid refresh token');
+        throw new UnauthorizedError('Invalid refresh token');
       }
 
-      // Check if token is valid (not revoked and not expired)
+      if (refreshToken.revoked) {
+        return await this._handleRevokedRefreshToken(refreshToken, context);
+      }
+
+      // Check if token is expired
       if (!refreshToken.isValid()) {
-        this.logger.warn('Refresh token is invalid or expired', {
+        this.logger.warn('Refresh token is expired', {
           userId: refreshToken.userId,
-          revoked: refreshToken.revoked,
           expiresAt: refreshToken.expiresAt,
           now: new Date()
         });
-        throw new Error('Refresh token is invalid or expired');
+        throw new UnauthorizedError('Refresh token is invalid or expired');
       }
 
-      const user = await User.findById(refreshToken.userId).populate('tier');
-      if (!user) {
-        this.logger.error('User not found for refresh token', {
-          userId: refreshToken.userId
-        });
-        throw new Error('User not found');
-      }
+      const user = await this._getActiveUser(refreshToken.userId);
 
-      // Check if user is active
-      if (user.status !== 'active') {
-        this.logger.warn('Inactive account attempted token refresh', {
-          userId: user._id,
-          status: user.status
-        });
-        throw new Error('Account is not active');
-      }
+      const familyId = refreshToken.familyId || refreshToken._id.toString();
+      const newRefreshToken = await this.generateRefreshToken(user._id, {
+        familyId,
+        sessionStartedAt: refreshToken.sessionStartedAt || refreshToken.createdAt,
+        userAgent: context.userAgent || refreshToken.userAgent,
+        ipAddress: context.ipAddress || refreshToken.ipAddress
+      });
 
-      // Revoke old refresh token (simple rotation)
-      refreshToken.revoked = true;
-      refreshToken.revokedAt = new Date();
-      await refreshToken.save();
+      // Claim the token atomically so two concurrent refreshes cannot both rotate it. The
+      // successor is saved first, so a losing refresh always finds it (see _handleRevokedRefreshToken)
+      const claimed = await RefreshToken.claimForRotation(refreshToken._id, newRefreshToken.id);
+      if (!claimed) {
+        await RefreshToken.deleteOne({ _id: newRefreshToken.id });
+        return await this._handleRevokedRefreshToken(await RefreshToken.findById(refreshToken._id), context);
+      }
 
-      this.logger.debug('Old refresh token revoked', {
+      this.logger.debug('Refresh token rotated', {
         userId: user._id,
+        familyId,
         tokenId: refreshToken._id
       });
 
       // Generate new access token
       const accessToken = this.generateToken({
         userId: user._id,
-        email: user.email
+        email: user.email,
+        sid: familyId
       });
 
-      // Generate new refresh token
-      const newRefreshToken = await this.generateRefreshToken(user._id);
-
       this.logger.info('Tokens refreshed successfully', {
         userId: user._id,
         email: user.email
@@ -217,6 +259,81 @@ class AuthService extends BaseService {
     }
   }
 
+  /**
+   * Handle a refresh attempt with a revoked token
+   * A rotated token replayed within the grace period (e.g. two tabs refreshing at once) gets
+   * the token it was rotated into; any later replay revokes the session.
+   * @param {Object} refreshToken - Revoked refresh token document
+   * @param {Object} context - Client details
+   * @returns {Promise<Object>} Refresh result when inside the grace period
+   * @private
+   */
+  async _handleRevokedRefreshToken(refreshToken, context) {
+    if (refreshToken.revokedReason !== 'rotated') {
+      this.logger.warn('Revoked refresh token used', {
+        userId: refreshToken.userId,
+        revokedReason: refreshToken.revokedReason
+      });
+      throw new UnauthorizedError('Refresh token is invalid or expired');
+    }
+
+    const familyId = refreshToken.familyId || refreshToken._id.toString();
+    const graceMs = (parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE) || 10) * 1000;
+    const successor = refreshToken.replacedBy ? await RefreshToken.findById(refreshToken.replacedBy) : null;
+
+    if (successor?.isValid() && Date.now() - refreshToken.revokedAt.getTime() <= graceMs) {
+      const user = await this._getActiveUser(refreshToken.userId);
+
+      this.logger.info('Rotated refresh token replayed within grace period', {
+        userId: user._id,
+        familyId
+      });
+
+      return {
+        user: user.toSafeObject(),
+        accessToken: this.generateToken({ userId: user._id, email: user.email, sid: familyId }),
+        refreshToken: successor.token,
+        expiresIn: this.getAccessTokenExpirySeconds()
+      };
+    }
+
+    const revokedCount = await RefreshToken.revokeFamily(refreshToken.userId, familyId, 'reuse_detected');
+
+    this.logger.warn('Refresh token reuse detected, session revoked', {
+      userId: refreshToken.userId,
+      familyId,
+      revokedCount,
+      userAgent: context.userAgent,
+      ipAddress: context.ipAddress
+    });
+
+    throw new UnauthorizedError('Refresh token has already been used. Please log in again');
+  }
+
+  /**
+   * Load an active user for token refresh
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User document with tier
+   * @private
+   */
+  async _getActiveUser(userId) {
+    const user = await User.findById(userId).populate('tier');
+    if (!user) {
+      this.logger.error('User not found for refresh token', { userId });
+      throw new UnauthorizedError('User not found');
+    }
+
+    if (user.status !== 'active') {
+      this.logger.warn('Inactive account attempted token refresh', {
+        userId: user._id,
+        status: user.status
+      });
+      throw new UnauthorizedError('Account is not active');
+    }
+
+    return user;
+  }
+
   /**
    * Get access token expiry in seconds
    * @returns {number} Expiry in seconds
@@ -240,6 +357,7 @@ class AuthService extends BaseService {
 
   /**
    * Revoke refresh token (logout)
+   * Ends the whole session the token belongs to
    * @param {string} refreshTokenString - Refresh token to revoke
    * @returns {boolean} Success status
    */
@@ -249,7 +367,7 @@ class AuthService extends BaseService {
         tokenPreview: `${refreshTokenString.substring(0, 20)}...`
       });
 
-      const refreshToken = await RefreshToken.revokeToken(refreshTokenString);
+      const refreshToken = await RefreshToken.findOne({ token: refreshTokenString });
 
       if (!refreshToken) {
         this.logger.warn('Refresh token not found for revocation', {
@@ -258,9 +376,13 @@ class AuthService extends BaseService {
         return false;
       }
 
+      const familyId = refreshToken.familyId || refreshToken._id.toString();
+      await RefreshToken.revokeFamily(refreshToken.userId, familyId, 'logout');
+
       this.logger.info('Refresh token revoked successfully', {
         userId: refreshToken.userId,
-        tokenId: refreshToken._id
+        tokenId: refreshToken._id,
+        familyId
       });
 
       return true;
@@ -297,6 +419,238 @@ class AuthService extends BaseService {
     }
   }
 
+  /**
+   * List the active sessions (devices) of a user
+   * @param {string} userId - User ID
+   * @param {string|null} currentSessionId - Session of the current access token
+   * @returns {Promise<Array>} Sessions, most recently used first
+   */
+  async listSessions(userId, currentSessionId = null) {
+    try {
+      const tokens = await RefreshToken.findActiveSessions(userId);
+      return tokens.map(token => token.toSessionObject(currentSessionId));
+    } catch (error) {
+      this.logAndThrow(error, 'List sessions', { userId });
+    }
+  }
+
+  /**
+   * Revoke one session of a user
+   * Access tokens already issued to the session stay valid until they expire
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID (token family)
+   * @returns {Promise<Object>} Revocation result
+   */
+  async revokeSession(userId, sessionId) {
+    try {
+      const revokedCount = await RefreshToken.revokeFamily(userId, sessionId, 'session_revoked');
+      if (revokedCount === 0) {
+        throw new NotFoundError('Session not found');
+      }
+
+      this.logSuccess('Session revoked', { userId, sessionId });
+
+      return { sessionId, revoked: true };
+    } catch (error) {
+      this.logAndThrow(error, 'Revoke session', { userId, sessionId });
+    }
+  }
+
+  /**
+   * Revoke every session of a user except the current one
+   * @param {string} userId - User ID
+   * @param {string|null} currentSessionId - Session to keep (all sessions are revoked when null)
+   * @returns {Promise<Object>} Number of revoked sessions
+   */
+  async revokeOtherSessions(userId, currentSessionId = null) {
+    try {
+      const revokedCount = await RefreshToken.revokeAllUserTokens(userId, {
+        reason: 'session_revoked',
+        exceptFamilyId: currentSessionId
+      });
+
+      this.logSuccess('Other sessions revoked', { userId, currentSessionId, revokedCount });
+
+      return { revokedCount };
+    } catch (error) {
+      this.logAndThrow(error, 'Revoke other sessions', { userId });
+    }
+  }
+
+  /**
+   * Email a password reset link
+   * Succeeds silently for unknown, inactive and Google accounts so the endpoint cannot be
+   * used to find out which emails are registered.
+   * @param {string} email - Account email
+   * @param {Object} context - Client details ({ userAgent, ipAddress })
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(email, context = {}) {
+    try {
+      const user = await User.findOne({ email: email.toLowerCase() });
+
+      if (!user || user.status !== 'active' || user.provider !== 'email') {
+        this.logger.info('Password reset requested for an account that cannot reset its password', {
+          email,
+          reason: !user ? 'not_found' : (user.status !== 'active' ? 'inactive' : `provider_${user.provider}`),
+          ipAddress: context.ipAddress
+        });
+        return;
+      }
+
+      if (await this._isAccountEmailThrottled(user._id, AccountTokenType.PASSWORD_RESET)) {
+        this.logger.info('Password reset email throttled', { userId: user._id });
+        return;
+      }
+
+      const { token } = await AccountToken.issue(user, AccountTokenType.PASSWORD_RESET, {
+        ttlMs: this.calculateTokenExpiryMs(this.passwordResetExpiry),
+        requestedIp: context.ipAddress
+      });
+
+      try {
+        await this.mailService.sendPasswordReset(
+          user,
+          token,
+          Math.round(this.calculateTokenExpiryMs(this.passwordResetExpiry) / 60000)
+        );
+      } catch (error) {
+        // Reported in the logs only; the response must not differ for existing accounts
+        this.logger.error('Failed to send password reset email', { userId: user._id, error: error.message });
+        return;
+      }
+
+      this.logSuccess('Password reset email sent', { userId: user._id });
+    } catch (error) {
+      this.logAndThrow(error, 'Request password reset', { email });
+    }
+  }
+
+  /**
+   * Set a new password with a reset token
+   * Signs the user out everywhere; personal access tokens are not affected.
+   * @param {string} token - Reset token from the email
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Updated user
+   */
+  async resetPassword(token, newPassword) {
+    try {
+      const accountToken = await AccountToken.consume(token, AccountTokenType.PASSWORD_RESET);
+      if (!accountToken) {
+        throw new BadRequestError('Reset link is invalid or has expired');
+      }
+
+      const user = await User.findById(accountToken.userId).select('+password');
+      if (!user || user.status !== 'active' || user.email !== accountToken.email) {
+        throw new BadRequestError('Reset link is invalid or has expired');
+      }
+
+      user.password = newPassword;
+      // Receiving the reset email proves the address belongs to the user
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save();
+
+      const revokedCount = await RefreshToken.revokeAllUserTokens(user._id, { reason: 'password_reset' });
+
+      this.logSuccess('Password reset', { userId: user._id, revokedCount });
+
+      this.mailService.sendPasswordChanged(user).catch((error) => {
+        this.logger.warn('Failed to send password changed notice', { userId: user._id, error: error.message });
+      });
+
+      return user.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Reset password');
+    }
+  }
+
+  /**
+   * Email a link to verify the user's current address
+   * @param {string} userId - User ID
+   * @param {Object} context - Client details ({ userAgent, ipAddress })
+   * @returns {Promise<Object>} { email, expiresAt }
+   */
+  async sendVerificationEmail(userId, context = {}) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      if (user.emailVerified) {
+        throw new BadRequestError('Email is already verified');
+      }
+
+      if (await this._isAccountEmailThrottled(user._id, AccountTokenType.EMAIL_VERIFICATION)) {
+        throw new AppError('Please wait before requesting another verification email', 429);
+      }
+
+      const ttlMs = this.calculateTokenExpiryMs(this.emailVerificationExpiry);
+      const { token, accountToken } = await AccountToken.issue(user, AccountTokenType.EMAIL_VERIFICATION, {
+        ttlMs,
+        requestedIp: context.ipAddress
+      });
+
+      await this.mailService.sendEmailVerification(user, token, Math.round(ttlMs / 3600000));
+
+      this.logSuccess('Verification email sent', { userId: user._id });
+
+      return { email: user.email, expiresAt: accountToken.expiresAt };
+    } catch (error) {
+      this.logAndThrow(error, 'Send verification email', { userId });
+    }
+  }
+
+  /**
+   * Verify an email address with a verification token
+   * @param {string} token - Verification token from the email
+   * @returns {Promise<Object>} Updated user
+   */
+  async verifyEmail(token) {
+    try {
+      const accountToken = await AccountToken.consume(token, AccountTokenType.EMAIL_VERIFICATION);
+      if (!accountToken) {
+        throw new BadRequestError('Verification link is invalid or has expired');
+      }
+
+      const user = await User.findById(accountToken.userId);
+      if (!user) {
+        throw new BadRequestError('Verification link is invalid or has expired');
+      }
+
+      if (user.email !== accountToken.email) {
+        throw new BadRequestError('This link was sent to a different email address');
+      }
+
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+      }
+
+      this.logSuccess('Email verified', { userId: user._id });
+
+      return user.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Verify email');
+    }
+  }
+
+  /**
+   * Check whether a user was sent an account email of this type too recently
+   * @param {string} userId - User ID
+   * @param {string} type - Account token type
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _isAccountEmailThrottled(userId, type) {
+    const latest = await AccountToken.findLatest(userId, type);
+    return !!latest && Date.now() - latest.createdAt.getTime() < this.accountEmailCooldownMs;
+  }
+
   /**
    * Verify JWT token
    * @param {string} token - JWT token
@@ -386,9 +740,10 @@ class AuthService extends BaseService {
   /**
    * Register new user with email and password
    * @param {Object} userData - User registration data
+   * @param {Object} context - Client details for the new session ({ userAgent, ipAddress })
    * @returns {Object} Created user and token
    */
-  async signup(userData) {
+  async signup(userData, context = {}) {
     try {
       const { email, password, name } = userData;
 
@@ -427,18 +782,21 @@ class AuthService extends BaseService {
       // Create default person (self) for new user
       await this.createDefaultPerson(user._id, user.name, user.email);
 
-      // Generate access and refresh tokens
-      const accessToken = this.generateToken({
-        userId: user._id,
-        email: user.email
+      // Don't fail registration when the mail server is down; the user can request another email
+      this.sendVerificationEmail(user._id, context).catch((error) => {
+        this.logger.warn('Failed to send verification email after signup', {
+          userId: user._id,
+          error: error.message
+        });
       });
 
-      const refreshToken = await this.generateRefreshToken(user._id);
+      // Generate access and refresh tokens for a new session
+      const { accessToken, refreshToken } = await this.issueSessionTokens(user, context);
 
       return {
         user: user.toSafeObject(),
         accessToken,
-        refreshToken: refreshToken.token,
+        refreshToken,
         expiresIn: this.getAccessTokenExpirySeconds()
       };
     } catch (error) {
@@ -449,9 +807,10 @@ class AuthService extends BaseService {
   /**
    * Login user with email and password
    * @param {Object} credentials - Login credentials
-   * @returns {Object} User and token
+   * @param {Object} context - Client details for the new session ({ userAgent, ipAddress })
+   * @returns {Object} User and token, or a two-factor challenge ({ twoFactorRequired, challengeToken, expiresIn })
    */
-  async login(credentials) {
+  async login(credentials, context = {}) {
     try {
       const { email, password } = credentials;
 
@@ -477,20 +836,25 @@ class AuthService extends BaseService {
         throw new Error('Invalid email or password');
       }
 
-      this.logSuccess('User logged in successfully', { userId: user._id, email: user.email });
+      // With two-factor authentication the tokens are only issued by completeTwoFactorLogin
+      if (user.twoFactor?.enabled) {
+        this.logger.info('Password verified, two-factor code required', { userId: user._id });
 
-      // Generate access and refresh tokens
-      const accessToken = this.generateToken({
-        userId: user._id,
-        email: user.email
-      });
+        return {
+          twoFactorRequired: true,
+          ...this.twoFactorService.createLoginChallenge(user)
+        };
+      }
+
+      this.logSuccess('User logged in successfully', { userId: user._id, email: user.email });
 
-      const refreshToken = await this.generateRefreshToken(user._id);
+      // Generate access and refresh tokens for a new session
+      const { accessToken, refreshToken } = await this.issueSessionTokens(user, context);
 
       return {
         user: user.toSafeObject(),
         accessToken,
-        refreshToken: refreshToken.token,
+        refreshToken,
         expiresIn: this.getAccessTokenExpirySeconds()
       };
     } catch (error) {
@@ -498,12 +862,48 @@ class AuthService extends BaseService {
     }
   }
 
+  /**
+   * Finish a login that requires two-factor authentication
+   * @param {string} challengeToken - Challenge token returned by login
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @param {Object} context - Client details for the new session ({ userAgent, ipAddress })
+   * @returns {Object} User and tokens
+   */
+  async completeTwoFactorLogin(challengeToken, factor, context = {}) {
+    try {
+      const userId = this.twoFactorService.verifyLoginChallenge(challengeToken);
+
+      const user = await User.findById(userId).populate('tier');
+      if (!user || user.status !== 'active') {
+        throw new UnauthorizedError('Account is not active');
+      }
+
+      const { method, recoveryCodesRemaining } = await this.twoFactorService.verifyLogin(user._id, factor);
+
+      this.logSuccess('User logged in successfully', { userId: user._id, email: user.email, secondFactor: method });
+
+      // Generate access and refresh tokens for a new session
+      const { accessToken, refreshToken } = await this.issueSessionTokens(user, context);
+
+      return {
+        user: user.toSafeObject(),
+        accessToken,
+        refreshToken,
+        expiresIn: this.getAccessTokenExpirySeconds(),
+        ...(method === 'recovery_code' && { recoveryCodesRemaining })
+      };
+    } catch (error) {
+      this.logAndThrow(error, 'Two-factor login');
+    }
+  }
+
   /**
    * Handle Google OAuth login/signup
    * @param {Object} profile - Google profile data
+   * @param {Object} context - Client details for the new session ({ userAgent, ipAddress })
    * @returns {Object} User and token
    */
-  async googleAuth(profile) {
+  async googleAuth(profile, context = {}) {
     try {
       this.logger.debug('Starting Google OAuth authentication', {
         profileId: profile.id,
@@ -514,6 +914,7 @@ class AuthService extends BaseService {
 
       const { id: googleId, emails, displayName, photos } = profile;
       const email = emails[0].value;
+      const emailVerifiedByGoogle = emails[0].verified !== false;
       const avatar = photos && photos[0] ? photos[0].value : null;
 
       this.logger.debug('Extracted profile data', {
@@ -548,6 +949,10 @@ class AuthService extends BaseService {
 
           user.googleId = googleId;
           user.provider = 'google';
+          if (emailVerifiedByGoogle && !user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+          }
           await user.save();
 
           this.logger.info('User provider updated to Google', {
@@ -582,6 +987,8 @@ class AuthService extends BaseService {
           googleId,
           provider: 'google',
           avatar,
+          emailVerified: emailVerifiedByGoogle,
+          emailVerifiedAt: emailVerifiedByGoogle ? new Date() : null,
           tier: defaultTier._id
         });
 
@@ -622,25 +1029,20 @@ class AuthService extends BaseService {
         email: user.email
       });
 
-      // Generate access and refresh tokens
-      const accessToken = this.generateToken({
-        userId: user._id,
-        email: user.email
-      });
-
-      const refreshToken = await this.generateRefreshToken(user._id);
+      // Generate access and refresh tokens for a new session
+      const { accessToken, refreshToken } = await this.issueSessionTokens(user, context);
 
       this.logger.debug('Tokens generated successfully', {
         userId: user._id,
         accessTokenLength: accessToken.length,
         accessTokenPreview: `${accessToken.substring(0, 20)}...`,
-        refreshTokenPreview: `${refreshToken.token.substring(0, 20)}...`
+        refreshTokenPreview: `${refreshToken.substring(0, 20)}...`
       });
 
       return {
         user: user.toSafeObject(),
         accessToken,
-        refreshToken: refreshToken.token,
+        refreshToken,
         expiresIn: this.getAccessTokenExpirySeconds()
       };
     } catch (error) {
@@ -659,9 +1061,10 @@ class AuthService extends BaseService {
    * Used by Chrome extension and other OAuth clients
    * @param {string} idToken - Google ID token
    * @param {string} accessToken - Google access token
+   * @param {Object} context - Client details for the new session ({ userAgent, ipAddress })
    * @returns {Object} User and JWT token
    */
-  async googleTokenExchange(idToken, accessToken) {
+  async googleTokenExchange(idToken, accessToken, context = {}) {
     try {
       const { OAuth2Client } = require('google-auth-library');
 
@@ -700,7 +1103,7 @@ class AuthService extends BaseService {
       };
 
       // Use existing googleAuth method to handle user creation/login
-      const result = await this.googleAuth(profile);
+      const result = await this.googleAuth(profile, context);
 
       this.logger.info('Google token exchange completed successfully', {
         userId: result.user._id,
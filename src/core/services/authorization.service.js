@@ -5,6 +5,7 @@
 
 const BaseService = require('./base.service');
 const { ForbiddenError, NotFoundError } = require('../../utils/errors');
+const { getProjectRole, hasProjectRole } = require('../utils/project-roles');
 
 class AuthorizationService extends BaseService {
   constructor(logger) {
@@ -19,29 +20,44 @@ class AuthorizationService extends BaseService {
    * @throws {ForbiddenError} If user doesn't own the meeting
    */
   verifyMeetingOwnership(meeting, userId) {
+    return this.verifyMeetingRole(meeting, userId, 'owner');
+  }
+
+  /**
+   * Verify that a user has at least the required role on a meeting's project
+   * @param {Object} meeting - Meeting object with populated projectId
+   * @param {string} userId - User ID to verify against
+   * @param {string} requiredRole - Minimum role: 'viewer', 'editor' or 'owner'
+   * @returns {string} The user's role in the project
+   * @throws {NotFoundError} If meeting is null/undefined
+   * @throws {ForbiddenError} If user lacks the required role
+   */
+  verifyMeetingRole(meeting, userId, requiredRole = 'viewer') {
     if (!meeting) {
       this.logger.warn('Meeting not found for ownership verification');
       throw new NotFoundError('Meeting not found');
     }
 
-    const meetingOwnerId = meeting.projectId?.userId?.toString();
-    const requestUserId = userId.toString();
+    const role = getProjectRole(meeting.projectId, userId);
 
-    if (meetingOwnerId !== requestUserId) {
-      this.logger.warn('Access denied: User does not own meeting', {
+    if (!hasProjectRole(role, requiredRole)) {
+      this.logger.warn('Access denied: User lacks required role for meeting', {
         meetingId: meeting._id?.toString(),
-        requestUserId,
-        meetingOwnerId
+        requestUserId: userId.toString(),
+        meetingOwnerId: meeting.projectId?.userId?.toString(),
+        role,
+        requiredRole
       });
-      throw new ForbiddenError('Access denied');
+      throw new ForbiddenError(role ? `This action requires the ${requiredRole} role` : 'Access denied');
     }
 
-    this.logger.debug('Meeting ownership verified', {
+    this.logger.debug('Meeting access verified', {
       meetingId: meeting._id?.toString(),
-      userId: requestUserId
+      userId: userId.toString(),
+      role
     });
 
-    return true;
+    return role;
   }
 
   /**
@@ -52,39 +68,55 @@ class AuthorizationService extends BaseService {
    * @throws {ForbiddenError} If user doesn't own the project
    */
   verifyProjectOwnership(project, userId) {
+    return this.verifyProjectRole(project, userId, 'owner');
+  }
+
+  /**
+   * Verify that a user has at least the required role on a project
+   * @param {Object} project - Project object
+   * @param {string} userId - User ID to verify against
+   * @param {string} requiredRole - Minimum role: 'viewer', 'editor' or 'owner'
+   * @returns {string} The user's role in the project
+   * @throws {NotFoundError} If project is null/undefined
+   * @throws {ForbiddenError} If user lacks the required role
+   */
+  verifyProjectRole(project, userId, requiredRole = 'viewer') {
     if (!project) {
       this.logger.warn('Project not found for ownership verification');
       throw new NotFoundError('Project not found');
     }
 
-    const projectOwnerId = project.userId?.toString();
-    const requestUserId = userId.toString();
+    const role = getProjectRole(project, userId);
 
-    if (projectOwnerId !== requestUserId) {
-      this.logger.warn('Access denied: User does not own project', {
+    if (!hasProjectRole(role, requiredRole)) {
+      this.logger.warn('Access denied: User lacks required role for project', {
         projectId: project._id?.toString(),
-        requestUserId,
-        projectOwnerId
+        requestUserId: userId.toString(),
+        projectOwnerId: project.userId?.toString(),
+        role,
+        requiredRole
       });
-      throw new ForbiddenError('Access denied');
+      throw new ForbiddenError(role ? `This action requires the ${requiredRole} role` : 'Access denied');
     }
 
-    this.logger.debug('Project ownership verified', {
+    this.logger.debug('Project access verified', {
       projectId: project._id?.toString(),
-      userId: requestUserId
+      userId: userId.toString(),
+      role
     });
 
-    return true;
+    return role;
   }
 
   /**
    * Verify that a transcription belongs to the specified user (via meeting ownership)
    * @param {Object} transcription - Transcription object with populated meetingId
    * @param {string} userId - User ID to verify against
+   * @param {string} requiredRole - Minimum project role (default: owner)
    * @throws {NotFoundError} If transcription is null/undefined
    * @throws {ForbiddenError} If user doesn't own the transcription
    */
-  verifyTranscriptionOwnership(transcription, userId) {
+  verifyTranscriptionOwnership(transcription, userId, requiredRole = 'owner') {
     if (!transcription) {
       this.logger.warn('Transcription not found for ownership verification');
       throw new NotFoundError('Transcription not found');
@@ -92,7 +124,7 @@ class AuthorizationService extends BaseService {
 
     // Transcription ownership is verified through meeting ownership
     if (transcription.meetingId) {
-      return this.verifyMeetingOwnership(transcription.meetingId, userId);
+      return this.verifyMeetingRole(transcription.meetingId, userId, requiredRole);
     }
 
     this.logger.error('Transcription missing meeting relationship', {
@@ -0,0 +1,319 @@
+/**
+ * Chat Service
+ * Retrieval-augmented question answering over meeting transcripts
+ * Retrieves relevant segments with RetrievalService, then streams an LLM answer
+ * grounded in those segments with numbered citations
+ */
+const ChatConversation = require('../../models/chat-conversation.model');
+const BaseService = require('./base.service');
+const { formatClock } = require('../utils/transcript-formatter');
+const { ForbiddenError, NotFoundError } = require('../../utils/errors');
+
+// Maximum prior turns included in the prompt
+const MAX_HISTORY_TURNS = 10;
+
+// Maximum length of a conversation title derived from the first question
+const MAX_TITLE_LENGTH = 100;
+
+class ChatService extends BaseService {
+  constructor(logger, retrievalService, transcriptionService) {
+    super(logger);
+    this.retrievalService = retrievalService;
+    this.transcriptionService = transcriptionService;
+    this.ChatConversation = ChatConversation;
+
+    this.topK = parseInt(process.env.CHAT_TOP_K) || 12;
+    this.scoreThreshold = parseFloat(process.env.CHAT_SCORE_THRESHOLD) || 0.6;
+  }
+
+  /**
+   * Answer a question over project or meeting transcripts (streaming)
+   * Yields a citations event first, then answer chunks
+   * @param {string} question - User question
+   * @param {Object} options - Chat options
+   * @param {string} options.scope - 'project' or 'meeting'
+   * @param {string} options.scopeId - projectId or meetingId
+   * @param {Array} options.history - Prior turns [{ role: 'user'|'assistant', content }]
+   * @param {number} options.topK - Number of segments to retrieve
+   * @returns {AsyncGenerator} Yields { type: 'citations', citations } then { type: 'chunk', content }
+   */
+  async* chatStream(question, options = {}) {
+    const { scope, scopeId, history = [], topK = this.topK } = options;
+
+    try {
+      if (!this.retrievalService.isAvailable()) {
+        throw new Error('Chat is not available. Please configure an embedding provider.');
+      }
+
+      if (typeof this.transcriptionService?.generateTextStream !== 'function') {
+        throw new Error('Chat is not available with the current transcription provider');
+      }
+
+      this.logger.info('Starting chat', {
+        scope,
+        scopeId,
+        question: question.substring(0, 50),
+        historyLength: history.length
+      });
+
+      const { results } = await this.retrievalService.retrieve(question, {
+        scope,
+        scopeId,
+        topK,
+        scoreThreshold: this.scoreThreshold,
+        includeMeetingInfo: true,
+        hybrid: false
+      });
+
+      const citations = this._buildCitations(results);
+
+      yield { type: 'citations', citations };
+
+      if (citations.length === 0) {
+        yield {
+          type: 'chunk',
+          content: 'I could not find anything in the transcripts related to this question.'
+        };
+        return;
+      }
+
+      const prompt = this._buildPrompt(question, citations, history);
+
+      for await (const chunk of this.transcriptionService.generateTextStream(prompt)) {
+        yield { type: 'chunk', content: chunk };
+      }
+
+      this.logSuccess('Chat answer streamed', {
+        scope,
+        scopeId,
+        citationCount: citations.length
+      });
+    } catch (error) {
+      this.logAndThrow(error, 'Chat', { scope, scopeId });
+    }
+  }
+
+  /**
+   * Load a conversation to continue, verifying it matches the chat scope
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} context - Chat context
+   * @param {string} context.projectId - Project ID from the route
+   * @param {string} context.scope - 'project' or 'meeting'
+   * @param {string} context.meetingId - Meeting ID for meeting scope
+   * @returns {Promise<Object>} Conversation document
+   */
+  async getConversationForChat(conversationId, { projectId, scope, meetingId = null }) {
+    try {
+      const conversation = await this.ChatConversation.findOne({ _id: conversationId, projectId });
+
+      if (!conversation) {
+        throw new NotFoundError('Conversation not found');
+      }
+
+      const sameMeeting = String(conversation.meetingId || '') === String(meetingId || '');
+      if (conversation.scope !== scope || !sameMeeting) {
+        throw new NotFoundError('Conversation not found for this chat scope');
+      }
+
+      return conversation;
+    } catch (error) {
+      this.logAndThrow(error, 'Get conversation for chat', { conversationId, projectId, scope });
+    }
+  }
+
+  /**
+   * Persist a question and its answer, creating the conversation on the first exchange
+   * @param {Object|null} conversation - Existing conversation document, or null to start one
+   * @param {Object} exchange - Exchange data
+   * @param {string} exchange.userId - User ID
+   * @param {string} exchange.projectId - Project ID
+   * @param {string} exchange.scope - 'project' or 'meeting'
+   * @param {string} exchange.meetingId - Meeting ID for meeting scope
+   * @param {string} exchange.question - User question
+   * @param {string} exchange.answer - Assistant answer
+   * @param {Array} exchange.citations - Citations backing the answer
+   * @returns {Promise<Object>} Saved conversation document
+   */
+  async saveExchange(conversation, exchange) {
+    const { userId, projectId, scope, meetingId = null, question, answer, citations = [] } = exchange;
+
+    try {
+      const target = conversation || new this.ChatConversation({
+        userId,
+        projectId,
+        scope,
+        meetingId,
+        title: question.length > MAX_TITLE_LENGTH
+          ? `${question.substring(0, MAX_TITLE_LENGTH - 3)}...`
+          : question
+      });
+
+      const now = new Date();
+      target.messages.push(
+        { role: 'user', content: question, createdAt: now },
+        { role: 'assistant', content: answer, citations, createdAt: now }
+      );
+      target.messageCount = target.messages.length;
+      target.lastMessageAt = now;
+
+      await target.save();
+
+      this.logSuccess('Chat exchange saved', {
+        conversationId: target._id,
+        projectId,
+        messageCount: target.messageCount
+      });
+
+      return target;
+    } catch (error) {
+      this.logAndThrow(error, 'Save chat exchange', { projectId, scope });
+    }
+  }
+
+  /**
+   * List conversations in a project, most recently active first
+   * @param {string} projectId - Project ID
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Items per page
+   * @param {string} options.meetingId - Only conversations about this meeting
+   * @returns {Promise<Object>} Conversations (without messages) with pagination
+   */
+  async listConversations(projectId, options = {}) {
+    const { page = 1, limit = 20, meetingId } = options;
+
+    try {
+      const query = { projectId };
+      if (meetingId) {
+        query.meetingId = meetingId;
+      }
+
+      const result = await this.ChatConversation.findPaginated(query, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      this.logSuccess('Conversations listed', {
+        projectId,
+        total: result.pagination.total
+      });
+
+      return result;
+    } catch (error) {
+      this.logAndThrow(error, 'List conversations', { projectId });
+    }
+  }
+
+  /**
+   * Get a conversation with all messages and citations
+   * @param {string} projectId - Project ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Conversation
+   */
+  async getConversation(projectId, conversationId) {
+    try {
+      const conversation = await this.ChatConversation.findOne({ _id: conversationId, projectId });
+
+      if (!conversation) {
+        throw new NotFoundError('Conversation not found');
+      }
+
+      return conversation.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Get conversation', { projectId, conversationId });
+    }
+  }
+
+  /**
+   * Delete a conversation (only the user who started it may delete it)
+   * @param {string} projectId - Project ID
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteConversation(projectId, conversationId, userId) {
+    try {
+      const conversation = await this.ChatConversation.findOne({ _id: conversationId, projectId });
+
+      if (!conversation) {
+        throw new NotFoundError('Conversation not found');
+      }
+
+      if (conversation.userId.toString() !== userId.toString()) {
+        throw new ForbiddenError('Only the user who started this conversation can delete it');
+      }
+
+      await conversation.deleteOne();
+
+      this.logSuccess('Conversation deleted', { projectId, conversationId, userId });
+
+      return { message: 'Conversation deleted successfully' };
+    } catch (error) {
+      this.logAndThrow(error, 'Delete conversation', { projectId, conversationId, userId });
+    }
+  }
+
+  /**
+   * Convert retrieval results into numbered citations
+   * Segments are ordered chronologically within each meeting so the LLM reads them in context
+   * @param {Array} results - Retrieval results (with meeting info)
+   * @returns {Array} Citations
+   * @private
+   */
+  _buildCitations(results) {
+    return [...results]
+      .sort((a, b) => {
+        const meetingOrder = new Date(a.meeting?.createdAt || 0) - new Date(b.meeting?.createdAt || 0);
+        return meetingOrder !== 0 ? meetingOrder : a.startTime - b.startTime;
+      })
+      .map((result, index) => ({
+        index: index + 1,
+        transcriptionId: result._id,
+        meetingId: result.meetingId,
+        meetingTitle: result.meeting?.title || null,
+        meetingDate: result.meeting?.createdAt || null,
+        startTime: result.startTime,
+        endTime: result.endTime,
+        speaker: result.speaker,
+        text: result.text,
+        score: result.score
+      }));
+  }
+
+  /**
+   * Build grounded prompt with numbered sources and conversation history
+   * @param {string} question - User question
+   * @param {Array} citations - Numbered citations
+   * @param {Array} history - Prior turns
+   * @returns {string} Prompt text
+   * @private
+   */
+  _buildPrompt(question, citations, history) {
+    const sources = citations
+      .map(c => {
+        const date = c.meetingDate ? new Date(c.meetingDate).toISOString().split('T')[0] : 'unknown date';
+        return `[${c.index}] (${c.meetingTitle || 'Untitled meeting'}, ${date}, ${formatClock(c.startTime)}) ${c.speaker}: ${c.text}`;
+      })
+      .join('\n');
+
+    const conversation = history
+      .slice(-MAX_HISTORY_TURNS)
+      .map(turn => `${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${turn.content}`)
+      .join('\n');
+
+    return `You are an assistant that answers questions about the user's meetings using ONLY the transcript excerpts below.
+
+**Rules:**
+- Answer in the SAME LANGUAGE as the question
+- Base every statement on the excerpts and cite them inline using their numbers, e.g. [1] or [2][5]
+- If the excerpts do not contain the answer, say so plainly instead of guessing
+- Use concise MARKDOWN (short paragraphs or bullet points), no code blocks
+
+**Transcript excerpts:**
+${sources}
+${conversation ? `\n**Conversation so far:**\n${conversation}\n` : ''}
+**Question:** ${question}`;
+  }
+}
+
+module.exports = ChatService;
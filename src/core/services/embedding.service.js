@@ -1,30 +1,31 @@
 /**
  * Embedding Service
- * Generates vector embeddings for text using OpenAI API
+ * Generates vector embeddings for text through a pluggable embedding provider
+ * (OpenAI, OpenAI-compatible HTTP endpoint, or local hashing embedder)
  * Used for semantic search over transcriptions
  */
-const OpenAI = require('openai');
+const EmbeddingProviderFactory = require('../embeddings/embedding-provider.factory');
 
 class EmbeddingService {
-  constructor(logger) {
+  constructor(logger, config = {}) {
     this.logger = logger;
 
     // Configuration
-    this.provider = process.env.EMBEDDING_PROVIDER || 'openai';
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.model = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
-    this.dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS) || 1536;
+    this.embeddingProvider = config.embeddingProvider || EmbeddingProviderFactory.createProvider(logger, config);
+    this.provider = this.embeddingProvider.name;
+    this.model = this.embeddingProvider.model;
+    this.dimensions = this.embeddingProvider.dimensions;
     this.enabled = process.env.VECTOR_SEARCH_ENABLED !== 'false';
 
     // Validate configuration
-    if (this.enabled && this.provider === 'openai') {
-      if (!this.apiKey) {
-        this.logger.warn('OPENAI_API_KEY not set, embedding generation disabled');
+    if (this.enabled) {
+      if (!this.embeddingProvider.isConfigured()) {
+        this.logger.warn('Embedding provider not configured, embedding generation disabled', {
+          provider: this.provider,
+          hint: this.provider === 'http' ? 'Set EMBEDDING_API_URL' : 'Set OPENAI_API_KEY'
+        });
         this.enabled = false;
       } else {
-        // Initialize OpenAI client
-        this.client = new OpenAI({ apiKey: this.apiKey });
-
         this.logger.info('Embedding service initialized', {
           provider: this.provider,
           model: this.model,
@@ -109,8 +110,8 @@ class EmbeddingService {
     }
 
     try {
-      // OpenAI supports up to 2048 texts per batch, but we'll use smaller batches for reliability
-      const batchSize = 100;
+      // Providers accept different batch sizes (OpenAI supports 2048, we use 100 for reliability)
+      const batchSize = this.embeddingProvider.maxBatchSize;
       const allEmbeddings = [];
 
       for (let i = 0; i < validTexts.length; i += batchSize) {
@@ -155,13 +156,8 @@ class EmbeddingService {
    */
   async _generateWithRetry(text, attempt = 1) {
     try {
-      const response = await this.client.embeddings.create({
-        model: this.model,
-        input: text,
-        dimensions: this.dimensions
-      });
-
-      return response.data[0].embedding;
+      const [embedding] = await this.embeddingProvider.embed([text]);
+      return embedding;
     } catch (error) {
       // Check if we should retry
       if (attempt < this.maxRetries && this._isRetryableError(error)) {
@@ -188,13 +184,7 @@ class EmbeddingService {
    */
   async _generateBatchWithRetry(texts, attempt = 1) {
     try {
-      const response = await this.client.embeddings.create({
-        model: this.model,
-        input: texts,
-        dimensions: this.dimensions
-      });
-
-      return response.data.map(item => item.embedding);
+      return await this.embeddingProvider.embed(texts);
     } catch (error) {
       // Check if we should retry
       if (attempt < this.maxRetries && this._isRetryableError(error)) {
@@ -228,8 +218,9 @@ class EmbeddingService {
       return true;
     }
 
-    // Retry on network errors
-    if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') {
+    // Retry on network errors (fetch wraps socket errors in error.cause)
+    const code = error.code || error.cause?.code;
+    if (code === 'ECONNRESET' || code === 'ETIMEDOUT' || code === 'ECONNREFUSED' || error.name === 'TimeoutError') {
       return true;
     }
 
@@ -261,9 +252,19 @@ class EmbeddingService {
       enabled: this.enabled,
       provider: this.provider,
       model: this.model,
-      dimensions: this.dimensions
+      dimensions: this.dimensions,
+      signature: this.getSignature()
     };
   }
+
+  /**
+   * Get signature of the vector space produced by the current provider
+   * Stored alongside each embedding so stale vectors can be detected and re-embedded
+   * @returns {string} e.g. "openai:text-embedding-3-small:1536"
+   */
+  getSignature() {
+    return this.embeddingProvider.getSignature();
+  }
 }
 
 module.exports = EmbeddingService;
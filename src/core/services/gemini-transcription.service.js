@@ -6,6 +6,12 @@
 const fs = require('fs');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const TranscriptionService = require('./transcription.service');
+const TranscriptionWindow = require('../../models/transcription-window.model');
+const { getAudioDuration } = require('../utils/audio-utils');
+const { planWindows, extractWindow } = require('../utils/audio-chunker');
+const { stitchWindows } = require('../utils/transcript-stitcher');
+const { withTempFile, generateTempPath } = require('../utils/temp-file-manager');
+const transcriptionEvents = require('../queue/transcription-events');
 
 class GeminiTranscriptionService extends TranscriptionService {
   constructor(logger, transcriptionDataService, meetingService) {
@@ -30,6 +36,12 @@ class GeminiTranscriptionService extends TranscriptionService {
     this.chunkStallTimeout = parseInt(process.env.GEMINI_CHUNK_STALL_TIMEOUT) || 30000; // 30s
     this.averageSegmentDuration = parseInt(process.env.AVERAGE_SEGMENT_DURATION) || 5000; // 5s
 
+    // Chunked transcription for long recordings (seconds)
+    this.chunkThreshold = parseInt(process.env.TRANSCRIPTION_CHUNK_THRESHOLD) || 1800; // 30 min
+    this.windowDuration = parseInt(process.env.TRANSCRIPTION_WINDOW_DURATION) || 900; // 15 min
+    this.windowOverlap = parseInt(process.env.TRANSCRIPTION_WINDOW_OVERLAP) || 30; // 30s
+    this.windowConcurrency = parseInt(process.env.TRANSCRIPTION_WINDOW_CONCURRENCY) || 1;
+
     if (!this.apiKey) {
       throw new Error('GEMINI_API_KEY environment variable is required');
     }
@@ -46,7 +58,11 @@ class GeminiTranscriptionService extends TranscriptionService {
 
   /**
    * Transcribe audio file using Gemini streaming API
-   * Processes long audio files without timeout by streaming results
+   * Processes long audio files without timeout by streaming results.
+   * Recordings longer than the chunk threshold are split into overlapping windows
+   * (see _transcribeInWindows) so they fit in a request and can resume after a retry.
+   * Live recordings always use the window plan they were recorded with, so the windows
+   * already transcribed during the session are reused.
    * @param {string} audioFilePath - Path to audio file
    * @param {string} meetingId - Meeting ID for progress tracking
    * @param {Object} options - Transcription options
@@ -63,12 +79,28 @@ class GeminiTranscriptionService extends TranscriptionService {
       // Update status to processing
       await this._updateMeetingStatus(meetingId, 'processing', 0);
 
+      // Calculate estimated total segments for progress
+      const meeting = await this.meetingService.getMeetingById(meetingId);
+
+      // Browser recordings may be stored without a duration; probe the file instead
+      const audioDuration = meeting.duration || await getAudioDuration(audioFilePath).catch(() => null);
+
+      const livePlan = meeting.metadata?.live;
+      if (audioDuration && livePlan?.windowSeconds) {
+        return await this._transcribeInWindows(audioFilePath, meetingId, audioDuration, {
+          windowSeconds: livePlan.windowSeconds,
+          overlapSeconds: livePlan.overlapSeconds
+        });
+      }
+
+      if (audioDuration && audioDuration > this.chunkThreshold) {
+        return await this._transcribeInWindows(audioFilePath, meetingId, audioDuration);
+      }
+
       // Get audio file info
-      const audioBuffer = fs.readFileSync(audioFilePath);
+      const audioBuffer = await fs.promises.readFile(audioFilePath);
       const mimeType = this._detectMimeType(audioFilePath);
 
-      // Calculate estimated total segments for progress
-      const meeting = await this.meetingService.getMeetingById(meetingId);
       const estimatedTotal = this._calculateEstimatedSegments(meeting.duration);
 
       // Calculate audio duration in milliseconds for LLM context
@@ -84,43 +116,7 @@ class GeminiTranscriptionService extends TranscriptionService {
 
       // Initialize Gemini model for transcription (requires audio processing capabilities)
       const model = this.genAI.getGenerativeModel({ model: this.transcriptionModel });
-      const durationInfo = durationMs
-        ? `\n\n** AUDIO DURATION: ${meeting.duration} seconds (${durationMs} milliseconds) **`
-        : '';
-
-      // Prepare streaming request with newline-delimited JSON format for true incremental processing
-      const prompt = `Transcribe this audio file with speaker diarization and timestamps.${durationInfo}
-
-CRITICAL: Return the transcription as NEWLINE-DELIMITED JSON where EACH LINE is a separate JSON object.
-
-Each line must be a complete, valid JSON object with these fields:
-- startTime: start timestamp in milliseconds
-- endTime: end timestamp in milliseconds
-- speaker: speaker identifier (e.g., "SPEAKER_01", "SPEAKER_02")
-- text: the transcribed text
-
-IMPORTANT TIMESTAMP REQUIREMENTS:${durationMs ? `
-- All startTime values MUST be between 0 and ${durationMs} milliseconds
-- All endTime values MUST be between 0 and ${durationMs} milliseconds
-- Timestamps MUST progress chronologically (each segment starts at or after the previous segment ends)
-- Expected approximately ${estimatedTotal} segments total
-- Ensure timestamps are accurately distributed across the entire audio duration` : `
-- Timestamps must progress chronologically
-- Ensure accurate timestamp distribution`}
-
-IMPORTANT FORMAT REQUIREMENTS:
-- Output ONE JSON object per line
-- NO array brackets [ ]
-- NO commas between objects
-- Each line is a standalone valid JSON object
-- Separate objects with newlines only
-
-Example correct format:
-{"startTime":0,"endTime":3000,"speaker":"SPEAKER_01","text":"Hello everyone"}
-{"startTime":3000,"endTime":6000,"speaker":"SPEAKER_02","text":"Hi there"}
-{"startTime":6000,"endTime":9000,"speaker":"SPEAKER_01","text":"Let's begin"}
-
-Do NOT use array format. Each line must be parseable independently.`;
+      const prompt = this._buildTranscriptionPrompt(durationMs, estimatedTotal);
 
       const parts = [
         { text: prompt },
@@ -303,35 +299,7 @@ Do NOT use array format. Each line must be parseable independently.`;
 
       clearInterval(stallCheckInterval);
 
-      // Generate title and description from transcription
-      this.logger.info('Generating meeting title and description from transcription', { meetingId });
-      try {
-        const summary = await this.generateTitleAndDescription(meetingId);
-
-        // Update meeting with generated title and description
-        const meetingDoc = await this.meetingService._getMeetingByIdInternal(meetingId);
-        meetingDoc.title = summary.title;
-        meetingDoc.description = summary.description;
-        await meetingDoc.save();
-
-        this.logger.info('Meeting updated with auto-generated title and description', {
-          meetingId,
-          title: summary.title,
-          hasDescription: !!summary.description
-        });
-      } catch (summaryError) {
-        // Log but don't fail transcription if summary generation fails
-        this.logger.warn('Failed to generate title/description, continuing with transcription completion', {
-          meetingId,
-          error: summaryError.message
-        });
-      }
-
-      // Finalize
-      await this._updateMeetingStatus(meetingId, 'completed', 100);
-      await this._updateTranscriptionMetadata(meetingId, {
-        completedAt: new Date()
-      });
+      await this._finalizeTranscription(meetingId);
 
       this.logger.info('Gemini transcription completed', {
         meetingId,
@@ -356,6 +324,277 @@ Do NOT use array format. Each line must be parseable independently.`;
     }
   }
 
+  /**
+   * Build the transcription prompt
+   * @param {number|null} durationMs - Audio duration in milliseconds (null if unknown)
+   * @param {number} estimatedTotal - Expected number of segments
+   * @returns {string} Prompt text
+   */
+  _buildTranscriptionPrompt(durationMs, estimatedTotal) {
+    const durationInfo = durationMs
+      ? `\n\n** AUDIO DURATION: ${durationMs / 1000} seconds (${durationMs} milliseconds) **`
+      : '';
+
+    // Newline-delimited JSON format for true incremental processing
+    return `Transcribe this audio file with speaker diarization and timestamps.${durationInfo}
+
+CRITICAL: Return the transcription as NEWLINE-DELIMITED JSON where EACH LINE is a separate JSON object.
+
+Each line must be a complete, valid JSON object with these fields:
+- startTime: start timestamp in milliseconds
+- endTime: end timestamp in milliseconds
+- speaker: speaker identifier (e.g., "SPEAKER_01", "SPEAKER_02")
+- text: the transcribed text
+
+IMPORTANT TIMESTAMP REQUIREMENTS:${durationMs ? `
+- All startTime values MUST be between 0 and ${durationMs} milliseconds
+- All endTime values MUST be between 0 and ${durationMs} milliseconds
+- Timestamps MUST progress chronologically (each segment starts at or after the previous segment ends)
+- Expected approximately ${estimatedTotal} segments total
+- Ensure timestamps are accurately distributed across the entire audio duration` : `
+- Timestamps must progress chronologically
+- Ensure accurate timestamp distribution`}
+
+IMPORTANT FORMAT REQUIREMENTS:
+- Output ONE JSON object per line
+- NO array brackets [ ]
+- NO commas between objects
+- Each line is a standalone valid JSON object
+- Separate objects with newlines only
+
+Example correct format:
+{"startTime":0,"endTime":3000,"speaker":"SPEAKER_01","text":"Hello everyone"}
+{"startTime":3000,"endTime":6000,"speaker":"SPEAKER_02","text":"Hi there"}
+{"startTime":6000,"endTime":9000,"speaker":"SPEAKER_01","text":"Let's begin"}
+
+Do NOT use array format. Each line must be parseable independently.`;
+  }
+
+  /**
+   * Generate title and description, then mark the transcription completed
+   * @param {string} meetingId - Meeting ID
+   */
+  async _finalizeTranscription(meetingId) {
+    // Generate title and description from transcription
+    this.logger.info('Generating meeting title and description from transcription', { meetingId });
+    try {
+      const summary = await this.generateTitleAndDescription(meetingId);
+
+      // Update meeting with generated title and description
+      const meetingDoc = await this.meetingService._getMeetingByIdInternal(meetingId);
+      meetingDoc.title = summary.title;
+      meetingDoc.description = summary.description;
+      await meetingDoc.save();
+
+      this.logger.info('Meeting updated with auto-generated title and description', {
+        meetingId,
+        title: summary.title,
+        hasDescription: !!summary.description
+      });
+    } catch (summaryError) {
+      // Log but don't fail transcription if summary generation fails
+      this.logger.warn('Failed to generate title/description, continuing with transcription completion', {
+        meetingId,
+        error: summaryError.message
+      });
+    }
+
+    // Finalize
+    await this._updateMeetingStatus(meetingId, 'completed', 100);
+    await this._updateTranscriptionMetadata(meetingId, {
+      completedAt: new Date()
+    });
+  }
+
+  /**
+   * Transcribe a long recording as overlapping windows
+   * Each completed window is checkpointed, so a retried job only transcribes the windows
+   * that are still missing. Windows are stitched (timestamps offset, speaker labels
+   * reconciled through the overlaps) and saved once all of them are done.
+   * @param {string} audioFilePath - Path to audio file
+   * @param {string} meetingId - Meeting ID
+   * @param {number} audioDuration - Audio duration in seconds
+   * @param {Object} plan - Window plan (defaults to the configured window duration and overlap)
+   * @param {number} plan.windowSeconds - Window length in seconds
+   * @param {number} plan.overlapSeconds - Overlap between windows in seconds
+   * @returns {Promise<Array>} Stitched transcription segments
+   */
+  async _transcribeInWindows(audioFilePath, meetingId, audioDuration, plan = {}) {
+    const { windowSeconds = this.windowDuration, overlapSeconds = this.windowOverlap } = plan;
+    const windowMs = windowSeconds * 1000;
+    const overlapMs = overlapSeconds * 1000;
+    const windows = planWindows(audioDuration, { windowSeconds, overlapSeconds });
+
+    // Resume from checkpoints that match the current window plan; anything else is stale
+    const checkpoints = await TranscriptionWindow.find({ meetingId })
+      .select('index startMs endMs windowMs overlapMs');
+    const isCurrentPlan = (c) => c.windowMs === windowMs &&
+      c.overlapMs === overlapMs &&
+      windows[c.index]?.startMs === c.startMs &&
+      windows[c.index]?.endMs === c.endMs;
+
+    const stale = checkpoints.filter(c => !isCurrentPlan(c));
+    if (stale.length > 0) {
+      await TranscriptionWindow.deleteMany({ _id: { $in: stale.map(c => c._id) } });
+    }
+    const completed = new Set(checkpoints.filter(isCurrentPlan).map(c => c.index));
+    const pending = windows.filter(w => !completed.has(w.index));
+
+    this.logger.info('Starting chunked transcription', {
+      meetingId,
+      audioDuration,
+      windowCount: windows.length,
+      resumedWindows: completed.size,
+      concurrency: this.windowConcurrency
+    });
+
+    await this._updateTranscriptionMetadata(meetingId, {
+      startedAt: new Date(),
+      audioDuration,
+      audioDurationMs: Math.round(audioDuration * 1000),
+      windowsTotal: windows.length,
+      windowsCompleted: completed.size
+    });
+
+    // Transcribe pending windows with a small worker pool
+    let cursor = 0;
+    let failed = false;
+    const runWorker = async () => {
+      while (!failed && cursor < pending.length) {
+        const window = pending[cursor++];
+        try {
+          const segments = await this.transcribeWindow(audioFilePath, meetingId, window);
+
+          await TranscriptionWindow.findOneAndUpdate(
+            { meetingId, index: window.index },
+            { startMs: window.startMs, endMs: window.endMs, windowMs, overlapMs, segments },
+            { upsert: true }
+          );
+          completed.add(window.index);
+
+          const progress = Math.min(90, Math.floor((completed.size / windows.length) * 90));
+          await this._updateMeetingStatus(meetingId, 'processing', progress);
+          await this._updateTranscriptionMetadata(meetingId, {
+            windowsCompleted: completed.size,
+            lastChunkAt: new Date()
+          });
+
+          this.logger.info('Transcription window completed', {
+            meetingId,
+            window: window.index,
+            completed: completed.size,
+            total: windows.length,
+            segmentCount: segments.length
+          });
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(this.windowConcurrency, pending.length) }, runWorker)
+    );
+
+    // Stitch all windows (including resumed ones) and replace any partial transcript
+    const windowDocs = await TranscriptionWindow.find({ meetingId }).sort({ index: 1 }).lean();
+    const segments = stitchWindows(windowDocs);
+
+    await this.transcriptionDataService.deleteByMeetingId(meetingId);
+    await this.transcriptionDataService.saveTranscriptions(meetingId, segments);
+    await this._updateMeetingProgress(meetingId, 95, segments.length);
+
+    // Checkpoints are only needed until the transcript is saved
+    await TranscriptionWindow.deleteMany({ meetingId });
+
+    await this._finalizeTranscription(meetingId);
+
+    this.logger.info('Chunked transcription completed', {
+      meetingId,
+      windowCount: windows.length,
+      segmentsCount: segments.length
+    });
+
+    return segments;
+  }
+
+  /**
+   * Extract one window of audio and transcribe it
+   * Also used by live recordings to transcribe windows while the file is still growing
+   * @param {string} audioFilePath - Path to the full recording
+   * @param {string} meetingId - Meeting ID (for logging)
+   * @param {Object} window - Window from planWindows
+   * @returns {Promise<Array>} Segments with absolute timestamps and window-local speaker labels
+   */
+  async transcribeWindow(audioFilePath, meetingId, window) {
+    const tempPath = generateTempPath(`transcription-${meetingId}-w${window.index}`, '.mp3');
+
+    return withTempFile(tempPath, async (windowPath) => {
+      await extractWindow(audioFilePath, windowPath, window);
+
+      const audioBuffer = await fs.promises.readFile(windowPath);
+      const durationMs = window.endMs - window.startMs;
+      const segments = await this._streamSegments(audioBuffer, 'audio/mpeg', durationMs);
+
+      return segments.map(segment => ({
+        ...segment,
+        startTime: segment.startTime + window.startMs,
+        endTime: segment.endTime + window.startMs
+      }));
+    });
+  }
+
+  /**
+   * Transcribe an audio buffer and collect all segments from the stream
+   * @param {Buffer} audioBuffer - Audio data
+   * @param {string} mimeType - Audio MIME type
+   * @param {number} durationMs - Audio duration in milliseconds
+   * @returns {Promise<Array>} Segments relative to the start of the buffer
+   */
+  async _streamSegments(audioBuffer, mimeType, durationMs) {
+    const model = this.genAI.getGenerativeModel({ model: this.transcriptionModel });
+    const prompt = this._buildTranscriptionPrompt(durationMs, this._calculateEstimatedSegments(durationMs / 1000));
+
+    const result = await model.generateContentStream({
+      contents: [{
+        role: 'user',
+        parts: [
+          { text: prompt },
+          { inlineData: { mimeType, data: audioBuffer.toString('base64') } }
+        ]
+      }]
+    });
+
+    const segments = [];
+    let lineBuffer = '';
+    let lastEndTime = 0;
+
+    const collect = (rawSegments) => {
+      for (const rawSegment of rawSegments) {
+        const segment = this._mapGeminiSegment(rawSegment, durationMs, lastEndTime);
+        segments.push(segment);
+        lastEndTime = segment.endTime;
+      }
+    };
+
+    for await (const chunk of result.stream) {
+      const chunkText = chunk.text();
+      if (!chunkText) continue;
+
+      const { segments: parsedSegments, buffer } = this._parseStreamingChunks(chunkText, lineBuffer);
+      lineBuffer = buffer;
+      collect(parsedSegments);
+    }
+
+    // Parse the last line if the stream did not end with a newline
+    if (lineBuffer.trim()) {
+      collect(this._parseStreamingChunks('\n', lineBuffer).segments);
+    }
+
+    return segments;
+  }
+
   /**
    * Parse streaming chunks line-by-line for incremental processing
    * Handles newline-delimited JSON format where each line is a complete segment
@@ -569,6 +808,8 @@ Do NOT use array format. Each line must be parseable independently.`;
       }
 
       await meeting.save();
+
+      transcriptionEvents.publishProgress(meetingId, { status, progress });
     } catch (error) {
       this.logger.error('Error updating meeting status', {
         error: error.message,
@@ -593,6 +834,8 @@ Do NOT use array format. Each line must be parseable independently.`;
       meeting.metadata.transcription.processedSegments = processedSegments;
 
       await meeting.save();
+
+      transcriptionEvents.publishProgress(meetingId, { progress, processedSegments });
     } catch (error) {
       this.logger.error('Error updating meeting progress', {
         error: error.message,
@@ -811,6 +1054,24 @@ Summarize the final outcomes and what was agreed upon.
     }
   }
 
+  /**
+   * Stream a free-form text completion from the LLM model
+   * Used by features that build their own prompts (e.g., RAG chat)
+   * @param {string} prompt - Prompt text
+   * @returns {AsyncGenerator} Async generator yielding text chunks
+   */
+  async* generateTextStream(prompt) {
+    const model = this.genAI.getGenerativeModel({ model: this.model });
+    const result = await model.generateContentStream(prompt);
+
+    for await (const chunk of result.stream) {
+      const chunkText = chunk.text();
+      if (chunkText) {
+        yield chunkText;
+      }
+    }
+  }
+
   /**
    * Generate action items from meeting transcription using LLM
    * @param {string} meetingId - Meeting ID
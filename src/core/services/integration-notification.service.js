@@ -0,0 +1,101 @@
+/**
+ * Integration Notification Service
+ * Notifies users through the messaging integration a meeting was created from
+ * (e.g. a LINE voice note) when its transcription finishes or fails
+ */
+const BaseService = require('./base.service');
+const Meeting = require('../../models/meeting.model');
+const Integration = require('../../models/integration.model');
+
+class IntegrationNotificationService extends BaseService {
+  constructor(logger, lineService) {
+    super(logger);
+    this.lineService = lineService;
+  }
+
+  /**
+   * Notify that a meeting's transcription completed
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<boolean>} Whether a notification was sent
+   */
+  async notifyTranscriptionCompleted(meetingId) {
+    return this._dispatch(meetingId, 'completed');
+  }
+
+  /**
+   * Notify that a meeting's transcription failed for good (no retries left)
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<boolean>} Whether a notification was sent
+   */
+  async notifyTranscriptionFailed(meetingId) {
+    return this._dispatch(meetingId, 'failed');
+  }
+
+  /**
+   * Send the notification for a transcription event
+   * Never throws: a failed notification must not fail the transcription job
+   * @param {string} meetingId - Meeting ID
+   * @param {string} event - 'completed' or 'failed'
+   * @returns {Promise<boolean>} Whether a notification was sent
+   * @private
+   */
+  async _dispatch(meetingId, event) {
+    try {
+      const meeting = await Meeting.findById(meetingId);
+      const source = meeting?.metadata?.integration;
+
+      if (!source?.provider) {
+        return false; // Not created through an integration
+      }
+
+      const integration = source.integrationId
+        ? await Integration.findById(source.integrationId)
+        : await Integration.findByProviderId(source.providerId, source.provider);
+
+      if (!integration || !integration.isActive) {
+        this.logger.debug('Skipping integration notification - integration not active', {
+          meetingId,
+          provider: source.provider
+        });
+        return false;
+      }
+
+      if (!integration.settings?.notifyOnComplete) {
+        return false;
+      }
+
+      switch (source.provider) {
+        case 'line':
+          if (event === 'completed') {
+            await this.lineService.sendTranscriptionComplete(integration.providerId, meeting);
+          } else {
+            await this.lineService.sendTranscriptionFailed(integration.providerId, meeting);
+          }
+          break;
+        default:
+          this.logger.warn('No notifier for integration provider', {
+            meetingId,
+            provider: source.provider
+          });
+          return false;
+      }
+
+      this.logSuccess('Integration notification sent', {
+        meetingId,
+        provider: source.provider,
+        event
+      });
+
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to send integration notification', {
+        error: error.message,
+        meetingId,
+        event
+      });
+      return false;
+    }
+  }
+}
+
+module.exports = IntegrationNotificationService;
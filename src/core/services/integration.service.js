@@ -227,10 +227,11 @@ class IntegrationService extends BaseService {
         integration.settings.notifyOnComplete = settings.notifyOnComplete;
       }
       if (settings.defaultProjectId) {
-        // Verify project exists and belongs to user
-        const project = await this.projectService.getProjectById(
+        // Verify project exists and user can add meetings to it
+        const { project } = await this.projectService.getProjectWithRole(
           settings.defaultProjectId,
-          userId
+          userId,
+          'editor'
         );
         integration.defaultProjectId = project._id;
       }
@@ -298,7 +299,7 @@ class IntegrationService extends BaseService {
 
       // Check if project already exists
       const result = await this.projectService.getProjects(userId, { limit: 100 });
-      const existingProject = result.projects.find((p) => p.name === projectName);
+      const existingProject = result.projects.find((p) => p.name === projectName && p.role === 'owner');
 
       if (existingProject) {
         return existingProject;
@@ -1,4 +1,5 @@
 const BaseService = require('./base.service');
+const { FEATURES } = require('../utils/tier-features');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -137,6 +138,12 @@ class LineWebhookService extends BaseService {
     const userId = user._id || user.id;
 
     try {
+      // Accounts linked on a plan that later lost the integrations feature
+      if (!(await user.hasFeature(FEATURES.INTEGRATIONS))) {
+        await this.lineService.sendError(replyToken, 'feature_unavailable');
+        return;
+      }
+
       // Check tier limits
       const duration = message.duration ? message.duration / 1000 : 60; // Convert ms to seconds, estimate 60s if not provided
       const estimatedSize = duration * 32000; // Rough estimate: 32KB per second
@@ -155,6 +162,13 @@ class LineWebhookService extends BaseService {
 
       const audioBuffer = await this.lineService.downloadContent(message.id);
 
+      // The default project is not populated once it has been moved to the trash
+      if (!integration.defaultProjectId) {
+        const project = await this.integrationService.getOrCreateDefaultProject(userId, 'line');
+        integration.defaultProjectId = project._id;
+        await integration.save();
+      }
+
       // Generate filename and path
       const timestamp = Date.now();
       const filename = `${timestamp}-line-audio.m4a`; // LINE typically sends M4A format
@@ -182,6 +182,20 @@ class LineService extends BaseService {
     return this.pushMessage(lineUserId, message);
   }
 
+  /**
+   * Send transcription failed notification
+   * @param {string} lineUserId - LINE user ID
+   * @param {Object} meeting - Meeting object
+   * @returns {Promise<void>}
+   */
+  async sendTranscriptionFailed(lineUserId, meeting) {
+    const message = messageBuilder.buildTranscriptionFailedMessage(
+      meeting,
+      this.webAppUrl
+    );
+    return this.pushMessage(lineUserId, message);
+  }
+
   /**
    * Send help message
    * @param {string} replyToken - LINE reply token
@@ -0,0 +1,403 @@
+/**
+ * Live Recording Service
+ * Ingests audio streamed during a live meeting and transcribes it while it is recorded
+ *
+ * Audio chunks are appended to storage as they arrive (through the provider's uploadStream)
+ * and to a local spool file. Every time a full window of audio is available, the window is
+ * transcribed from the spool file and checkpointed, and the part of it that the next window
+ * will not overlap is saved as partial transcript. When the session ends, for any reason,
+ * the recording is finalized and the regular transcription job stitches the whole meeting,
+ * reusing the windows that were already transcribed.
+ */
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const BaseService = require('./base.service');
+const TranscriptionWindow = require('../../models/transcription-window.model');
+const Meeting = require('../../models/meeting.model');
+const { getAudioDuration } = require('../utils/audio-utils');
+const { stitchWindows } = require('../utils/transcript-stitcher');
+const { generateTempPath, registerTempFile, deleteTempFile } = require('../utils/temp-file-manager');
+const { BadRequestError, ForbiddenError } = require('../../utils/errors');
+
+// Containers that are valid when cut off at any point (a crashed tab leaves a playable file)
+const LIVE_AUDIO_FORMATS = {
+  'audio/webm': '.webm',
+  'video/webm': '.webm',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/aac': '.aac'
+};
+
+class LiveRecordingService extends BaseService {
+  constructor(logger, meetingService, audioStorageProvider) {
+    super(logger);
+    this.meetingService = meetingService;
+    this.audioStorageProvider = audioStorageProvider;
+
+    this.windowSeconds = parseInt(process.env.LIVE_TRANSCRIPTION_WINDOW) || 120; // 2 min
+    this.overlapSeconds = parseInt(process.env.LIVE_TRANSCRIPTION_OVERLAP) || 10; // 10s
+    this.windowDelayMs = (parseInt(process.env.LIVE_TRANSCRIPTION_DELAY) || 5) * 1000; // Wait for late chunks
+    this.tickIntervalMs = 5000;
+
+    if (this.overlapSeconds >= this.windowSeconds) {
+      throw new Error('LIVE_TRANSCRIPTION_OVERLAP must be shorter than LIVE_TRANSCRIPTION_WINDOW');
+    }
+
+    this.sessions = new Map(); // meetingId -> session
+  }
+
+  /**
+   * Start a live recording session
+   * @param {string} projectId - Project ID
+   * @param {Object} user - Authenticated user document
+   * @param {Object} options - Session options
+   * @param {string} options.title - Meeting title (optional)
+   * @param {string} options.mimeType - MIME type of the streamed audio (codec parameters allowed)
+   * @param {Function} options.onEvent - Called with session events ({ type, ... }) for the client
+   * @returns {Promise<Object>} { session, meeting }
+   */
+  async startSession(projectId, user, { title, mimeType, onEvent = () => {} }) {
+    try {
+      const contentType = (mimeType || '').split(';')[0].trim().toLowerCase();
+      const extension = LIVE_AUDIO_FORMATS[contentType];
+      if (!extension) {
+        throw new BadRequestError(
+          `Unsupported live audio format. Supported formats: ${Object.keys(LIVE_AUDIO_FORMATS).join(', ')}`
+        );
+      }
+
+      // The recording is charged when it ends, so only sessions with quota left can start
+      const remainingDuration = await user.getRemainingDuration();
+      if (remainingDuration === 0) {
+        throw new ForbiddenError('Monthly duration limit exceeded');
+      }
+      const tier = await user.getEffectiveTier();
+
+      const meeting = await this.meetingService.createLiveMeeting(projectId, user._id, {
+        title,
+        mimeType: contentType,
+        plan: { windowSeconds: this.windowSeconds, overlapSeconds: this.overlapSeconds }
+      });
+      const meetingId = meeting._id.toString();
+
+      const storagePath = `meetings/${projectId}/${Date.now()}-live-${meetingId}${extension}`;
+      const spoolPath = generateTempPath(`live-${meetingId}`, extension);
+
+      const upload = new PassThrough();
+      const session = {
+        meetingId,
+        projectId,
+        userId: user._id.toString(),
+        contentType,
+        upload,
+        spool: fs.createWriteStream(spoolPath),
+        spoolPath,
+        uploadResult: null,
+        uploadError: null,
+        bytesReceived: 0,
+        firstChunkAt: null,
+        lastChunkAt: null,
+        maxBytes: tier?.limits?.maxFileSize || null,
+        maxDurationMs: remainingDuration === -1 ? null : remainingDuration * 1000,
+        nextWindow: 0,
+        committedUntilMs: 0,
+        windowTask: null,
+        liveTranscription: true,
+        ending: null,
+        onEvent
+      };
+
+      session.spool.on('open', () => registerTempFile(spoolPath));
+      session.spool.on('error', (error) => {
+        this.logger.error('Live recording spool write failed', { meetingId, error: error.message });
+        session.liveTranscription = false;
+      });
+
+      session.uploadTask = this.audioStorageProvider
+        .uploadStream(storagePath, upload, {
+          contentType,
+          metadata: {
+            projectId: projectId.toString(),
+            userId: session.userId,
+            meetingId,
+            originalName: `live-recording${extension}`
+          }
+        })
+        .then((result) => {
+          session.uploadResult = result;
+        })
+        .catch((error) => {
+          session.uploadError = error;
+          this.logger.error('Live recording upload failed', { meetingId, error: error.message });
+        });
+
+      session.timer = setInterval(() => this._tick(session), this.tickIntervalMs);
+      session.timer.unref();
+
+      this.sessions.set(meetingId, session);
+
+      this.logSuccess('Live recording started', {
+        meetingId,
+        projectId,
+        userId: session.userId,
+        contentType
+      });
+
+      return { session, meeting: meeting.toSafeObject() };
+    } catch (error) {
+      this.logAndThrow(error, 'Start live recording', { projectId, userId: user?._id });
+    }
+  }
+
+  /**
+   * Append an audio chunk to a session
+   * @param {Object} session - Session from startSession
+   * @param {Buffer} chunk - Audio data
+   */
+  appendChunk(session, chunk) {
+    if (session.ending || chunk.length === 0) {
+      return;
+    }
+
+    if (session.maxBytes && session.bytesReceived + chunk.length > session.maxBytes) {
+      session.onEvent({
+        type: 'limit',
+        reason: 'file_size_exceeded',
+        message: `Recording reached your plan's file size limit of ${Math.round(session.maxBytes / 1024 / 1024)} MB`
+      });
+      this.endSession(session, 'file_size_exceeded');
+      return;
+    }
+
+    const now = Date.now();
+    session.firstChunkAt = session.firstChunkAt || now;
+    session.lastChunkAt = now;
+    session.bytesReceived += chunk.length;
+
+    session.upload.write(chunk);
+    session.spool.write(chunk);
+  }
+
+  /**
+   * End a session and finalize its recording (idempotent)
+   * @param {Object} session - Session from startSession
+   * @param {string} reason - Why the session ended (e.g. stopped, connection_lost)
+   * @returns {Promise<Object|null>} Finalized meeting, or null when nothing was recorded
+   */
+  endSession(session, reason) {
+    if (!session.ending) {
+      session.ending = this._finalize(session, reason);
+    }
+    return session.ending;
+  }
+
+  /**
+   * End all open sessions (used on shutdown)
+   * @param {string} reason - End reason
+   * @returns {Promise<void>}
+   */
+  async endAllSessions(reason) {
+    await Promise.all([...this.sessions.values()].map(session => this.endSession(session, reason)));
+  }
+
+  /**
+   * Check limits and start the next window once enough audio has arrived
+   * @param {Object} session - Session
+   * @private
+   */
+  _tick(session) {
+    if (session.ending || !session.firstChunkAt) {
+      return;
+    }
+
+    const elapsedMs = Date.now() - session.firstChunkAt;
+
+    if (session.maxDurationMs !== null && elapsedMs >= session.maxDurationMs) {
+      session.onEvent({
+        type: 'limit',
+        reason: 'duration_limit_exceeded',
+        message: 'Recording reached your monthly duration limit'
+      });
+      this.endSession(session, 'duration_limit_exceeded');
+      return;
+    }
+
+    const transcriptionService = this.meetingService.transcriptionService;
+    if (!session.liveTranscription || session.windowTask ||
+        typeof transcriptionService?.transcribeWindow !== 'function') {
+      return;
+    }
+
+    const stepMs = (this.windowSeconds - this.overlapSeconds) * 1000;
+    const startMs = session.nextWindow * stepMs;
+    const window = { index: session.nextWindow, startMs, endMs: startMs + this.windowSeconds * 1000 };
+
+    if (elapsedMs < window.endMs + this.windowDelayMs) {
+      return;
+    }
+
+    session.windowTask = this._transcribeWindow(session, window, transcriptionService)
+      .finally(() => {
+        session.windowTask = null;
+      });
+  }
+
+  /**
+   * Transcribe one full window, checkpoint it and save the segments no later window will revisit
+   * @param {Object} session - Session
+   * @param {Object} window - Window ({ index, startMs, endMs })
+   * @param {Object} transcriptionService - Transcription service
+   * @private
+   */
+  async _transcribeWindow(session, window, transcriptionService) {
+    const { meetingId } = session;
+    const windowMs = this.windowSeconds * 1000;
+    const overlapMs = this.overlapSeconds * 1000;
+
+    try {
+      const segments = await transcriptionService.transcribeWindow(session.spoolPath, meetingId, window);
+
+      await TranscriptionWindow.findOneAndUpdate(
+        { meetingId, index: window.index },
+        { startMs: window.startMs, endMs: window.endMs, windowMs, overlapMs, segments },
+        { upsert: true }
+      );
+
+      // Speaker labels are reconciled through the overlaps, so stitch from the first window
+      const windowDocs = await TranscriptionWindow.find({ meetingId }).sort({ index: 1 }).lean();
+      const stitched = stitchWindows(windowDocs, { merge: false });
+
+      // The second half of the overlap belongs to the next window
+      const commitUntilMs = window.endMs - overlapMs / 2;
+      const fresh = stitched.filter((segment) => {
+        const midpoint = (segment.startTime + segment.endTime) / 2;
+        return midpoint >= session.committedUntilMs && midpoint < commitUntilMs;
+      });
+
+      const saved = fresh.length > 0
+        ? await this.meetingService.transcriptionDataService.saveTranscriptions(meetingId, fresh)
+        : [];
+
+      session.committedUntilMs = commitUntilMs;
+      session.nextWindow = window.index + 1;
+
+      await Meeting.updateOne(
+        { _id: meetingId },
+        { $set: { 'metadata.live.windowsTranscribed': session.nextWindow } }
+      );
+
+      session.onEvent({
+        type: 'segments',
+        window: window.index,
+        segments: saved.map(t => ({
+          _id: t._id,
+          startTime: t.startTime,
+          endTime: t.endTime,
+          speaker: t.speaker,
+          text: t.text
+        }))
+      });
+
+      this.logger.info('Live transcription window completed', {
+        meetingId,
+        window: window.index,
+        segmentCount: saved.length
+      });
+    } catch (error) {
+      // The final transcription covers the whole recording, so keep recording without partials
+      session.liveTranscription = false;
+
+      this.logger.warn('Live transcription window failed, pausing partial transcripts', {
+        meetingId,
+        window: window.index,
+        error: error.message
+      });
+
+      session.onEvent({
+        type: 'warning',
+        message: 'Live transcript paused; the full transcript will be generated when the recording ends'
+      });
+    }
+  }
+
+  /**
+   * Close the streams, store the audio and hand the meeting to the transcription pipeline
+   * @param {Object} session - Session
+   * @param {string} reason - End reason
+   * @returns {Promise<Object|null>} Finalized meeting
+   * @private
+   */
+  async _finalize(session, reason) {
+    const { meetingId } = session;
+    clearInterval(session.timer);
+
+    try {
+      await Meeting.updateOne(
+        { _id: meetingId },
+        { $set: { 'metadata.live.status': 'finalizing', 'metadata.live.endReason': reason } }
+      );
+
+      // Let a running window finish so its checkpoint can be reused
+      if (session.windowTask) {
+        await session.windowTask;
+      }
+
+      session.upload.end();
+      await new Promise(resolve => session.spool.end(resolve));
+      await session.uploadTask;
+
+      if (session.bytesReceived === 0) {
+        await this.meetingService.discardLiveRecording(meetingId);
+        await deleteTempFile(session.spoolPath);
+        session.onEvent({ type: 'discarded', message: 'No audio was received' });
+        return null;
+      }
+
+      // Streaming upload failed part way: store the spooled copy instead
+      if (session.uploadError) {
+        const uploadPath = `meetings/${session.projectId}/${Date.now()}-live-${meetingId}-spool${path.extname(session.spoolPath)}`;
+        session.uploadResult = await this.audioStorageProvider.uploadStream(
+          uploadPath,
+          fs.createReadStream(session.spoolPath),
+          { contentType: session.contentType, metadata: { projectId: session.projectId.toString(), meetingId } }
+        );
+      }
+
+      const duration = await getAudioDuration(session.spoolPath).catch(() => null) ||
+        (session.lastChunkAt - session.firstChunkAt) / 1000 || null;
+
+      const meeting = await this.meetingService.finalizeLiveRecording(meetingId, session.userId, {
+        uri: session.uploadResult.uri,
+        size: session.bytesReceived,
+        duration,
+        endReason: reason
+      });
+
+      await deleteTempFile(session.spoolPath);
+
+      session.onEvent({ type: 'finalized', meeting });
+      return meeting;
+    } catch (error) {
+      await Meeting.updateOne(
+        { _id: meetingId },
+        { $set: { 'metadata.live.status': 'failed', 'metadata.live.endReason': reason } }
+      ).catch(() => {});
+
+      // The spool file is kept so the audio can still be recovered by hand
+      session.onEvent({ type: 'error', message: 'Failed to save the recording' });
+      this.logger.error('Failed to finalize live recording', {
+        meetingId,
+        reason,
+        spoolPath: session.spoolPath,
+        error: error.message,
+        stack: error.stack
+      });
+      return null;
+    } finally {
+      this.sessions.delete(meetingId);
+    }
+  }
+}
+
+module.exports = LiveRecordingService;
@@ -0,0 +1,179 @@
+/**
+ * Local Retrieval Service
+ * In-process retrieval backend for deployments without MongoDB Atlas
+ * Computes cosine similarity over stored Transcription.embedding vectors
+ * and reranks candidates with a BM25 keyword scorer for hybrid search
+ *
+ * Result shape and scores mirror the Atlas pipelines in RetrievalService
+ */
+const BaseService = require('./base.service');
+const Transcription = require('../../models/transcription.model');
+const Meeting = require('../../models/meeting.model');
+const { cosineSimilarity, normalizeCosineScore, bm25Scores } = require('../utils/retrieval-scoring');
+
+// Cursor batch size when scanning embeddings
+const SCAN_BATCH_SIZE = 500;
+
+class LocalRetrievalService extends BaseService {
+  constructor(logger) {
+    super(logger);
+  }
+
+  /**
+   * Search transcriptions in-process
+   * @param {string} query - Search query text
+   * @param {Array<number>} queryEmbedding - Query embedding vector
+   * @param {Object} matchFilter - Scope filter from RetrievalService._buildScopeFilter
+   * @param {Object} options - Retrieval options
+   * @param {number} options.scoreThreshold - Minimum score
+   * @param {number} options.topK - Results per page
+   * @param {number} options.page - Page number
+   * @param {boolean} options.includeMeetingInfo - Attach meeting details
+   * @param {boolean} options.hybrid - Rerank candidates with BM25
+   * @param {number} options.candidateMultiplier - Stage 1 candidate multiplier in hybrid mode
+   * @param {string} options.embeddingSignature - Only compare against embeddings from this provider
+   * @returns {Promise<Array>} Scored transcriptions
+   */
+  async search(query, queryEmbedding, matchFilter, options = {}) {
+    const {
+      scoreThreshold = 0.7,
+      topK = 20,
+      page = 1,
+      includeMeetingInfo = false,
+      hybrid = true,
+      candidateMultiplier = 5,
+      embeddingSignature = null
+    } = options;
+
+    // Semantic-only needs every result up to the requested page; hybrid needs the stage 1 pool
+    const candidateLimit = hybrid ? topK * candidateMultiplier : topK * page;
+    const minVectorScore = hybrid ? 0 : scoreThreshold;
+
+    const scanFilter = { ...matchFilter, embedding: { $exists: true, $ne: null } };
+    if (embeddingSignature) {
+      // Vectors from another provider live in a different space; legacy rows have no signature
+      scanFilter.embeddingModel = { $in: [embeddingSignature, null] };
+    }
+
+    const candidates = await this._scanVectorCandidates(queryEmbedding, scanFilter, candidateLimit, minVectorScore);
+
+    this.logger.info('Local vector scan completed', {
+      candidatesFound: candidates.length,
+      hybrid,
+      query: query.substring(0, 50)
+    });
+
+    let scored;
+    if (hybrid) {
+      scored = this._rerankWithKeywords(query, candidates)
+        .filter(r => r.combinedScore >= scoreThreshold);
+    } else {
+      scored = candidates.map(({ vectorScore, ...rest }) => ({ ...rest, score: vectorScore }));
+    }
+
+    const startIdx = (page - 1) * topK;
+    const results = scored.slice(startIdx, startIdx + topK);
+
+    return includeMeetingInfo ? await this._attachMeetingInfo(results) : results;
+  }
+
+  /**
+   * Scan scoped transcriptions and keep the highest-scoring candidates
+   * @param {Array<number>} queryEmbedding - Query embedding vector
+   * @param {Object} scanFilter - Scope filter restricted to embedded transcriptions
+   * @param {number} limit - Maximum candidates to keep
+   * @param {number} minScore - Minimum normalized cosine score
+   * @returns {Promise<Array>} Candidates sorted by vectorScore desc
+   * @private
+   */
+  async _scanVectorCandidates(queryEmbedding, scanFilter, limit, minScore) {
+    const cursor = Transcription.find(scanFilter)
+      .select('+embedding meetingId startTime endTime speaker text isEdited createdAt')
+      .lean()
+      .batchSize(SCAN_BATCH_SIZE)
+      .cursor();
+
+    let candidates = [];
+
+    for await (const doc of cursor) {
+      const vectorScore = normalizeCosineScore(cosineSimilarity(queryEmbedding, doc.embedding));
+
+      if (vectorScore < minScore) {
+        continue;
+      }
+
+      delete doc.embedding;
+      candidates.push({ ...doc, vectorScore });
+
+      // Keep memory bounded on large projects
+      if (candidates.length >= limit * 2) {
+        candidates = this._topByScore(candidates, 'vectorScore', limit);
+      }
+    }
+
+    return this._topByScore(candidates, 'vectorScore', limit);
+  }
+
+  /**
+   * Combine vector and BM25 scores (60% semantic + 40% keyword)
+   * Like the Atlas $search stage, candidates without any keyword match are dropped
+   * @param {string} query - Search query text
+   * @param {Array} candidates - Vector candidates
+   * @returns {Array} Candidates with combinedScore, sorted desc
+   * @private
+   */
+  _rerankWithKeywords(query, candidates) {
+    const keywordScores = bm25Scores(query, candidates.map(c => c.text));
+    const maxKeywordScore = Math.max(0, ...keywordScores);
+
+    if (maxKeywordScore === 0) {
+      return [];
+    }
+
+    return candidates
+      .map((candidate, index) => ({ candidate, textScore: keywordScores[index] }))
+      .filter(({ textScore }) => textScore > 0)
+      .map(({ candidate, textScore }) => {
+        // Normalize BM25 to [0, 1] so it is comparable with the vector score
+        const normalizedTextScore = textScore / maxKeywordScore;
+        const combinedScore = candidate.vectorScore * 0.6 + normalizedTextScore * 0.4;
+
+        return {
+          ...candidate,
+          textScore,
+          combinedScore,
+          score: combinedScore
+        };
+      })
+      .sort((a, b) => b.combinedScore - a.combinedScore);
+  }
+
+  /**
+   * Attach meeting details to results (drops results whose meeting no longer exists)
+   * @param {Array} results - Scored transcriptions
+   * @returns {Promise<Array>} Results with meeting field
+   * @private
+   */
+  async _attachMeetingInfo(results) {
+    const meetingIds = [...new Set(results.map(r => r.meetingId.toString()))];
+    const meetings = await Meeting.find(
+      { _id: { $in: meetingIds } },
+      '_id title projectId createdAt'
+    ).lean();
+    const meetingMap = new Map(meetings.map(m => [m._id.toString(), m]));
+
+    return results
+      .filter(r => meetingMap.has(r.meetingId.toString()))
+      .map(r => ({ ...r, meeting: meetingMap.get(r.meetingId.toString()) }));
+  }
+
+  /**
+   * Sort by score field and keep the top N
+   * @private
+   */
+  _topByScore(items, field, limit) {
+    return items.sort((a, b) => b[field] - a[field]).slice(0, limit);
+  }
+}
+
+module.exports = LocalRetrievalService;
@@ -0,0 +1,113 @@
+/**
+ * Mail Service
+ * Sends transactional email through the configured mail transport
+ */
+const BaseService = require('./base.service');
+const {
+  buildPasswordResetMessage,
+  buildEmailVerificationMessage,
+  buildProjectInvitationMessage,
+  buildOrganizationInvitationMessage,
+  buildPasswordChangedMessage
+} = require('../utils/email-message-builder');
+
+class MailService extends BaseService {
+  constructor(logger, mailTransport) {
+    super(logger);
+    this.transport = mailTransport;
+    this.frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3001').replace(/\/$/, '');
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(message) {
+    try {
+      const result = await this.transport.send(message);
+
+      this.logSuccess('Email sent', {
+        transport: this.transport.name,
+        messageId: result.messageId,
+        subject: message.subject
+      });
+
+      return result;
+    } catch (error) {
+      this.logAndThrow(error, 'Send email', { transport: this.transport.name, subject: message.subject });
+    }
+  }
+
+  /**
+   * Build a link to a page of the web app
+   * @param {string} pagePath - Page path (e.g. '/reset-password')
+   * @param {Object} params - Query parameters
+   * @returns {string} Absolute URL
+   */
+  buildFrontendUrl(pagePath, params = {}) {
+    const url = new URL(`${this.frontendUrl}${pagePath}`);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} user - User document
+   * @param {string} token - Reset token
+   * @param {number} expiresInMinutes - Token lifetime
+   */
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const url = this.buildFrontendUrl('/reset-password', { token });
+    return this.send({ to: user.email, ...buildPasswordResetMessage(user.name, url, expiresInMinutes) });
+  }
+
+  /**
+   * Send an email verification link
+   * @param {Object} user - User document
+   * @param {string} token - Verification token
+   * @param {number} expiresInHours - Token lifetime
+   */
+  async sendEmailVerification(user, token, expiresInHours) {
+    const url = this.buildFrontendUrl('/verify-email', { token });
+    return this.send({ to: user.email, ...buildEmailVerificationMessage(user.name, url, expiresInHours) });
+  }
+
+  /**
+   * Send a project invitation to the invited address
+   * @param {Object} invitation - ProjectInvitation document
+   * @param {Object} project - Project document
+   * @param {Object} inviter - Inviting user
+   */
+  async sendProjectInvitation(invitation, project, inviter) {
+    const url = this.buildFrontendUrl('/invitations', { invitation: invitation._id.toString() });
+    return this.send({
+      to: invitation.email,
+      ...buildProjectInvitationMessage(inviter.name, project.name, invitation.role, url, invitation.expiresAt)
+    });
+  }
+
+  /**
+   * Send an organization invitation to the invited address
+   * @param {Object} invitation - OrganizationInvitation document
+   * @param {Object} organization - Organization document
+   * @param {Object} inviter - Inviting admin
+   */
+  async sendOrganizationInvitation(invitation, organization, inviter) {
+    const url = this.buildFrontendUrl('/invitations', { organizationInvitation: invitation._id.toString() });
+    return this.send({
+      to: invitation.email,
+      ...buildOrganizationInvitationMessage(inviter.name, organization.name, invitation.role, url, invitation.expiresAt)
+    });
+  }
+
+  /**
+   * Notify a user that their password was reset
+   * @param {Object} user - User document
+   */
+  async sendPasswordChanged(user) {
+    return this.send({ to: user.email, ...buildPasswordChangedMessage(user.name) });
+  }
+}
+
+module.exports = MailService;
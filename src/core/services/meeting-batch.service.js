@@ -0,0 +1,227 @@
+/**
+ * Meeting Batch Service
+ * Bulk operations over many meetings: move, delete, re-transcribe and regenerate action items
+ *
+ * Requests are checked up front (editor role on every meeting, and on the destination
+ * of a move) and recorded as a MeetingBatch. The worker applies the action one meeting
+ * at a time through MeetingService, which checks access again, and records the result
+ * of each meeting so the batch can be polled for progress.
+ */
+const BaseService = require('./base.service');
+const queueService = require('../queue/queue.service');
+const MeetingBatch = require('../../models/meeting-batch.model');
+const Meeting = require('../../models/meeting.model');
+const User = require('../../models/user.model');
+const { MeetingBatchAction, MeetingBatchStatus } = require('../constants');
+const { getProjectRole, hasProjectRole } = require('../utils/project-roles');
+const { FEATURES, FEATURE_LABELS } = require('../utils/tier-features');
+const { AppError, ForbiddenError, NotFoundError } = require('../../utils/errors');
+
+class MeetingBatchService extends BaseService {
+  constructor(logger, meetingService, projectService) {
+    super(logger);
+    this.meetingService = meetingService;
+    this.projectService = projectService;
+  }
+
+  /**
+   * Check access and queue a bulk operation
+   * @param {string} userId - User ID
+   * @param {Object} request - Batch request
+   * @param {string} request.action - MeetingBatchAction
+   * @param {Array<string>} request.meetingIds - Meetings to apply the action to
+   * @param {string} request.targetProjectId - Destination project (move only)
+   * @returns {Promise<Object>} Queued batch
+   * @throws {NotFoundError} If a meeting or the destination project is not accessible
+   * @throws {ForbiddenError} If the user lacks the editor role somewhere, or the action needs a feature their plan lacks
+   */
+  async createBatch(userId, { action, meetingIds, targetProjectId = null }) {
+    try {
+      const uniqueIds = [...new Set(meetingIds.map(id => id.toString()))];
+
+      if (action === MeetingBatchAction.REGENERATE_ACTION_ITEMS) {
+        const user = await User.findById(userId);
+        if (!user || !(await user.hasFeature(FEATURES.ACTION_ITEMS))) {
+          throw new ForbiddenError(`${FEATURE_LABELS[FEATURES.ACTION_ITEMS]} is not available on your plan`);
+        }
+      }
+
+      if (action === MeetingBatchAction.MOVE) {
+        await this.projectService.getProjectWithRole(targetProjectId, userId, 'editor');
+      }
+
+      await this._verifyMeetingAccess(uniqueIds, userId);
+
+      const batch = await MeetingBatch.create({
+        userId,
+        action,
+        targetProjectId: action === MeetingBatchAction.MOVE ? targetProjectId : null,
+        items: uniqueIds.map(meetingId => ({ meetingId })),
+        total: uniqueIds.length
+      });
+
+      try {
+        await queueService.enqueueMeetingBatch(batch._id);
+      } catch (queueError) {
+        batch.status = MeetingBatchStatus.FAILED;
+        batch.error = 'Batch could not be queued';
+        await batch.save();
+        throw new AppError('Bulk operations are temporarily unavailable, please try again later', 503);
+      }
+
+      this.logSuccess('Meeting batch queued', {
+        userId,
+        batchId: batch._id,
+        action,
+        total: batch.total
+      });
+
+      return batch.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Create meeting batch', { userId, action });
+    }
+  }
+
+  /**
+   * Get one of the user's batches with its progress
+   * @param {string} batchId - Batch ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Batch
+   */
+  async getBatch(batchId, userId) {
+    try {
+      const batch = await MeetingBatch.findOne({ _id: batchId, userId });
+
+      if (!batch) {
+        throw new NotFoundError('Batch not found');
+      }
+
+      return batch.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Get meeting batch', { batchId, userId });
+    }
+  }
+
+  /**
+   * Apply a batch's action to each of its meetings (worker)
+   * A failure on one meeting is recorded on its item and does not stop the rest;
+   * a retried job only processes the meetings that are still pending.
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} { batchId, action, total, succeeded, failed }
+   */
+  async processBatch(batchId) {
+    try {
+      const batch = await MeetingBatch.findById(batchId);
+
+      if (!batch) {
+        throw new NotFoundError('Batch not found');
+      }
+
+      if (batch.status !== MeetingBatchStatus.COMPLETED) {
+        batch.status = MeetingBatchStatus.PROCESSING;
+        batch.startedAt = batch.startedAt || new Date();
+        batch.error = null;
+        await batch.save();
+
+        try {
+          for (const item of batch.items) {
+            if (item.status !== 'pending') {
+              continue;
+            }
+
+            try {
+              await this._applyAction(batch, item.meetingId.toString());
+              item.status = 'succeeded';
+              batch.succeeded++;
+            } catch (itemError) {
+              item.status = 'failed';
+              item.error = itemError.message;
+              batch.failed++;
+            }
+
+            batch.processed++;
+            await batch.save();
+          }
+        } catch (batchError) {
+          batch.status = MeetingBatchStatus.FAILED;
+          batch.error = batchError.message;
+          await batch.save();
+          throw batchError;
+        }
+
+        batch.status = MeetingBatchStatus.COMPLETED;
+        batch.completedAt = new Date();
+        await batch.save();
+
+        this.logSuccess('Meeting batch completed', {
+          batchId,
+          action: batch.action,
+          succeeded: batch.succeeded,
+          failed: batch.failed
+        });
+      }
+
+      return {
+        batchId,
+        action: batch.action,
+        total: batch.total,
+        succeeded: batch.succeeded,
+        failed: batch.failed
+      };
+    } catch (error) {
+      this.logAndThrow(error, 'Process meeting batch', { batchId });
+    }
+  }
+
+  /**
+   * Require the editor role on the project of every meeting
+   * Meetings the user cannot see at all are reported as not found
+   * @param {Array<string>} meetingIds - Meeting IDs
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _verifyMeetingAccess(meetingIds, userId) {
+    // Meetings of trashed projects come back with projectId null
+    const meetings = await Meeting.find({ _id: { $in: meetingIds } })
+      .select('projectId')
+      .populate('projectId', 'userId members');
+    const roles = new Map(meetings.map(meeting => [
+      meeting._id.toString(),
+      getProjectRole(meeting.projectId, userId)
+    ]));
+
+    const missing = meetingIds.filter(id => !roles.get(id));
+    if (missing.length > 0) {
+      throw new NotFoundError(`Meetings not found: ${missing.join(', ')}`);
+    }
+
+    const readOnly = meetingIds.filter(id => !hasProjectRole(roles.get(id), 'editor'));
+    if (readOnly.length > 0) {
+      throw new ForbiddenError(`The editor role is required for meetings: ${readOnly.join(', ')}`);
+    }
+  }
+
+  /**
+   * Apply the batch action to one meeting as the user who requested it
+   * @private
+   */
+  async _applyAction(batch, meetingId) {
+    const userId = batch.userId.toString();
+
+    switch (batch.action) {
+      case MeetingBatchAction.MOVE:
+        return this.meetingService.moveMeeting(meetingId, userId, batch.targetProjectId.toString());
+      case MeetingBatchAction.DELETE:
+        return this.meetingService.deleteMeeting(meetingId, userId);
+      case MeetingBatchAction.RETRANSCRIBE:
+        return this.meetingService.retranscribeMeeting(meetingId, userId);
+      case MeetingBatchAction.REGENERATE_ACTION_ITEMS:
+        return this.meetingService.regenerateActionItems(meetingId, userId);
+      default:
+        throw new Error(`Unknown bulk action: ${batch.action}`);
+    }
+  }
+}
+
+module.exports = MeetingBatchService;
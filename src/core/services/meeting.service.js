@@ -4,15 +4,24 @@
  */
 const Meeting = require('../../models/meeting.model');
 const Project = require('../../models/project.model');
+const ChatConversation = require('../../models/chat-conversation.model');
+const ActionItem = require('../../models/action-item.model');
+const TranscriptionWindow = require('../../models/transcription-window.model');
 const User = require('../../models/user.model');
 const mongoose = require('mongoose');
 const path = require('path');
 const BaseService = require('./base.service');
 const { getAudioDuration, getAudioDurationFromStorage } = require('../utils/audio-utils');
+const { EXPORT_FORMATS, formatTranscript } = require('../utils/transcript-formatter');
+const { detectFormat, parseTranscript } = require('../utils/transcript-parser');
 const queueService = require('../queue/queue.service');
+const { WEBHOOK_EVENTS } = require('../utils/webhook-events');
+const { UsageEntryReason } = require('../constants');
+const { FEATURES, FEATURE_LABELS } = require('../utils/tier-features');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../../utils/errors');
 
 class MeetingService extends BaseService {
-  constructor(logger, fileService, projectService, transcriptionService, transcriptionDataService, audioStorageProvider, authorizationService, actionItemService) {
+  constructor(logger, fileService, projectService, transcriptionService, transcriptionDataService, audioStorageProvider, authorizationService, actionItemService, webhookService = null, usageService = null) {
     super(logger);
     this.fileService = fileService;
     this.projectService = projectService;
@@ -21,6 +30,8 @@ class MeetingService extends BaseService {
     this.audioStorageProvider = audioStorageProvider;
     this.authorizationService = authorizationService;
     this.actionItemService = actionItemService;
+    this.webhookService = webhookService;
+    this.usageService = usageService;
   }
 
   /**
@@ -46,9 +57,9 @@ class MeetingService extends BaseService {
     });
 
     try {
-      // Verify user owns the project
-      const ownsProject = await this.projectService.verifyOwnership(projectId, userId);
-      if (!ownsProject) {
+      // Verify user has editor access to the project
+      const hasAccess = await this.projectService.verifyOwnership(projectId, userId, 'editor');
+      if (!hasAccess) {
         throw new Error('Project not found or access denied');
       }
 
@@ -58,12 +69,14 @@ class MeetingService extends BaseService {
       // Create and save meeting document
       const meeting = await this._createMeetingDocument(projectId, meetingData, audioFile, audioDuration);
 
-      // Update user's usage counter
-      await this._updateUserUsage(userId, audioDuration, meeting._id);
+      // Charge the audio duration to the user's monthly usage
+      await this._chargeUsage(userId, meeting, UsageEntryReason.UPLOAD);
 
       // Auto-start transcription if configured
       this._maybeAutoStartTranscription(meeting._id, audioFile.uri);
 
+      this._emitWebhookEvent(WEBHOOK_EVENTS.MEETING_CREATED, meeting._id);
+
       return meeting.toSafeObject();
     } catch (error) {
       this.logAndThrow(error, 'Create meeting', { projectId, userId });
@@ -185,37 +198,48 @@ class MeetingService extends BaseService {
   }
 
   /**
-   * Update user's usage counter with audio duration
+   * Record a meeting's audio duration in the usage ledger
    * @param {string} userId - User ID
-   * @param {number|null} audioDuration - Audio duration in seconds
-   * @param {string} meetingId - Meeting ID (for logging)
-   * @returns {Promise<void>}
+   * @param {Object} meeting - Meeting document
+   * @param {string} reason - UsageEntryReason
+   * @returns {Promise<Object|null>} Ledger entry, or null if nothing was charged
    * @private
    */
-  async _updateUserUsage(userId, audioDuration, meetingId) {
-    if (!audioDuration || audioDuration <= 0) {
-      return;
+  async _chargeUsage(userId, meeting, reason) {
+    if (!meeting.duration || meeting.duration <= 0) {
+      return null;
     }
 
     try {
-      const user = await User.findById(userId).populate('tier');
-      if (user) {
-        user.addUsage(audioDuration);
-        await user.save();
-
-        this.logger.info('User usage incremented', {
-          userId,
-          duration: audioDuration,
-          newTotal: user.currentMonthUsage.duration
-        });
-      }
+      return await this.usageService.recordCharge(userId, meeting, meeting.duration, reason);
     } catch (usageError) {
       // Log but don't fail the meeting creation
-      this.logger.warn('Failed to increment usage', {
+      this.logger.warn('Failed to charge usage', {
         error: usageError.message,
         userId,
-        meetingId
+        meetingId: meeting._id
       });
+      return null;
+    }
+  }
+
+  /**
+   * Check that the user's monthly duration quota has room for more audio, as uploads do
+   * @param {string} userId - User ID
+   * @param {number} seconds - Duration about to be charged
+   * @returns {Promise<void>}
+   * @throws {ForbiddenError} If the monthly duration limit would be exceeded
+   * @private
+   */
+  async _assertWithinQuota(userId, seconds) {
+    if (!this.usageService || !seconds || seconds <= 0) {
+      return;
+    }
+
+    const validation = await this.usageService.validateUpload(userId, seconds, 0);
+
+    if (!validation.allowed) {
+      throw new ForbiddenError(`Monthly duration limit exceeded. You've used ${Math.round(validation.current / 60)} of ${Math.round(validation.limit / 60)} minutes this month.`);
     }
   }
 
@@ -242,6 +266,289 @@ class MeetingService extends BaseService {
     });
   }
 
+  /**
+   * Emit a webhook event for a meeting without waiting for it
+   * @param {string} event - Event type (see WEBHOOK_EVENTS)
+   * @param {string} meetingId - Meeting ID
+   * @param {Object} data - Event-specific payload data
+   * @returns {void}
+   * @private
+   */
+  _emitWebhookEvent(event, meetingId, data = {}) {
+    if (!this.webhookService) {
+      return;
+    }
+
+    // emitMeetingEvent never rejects; delivery happens in the worker
+    this.webhookService.emitMeetingEvent(event, meetingId, data);
+  }
+
+  /**
+   * Create a meeting for a live recording
+   * The meeting has no audio file until the recording is finalized
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @param {Object} meetingData - Meeting data
+   * @param {string} meetingData.title - Meeting title
+   * @param {string} meetingData.mimeType - MIME type of the streamed audio
+   * @param {Object} meetingData.plan - Rolling transcription window plan ({ windowSeconds, overlapSeconds })
+   * @returns {Promise<Object>} Created meeting document
+   */
+  async createLiveMeeting(projectId, userId, meetingData) {
+    try {
+      // Verify user has editor access to the project
+      const hasAccess = await this.projectService.verifyOwnership(projectId, userId, 'editor');
+      if (!hasAccess) {
+        throw new NotFoundError('Project not found or access denied');
+      }
+
+      const startedAt = new Date();
+      const meeting = new Meeting({
+        title: meetingData.title || `Live recording ${startedAt.toISOString().slice(0, 16).replace('T', ' ')}`,
+        projectId,
+        recordingType: 'direct',
+        transcriptionStatus: 'pending',
+        transcriptionProgress: 0,
+        metadata: {
+          mimeType: meetingData.mimeType,
+          live: {
+            status: 'recording',
+            startedAt,
+            windowSeconds: meetingData.plan.windowSeconds,
+            overlapSeconds: meetingData.plan.overlapSeconds
+          }
+        }
+      });
+
+      await meeting.save();
+
+      this.logSuccess('Live meeting created', { meetingId: meeting._id, projectId, userId });
+
+      return meeting;
+    } catch (error) {
+      this.logAndThrow(error, 'Create live meeting', { projectId, userId });
+    }
+  }
+
+  /**
+   * Finish a live recording: attach the audio, charge usage and start the final transcription
+   * Windows transcribed during the session are kept as checkpoints, so the transcription job
+   * only has to transcribe the tail of the recording.
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - User ID of the recording user
+   * @param {Object} recording - Recording result
+   * @param {string} recording.uri - Storage URI of the audio file
+   * @param {number} recording.size - File size in bytes
+   * @param {number|null} recording.duration - Duration in seconds
+   * @param {string} recording.endReason - Why the session ended
+   * @returns {Promise<Object>} Updated meeting
+   */
+  async finalizeLiveRecording(meetingId, userId, recording) {
+    try {
+      // Keep the audio of a recording whose meeting was trashed while it was running
+      const meeting = await Meeting.findById(meetingId).setOptions({ withDeleted: true });
+      if (!meeting) {
+        throw new NotFoundError('Meeting not found');
+      }
+
+      meeting.audioFile = recording.uri;
+      meeting.duration = recording.duration;
+      meeting.metadata.fileSize = recording.size;
+      meeting.metadata.live.status = 'completed';
+      meeting.metadata.live.endedAt = new Date();
+      meeting.metadata.live.bytesReceived = recording.size;
+      meeting.metadata.live.endReason = recording.endReason;
+      await meeting.save();
+
+      await this._chargeUsage(userId, meeting, UsageEntryReason.LIVE_RECORDING);
+
+      this._emitWebhookEvent(WEBHOOK_EVENTS.MEETING_CREATED, meeting._id);
+
+      // Live partials are replaced by the stitched transcript of the whole recording
+      try {
+        await this.startTranscription(meetingId, userId);
+      } catch (error) {
+        this.logger.warn('Failed to start transcription of live recording', {
+          meetingId,
+          error: error.message
+        });
+      }
+
+      this.logSuccess('Live recording finalized', {
+        meetingId,
+        duration: recording.duration,
+        size: recording.size,
+        endReason: recording.endReason
+      });
+
+      return meeting.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Finalize live recording', { meetingId, userId });
+    }
+  }
+
+  /**
+   * Remove a live meeting that ended without any audio
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<void>}
+   */
+  async discardLiveRecording(meetingId) {
+    try {
+      await TranscriptionWindow.deleteMany({ meetingId });
+      await this.transcriptionDataService.deleteByMeetingId(meetingId);
+      await Meeting.findByIdAndDelete(meetingId);
+
+      this.logSuccess('Empty live recording discarded', { meetingId });
+    } catch (error) {
+      this.logAndThrow(error, 'Discard live recording', { meetingId });
+    }
+  }
+
+  /**
+   * Create a meeting from an existing transcript file (SRT, VTT or JSON)
+   * Skips audio transcription and usage accounting; segments are saved directly
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @param {Object} meetingData - Meeting data (optional title and format)
+   * @param {Object} transcriptFile - Uploaded transcript file (in-memory buffer)
+   * @returns {Object} Created meeting
+   */
+  async importMeeting(projectId, userId, meetingData, transcriptFile) {
+    try {
+      // Verify user has editor access to the project
+      const hasAccess = await this.projectService.verifyOwnership(projectId, userId, 'editor');
+      if (!hasAccess) {
+        throw new Error('Project not found or access denied');
+      }
+
+      const content = transcriptFile.buffer.toString('utf8');
+      const format = meetingData.format || detectFormat(transcriptFile.originalname, content);
+
+      if (!format) {
+        throw new BadRequestError('Unable to detect transcript format. Allowed formats: SRT, VTT, JSON');
+      }
+
+      let segments;
+      try {
+        segments = parseTranscript(content, format);
+      } catch (parseError) {
+        throw new BadRequestError(parseError.message);
+      }
+
+      if (segments.length === 0) {
+        throw new BadRequestError('Transcript file contains no segments');
+      }
+
+      const originalName = transcriptFile.originalname;
+      const hasTitle = !!meetingData.title;
+      const meeting = new Meeting({
+        title: meetingData.title || path.basename(originalName, path.extname(originalName)),
+        projectId,
+        audioFile: null,
+        duration: Math.ceil(segments[segments.length - 1].endTime / 1000),
+        recordingType: 'import',
+        transcriptionStatus: 'processing',
+        transcriptionProgress: 0,
+        metadata: {
+          fileSize: transcriptFile.size,
+          mimeType: transcriptFile.mimetype,
+          originalName,
+          transcription: {
+            startedAt: new Date(),
+            estimatedTotal: segments.length
+          },
+          import: {
+            format,
+            originalName,
+            segmentCount: segments.length,
+            importedAt: new Date()
+          }
+        }
+      });
+
+      await meeting.save();
+
+      try {
+        // Embeddings are generated as part of saving segments
+        await this.transcriptionDataService.saveTranscriptions(meeting._id, segments);
+      } catch (saveError) {
+        await meeting.deleteOne();
+        throw saveError;
+      }
+
+      meeting.transcriptionStatus = 'completed';
+      meeting.transcriptionProgress = 100;
+      meeting.metadata.transcription.processedSegments = segments.length;
+      meeting.metadata.transcription.completedAt = new Date();
+      await meeting.save();
+
+      this.logSuccess('Meeting imported from transcript', {
+        meetingId: meeting._id,
+        projectId,
+        userId,
+        format,
+        segmentCount: segments.length
+      });
+
+      // Imported meetings are created with a completed transcript
+      this._emitWebhookEvent(WEBHOOK_EVENTS.MEETING_CREATED, meeting._id);
+      this._emitWebhookEvent(WEBHOOK_EVENTS.TRANSCRIPTION_COMPLETED, meeting._id, {
+        segmentsCount: segments.length
+      });
+
+      // Title/description and action items are generated in background (fire and forget)
+      this._processImportedTranscript(meeting._id, { generateTitle: !hasTitle }).catch(error => {
+        this.logger.error('Imported transcript post-processing failed', {
+          meetingId: meeting._id,
+          error: error.message
+        });
+      });
+
+      return meeting.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Import meeting', { projectId, userId });
+    }
+  }
+
+  /**
+   * Run the post-transcription steps for an imported transcript
+   * Mirrors what transcribeAudio does after segments are saved
+   * @param {string} meetingId - Meeting ID
+   * @param {Object} options - { generateTitle }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _processImportedTranscript(meetingId, { generateTitle = true } = {}) {
+    if (typeof this.transcriptionService?.generateTitleAndDescription === 'function') {
+      try {
+        const summary = await this.transcriptionService.generateTitleAndDescription(meetingId);
+
+        if (summary) {
+          const meeting = await this._getMeetingByIdInternal(meetingId);
+          if (generateTitle) {
+            meeting.title = summary.title;
+          }
+          meeting.description = summary.description;
+          await meeting.save();
+        }
+      } catch (summaryError) {
+        // Log but continue with action items
+        this.logger.warn('Failed to generate title/description for imported transcript', {
+          meetingId,
+          error: summaryError.message
+        });
+      }
+    }
+
+    if (typeof this.transcriptionService?.generateActionItems === 'function') {
+      await Meeting.findByIdAndUpdate(meetingId, {
+        actionItemsStatus: 'processing',
+        actionItemsProgress: 0
+      });
+      await this._processActionItemsGeneration(meetingId);
+    }
+  }
+
   /**
    * Get meetings for a project
    * @param {string} projectId - Project ID
@@ -251,9 +558,9 @@ class MeetingService extends BaseService {
    */
   async getMeetings(projectId, userId, options = {}) {
     try {
-      // Verify ownership
-      const ownsProject = await this.projectService.verifyOwnership(projectId, userId);
-      if (!ownsProject) {
+      // Verify viewer access to the project
+      const hasAccess = await this.projectService.verifyOwnership(projectId, userId, 'viewer');
+      if (!hasAccess) {
         throw new Error('Project not found or access denied');
       }
 
@@ -304,7 +611,8 @@ class MeetingService extends BaseService {
    */
   async _getMeetingByIdInternal(meetingId) {
     try {
-      const meeting = await Meeting.findById(meetingId);
+      // Background work (transcription, summaries) carries on for meetings in the trash
+      const meeting = await Meeting.findById(meetingId).setOptions({ withDeleted: true });
 
       if (!meeting) {
         throw new Error('Meeting not found');
@@ -335,8 +643,8 @@ class MeetingService extends BaseService {
         throw new Error('Meeting not found');
       }
 
-      // Verify ownership through project
-      this.authorizationService.verifyMeetingOwnership(meeting, userId);
+      // Verify viewer access through project
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'viewer');
 
       const meetingData = meeting.toSafeObject();
 
@@ -366,25 +674,24 @@ class MeetingService extends BaseService {
         throw new Error('Meeting not found');
       }
 
-      // Verify ownership
-      this.authorizationService.verifyMeetingOwnership(meeting, userId);
-
-      // Handle projectId update if provided
-      if (updates.projectId !== undefined) {
-        // Verify user owns the new project
-        const ownsNewProject = await this.projectService.verifyOwnership(updates.projectId, userId);
-        if (!ownsNewProject) {
-          throw new Error('New project not found or access denied');
-        }
-        meeting.projectId = updates.projectId;
-      }
+      // Verify editor access
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'editor');
+
+      // Verify user has editor access to the new project before changing anything
+      const targetProject = updates.projectId !== undefined
+        ? (await this.projectService.getProjectWithRole(updates.projectId, userId, 'editor')).project
+        : null;
 
       // Only allow updating title
       if (updates.title !== undefined) {
         meeting.title = updates.title;
       }
 
-      await meeting.save();
+      if (targetProject) {
+        await this._moveMeetingTo(meeting, targetProject);
+      } else {
+        await meeting.save();
+      }
 
       this.logSuccess('Meeting updated', {
         meetingId,
@@ -398,51 +705,387 @@ class MeetingService extends BaseService {
   }
 
   /**
-   * Delete meeting and associated data
+   * Move a meeting to another project
+   * Requires the editor role on both the current and the destination project
    * @param {string} meetingId - Meeting ID
    * @param {string} userId - User ID
-   * @returns {Object} Deletion result
+   * @param {string} targetProjectId - Destination project ID
+   * @returns {Object} Moved meeting
    */
-  async deleteMeeting(meetingId, userId) {
+  async moveMeeting(meetingId, userId, targetProjectId) {
     try {
       const meeting = await Meeting.findById(meetingId).populate('projectId');
 
       if (!meeting) {
-        throw new Error('Meeting not found');
+        throw new NotFoundError('Meeting not found');
       }
 
-      // Verify ownership
-      this.authorizationService.verifyMeetingOwnership(meeting, userId);
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'editor');
+
+      const { project: targetProject } = await this.projectService.getProjectWithRole(targetProjectId, userId, 'editor');
+      const sourceProjectId = meeting.projectId._id.toString();
+
+      await this._moveMeetingTo(meeting, targetProject);
+
+      this.logSuccess('Meeting moved', {
+        meetingId,
+        userId,
+        sourceProjectId,
+        targetProjectId
+      });
+
+      return meeting.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Move meeting', { meetingId, userId, targetProjectId });
+    }
+  }
+
+  /**
+   * Point a meeting at another project and save it
+   * Chats about the meeting follow it so they stay listed under its project
+   * @param {Object} meeting - Meeting document
+   * @param {Object} targetProject - Destination project document
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _moveMeetingTo(meeting, targetProject) {
+    meeting.projectId = targetProject._id;
+    await meeting.save();
+
+    await ChatConversation.updateMany(
+      { meetingId: meeting._id },
+      { $set: { projectId: targetProject._id } }
+    );
+  }
+
+  /**
+   * Copy a meeting into a project
+   * The copy gets its own audio file, transcript (with embeddings), summary and action
+   * items. Viewer access to the meeting and the editor role on the destination are required.
+   * Copies of transcribed meetings are free; a meeting that was not transcribed (pending or
+   * failed) is copied without its transcript, charged to the user like an upload and queued
+   * for transcription.
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - User ID
+   * @param {string} targetProjectId - Destination project ID
+   * @param {Object} options - Copy options
+   * @param {string} options.title - Title of the copy (default: the meeting's title)
+   * @returns {Object} Created meeting
+   */
+  async copyMeeting(meetingId, userId, targetProjectId, { title } = {}) {
+    try {
+      const source = await Meeting.findById(meetingId).populate('projectId');
+
+      if (!source) {
+        throw new NotFoundError('Meeting not found');
+      }
+
+      this.authorizationService.verifyMeetingRole(source, userId, 'viewer');
+
+      const { project: targetProject } = await this.projectService.getProjectWithRole(targetProjectId, userId, 'editor');
+
+      const liveStatus = source.metadata?.live?.status;
+      if (liveStatus && liveStatus !== 'completed') {
+        throw new ConflictError('Live recordings can be copied once they have finished');
+      }
+
+      if (source.transcriptionStatus === 'processing' || source.actionItemsStatus === 'processing') {
+        throw new ConflictError('Meeting cannot be copied while it is being processed');
+      }
+
+      const audioFile = source.audioFile
+        ? await this._copyAudioFile(source, targetProject._id)
+        : null;
+
+      // Integration and live recording details describe the original upload only
+      const metadata = source.toObject().metadata || {};
+      delete metadata.integration;
+      delete metadata.live;
+
+      // Without a finished transcript the copy is transcribed on its own
+      const transcribe = source.transcriptionStatus !== 'completed' && Boolean(audioFile);
+      if (transcribe) {
+        delete metadata.transcription;
+      }
+
+      const copy = new Meeting({
+        title: title || source.title,
+        description: source.description,
+        summary: source.summary,
+        projectId: targetProject._id,
+        audioFile,
+        duration: source.duration,
+        recordingType: source.recordingType,
+        transcriptionStatus: transcribe ? 'pending' : source.transcriptionStatus,
+        transcriptionProgress: transcribe ? 0 : source.transcriptionProgress,
+        actionItemsStatus: source.actionItemsStatus,
+        actionItemsProgress: source.actionItemsProgress,
+        metadata
+      });
 
-      // Delete audio file from storage
       try {
-        await this.audioStorageProvider.delete(meeting.audioFile);
-      } catch (fileError) {
-        this.logger.warn('Failed to delete audio file', {
-          audioFileUri: meeting.audioFile,
-          error: fileError.message
-        });
+        await copy.save();
+
+        // People belong to one user, so speaker links only survive within the same owner
+        const sameOwner = source.projectId.userId.toString() === targetProject.userId.toString();
+        if (!transcribe) {
+          await this.transcriptionDataService.copyToMeeting(source._id, copy._id, { keepPeople: sameOwner });
+        }
+
+        const actionItems = await ActionItem.find({ meetingId: source._id }).lean();
+        if (actionItems.length > 0) {
+          await ActionItem.insertMany(actionItems.map(item => ({
+            meetingId: copy._id,
+            userId: targetProject.userId,
+            personId: sameOwner ? item.personId : null,
+            task: item.task,
+            assignee: item.assignee,
+            dueDate: item.dueDate,
+            context: item.context,
+            status: item.status
+          })));
+        }
+      } catch (copyError) {
+        // Leave nothing half-copied behind
+        await this._discardCopy(copy);
+        throw copyError;
       }
 
-      // Delete transcriptions
-      await this.transcriptionDataService.deleteByMeetingId(meetingId);
+      if (transcribe) {
+        await this._chargeUsage(userId, copy, UsageEntryReason.MEETING_COPY);
+        await this.queueChargedTranscription(copy);
+      }
 
-      // Delete meeting
-      await meeting.deleteOne();
+      this._emitWebhookEvent(WEBHOOK_EVENTS.MEETING_CREATED, copy._id);
 
-      this.logSuccess('Meeting deleted', {
+      this.logSuccess('Meeting copied', {
+        meetingId,
+        copyId: copy._id,
+        userId,
+        targetProjectId
+      });
+
+      return copy.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Copy meeting', { meetingId, userId, targetProjectId });
+    }
+  }
+
+  /**
+   * Store a second copy of a meeting's audio file under the destination project
+   * @param {Object} meeting - Source meeting document
+   * @param {string} projectId - Destination project ID
+   * @returns {Promise<string>} Storage URI of the copy
+   * @private
+   */
+  async _copyAudioFile(meeting, projectId) {
+    const data = await this.audioStorageProvider.download(meeting.audioFile);
+    const originalName = meeting.metadata?.originalName || path.basename(meeting.audioFile);
+    const storagePath = `meetings/${projectId}/${Date.now()}-${path.basename(originalName)}`;
+
+    const result = await this.audioStorageProvider.upload(storagePath, data, {
+      contentType: meeting.metadata?.mimeType
+    });
+
+    return result.uri;
+  }
+
+  /**
+   * Remove a partially created meeting copy
+   * @param {Object} copy - Meeting document of the copy
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _discardCopy(copy) {
+    try {
+      if (copy.audioFile) {
+        await this.audioStorageProvider.delete(copy.audioFile);
+      }
+      await this.transcriptionDataService.deleteByMeetingId(copy._id);
+      await ActionItem.deleteMany({ meetingId: copy._id });
+      await Meeting.deleteOne({ _id: copy._id });
+    } catch (cleanupError) {
+      this.logger.warn('Failed to clean up incomplete meeting copy', {
+        meetingId: copy._id,
+        error: cleanupError.message
+      });
+    }
+  }
+
+  /**
+   * Move a meeting to the trash (editors and owner)
+   * The meeting disappears from lists, search and retrieval; its audio, transcripts and
+   * action items are kept until it is restored or purged (see purgeMeeting). Its minutes
+   * are credited back now and charged again on restore (see refundTrashedUsage).
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - User ID
+   * @returns {Object} Deletion result
+   */
+  async deleteMeeting(meetingId, userId) {
+    try {
+      const meeting = await Meeting.findById(meetingId).populate('projectId');
+
+      if (!meeting) {
+        throw new NotFoundError('Meeting not found');
+      }
+
+      // Verify editor access
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'editor');
+
+      meeting.deletedAt = new Date();
+      meeting.deletedBy = userId;
+      meeting.deletedWithProject = false;
+      await meeting.save();
+
+      await this.refundTrashedUsage(meeting);
+
+      this.logSuccess('Meeting moved to trash', {
         meetingId,
         userId
       });
 
       return {
-        message: 'Meeting and associated data deleted successfully'
+        message: 'Meeting moved to trash'
       };
     } catch (error) {
       this.logAndThrow(error, 'Delete meeting', { meetingId, userId });
     }
   }
 
+  /**
+   * Restore a meeting from the trash (editors and owner)
+   * Meetings trashed together with their project come back by restoring the project
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - User ID
+   * @returns {Object} Restored meeting
+   */
+  async restoreMeeting(meetingId, userId) {
+    try {
+      const meeting = await Meeting.findOne({ _id: meetingId, deletedAt: { $ne: null } });
+
+      if (!meeting) {
+        throw new NotFoundError('Meeting not found in trash');
+      }
+
+      if (meeting.deletedWithProject) {
+        throw new ConflictError('This meeting was deleted with its project; restore the project instead');
+      }
+
+      // The project must still be live (populate skips trashed projects)
+      await meeting.populate('projectId');
+      if (!meeting.projectId) {
+        throw new NotFoundError('Meeting not found in trash');
+      }
+
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'editor');
+
+      meeting.deletedAt = null;
+      meeting.deletedBy = null;
+      await meeting.save();
+
+      await this.rechargeRestoredUsage(meeting);
+
+      this.logSuccess('Meeting restored from trash', {
+        meetingId,
+        userId
+      });
+
+      return meeting.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Restore meeting', { meetingId, userId });
+    }
+  }
+
+  /**
+   * Give a trashed meeting's minutes back when USAGE_REFUND_ON_DELETE allows it
+   * Also used for the meetings of a trashed project; failures are logged, not thrown.
+   * @param {Object} meeting - Meeting document
+   * @returns {Promise<void>}
+   */
+  async refundTrashedUsage(meeting) {
+    if (!this.usageService) {
+      return;
+    }
+
+    try {
+      await this.usageService.refundDeletedMeeting(meeting);
+    } catch (usageError) {
+      this.logger.warn('Failed to refund usage of trashed meeting', {
+        meetingId: meeting._id,
+        error: usageError.message
+      });
+    }
+  }
+
+  /**
+   * Charge a restored meeting again for the minutes given back when it was trashed
+   * Also used for the meetings of a restored project; failures are logged, not thrown.
+   * @param {Object} meeting - Meeting document
+   * @returns {Promise<void>}
+   */
+  async rechargeRestoredUsage(meeting) {
+    if (!this.usageService) {
+      return;
+    }
+
+    try {
+      await this.usageService.rechargeRestoredMeeting(meeting);
+    } catch (usageError) {
+      this.logger.warn('Failed to recharge usage of restored meeting', {
+        meetingId: meeting._id,
+        error: usageError.message
+      });
+    }
+  }
+
+  /**
+   * Permanently delete a meeting and everything derived from it
+   * Removes the audio file, transcriptions (and their embeddings), chats, transcription
+   * checkpoints and action items. Used by the trash purge job and account deletion.
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<void>}
+   */
+  async purgeMeeting(meetingId) {
+    try {
+      const meeting = await Meeting.findById(meetingId).setOptions({ withDeleted: true });
+
+      if (!meeting) {
+        throw new NotFoundError('Meeting not found');
+      }
+
+      // Delete audio file from storage (imported transcripts have none)
+      if (meeting.audioFile) {
+        try {
+          await this.audioStorageProvider.delete(meeting.audioFile);
+        } catch (fileError) {
+          this.logger.warn('Failed to delete audio file', {
+            audioFileUri: meeting.audioFile,
+            error: fileError.message
+          });
+        }
+      }
+
+      // Delete transcriptions
+      await this.transcriptionDataService.deleteByMeetingId(meetingId);
+
+      // Delete chat conversations scoped to this meeting
+      await ChatConversation.deleteMany({ meetingId });
+
+      // Delete checkpoints of an unfinished chunked transcription
+      await TranscriptionWindow.deleteMany({ meetingId });
+
+      // Delete action items extracted from the meeting
+      await ActionItem.deleteMany({ meetingId });
+
+      // Delete meeting
+      await meeting.deleteOne();
+
+      this.logSuccess('Meeting purged', { meetingId });
+    } catch (error) {
+      this.logAndThrow(error, 'Purge meeting', { meetingId });
+    }
+  }
+
   /**
    * Start transcription process
    * @param {string} meetingId - Meeting ID
@@ -457,8 +1100,8 @@ class MeetingService extends BaseService {
         throw new Error('Meeting not found');
       }
 
-      // Verify ownership
-      this.authorizationService.verifyMeetingOwnership(meeting, userId);
+      // Verify editor access
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'editor');
 
       // Check if already transcribed or processing
       if (meeting.transcriptionStatus === 'completed') {
@@ -469,14 +1112,7 @@ class MeetingService extends BaseService {
         throw new Error('Transcription already in progress');
       }
 
-      // Update status to pending (will be updated to processing by worker)
-      await meeting.updateTranscriptionProgress('pending', 0);
-
-      // Enqueue transcription job - route to large queue if duration > 40 minutes
-      const isLargeTranscription = meeting.duration && meeting.duration > 40 * 60; // 40 minutes
-      const jobInfo = isLargeTranscription
-        ? await queueService.enqueueTranscriptionLarge(meetingId, meeting.audioFile)
-        : await queueService.enqueueTranscription(meetingId, meeting.audioFile);
+      const jobInfo = await this._queueTranscription(meeting);
 
       this.logSuccess('Transcription job enqueued', {
         meetingId,
@@ -495,6 +1131,185 @@ class MeetingService extends BaseService {
     }
   }
 
+  /**
+   * Transcribe a meeting again from its audio, replacing the current transcript
+   * Manual edits and speaker assignments of the old transcript are lost. Re-running a
+   * completed transcription is charged like an upload; the old transcript and the charge
+   * are restored if the job cannot be queued.
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - User ID
+   * @returns {Object} Transcription status
+   * @throws {ForbiddenError} If the user's monthly duration quota is used up
+   */
+  async retranscribeMeeting(meetingId, userId) {
+    try {
+      const meeting = await Meeting.findById(meetingId).populate('projectId');
+
+      if (!meeting) {
+        throw new NotFoundError('Meeting not found');
+      }
+
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'editor');
+
+      if (!meeting.audioFile) {
+        throw new BadRequestError('Meeting has no audio to transcribe');
+      }
+
+      if (meeting.transcriptionStatus === 'processing') {
+        throw new ConflictError('Transcription already in progress');
+      }
+
+      // A finished run keeps its job ID in the queue, so reruns need a new one
+      const rerun = ['completed', 'failed'].includes(meeting.transcriptionStatus);
+      const previous = {
+        status: meeting.transcriptionStatus,
+        progress: meeting.transcriptionProgress
+      };
+
+      // Reruns are charged again (failed runs were credited back)
+      if (rerun) {
+        await this._assertWithinQuota(userId, meeting.duration);
+      }
+
+      // Kept until the job is queued, so a queue outage does not lose the transcript
+      const transcriptions = await this.transcriptionDataService.getSnapshot(meetingId);
+      const windows = await TranscriptionWindow.find({ meetingId }).lean();
+
+      await this.transcriptionDataService.deleteByMeetingId(meetingId);
+      await TranscriptionWindow.deleteMany({ meetingId });
+
+      const charge = previous.status === 'completed'
+        ? await this._chargeUsage(userId, meeting, UsageEntryReason.RETRANSCRIPTION)
+        : null;
+
+      let jobInfo;
+      try {
+        jobInfo = await this._queueTranscription(meeting, { rerun });
+      } catch (queueError) {
+        await this._restoreTranscript(meeting, previous, { transcriptions, windows, charge });
+        throw queueError;
+      }
+
+      this.logSuccess('Re-transcription job enqueued', {
+        meetingId,
+        userId,
+        jobId: jobInfo.jobId
+      });
+
+      return {
+        meetingId,
+        status: 'pending',
+        progress: 0
+      };
+    } catch (error) {
+      this.logAndThrow(error, 'Re-transcribe meeting', { meetingId, userId });
+    }
+  }
+
+  /**
+   * Undo a re-transcription whose job could not be queued
+   * Puts back the old transcript, checkpoints and status, and credits what was charged
+   * for the rerun (a failed meeting is left fully credited, as before).
+   * @param {Object} meeting - Meeting document
+   * @param {Object} previous - { status, progress } before the rerun
+   * @param {Object} saved - Data removed for the rerun
+   * @param {Array} saved.transcriptions - Snapshot from TranscriptionDataService.getSnapshot
+   * @param {Array} saved.windows - Plain TranscriptionWindow documents
+   * @param {Object|null} saved.charge - Ledger entry charged for the rerun
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _restoreTranscript(meeting, previous, { transcriptions, windows, charge }) {
+    try {
+      await this.transcriptionDataService.restoreSnapshot(meeting._id, transcriptions);
+
+      if (windows.length > 0) {
+        await TranscriptionWindow.insertMany(windows);
+      }
+
+      await meeting.updateTranscriptionProgress(previous.status, previous.progress);
+
+      if (charge) {
+        await this.usageService.refundCharge(charge, UsageEntryReason.TRANSCRIPTION_FAILED);
+      } else if (previous.status === 'failed' && this.usageService) {
+        await this.usageService.refundMeeting(meeting._id, UsageEntryReason.TRANSCRIPTION_FAILED);
+      }
+    } catch (restoreError) {
+      this.logger.error('Failed to restore transcript after re-transcription could not be queued', {
+        meetingId: meeting._id,
+        error: restoreError.message
+      });
+    }
+  }
+
+  /**
+   * Reset a meeting to pending and enqueue its transcription job
+   * @param {Object} meeting - Meeting document
+   * @param {Object} options - Enqueue options
+   * @param {boolean} options.rerun - The meeting was transcribed before (see QueueService)
+   * @returns {Promise<Object>} Job information { jobId, meetingId }
+   * @private
+   */
+  async _queueTranscription(meeting, { rerun = false } = {}) {
+    const meetingId = meeting._id.toString();
+
+    // A failed transcription was credited back; retrying charges the meeting again
+    if (meeting.transcriptionStatus === 'failed') {
+      try {
+        await this.usageService.rechargeMeeting(meeting);
+      } catch (usageError) {
+        this.logger.warn('Failed to charge usage for transcription retry', {
+          meetingId,
+          error: usageError.message
+        });
+      }
+    }
+
+    // Update status to pending (will be updated to processing by worker)
+    await meeting.updateTranscriptionProgress('pending', 0);
+
+    // Enqueue transcription job - route to large queue if duration > 40 minutes
+    const isLargeTranscription = meeting.duration && meeting.duration > 40 * 60; // 40 minutes
+    return isLargeTranscription
+      ? await queueService.enqueueTranscriptionLarge(meetingId, meeting.audioFile, { rerun })
+      : await queueService.enqueueTranscription(meetingId, meeting.audioFile, { rerun });
+  }
+
+  /**
+   * Queue the transcription of a new meeting that was already charged (bundle import, copy)
+   * When the job cannot be queued the meeting is marked failed and credited back, as after
+   * a failed transcription; startTranscription can retry it later.
+   * @param {Object} meeting - Pending meeting document with audio
+   * @returns {Promise<boolean>} Whether the job was queued
+   */
+  async queueChargedTranscription(meeting) {
+    try {
+      await this._queueTranscription(meeting);
+      return true;
+    } catch (queueError) {
+      this.logger.warn('Failed to queue transcription, crediting usage back', {
+        meetingId: meeting._id,
+        error: queueError.message
+      });
+
+      try {
+        meeting.metadata.transcription.errorMessage = 'Transcription could not be queued; start it again later';
+        await meeting.updateTranscriptionProgress('failed', 0);
+
+        if (this.usageService) {
+          await this.usageService.refundMeeting(meeting._id, UsageEntryReason.TRANSCRIPTION_FAILED);
+        }
+      } catch (refundError) {
+        this.logger.warn('Failed to credit usage of unqueued transcription', {
+          meetingId: meeting._id,
+          error: refundError.message
+        });
+      }
+
+      return false;
+    }
+  }
+
   /**
    * Download meeting audio file
    * @param {string} meetingId - Meeting ID
@@ -509,8 +1324,12 @@ class MeetingService extends BaseService {
         throw new Error('Meeting not found');
       }
 
-      // Verify ownership
-      this.authorizationService.verifyMeetingOwnership(meeting, userId);
+      // Verify viewer access
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'viewer');
+
+      if (!meeting.audioFile) {
+        throw new NotFoundError('Meeting has no audio file');
+      }
 
       // Download file from storage
       const fileData = await this.audioStorageProvider.download(meeting.audioFile);
@@ -532,6 +1351,59 @@ class MeetingService extends BaseService {
     }
   }
 
+  /**
+   * Export meeting transcript in a subtitle or document format
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - User ID
+   * @param {string} format - Export format (srt, vtt, txt, md, json)
+   * @returns {Promise<Object>} Rendered content and file metadata
+   */
+  async exportTranscript(meetingId, userId, format) {
+    try {
+      const exportFormat = EXPORT_FORMATS[format];
+
+      if (!exportFormat) {
+        throw new BadRequestError(`Unsupported export format: ${format}`);
+      }
+
+      const meeting = await Meeting.findById(meetingId).populate('projectId');
+
+      if (!meeting) {
+        throw new NotFoundError('Meeting not found');
+      }
+
+      // Verify viewer access
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'viewer');
+
+      const segments = await this.transcriptionDataService.getAllTranscriptions(meetingId);
+
+      if (segments.length === 0) {
+        throw new NotFoundError('No transcription available for this meeting');
+      }
+
+      const content = formatTranscript(format, segments, meeting);
+      const baseName = (meeting.title || 'transcript')
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '_') || 'transcript';
+
+      this.logSuccess('Transcript exported', {
+        meetingId,
+        userId,
+        format,
+        segmentCount: segments.length
+      });
+
+      return {
+        content,
+        filename: `${baseName}.${exportFormat.extension}`,
+        mimeType: exportFormat.mimeType
+      };
+    } catch (error) {
+      this.logAndThrow(error, 'Export transcript', { meetingId, userId, format });
+    }
+  }
+
   /**
    * Get transcription status
    * @param {string} meetingId - Meeting ID
@@ -546,8 +1418,8 @@ class MeetingService extends BaseService {
         throw new Error('Meeting not found');
       }
 
-      // Verify ownership
-      this.authorizationService.verifyMeetingOwnership(meeting, userId);
+      // Verify viewer access
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'viewer');
 
       return {
         status: meeting.transcriptionStatus,
@@ -562,7 +1434,7 @@ class MeetingService extends BaseService {
   }
 
   /**
-   * Get user's recent meetings across all projects
+   * Get user's recent meetings across all projects they own or are a member of
    * @param {string} userId - User ID
    * @param {Object} options - Query options
    * @returns {Object} Meetings with pagination
@@ -589,8 +1461,13 @@ class MeetingService extends BaseService {
         }
       });
 
+      const projectIds = await Project.find(Project.accessibleBy(userId)).distinct('_id');
+
       // Aggregation pipeline to get meetings for user
       const meetings = await Meeting.aggregate([
+        // Meetings of owned and shared projects, skipping the trash
+        // (meetings of a trashed project are trashed with it)
+        { $match: { projectId: { $in: projectIds }, deletedAt: null } },
         // Step 1: Lookup project for each meeting
         {
           $lookup: {
@@ -602,27 +1479,21 @@ class MeetingService extends BaseService {
         },
         // Step 2: Unwind project array
         { $unwind: '$project' },
-        // Step 3: Filter by userId
-        {
-          $match: {
-            'project.userId': new mongoose.Types.ObjectId(userId)
-          }
-        },
-        // Step 4: Add project name to output
+        // Step 3: Add project name to output
         {
           $addFields: {
             projectName: '$project.name'
           }
         },
-        // Step 5: Remove full project object
+        // Step 4: Remove full project object
         {
           $project: {
             project: 0
           }
         },
-        // Step 6: Sort
+        // Step 5: Sort
         { $sort: sortObj },
-        // Step 7: Count total (before pagination)
+        // Step 6: Count total (before pagination)
         {
           $facet: {
             metadata: [{ $count: 'total' }],
@@ -672,8 +1543,8 @@ class MeetingService extends BaseService {
         throw new Error('Meeting not found');
       }
 
-      // Verify ownership
-      this.authorizationService.verifyMeetingOwnership(meeting, userId);
+      // Verify editor access
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'editor');
 
       // Check if transcription is completed
       if (meeting.transcriptionStatus !== 'completed') {
@@ -706,8 +1577,8 @@ class MeetingService extends BaseService {
         throw new Error('Meeting not found');
       }
 
-      // Verify ownership
-      this.authorizationService.verifyMeetingOwnership(meeting, userId);
+      // Verify editor access
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'editor');
 
       // Update meeting with summary
       meeting.summary = summary;
@@ -719,6 +1590,8 @@ class MeetingService extends BaseService {
         summaryLength: summary?.length || 0
       });
 
+      this._emitWebhookEvent(WEBHOOK_EVENTS.SUMMARY_SAVED, meetingId, { summary });
+
       return meeting.toSafeObject();
     } catch (error) {
       this.logAndThrow(error, 'Save summary', { meetingId, userId });
@@ -740,7 +1613,7 @@ class MeetingService extends BaseService {
         throw new Error('Meeting not found');
       }
 
-      this.authorizationService.verifyMeetingOwnership(meeting, userId);
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'editor');
 
       // Check meeting has completed transcription
       if (meeting.transcriptionStatus !== 'completed') {
@@ -771,6 +1644,66 @@ class MeetingService extends BaseService {
     }
   }
 
+  /**
+   * Generate a meeting's action items again, replacing the current ones
+   * Runs to completion (used by bulk operations in the worker); the previous items are
+   * only removed once the new ones are saved
+   * @param {string} meetingId - Meeting ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { actionItemsStatus, count }
+   * @throws {ForbiddenError} If the user's plan does not include action items
+   */
+  async regenerateActionItems(meetingId, userId) {
+    try {
+      const meeting = await Meeting.findById(meetingId).populate('projectId');
+
+      if (!meeting) {
+        throw new NotFoundError('Meeting not found');
+      }
+
+      this.authorizationService.verifyMeetingRole(meeting, userId, 'editor');
+
+      // Checked again here because a batch can run after the user's plan changed
+      const user = await User.findById(userId);
+      if (!user || !(await user.hasFeature(FEATURES.ACTION_ITEMS))) {
+        throw new ForbiddenError(`${FEATURE_LABELS[FEATURES.ACTION_ITEMS]} is not available on your plan`);
+      }
+
+      if (meeting.transcriptionStatus !== 'completed') {
+        throw new BadRequestError('Meeting transcription must be completed before generating action items');
+      }
+
+      if (meeting.actionItemsStatus === 'processing') {
+        throw new ConflictError('Action items are already being generated');
+      }
+
+      meeting.actionItemsStatus = 'processing';
+      meeting.actionItemsProgress = 0;
+      await meeting.save();
+
+      const previousIds = await ActionItem.distinct('_id', { meetingId });
+
+      await this._processActionItemsGeneration(meetingId);
+      await ActionItem.deleteMany({ _id: { $in: previousIds } });
+
+      const count = await ActionItem.countDocuments({ meetingId });
+
+      this.logSuccess('Action items regenerated', {
+        meetingId,
+        userId,
+        replaced: previousIds.length,
+        count
+      });
+
+      return {
+        actionItemsStatus: 'completed',
+        count
+      };
+    } catch (error) {
+      this.logAndThrow(error, 'Regenerate action items', { meetingId, userId });
+    }
+  }
+
   /**
    * Process action items generation in background
    * @param {string} meetingId - Meeting ID
@@ -920,13 +1853,14 @@ class MeetingService extends BaseService {
       await meeting.save();
 
       // Save action items to database
+      let savedItems = [];
       if (actionItemsToCreate.length > 0) {
         this.logger.info('Calling actionItemService.createActionItems', {
           meetingId,
           itemCount: actionItemsToCreate.length
         });
 
-        const savedItems = await this.actionItemService.createActionItems(meetingId, actionItemsToCreate);
+        savedItems = await this.actionItemService.createActionItems(meetingId, actionItemsToCreate);
 
         this.logger.info('Action items saved successfully', {
           meetingId,
@@ -953,6 +1887,17 @@ class MeetingService extends BaseService {
         count: finalCount,
         requestedCount: llmActionItems.length
       });
+
+      this._emitWebhookEvent(WEBHOOK_EVENTS.ACTION_ITEMS_GENERATED, meetingId, {
+        count: finalCount,
+        actionItems: (savedItems || []).map(item => ({
+          id: item._id.toString(),
+          task: item.task,
+          assignee: item.assignee,
+          dueDate: item.dueDate,
+          status: item.status
+        }))
+      });
     } catch (error) {
       this.logger.error('Error processing action items generation', {
         meetingId,
@@ -970,6 +1915,8 @@ class MeetingService extends BaseService {
         meeting.metadata.actionItems.errorMessage = error.message;
         await meeting.save();
       }
+
+      throw error;
     }
   }
 }
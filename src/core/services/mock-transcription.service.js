@@ -66,6 +66,23 @@ class MockTranscriptionService extends TranscriptionService {
     }
   }
 
+  /**
+   * Mock streaming text completion
+   * Yields a canned answer word by word so streaming clients can be exercised without an LLM
+   * @param {string} prompt - Prompt text
+   * @returns {AsyncGenerator} Async generator yielding text chunks
+   */
+  async* generateTextStream(prompt) {
+    const sourceCount = (prompt.match(/^\[\d+\]/gm) || []).length;
+    const answer = `This is a mock answer generated from ${sourceCount} transcript excerpt(s) [1]. ` +
+      'Configure TRANSCRIPTION_PROVIDER=gemini for real answers.';
+
+    for (const word of answer.split(' ')) {
+      await this._simulateProcessing(20);
+      yield `${word} `;
+    }
+  }
+
   /**
    * Simulate async processing delay
    * @param {number} delay - Delay in milliseconds
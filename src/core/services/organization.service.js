@@ -0,0 +1,465 @@
+/**
+ * Organization Service
+ * Business logic for workspace accounts with a shared tier and pooled usage
+ *
+ * Joining an organization moves a user onto its tier and quota, so admins cannot add
+ * people directly: they send an invitation to an email address, and only a user who has
+ * verified that address can accept it.
+ */
+const Organization = require('../../models/organization.model');
+const OrganizationInvitation = require('../../models/organization-invitation.model');
+const TierConfig = require('../../models/tierConfig.model');
+const User = require('../../models/user.model');
+const BaseService = require('./base.service');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../../utils/errors');
+
+class OrganizationService extends BaseService {
+  constructor(logger, usageService, mailService = null) {
+    super(logger);
+    this.usageService = usageService;
+    this.mailService = mailService;
+  }
+
+  /**
+   * Create an organization with the creator as its first admin
+   * New organizations start on the default tier; paid tiers are assigned by operators
+   * @param {string} userId - Creating user ID
+   * @param {Object} data - Organization data
+   * @param {string} data.name - Organization name
+   * @returns {Promise<Object>} Created organization
+   */
+  async createOrganization(userId, { name }) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      if (user.organizationId) {
+        throw new ConflictError('You already belong to an organization');
+      }
+
+      const defaultTier = await TierConfig.getDefaultTier();
+      if (!defaultTier) {
+        throw new NotFoundError('Default tier (free) not found. Please run tier seeder.');
+      }
+
+      const organization = new Organization({
+        name,
+        ownerId: userId,
+        tier: defaultTier._id,
+        members: [{ userId, role: 'admin' }]
+      });
+
+      await organization.save();
+
+      user.organizationId = organization._id;
+      await user.save();
+
+      this.logSuccess('Organization created', {
+        organizationId: organization._id,
+        userId,
+        name
+      });
+
+      return organization.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Create organization', { userId });
+    }
+  }
+
+  /**
+   * Get the organization the user belongs to, with members and pooled usage
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Organization details
+   */
+  async getUserOrganization(userId) {
+    try {
+      const user = await User.findById(userId).select('organizationId');
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      if (!user.organizationId) {
+        throw new NotFoundError('You do not belong to an organization');
+      }
+
+      const organization = await Organization.findById(user.organizationId)
+        .populate('tier')
+        .populate('members.userId', 'name email avatar');
+
+      if (!organization) {
+        throw new NotFoundError('Organization not found');
+      }
+
+      const usage = await this.usageService.getCurrentMonthUsage(userId);
+
+      const data = organization.toSafeObject();
+      data.tier = organization.tier.toPublicObject();
+      data.usage = usage;
+      data.role = organization.getMember(userId)?.role || null;
+
+      return data;
+    } catch (error) {
+      this.logAndThrow(error, 'Get user organization', { userId });
+    }
+  }
+
+  /**
+   * Invite a user to the organization by email
+   * Re-inviting an email with a pending invitation updates its role and expiry
+   * @param {string} organizationId - Organization ID
+   * @param {string} adminId - Requesting admin user ID
+   * @param {Object} data - Invitation data
+   * @param {string} data.email - Invitee email
+   * @param {string} data.role - 'admin' or 'member'
+   * @returns {Promise<Object>} Invitation
+   */
+  async inviteMember(organizationId, adminId, { email, role = 'member' }) {
+    try {
+      const organization = await this._getOrganizationAsAdmin(organizationId, adminId);
+      const normalizedEmail = email.toLowerCase().trim();
+
+      const existingUser = await User.findOne({ email: normalizedEmail }).select('_id');
+      if (existingUser && organization.getMember(existingUser._id)) {
+        throw new ConflictError('User is already a member of this organization');
+      }
+
+      let invitation = await OrganizationInvitation.findOne({
+        organizationId,
+        email: normalizedEmail,
+        status: 'pending'
+      });
+
+      if (invitation) {
+        invitation.role = role;
+        invitation.invitedBy = adminId;
+        invitation.renew();
+      } else {
+        invitation = new OrganizationInvitation({
+          organizationId,
+          email: normalizedEmail,
+          role,
+          invitedBy: adminId
+        });
+      }
+
+      await invitation.save();
+
+      // The invitation stays valid (and can be re-sent) if the email cannot be delivered
+      if (this.mailService) {
+        const inviter = await User.findById(adminId).select('name');
+        this.mailService.sendOrganizationInvitation(invitation, organization, inviter).catch((error) => {
+          this.logger.warn('Failed to send organization invitation email', {
+            invitationId: invitation._id,
+            error: error.message
+          });
+        });
+      }
+
+      this.logSuccess('Organization invitation created', {
+        organizationId,
+        invitationId: invitation._id,
+        role,
+        adminId
+      });
+
+      return invitation.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Invite organization member', { organizationId, adminId });
+    }
+  }
+
+  /**
+   * List pending invitations of an organization (admins only)
+   * @param {string} organizationId - Organization ID
+   * @param {string} adminId - Requesting admin user ID
+   * @returns {Promise<Array>} Pending invitations
+   */
+  async listInvitations(organizationId, adminId) {
+    try {
+      await this._getOrganizationAsAdmin(organizationId, adminId);
+
+      return await OrganizationInvitation.find({ organizationId, status: 'pending' })
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .lean();
+    } catch (error) {
+      this.logAndThrow(error, 'List organization invitations', { organizationId, adminId });
+    }
+  }
+
+  /**
+   * Revoke a pending invitation (admins only)
+   * @param {string} organizationId - Organization ID
+   * @param {string} adminId - Requesting admin user ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object>} Revocation result
+   */
+  async revokeInvitation(organizationId, adminId, invitationId) {
+    try {
+      await this._getOrganizationAsAdmin(organizationId, adminId);
+
+      const invitation = await OrganizationInvitation.findOne({
+        _id: invitationId,
+        organizationId,
+        status: 'pending'
+      });
+
+      if (!invitation) {
+        throw new NotFoundError('Invitation not found');
+      }
+
+      invitation.status = 'revoked';
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      this.logSuccess('Organization invitation revoked', { organizationId, invitationId, adminId });
+
+      return { message: 'Invitation revoked successfully' };
+    } catch (error) {
+      this.logAndThrow(error, 'Revoke organization invitation', { organizationId, invitationId });
+    }
+  }
+
+  /**
+   * List pending, unexpired organization invitations addressed to a user's email
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>} Invitations with organization and inviter details
+   * @throws {ForbiddenError} If the user's email is not verified
+   */
+  async listUserInvitations(user) {
+    try {
+      this._requireVerifiedEmail(user);
+
+      return await OrganizationInvitation.find({
+        email: user.email.toLowerCase(),
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      })
+        .populate('organizationId', 'name')
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .lean();
+    } catch (error) {
+      this.logAndThrow(error, 'List user organization invitations', { userId: user._id });
+    }
+  }
+
+  /**
+   * Accept an invitation and join the organization
+   * The user moves onto the organization's tier and pooled quota.
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} user - Authenticated user (verified email must match the invitation)
+   * @returns {Promise<Object>} { organizationId, role }
+   * @throws {ConflictError} If the user belongs to another organization
+   */
+  async acceptInvitation(invitationId, user) {
+    try {
+      const invitation = await this._getPendingInvitationForUser(invitationId, user);
+
+      const organization = await Organization.findById(invitation.organizationId);
+      if (!organization) {
+        throw new NotFoundError('Organization no longer exists');
+      }
+
+      const currentUser = await User.findById(user._id).select('organizationId');
+      if (currentUser.organizationId && currentUser.organizationId.toString() !== organization._id.toString()) {
+        throw new ConflictError('Leave your current organization before joining another');
+      }
+
+      // Accepting is idempotent for users who joined some other way in the meantime
+      if (!organization.getMember(user._id)) {
+        organization.members.push({ userId: user._id, role: invitation.role });
+        await organization.save();
+      }
+
+      await User.updateOne({ _id: user._id }, { $set: { organizationId: organization._id } });
+
+      invitation.status = 'accepted';
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      this.logSuccess('Organization invitation accepted', {
+        invitationId,
+        organizationId: organization._id,
+        userId: user._id,
+        role: invitation.role
+      });
+
+      return { organizationId: organization._id, role: organization.getMember(user._id).role };
+    } catch (error) {
+      this.logAndThrow(error, 'Accept organization invitation', { invitationId, userId: user._id });
+    }
+  }
+
+  /**
+   * Decline an invitation
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} user - Authenticated user (verified email must match the invitation)
+   * @returns {Promise<Object>} Decline result
+   */
+  async declineInvitation(invitationId, user) {
+    try {
+      const invitation = await this._getPendingInvitationForUser(invitationId, user);
+
+      invitation.status = 'declined';
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      this.logSuccess('Organization invitation declined', { invitationId, userId: user._id });
+
+      return { message: 'Invitation declined' };
+    } catch (error) {
+      this.logAndThrow(error, 'Decline organization invitation', { invitationId, userId: user._id });
+    }
+  }
+
+  /**
+   * Change a member's organization role
+   * @param {string} organizationId - Organization ID
+   * @param {string} adminId - Requesting admin user ID
+   * @param {string} memberId - Member user ID
+   * @param {string} role - 'admin' or 'member'
+   * @returns {Promise<Object>} Updated member
+   */
+  async updateMemberRole(organizationId, adminId, memberId, role) {
+    try {
+      const organization = await this._getOrganizationAsAdmin(organizationId, adminId);
+
+      const member = organization.getMember(memberId);
+      if (!member) {
+        throw new NotFoundError('Member not found');
+      }
+
+      if (organization.ownerId.toString() === memberId.toString() && role !== 'admin') {
+        throw new BadRequestError('The organization owner must remain an admin');
+      }
+
+      member.role = role;
+      await organization.save();
+
+      this.logSuccess('Organization member role updated', { organizationId, memberId, role });
+
+      return { userId: member.userId, role: member.role, joinedAt: member.joinedAt };
+    } catch (error) {
+      this.logAndThrow(error, 'Update organization member role', { organizationId, memberId });
+    }
+  }
+
+  /**
+   * Remove a member from the organization
+   * Admins can remove anyone except the owner; other members can only remove themselves (leave)
+   * @param {string} organizationId - Organization ID
+   * @param {string} requesterId - Requesting user ID
+   * @param {string} memberId - Member user ID to remove
+   * @returns {Promise<Object>} Removal result
+   */
+  async removeMember(organizationId, requesterId, memberId) {
+    try {
+      const organization = await Organization.findById(organizationId);
+      if (!organization || !organization.getMember(requesterId)) {
+        throw new NotFoundError('Organization not found');
+      }
+
+      const isSelf = memberId.toString() === requesterId.toString();
+
+      if (!isSelf && !organization.isAdmin(requesterId)) {
+        throw new ForbiddenError('Only organization admins can remove other members');
+      }
+
+      if (organization.ownerId.toString() === memberId.toString()) {
+        throw new BadRequestError('The organization owner cannot be removed');
+      }
+
+      if (!organization.getMember(memberId)) {
+        throw new NotFoundError('Member not found');
+      }
+
+      organization.members = organization.members.filter(m => m.userId.toString() !== memberId.toString());
+      await organization.save();
+
+      // Member falls back to their individual tier and quota
+      await User.updateOne({ _id: memberId }, { $set: { organizationId: null } });
+
+      this.logSuccess('Organization member removed', { organizationId, memberId, requesterId });
+
+      return { message: isSelf ? 'You have left the organization' : 'Member removed successfully' };
+    } catch (error) {
+      this.logAndThrow(error, 'Remove organization member', { organizationId, memberId, requesterId });
+    }
+  }
+
+  /**
+   * Get pooled usage history with per-member breakdown (admins only)
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - Requesting user ID
+   * @param {number} months - Number of months
+   * @returns {Promise<Array>} Monthly usage history
+   */
+  async getUsageHistory(organizationId, userId, months = 3) {
+    return await this.usageService.getUsageHistory(userId, months, { organizationId });
+  }
+
+  /**
+   * Load an organization and verify the user is one of its admins
+   * Non-members get a 404 so organization IDs are not leaked
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Organization document
+   * @private
+   */
+  async _getOrganizationAsAdmin(organizationId, userId) {
+    const organization = await Organization.findById(organizationId);
+
+    if (!organization || !organization.getMember(userId)) {
+      throw new NotFoundError('Organization not found');
+    }
+
+    if (!organization.isAdmin(userId)) {
+      throw new ForbiddenError('Only organization admins can manage members');
+    }
+
+    return organization;
+  }
+
+  /**
+   * Load a pending invitation addressed to the user
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Invitation document
+   * @private
+   */
+  async _getPendingInvitationForUser(invitationId, user) {
+    this._requireVerifiedEmail(user);
+
+    const invitation = await OrganizationInvitation.findOne({
+      _id: invitationId,
+      email: user.email.toLowerCase(),
+      status: 'pending'
+    });
+
+    if (!invitation) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    if (invitation.isExpired) {
+      throw new BadRequestError('Invitation has expired');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Invitations are matched by email, so the user must have proven they own it
+   * @param {Object} user - Authenticated user
+   * @private
+   */
+  _requireVerifiedEmail(user) {
+    if (!user.emailVerified) {
+      throw new ForbiddenError('Verify your email address to view and respond to organization invitations');
+    }
+  }
+}
+
+module.exports = OrganizationService;
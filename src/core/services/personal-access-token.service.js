@@ -0,0 +1,98 @@
+/**
+ * Personal Access Token Service
+ * Business logic for user-managed, scoped API tokens
+ */
+const PersonalAccessToken = require('../../models/personal-access-token.model');
+const BaseService = require('./base.service');
+const { generateAccessToken } = require('../utils/token-scopes');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+
+class PersonalAccessTokenService extends BaseService {
+  constructor(logger) {
+    super(logger);
+    this.maxTokensPerUser = parseInt(process.env.MAX_ACCESS_TOKENS_PER_USER) || 50;
+  }
+
+  /**
+   * Create a personal access token
+   * @param {string} userId - Owner user ID
+   * @param {Object} data - Token data
+   * @param {string} data.name - Name to recognize the token by
+   * @param {Array<string>} data.scopes - Granted scopes
+   * @param {Date|null} [data.expiresAt] - Expiry (never expires when empty)
+   * @returns {Promise<Object>} Created token, including the plain token (only returned here)
+   */
+  async createToken(userId, { name, scopes, expiresAt = null }) {
+    try {
+      const activeCount = await PersonalAccessToken.countDocuments({ userId, revokedAt: null });
+      if (activeCount >= this.maxTokensPerUser) {
+        throw new BadRequestError(`You can have at most ${this.maxTokensPerUser} access tokens`);
+      }
+
+      const { token, tokenHash, prefix } = generateAccessToken();
+      const accessToken = new PersonalAccessToken({
+        userId,
+        name,
+        scopes,
+        expiresAt,
+        tokenHash,
+        prefix
+      });
+
+      await accessToken.save();
+
+      this.logSuccess('Personal access token created', {
+        tokenId: accessToken._id,
+        userId,
+        scopes,
+        expiresAt
+      });
+
+      return { ...accessToken.toSafeObject(), token };
+    } catch (error) {
+      this.logAndThrow(error, 'Create personal access token', { userId });
+    }
+  }
+
+  /**
+   * List a user's personal access tokens, including revoked and expired ones
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Array>} Tokens
+   */
+  async listTokens(userId) {
+    try {
+      const tokens = await PersonalAccessToken.find({ userId }).sort({ createdAt: -1 });
+      return tokens.map(token => ({ ...token.toSafeObject(), active: token.isActive() }));
+    } catch (error) {
+      this.logAndThrow(error, 'List personal access tokens', { userId });
+    }
+  }
+
+  /**
+   * Revoke a personal access token
+   * @param {string} tokenId - Token ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Revoked token
+   */
+  async revokeToken(tokenId, userId) {
+    try {
+      const accessToken = await PersonalAccessToken.findOne({ _id: tokenId, userId });
+      if (!accessToken) {
+        throw new NotFoundError('Access token not found');
+      }
+
+      if (!accessToken.revokedAt) {
+        accessToken.revokedAt = new Date();
+        await accessToken.save();
+      }
+
+      this.logSuccess('Personal access token revoked', { tokenId, userId });
+
+      return { ...accessToken.toSafeObject(), active: false };
+    } catch (error) {
+      this.logAndThrow(error, 'Revoke personal access token', { tokenId, userId });
+    }
+  }
+}
+
+module.exports = PersonalAccessTokenService;
@@ -0,0 +1,515 @@
+/**
+ * Project Bundle Service
+ * Export of a whole project as a portable, versioned zip bundle and import of such a
+ * bundle under another account (or another Meno instance)
+ *
+ * Bundle layout (version 1):
+ *   manifest.json                        Format, version, meeting order and counts
+ *   project.json                         Project name and description
+ *   people.json                          People referenced by transcripts and action items
+ *   meetings/<id>/meeting.json           Meeting details, including the summary
+ *   meetings/<id>/transcript.json        Segments with speakers and person assignments
+ *   meetings/<id>/action-items.json      Action items of the meeting
+ *   meetings/<id>/audio.<ext>            Original recording (only when exported with audio)
+ *
+ * IDs inside a bundle are the source instance's; import creates new documents and
+ * remaps every reference. Embeddings are not exported, they are regenerated on import.
+ */
+const path = require('path');
+const archiver = require('archiver');
+const BaseService = require('./base.service');
+const { appendEntry, appendJson, openZip } = require('../utils/zip-archive');
+const { UsageEntryReason } = require('../constants');
+const Project = require('../../models/project.model');
+const Meeting = require('../../models/meeting.model');
+const Transcription = require('../../models/transcription.model');
+const ActionItem = require('../../models/action-item.model');
+const Person = require('../../models/person.model');
+const { BadRequestError } = require('../../utils/errors');
+
+const BUNDLE_FORMAT = 'meno-project-bundle';
+const BUNDLE_VERSION = 1;
+
+class ProjectBundleService extends BaseService {
+  constructor(logger, audioStorageProvider, transcriptionDataService, projectService, usageService = null, meetingService = null) {
+    super(logger);
+    this.audioStorage = audioStorageProvider;
+    this.transcriptionDataService = transcriptionDataService;
+    this.projectService = projectService;
+    this.usageService = usageService;
+    this.meetingService = meetingService;
+    // Entries are read into memory one at a time; larger ones are refused
+    this.maxEntrySize = parseInt(process.env.MAX_PROJECT_BUNDLE_SIZE) || 1073741824; // 1GB default
+  }
+
+  /**
+   * Start streaming a project bundle (project owner only)
+   * The archive is written in the background; pipe the returned stream to the client.
+   * A failure while writing destroys the stream with the error.
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @param {Object} options - Export options
+   * @param {boolean} options.includeAudio - Include the audio files from storage
+   * @returns {Promise<Object>} { filename, stream }
+   */
+  async exportBundle(projectId, userId, { includeAudio = false } = {}) {
+    try {
+      const { project } = await this.projectService.getProjectWithRole(projectId, userId, 'owner');
+
+      const archive = archiver('zip', { zlib: { level: 6 } });
+
+      this._writeBundle(archive, project, { includeAudio })
+        .then((counts) => {
+          this.logSuccess('Project bundle exported', { projectId, userId, includeAudio, ...counts });
+        })
+        .catch((error) => {
+          this.logger.error('Project bundle export failed', {
+            projectId,
+            userId,
+            error: error.message
+          });
+          archive.destroy(error);
+        });
+
+      const slug = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'project';
+      const date = new Date().toISOString().slice(0, 10);
+
+      return {
+        filename: `${slug}-${date}.zip`,
+        stream: archive
+      };
+    } catch (error) {
+      this.logAndThrow(error, 'Export project bundle', { projectId, userId });
+    }
+  }
+
+  /**
+   * Recreate a project from a bundle under the user's account
+   * People are matched to the user's existing people by email, then by name, and created
+   * when missing. Nothing is left behind if the import fails part way.
+   * @param {string} userId - User ID (owner of the new project)
+   * @param {string} filePath - Path of the uploaded bundle
+   * @param {Object} options - Import options
+   * @param {string} options.name - Name of the new project (default: the bundle's)
+   * @returns {Promise<Object>} { project, counts }
+   */
+  async importBundle(userId, filePath, { name } = {}) {
+    const created = { project: null, people: [] };
+    let reader = null;
+
+    try {
+      try {
+        reader = await openZip(filePath);
+      } catch (zipError) {
+        throw new BadRequestError('The bundle is not a valid zip archive');
+      }
+
+      const manifest = await this._readManifest(reader);
+      const projectData = await this._readJson(reader, 'project.json');
+
+      created.project = await Project.create({
+        name: name || projectData.name,
+        description: projectData.description || '',
+        userId
+      });
+
+      const people = reader.has('people.json') ? await this._readJson(reader, 'people.json') : [];
+      const personIds = await this._importPeople(userId, people, created);
+
+      const counts = { meetings: 0, transcriptSegments: 0, actionItems: 0, people: personIds.size, audioFiles: 0 };
+      const untranscribed = [];
+      for (const meetingId of manifest.meetings) {
+        const meeting = await this._importMeeting(reader, `meetings/${meetingId}`, created.project, personIds, counts);
+        if (meeting.transcriptionStatus === 'pending') {
+          untranscribed.push(meeting);
+        }
+      }
+
+      // Only once nothing can roll the import back; a meeting that cannot be queued is
+      // marked failed and credited back
+      for (const meeting of untranscribed) {
+        await this.meetingService.queueChargedTranscription(meeting);
+      }
+
+      this.logSuccess('Project bundle imported', {
+        userId,
+        projectId: created.project._id,
+        sourceProjectId: manifest.source?.projectId,
+        ...counts
+      });
+
+      return {
+        project: created.project.toSafeObject(),
+        counts
+      };
+    } catch (error) {
+      if (created.project) {
+        await this._discardImport(created);
+      }
+      this.logAndThrow(error, 'Import project bundle', { userId });
+    } finally {
+      if (reader) {
+        reader.close();
+      }
+    }
+  }
+
+  /**
+   * Write every part of the bundle, the manifest last once the counts are known
+   * @private
+   */
+  async _writeBundle(archive, project, { includeAudio }) {
+    const counts = { meetings: 0, transcriptSegments: 0, actionItems: 0, people: 0, audioFiles: 0 };
+    const meetingIds = [];
+    const referencedPeople = new Set();
+
+    await appendJson(archive, 'project.json', {
+      id: project._id,
+      name: project.name,
+      description: project.description,
+      createdAt: project.createdAt
+    });
+
+    const meetings = await Meeting.find({ projectId: project._id }).sort({ createdAt: 1 });
+    for (const meeting of meetings) {
+      const meetingDir = `meetings/${meeting._id}`;
+      const [segments, actionItems] = await Promise.all([
+        Transcription.find({ meetingId: meeting._id }).sort({ startTime: 1 }).lean(),
+        ActionItem.find({ meetingId: meeting._id }).sort({ createdAt: 1 }).lean()
+      ]);
+
+      let audioName = null;
+      if (includeAudio && meeting.audioFile) {
+        const audio = await this._downloadAudio(meeting);
+        if (audio) {
+          audioName = `audio${this._audioExtension(meeting)}`;
+          // Audio is already compressed
+          await appendEntry(archive, `${meetingDir}/${audioName}`, audio, { store: true });
+          counts.audioFiles++;
+        }
+      }
+
+      await appendJson(archive, `${meetingDir}/meeting.json`, {
+        id: meeting._id,
+        title: meeting.title,
+        description: meeting.description,
+        summary: meeting.summary,
+        duration: meeting.duration,
+        recordingType: meeting.recordingType,
+        transcriptionStatus: meeting.transcriptionStatus,
+        actionItemsStatus: meeting.actionItemsStatus,
+        metadata: {
+          fileSize: meeting.metadata?.fileSize,
+          mimeType: meeting.metadata?.mimeType,
+          originalName: meeting.metadata?.originalName,
+          transcriptionCompletedAt: meeting.metadata?.transcription?.completedAt || null,
+          actionItemsGeneratedAt: meeting.metadata?.actionItems?.generatedAt || null
+        },
+        audio: audioName,
+        createdAt: meeting.createdAt
+      });
+
+      await appendJson(archive, `${meetingDir}/transcript.json`, segments.map(segment => ({
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        speaker: segment.speaker,
+        personId: segment.personId,
+        text: segment.text,
+        isEdited: segment.isEdited
+      })));
+
+      await appendJson(archive, `${meetingDir}/action-items.json`, actionItems.map(item => ({
+        task: item.task,
+        assignee: item.assignee,
+        personId: item.personId,
+        dueDate: item.dueDate,
+        context: item.context,
+        status: item.status
+      })));
+
+      [...segments, ...actionItems]
+        .filter(doc => doc.personId)
+        .forEach(doc => referencedPeople.add(doc.personId.toString()));
+
+      meetingIds.push(meeting._id);
+      counts.meetings++;
+      counts.transcriptSegments += segments.length;
+      counts.actionItems += actionItems.length;
+    }
+
+    const people = await Person.find({ _id: { $in: Array.from(referencedPeople) } }).lean();
+    await appendJson(archive, 'people.json', people.map(person => ({
+      id: person._id,
+      name: person.name,
+      email: person.email,
+      phone: person.phone,
+      company: person.company,
+      socialMedia: person.socialMedia,
+      notes: person.notes
+    })));
+    counts.people = people.length;
+
+    await appendJson(archive, 'manifest.json', {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date(),
+      source: { projectId: project._id },
+      includesAudio: includeAudio,
+      meetings: meetingIds,
+      counts
+    });
+
+    await archive.finalize();
+    return counts;
+  }
+
+  /**
+   * Read and check the bundle manifest
+   * @private
+   */
+  async _readManifest(reader) {
+    if (!reader.has('manifest.json')) {
+      throw new BadRequestError('Not a project bundle: manifest.json is missing');
+    }
+
+    const manifest = await this._readJson(reader, 'manifest.json');
+
+    if (manifest.format !== BUNDLE_FORMAT) {
+      throw new BadRequestError('Not a project bundle: unknown format');
+    }
+
+    if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+      throw new BadRequestError('Invalid project bundle version');
+    }
+
+    if (manifest.version > BUNDLE_VERSION) {
+      throw new BadRequestError(`This bundle was created by a newer version of Meno (bundle version ${manifest.version})`);
+    }
+
+    if (!Array.isArray(manifest.meetings)) {
+      throw new BadRequestError('Invalid project bundle: the manifest has no meeting list');
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Map the bundle's people to people of the user, creating the missing ones
+   * @returns {Promise<Map>} Bundle person ID -> person ID on this instance
+   * @private
+   */
+  async _importPeople(userId, people, created) {
+    const personIds = new Map();
+
+    for (const person of people) {
+      let match = null;
+      if (person.email) {
+        match = await Person.findOne({ userId, email: person.email.toLowerCase() });
+      }
+      if (!match && person.name) {
+        match = await Person.findOne({ userId, name: person.name })
+          .collation({ locale: 'en', strength: 2 });
+      }
+
+      if (!match) {
+        match = await Person.create({
+          name: person.name,
+          email: person.email || null,
+          phone: person.phone || null,
+          company: person.company || null,
+          socialMedia: person.socialMedia || {},
+          notes: person.notes || '',
+          userId
+        });
+        created.people.push(match._id);
+      }
+
+      personIds.set(String(person.id), match._id);
+    }
+
+    return personIds;
+  }
+
+  /**
+   * Recreate one meeting with its audio, transcript and action items
+   * Meetings that were not transcribed yet but come with their audio are left pending
+   * (and charged) for importBundle to queue
+   * @returns {Promise<Object>} Meeting document
+   * @private
+   */
+  async _importMeeting(reader, meetingDir, project, personIds, counts) {
+    const data = await this._readJson(reader, `${meetingDir}/meeting.json`);
+    const segments = reader.has(`${meetingDir}/transcript.json`)
+      ? await this._readJson(reader, `${meetingDir}/transcript.json`)
+      : [];
+    const actionItems = reader.has(`${meetingDir}/action-items.json`)
+      ? await this._readJson(reader, `${meetingDir}/action-items.json`)
+      : [];
+
+    const audioEntry = data.audio ? `${meetingDir}/${data.audio}` : null;
+    let audioFile = null;
+    if (audioEntry && reader.has(audioEntry)) {
+      const audio = await this._readBuffer(reader, audioEntry);
+      const originalName = path.basename(data.metadata?.originalName || data.audio);
+      const result = await this.audioStorage.upload(
+        `meetings/${project._id}/${Date.now()}-${originalName}`,
+        audio,
+        { contentType: data.metadata?.mimeType }
+      );
+      audioFile = result.uri;
+      counts.audioFiles++;
+    }
+
+    const transcribed = data.transcriptionStatus === 'completed';
+    const remapPerson = (personId) => (personId ? personIds.get(String(personId)) || null : null);
+
+    // Without its audio a meeting can only keep the transcript it came with
+    const meeting = new Meeting({
+      title: data.title,
+      description: data.description || null,
+      summary: data.summary || null,
+      projectId: project._id,
+      audioFile,
+      duration: data.duration || null,
+      recordingType: audioFile ? data.recordingType : 'import',
+      transcriptionStatus: transcribed ? 'completed' : (audioFile ? 'pending' : 'failed'),
+      transcriptionProgress: transcribed ? 100 : 0,
+      actionItemsStatus: data.actionItemsStatus === 'completed' ? 'completed' : 'not_started',
+      actionItemsProgress: data.actionItemsStatus === 'completed' ? 100 : 0,
+      metadata: {
+        fileSize: data.metadata?.fileSize,
+        mimeType: data.metadata?.mimeType,
+        originalName: data.metadata?.originalName,
+        transcription: {
+          completedAt: data.metadata?.transcriptionCompletedAt || null,
+          errorMessage: transcribed || audioFile ? null : 'The audio was not included in the project bundle'
+        },
+        actionItems: {
+          generatedAt: data.metadata?.actionItemsGeneratedAt || null,
+          count: actionItems.length
+        }
+      }
+    });
+    await meeting.save();
+
+    // A pending meeting is transcribed from scratch, so partial segments would be duplicated
+    if (meeting.transcriptionStatus === 'pending') {
+      segments.length = 0;
+    }
+
+    if (segments.length > 0) {
+      await this.transcriptionDataService.saveTranscriptions(meeting._id, segments.map(segment => ({
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        speaker: segment.speaker,
+        personId: remapPerson(segment.personId),
+        text: segment.text,
+        isEdited: segment.isEdited
+      })));
+    }
+
+    if (actionItems.length > 0) {
+      await ActionItem.insertMany(actionItems.map(item => ({
+        meetingId: meeting._id,
+        userId: project.userId,
+        personId: remapPerson(item.personId),
+        task: item.task,
+        assignee: item.assignee,
+        dueDate: item.dueDate,
+        context: item.context,
+        status: item.status
+      })));
+    }
+
+    // Meetings that still need transcribing here count towards usage like an upload
+    if (meeting.transcriptionStatus === 'pending' && this.usageService) {
+      try {
+        await this.usageService.recordCharge(project.userId, meeting, meeting.duration, UsageEntryReason.BUNDLE_IMPORT);
+      } catch (usageError) {
+        this.logger.warn('Failed to charge usage for imported meeting', {
+          meetingId: meeting._id,
+          error: usageError.message
+        });
+      }
+    }
+
+    counts.meetings++;
+    counts.transcriptSegments += segments.length;
+    counts.actionItems += actionItems.length;
+
+    return meeting;
+  }
+
+  /**
+   * Remove everything a failed import created
+   * @private
+   */
+  async _discardImport(created) {
+    try {
+      await this.projectService.purgeProject(created.project._id.toString());
+      await Person.deleteMany({ _id: { $in: created.people } });
+    } catch (cleanupError) {
+      this.logger.warn('Failed to clean up incomplete project import', {
+        projectId: created.project._id,
+        error: cleanupError.message
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _readJson(reader, name) {
+    this._checkEntrySize(reader, name);
+    try {
+      return await reader.readJson(name);
+    } catch (error) {
+      throw new BadRequestError(`Invalid project bundle: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _readBuffer(reader, name) {
+    this._checkEntrySize(reader, name);
+    return reader.readBuffer(name);
+  }
+
+  /**
+   * @private
+   */
+  _checkEntrySize(reader, name) {
+    if (reader.sizeOf(name) > this.maxEntrySize) {
+      throw new BadRequestError(`Invalid project bundle: ${name} is too large`);
+    }
+  }
+
+  /**
+   * Download a meeting's audio, skipping files missing from storage
+   * @private
+   */
+  async _downloadAudio(meeting) {
+    try {
+      return await this.audioStorage.download(meeting.audioFile);
+    } catch (error) {
+      this.logger.warn('Skipping missing audio file in project bundle', {
+        meetingId: meeting._id,
+        audioFile: meeting.audioFile,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * File extension of a meeting's audio, from its original name or storage URI
+   * @private
+   */
+  _audioExtension(meeting) {
+    const match = (meeting.metadata?.originalName || meeting.audioFile).match(/\.([a-z0-9]{1,5})$/i);
+    return match ? `.${match[1].toLowerCase()}` : '';
+  }
+}
+
+module.exports = ProjectBundleService;
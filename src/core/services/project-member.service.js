@@ -0,0 +1,372 @@
+/**
+ * Project Member Service
+ * Business logic for project collaborators and invitations
+ *
+ * Invitations are addressed to an email and emailed there. Only a user who has verified
+ * that address can see, accept or decline them, so registering an account under someone
+ * else's address does not give access to their invitations.
+ */
+const Project = require('../../models/project.model');
+const ProjectInvitation = require('../../models/project-invitation.model');
+const User = require('../../models/user.model');
+const BaseService = require('./base.service');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../../utils/errors');
+const { getProjectRole } = require('../utils/project-roles');
+
+class ProjectMemberService extends BaseService {
+  constructor(logger, mailService = null) {
+    super(logger);
+    this.mailService = mailService;
+  }
+
+  /**
+   * List everyone with access to a project, owner first
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Members with user details and role
+   */
+  async listMembers(projectId) {
+    try {
+      const project = await Project.findById(projectId)
+        .populate('userId', 'name email avatar')
+        .populate('members.userId', 'name email avatar')
+        .lean();
+
+      if (!project) {
+        throw new NotFoundError('Project not found');
+      }
+
+      const toMember = (user, role, addedAt) => ({
+        userId: user?._id,
+        name: user?.name || null,
+        email: user?.email || null,
+        avatar: user?.avatar || null,
+        role,
+        addedAt
+      });
+
+      return [
+        toMember(project.userId, 'owner', project.createdAt),
+        ...project.members.map(m => toMember(m.userId, m.role, m.addedAt))
+      ];
+    } catch (error) {
+      this.logAndThrow(error, 'List project members', { projectId });
+    }
+  }
+
+  /**
+   * Invite a user to a project by email
+   * Re-inviting an email with a pending invitation updates its role and expiry
+   * @param {string} projectId - Project ID
+   * @param {string} inviterId - Inviting user ID
+   * @param {Object} data - Invitation data
+   * @param {string} data.email - Invitee email
+   * @param {string} data.role - 'editor' or 'viewer'
+   * @returns {Promise<Object>} Invitation
+   */
+  async inviteMember(projectId, inviterId, { email, role }) {
+    try {
+      const normalizedEmail = email.toLowerCase().trim();
+
+      const project = await Project.findById(projectId);
+      if (!project) {
+        throw new NotFoundError('Project not found');
+      }
+
+      // Reject invitations for people who already have access
+      const existingUser = await User.findOne({ email: normalizedEmail }).select('_id');
+      if (existingUser && getProjectRole(project, existingUser._id)) {
+        throw new ConflictError('User already has access to this project');
+      }
+
+      let invitation = await ProjectInvitation.findOne({
+        projectId,
+        email: normalizedEmail,
+        status: 'pending'
+      });
+
+      if (invitation) {
+        invitation.role = role;
+        invitation.invitedBy = inviterId;
+        invitation.renew();
+      } else {
+        invitation = new ProjectInvitation({
+          projectId,
+          email: normalizedEmail,
+          role,
+          invitedBy: inviterId
+        });
+      }
+
+      await invitation.save();
+
+      // The invitation stays valid (and can be re-sent) if the email cannot be delivered
+      if (this.mailService) {
+        const inviter = await User.findById(inviterId).select('name');
+        this.mailService.sendProjectInvitation(invitation, project, inviter).catch((error) => {
+          this.logger.warn('Failed to send project invitation email', {
+            invitationId: invitation._id,
+            error: error.message
+          });
+        });
+      }
+
+      this.logSuccess('Project invitation created', {
+        projectId,
+        invitationId: invitation._id,
+        role,
+        inviterId
+      });
+
+      return invitation.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Invite project member', { projectId, inviterId });
+    }
+  }
+
+  /**
+   * List pending invitations for a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Pending invitations
+   */
+  async listProjectInvitations(projectId) {
+    try {
+      return await ProjectInvitation.find({ projectId, status: 'pending' })
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .lean();
+    } catch (error) {
+      this.logAndThrow(error, 'List project invitations', { projectId });
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   * @param {string} projectId - Project ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object>} Revocation result
+   */
+  async revokeInvitation(projectId, invitationId) {
+    try {
+      const invitation = await ProjectInvitation.findOne({
+        _id: invitationId,
+        projectId,
+        status: 'pending'
+      });
+
+      if (!invitation) {
+        throw new NotFoundError('Invitation not found');
+      }
+
+      invitation.status = 'revoked';
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      this.logSuccess('Project invitation revoked', { projectId, invitationId });
+
+      return { message: 'Invitation revoked successfully' };
+    } catch (error) {
+      this.logAndThrow(error, 'Revoke invitation', { projectId, invitationId });
+    }
+  }
+
+  /**
+   * List pending, unexpired invitations addressed to a user's email
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Array>} Invitations with project and inviter details
+   * @throws {ForbiddenError} If the user's email is not verified
+   */
+  async listUserInvitations(user) {
+    try {
+      this._requireVerifiedEmail(user);
+
+      return await ProjectInvitation.find({
+        email: user.email.toLowerCase(),
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      })
+        .populate('projectId', 'name description')
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .lean();
+    } catch (error) {
+      this.logAndThrow(error, 'List user invitations', { userId: user._id });
+    }
+  }
+
+  /**
+   * Accept an invitation and join the project
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} user - Authenticated user (verified email must match the invitation)
+   * @returns {Promise<Object>} { projectId, role }
+   */
+  async acceptInvitation(invitationId, user) {
+    try {
+      const invitation = await this._getPendingInvitationForUser(invitationId, user);
+
+      const project = await Project.findById(invitation.projectId);
+      if (!project) {
+        throw new NotFoundError('Project no longer exists');
+      }
+
+      // Accepting is idempotent for users who were added some other way in the meantime
+      if (!getProjectRole(project, user._id)) {
+        project.members.push({ userId: user._id, role: invitation.role });
+        await project.save();
+      }
+
+      invitation.status = 'accepted';
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      this.logSuccess('Project invitation accepted', {
+        invitationId,
+        projectId: project._id,
+        userId: user._id,
+        role: invitation.role
+      });
+
+      return { projectId: project._id, role: getProjectRole(project, user._id) };
+    } catch (error) {
+      this.logAndThrow(error, 'Accept invitation', { invitationId, userId: user._id });
+    }
+  }
+
+  /**
+   * Decline an invitation
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} user - Authenticated user (verified email must match the invitation)
+   * @returns {Promise<Object>} Decline result
+   */
+  async declineInvitation(invitationId, user) {
+    try {
+      const invitation = await this._getPendingInvitationForUser(invitationId, user);
+
+      invitation.status = 'declined';
+      invitation.respondedAt = new Date();
+      await invitation.save();
+
+      this.logSuccess('Project invitation declined', { invitationId, userId: user._id });
+
+      return { message: 'Invitation declined' };
+    } catch (error) {
+      this.logAndThrow(error, 'Decline invitation', { invitationId, userId: user._id });
+    }
+  }
+
+  /**
+   * Change a collaborator's role
+   * @param {string} projectId - Project ID
+   * @param {string} memberId - Member user ID
+   * @param {string} role - 'editor' or 'viewer'
+   * @returns {Promise<Object>} Updated member
+   */
+  async updateMemberRole(projectId, memberId, role) {
+    try {
+      const project = await Project.findById(projectId);
+      if (!project) {
+        throw new NotFoundError('Project not found');
+      }
+
+      if (project.userId.toString() === memberId.toString()) {
+        throw new BadRequestError('The owner\'s role cannot be changed');
+      }
+
+      const member = project.members.find(m => m.userId.toString() === memberId.toString());
+      if (!member) {
+        throw new NotFoundError('Member not found');
+      }
+
+      member.role = role;
+      await project.save();
+
+      this.logSuccess('Project member role updated', { projectId, memberId, role });
+
+      return { userId: member.userId, role: member.role, addedAt: member.addedAt };
+    } catch (error) {
+      this.logAndThrow(error, 'Update member role', { projectId, memberId });
+    }
+  }
+
+  /**
+   * Remove a collaborator from a project
+   * The owner can remove anyone; other members can only remove themselves (leave)
+   * @param {string} projectId - Project ID
+   * @param {string} memberId - Member user ID to remove
+   * @param {string} requesterId - Requesting user ID
+   * @returns {Promise<Object>} Removal result
+   */
+  async removeMember(projectId, memberId, requesterId) {
+    try {
+      const project = await Project.findById(projectId);
+      if (!project) {
+        throw new NotFoundError('Project not found');
+      }
+
+      const requesterRole = getProjectRole(project, requesterId);
+      const isSelf = memberId.toString() === requesterId.toString();
+
+      if (requesterRole !== 'owner' && !isSelf) {
+        throw new ForbiddenError('Only the project owner can remove other members');
+      }
+
+      if (project.userId.toString() === memberId.toString()) {
+        throw new BadRequestError('The project owner cannot be removed');
+      }
+
+      const memberCount = project.members.length;
+      project.members = project.members.filter(m => m.userId.toString() !== memberId.toString());
+
+      if (project.members.length === memberCount) {
+        throw new NotFoundError('Member not found');
+      }
+
+      await project.save();
+
+      this.logSuccess('Project member removed', { projectId, memberId, requesterId });
+
+      return { message: isSelf ? 'You have left the project' : 'Member removed successfully' };
+    } catch (error) {
+      this.logAndThrow(error, 'Remove project member', { projectId, memberId, requesterId });
+    }
+  }
+
+  /**
+   * Load a pending invitation addressed to the user
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Invitation document
+   * @private
+   */
+  async _getPendingInvitationForUser(invitationId, user) {
+    this._requireVerifiedEmail(user);
+
+    const invitation = await ProjectInvitation.findOne({
+      _id: invitationId,
+      email: user.email.toLowerCase(),
+      status: 'pending'
+    });
+
+    if (!invitation) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    if (invitation.isExpired) {
+      throw new BadRequestError('Invitation has expired');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Invitations are matched by email, so the user must have proven they own it
+   * @param {Object} user - Authenticated user
+   * @private
+   */
+  _requireVerifiedEmail(user) {
+    if (!user.emailVerified) {
+      throw new ForbiddenError('Verify your email address to view and respond to project invitations');
+    }
+  }
+}
+
+module.exports = ProjectMemberService;
@@ -4,7 +4,11 @@
  */
 const Project = require('../../models/project.model');
 const Meeting = require('../../models/meeting.model');
+const ChatConversation = require('../../models/chat-conversation.model');
+const ProjectInvitation = require('../../models/project-invitation.model');
 const BaseService = require('./base.service');
+const { ForbiddenError, NotFoundError } = require('../../utils/errors');
+const { getProjectRole, hasProjectRole } = require('../utils/project-roles');
 
 class ProjectService extends BaseService {
   constructor(logger, meetingService = null) {
@@ -43,7 +47,7 @@ class ProjectService extends BaseService {
   }
 
   /**
-   * Get user's projects with pagination
+   * Get projects the user owns or collaborates on, with pagination
    * @param {string} userId - User ID
    * @param {Object} options - Pagination and sorting options
    * @returns {Object} Projects with pagination
@@ -57,10 +61,16 @@ class ProjectService extends BaseService {
       } = options;
 
       const result = await Project.findWithMeetingCount(
-        { userId },
+        Project.accessibleBy(userId),
         { page: parseInt(page), limit: parseInt(limit), sort }
       );
 
+      // Tell clients which projects are shared with the user and in what capacity
+      result.projects = result.projects.map(project => ({
+        ...project,
+        role: getProjectRole(project, userId)
+      }));
+
       this.logSuccess('Projects retrieved', {
         userId,
         count: result.projects.length,
@@ -74,27 +84,21 @@ class ProjectService extends BaseService {
   }
 
   /**
-   * Get project by ID with ownership verification
+   * Get project by ID with access verification (any role)
    * @param {string} projectId - Project ID
    * @param {string} userId - User ID
-   * @returns {Object} Project details
+   * @returns {Object} Project details including the user's role
    */
   async getProjectById(projectId, userId) {
     try {
-      const project = await Project.findOne({
-        _id: projectId,
-        userId
-      });
-
-      if (!project) {
-        throw new Error('Project not found');
-      }
+      const { project, role } = await this.getProjectWithRole(projectId, userId, 'viewer');
 
       // Get meeting count
       const meetingsCount = await Meeting.countDocuments({ projectId });
 
       const projectData = project.toSafeObject();
       projectData.meetingsCount = meetingsCount;
+      projectData.role = role;
 
       this.logSuccess('Project retrieved', {
         projectId,
@@ -108,7 +112,7 @@ class ProjectService extends BaseService {
   }
 
   /**
-   * Update project
+   * Update project (editors and owner)
    * @param {string} projectId - Project ID
    * @param {string} userId - User ID
    * @param {Object} updates - Update data
@@ -116,14 +120,7 @@ class ProjectService extends BaseService {
    */
   async updateProject(projectId, userId, updates) {
     try {
-      const project = await Project.findOne({
-        _id: projectId,
-        userId
-      });
-
-      if (!project) {
-        throw new Error('Project not found');
-      }
+      const { project } = await this.getProjectWithRole(projectId, userId, 'editor');
 
       // Only allow updating name and description
       if (updates.name !== undefined) {
@@ -147,76 +144,185 @@ class ProjectService extends BaseService {
   }
 
   /**
-   * Delete project and all associated meetings
+   * Move a project and its meetings to the trash (owner only)
+   * Meetings already in the trash stay there on their own and are not restored with the project
    * @param {string} projectId - Project ID
    * @param {string} userId - User ID
    * @returns {Object} Deletion result
    */
   async deleteProject(projectId, userId) {
     try {
-      const project = await Project.findOne({
-        _id: projectId,
-        userId
+      const { project } = await this.getProjectWithRole(projectId, userId, 'owner');
+      const deletedAt = new Date();
+
+      const liveMeetings = await Meeting.find({ projectId: project._id }).select('title transcriptionStatus');
+
+      const meetings = await Meeting.updateMany(
+        { _id: { $in: liveMeetings.map(m => m._id) }, deletedAt: null },
+        { $set: { deletedAt, deletedBy: userId, deletedWithProject: true } }
+      );
+
+      // Credit the minutes back as if each meeting were trashed on its own
+      if (this.meetingService) {
+        for (const meeting of liveMeetings) {
+          await this.meetingService.refundTrashedUsage(meeting);
+        }
+      }
+
+      project.deletedAt = deletedAt;
+      project.deletedBy = userId;
+      await project.save();
+
+      this.logSuccess('Project moved to trash', {
+        projectId,
+        userId,
+        meetingsTrashed: meetings.modifiedCount
       });
 
+      return {
+        message: 'Project and its meetings moved to trash',
+        deletedMeetings: meetings.modifiedCount
+      };
+    } catch (error) {
+      this.logAndThrow(error, 'Delete project', { projectId, userId });
+    }
+  }
+
+  /**
+   * Restore a project and the meetings trashed with it (owner only)
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @returns {Object} Restored project
+   */
+  async restoreProject(projectId, userId) {
+    try {
+      const project = await Project.findOne({ _id: projectId, deletedAt: { $ne: null } });
+
+      if (!project || getProjectRole(project, userId) !== 'owner') {
+        throw new NotFoundError('Project not found in trash');
+      }
+
+      const trashedMeetings = await Meeting.find({ projectId: project._id, deletedWithProject: true })
+        .setOptions({ withDeleted: true })
+        .select('title');
+
+      const meetings = await Meeting.updateMany(
+        { _id: { $in: trashedMeetings.map(m => m._id) }, deletedWithProject: true },
+        { $set: { deletedAt: null, deletedBy: null, deletedWithProject: false } }
+      );
+
+      // Charge again whatever trashing the project credited back
+      if (this.meetingService) {
+        for (const meeting of trashedMeetings) {
+          await this.meetingService.rechargeRestoredUsage(meeting);
+        }
+      }
+
+      project.deletedAt = null;
+      project.deletedBy = null;
+      await project.save();
+
+      this.logSuccess('Project restored from trash', {
+        projectId,
+        userId,
+        meetingsRestored: meetings.modifiedCount
+      });
+
+      const projectData = project.toSafeObject();
+      projectData.restoredMeetings = meetings.modifiedCount;
+      return projectData;
+    } catch (error) {
+      this.logAndThrow(error, 'Restore project', { projectId, userId });
+    }
+  }
+
+  /**
+   * Permanently delete a project and all of its meetings, trashed or not
+   * Used by the trash purge job and account deletion
+   * @param {string} projectId - Project ID
+   * @returns {Promise<number>} Number of meetings purged
+   */
+  async purgeProject(projectId) {
+    try {
+      const project = await Project.findById(projectId).setOptions({ withDeleted: true });
+
       if (!project) {
-        throw new Error('Project not found');
+        throw new NotFoundError('Project not found');
       }
 
-      // Delete all meetings in this project using MeetingService
-      // This ensures proper cascade deletion including audio files and transcriptions
-      const meetings = await Meeting.find({ projectId });
+      // MeetingService cascades to audio files, transcriptions and action items
+      const meetings = await Meeting.find({ projectId }).setOptions({ withDeleted: true }).select('_id');
 
       if (this.meetingService) {
-        // Use MeetingService for proper cascade deletion
         for (const meeting of meetings) {
-          await this.meetingService.deleteMeeting(meeting._id.toString(), userId);
+          await this.meetingService.purgeMeeting(meeting._id.toString());
         }
       } else {
         // Fallback: direct deletion (should not happen in production)
         this.logger.warn('MeetingService not available, using direct deletion', { projectId });
-        for (const meeting of meetings) {
-          await meeting.deleteOne();
-        }
+        await Meeting.deleteMany({ projectId });
       }
 
+      // Delete project-wide chat conversations and outstanding invitations
+      await ChatConversation.deleteMany({ projectId });
+      await ProjectInvitation.deleteMany({ projectId });
+
       // Delete the project
       await project.deleteOne();
 
-      this.logSuccess('Project deleted', {
+      this.logSuccess('Project purged', {
         projectId,
-        userId,
-        meetingsDeleted: meetings.length
+        meetingsPurged: meetings.length
       });
 
-      return {
-        message: 'Project and all associated meetings deleted successfully',
-        deletedMeetings: meetings.length
-      };
+      return meetings.length;
     } catch (error) {
-      this.logAndThrow(error, 'Delete project', { projectId, userId });
+      this.logAndThrow(error, 'Purge project', { projectId });
     }
   }
 
   /**
-   * Verify user owns project
+   * Verify user has at least the required role on a project
    * @param {string} projectId - Project ID
    * @param {string} userId - User ID
-   * @returns {boolean} Ownership status
+   * @param {string} requiredRole - Minimum role (default: owner)
+   * @returns {boolean} Access status
    */
-  async verifyOwnership(projectId, userId) {
+  async verifyOwnership(projectId, userId, requiredRole = 'owner') {
     try {
-      const project = await Project.findOne({
-        _id: projectId,
-        userId
-      });
+      const project = await Project.findById(projectId);
 
-      return !!project;
+      return hasProjectRole(getProjectRole(project, userId), requiredRole);
     } catch (error) {
       this.logAndThrow(error, 'Verify ownership', { projectId, userId });
     }
   }
 
+  /**
+   * Load a project and verify the user's role on it
+   * Users without any access get a 404 so project IDs are not leaked
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @param {string} requiredRole - Minimum role: 'viewer', 'editor' or 'owner'
+   * @returns {Promise<Object>} { project, role }
+   * @throws {NotFoundError} If project doesn't exist or user has no access
+   * @throws {ForbiddenError} If user's role is below requiredRole
+   */
+  async getProjectWithRole(projectId, userId, requiredRole = 'viewer') {
+    const project = await Project.findById(projectId);
+    const role = getProjectRole(project, userId);
+
+    if (!role) {
+      throw new NotFoundError('Project not found');
+    }
+
+    if (!hasProjectRole(role, requiredRole)) {
+      throw new ForbiddenError(`This action requires the ${requiredRole} role`);
+    }
+
+    return { project, role };
+  }
+
   /**
    * Get project statistics
    * @param {string} projectId - Project ID
@@ -225,14 +331,7 @@ class ProjectService extends BaseService {
    */
   async getProjectStats(projectId, userId) {
     try {
-      const project = await Project.findOne({
-        _id: projectId,
-        userId
-      });
-
-      if (!project) {
-        throw new Error('Project not found');
-      }
+      await this.getProjectWithRole(projectId, userId, 'viewer');
 
       const meetings = await Meeting.find({ projectId });
 
@@ -3,17 +3,20 @@
  * Core service for semantic retrieval over transcriptions
  * Supports meeting-scoped and project-scoped search
  * Implements two-stage hybrid retrieval: vector search + Atlas Search reranking
+ * Falls back to in-process retrieval (LocalRetrievalService) when Atlas Search is unavailable
  * Designed to be reused by search APIs and future RAG/chat features
  */
 const mongoose = require('mongoose');
 const BaseService = require('./base.service');
 const Transcription = require('../../models/transcription.model');
 const Meeting = require('../../models/meeting.model');
+const LocalRetrievalService = require('./local-retrieval.service');
 
 class RetrievalService extends BaseService {
-  constructor(logger, embeddingService) {
+  constructor(logger, embeddingService, localRetrievalService = null) {
     super(logger);
     this.embeddingService = embeddingService;
+    this.localRetrievalService = localRetrievalService || new LocalRetrievalService(logger);
     this.atlasSearchAvailable = null; // Cached detection result
   }
 
@@ -66,8 +69,15 @@ class RetrievalService extends BaseService {
 
     try {
       // Determine retrieval strategy
-      const useHybrid = hybrid && await this._checkAtlasSearchAvailability();
-      const strategy = useHybrid ? 'two-stage-hybrid' : 'semantic-only';
+      // Without Atlas Search, $vectorSearch is unavailable too, so use the in-process backend
+      const useAtlas = await this._checkAtlasSearchAvailability();
+      const useHybrid = hybrid && useAtlas;
+      let strategy;
+      if (useAtlas) {
+        strategy = useHybrid ? 'two-stage-hybrid' : 'semantic-only';
+      } else {
+        strategy = hybrid ? 'local-hybrid' : 'local-semantic';
+      }
 
       this.logger.info('Starting retrieval', {
         scope,
@@ -90,7 +100,18 @@ class RetrievalService extends BaseService {
 
       // Execute appropriate retrieval strategy
       let results;
-      if (useHybrid) {
+      if (!useAtlas) {
+        // In-process cosine similarity + BM25 reranking (self-hosted MongoDB, local dev)
+        results = await this.localRetrievalService.search(query, queryEmbedding, matchFilter, {
+          scoreThreshold,
+          topK,
+          page,
+          includeMeetingInfo,
+          hybrid,
+          candidateMultiplier,
+          embeddingSignature: this.embeddingService.getSignature()
+        });
+      } else if (useHybrid) {
         // Two-stage hybrid retrieval (separate queries due to MongoDB limitation)
         results = await this._executeTwoStageRetrieval(
           query,
@@ -103,10 +124,7 @@ class RetrievalService extends BaseService {
           candidateMultiplier
         );
       } else {
-        // Fallback to semantic-only if hybrid not available
-        if (hybrid) {
-          this.logger.warn('Hybrid search requested but Atlas Search unavailable, falling back to semantic-only');
-        }
+        // Semantic-only vector search
         const pipeline = this._buildVectorSearchPipeline(
           queryEmbedding,
           matchFilter,
@@ -183,8 +201,14 @@ class RetrievalService extends BaseService {
         filter.meetingId = { $in: meetingIds };
       }
     } else if (scope === 'person') {
-      // Person scope - filter transcriptions by personId
+      // Person scope - filter transcriptions by personId, leaving out meetings in the trash
       filter.personId = new mongoose.Types.ObjectId(scopeId);
+      const trashedIds = await Meeting.findTrashedIds(
+        await Transcription.distinct('meetingId', { personId: filter.personId })
+      );
+      if (trashedIds.length > 0) {
+        filter.meetingId = { $nin: trashedIds };
+      }
     }
 
     // Apply additional personId filter if provided (overrides scope-based personId)
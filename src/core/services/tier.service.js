@@ -4,7 +4,7 @@
  */
 const BaseService = require('./base.service');
 const TierConfig = require('../../models/tierConfig.model');
-const { NotFoundError, ValidationError } = require('../../utils/errors');
+const { NotFoundError, ValidationError, ConflictError } = require('../../utils/errors');
 
 class TierService extends BaseService {
   constructor(logger) {
@@ -101,7 +101,7 @@ class TierService extends BaseService {
       // Check if tier with same name already exists
       const existing = await TierConfig.findOne({ name: tierData.name.toLowerCase() });
       if (existing) {
-        throw new ValidationError(`Tier with name '${tierData.name}' already exists`);
+        throw new ConflictError(`Tier with name '${tierData.name}' already exists`);
       }
 
       const tier = new TierConfig(tierData);
@@ -126,6 +126,11 @@ class TierService extends BaseService {
         throw new ValidationError('Cannot change tier name');
       }
 
+      // Same guard as deactivateTier: new users are always assigned the free tier
+      if (tier.name === 'free' && updateData.isActive === false) {
+        throw new ValidationError('Cannot deactivate the free tier');
+      }
+
       // Update allowed fields
       if (updateData.displayName) tier.displayName = updateData.displayName;
       if (updateData.limits) {
@@ -171,7 +176,7 @@ class TierService extends BaseService {
   }
 
   /**
-   * Get tier limits for a user
+   * Get tier limits for a user (organization tier for organization members)
    */
   async getTierLimits(userId) {
     try {
@@ -182,15 +187,17 @@ class TierService extends BaseService {
         throw new NotFoundError(`User not found with ID: ${userId}`);
       }
 
-      if (!user.tier) {
+      const tier = await user.getEffectiveTier();
+
+      if (!tier) {
         throw new NotFoundError(`User has no tier assigned. User ID: ${userId}`);
       }
 
-      this.logSuccess('Tier limits retrieved', { userId, tierName: user.tier.name });
+      this.logSuccess('Tier limits retrieved', { userId, tierName: tier.name });
       return {
-        tier: user.tier.name,
-        limits: user.tier.limits,
-        features: user.tier.features
+        tier: tier.name,
+        limits: tier.limits,
+        features: tier.features
       };
     } catch (error) {
       this.logAndThrow(error, 'Get tier limits', { userId });
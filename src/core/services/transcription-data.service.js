@@ -3,7 +3,9 @@
  * Database operations for transcription segments
  */
 const Transcription = require('../../models/transcription.model');
+const Meeting = require('../../models/meeting.model');
 const BaseService = require('./base.service');
+const transcriptionEvents = require('../queue/transcription-events');
 
 class TranscriptionDataService extends BaseService {
   constructor(logger, embeddingService = null, retrievalService = null) {
@@ -15,7 +17,7 @@ class TranscriptionDataService extends BaseService {
   /**
    * Save transcription segments to database
    * @param {string} meetingId - Meeting ID
-   * @param {Array} segments - Transcription segments
+   * @param {Array} segments - Transcription segments (personId and isEdited are optional)
    * @returns {Promise<Array>} Saved transcriptions
    */
   async saveTranscriptions(meetingId, segments) {
@@ -26,8 +28,9 @@ class TranscriptionDataService extends BaseService {
         startTime: segment.startTime,
         endTime: segment.endTime,
         speaker: segment.speaker,
+        personId: segment.personId || null,
         text: segment.text,
-        isEdited: false
+        isEdited: segment.isEdited || false
       }));
 
       // Generate embeddings if embedding service is available
@@ -45,9 +48,11 @@ class TranscriptionDataService extends BaseService {
           const embeddings = await this.embeddingService.generateEmbeddingsBatch(texts);
 
           // Add embeddings to transcription documents
+          const embeddingModel = this.embeddingService.getSignature();
           transcriptions.forEach((transcription, index) => {
             if (embeddings[index]) {
               transcription.embedding = embeddings[index];
+              transcription.embeddingModel = embeddingModel;
             }
           });
 
@@ -73,6 +78,9 @@ class TranscriptionDataService extends BaseService {
         count: savedTranscriptions.length
       });
 
+      // Live transcript for open SSE streams
+      transcriptionEvents.publishSegments(meetingId, savedTranscriptions);
+
       return savedTranscriptions;
     } catch (error) {
       this.logAndThrow(error, 'Save transcriptions', { meetingId, segmentCount: segments.length });
@@ -110,6 +118,30 @@ class TranscriptionDataService extends BaseService {
     }
   }
 
+  /**
+   * Get all transcriptions for a meeting (unpaginated, ordered by start time)
+   * Used for exports where the full transcript is required
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<Array>} Ordered transcription segments
+   */
+  async getAllTranscriptions(meetingId) {
+    try {
+      const transcriptions = await Transcription.find({ meetingId })
+        .sort({ startTime: 1 })
+        .populate('personId', 'name company')
+        .lean();
+
+      this.logSuccess('All transcriptions retrieved', {
+        meetingId,
+        count: transcriptions.length
+      });
+
+      return transcriptions;
+    } catch (error) {
+      this.logAndThrow(error, 'Get all transcriptions', { meetingId });
+    }
+  }
+
   /**
    * Get transcription by ID
    * @param {string} transcriptionId - Transcription ID
@@ -238,6 +270,11 @@ class TranscriptionDataService extends BaseService {
         deletedCount: result.deletedCount
       });
 
+      // Open SSE streams drop the segments they have shown so far
+      if (result.deletedCount > 0) {
+        transcriptionEvents.publish(meetingId, { type: 'reset' });
+      }
+
       return {
         deletedCount: result.deletedCount
       };
@@ -246,6 +283,90 @@ class TranscriptionDataService extends BaseService {
     }
   }
 
+  /**
+   * Get every transcription of a meeting as stored, embeddings included
+   * Pass the result to restoreSnapshot to put the transcript back after deleteByMeetingId
+   * @param {string} meetingId - Meeting ID
+   * @returns {Promise<Array>} Plain transcription documents
+   */
+  async getSnapshot(meetingId) {
+    try {
+      return await Transcription.find({ meetingId })
+        .select('+embedding +embeddingModel')
+        .lean();
+    } catch (error) {
+      this.logAndThrow(error, 'Get transcription snapshot', { meetingId });
+    }
+  }
+
+  /**
+   * Re-insert transcriptions taken with getSnapshot, keeping their IDs
+   * @param {string} meetingId - Meeting ID
+   * @param {Array} transcriptions - Snapshot from getSnapshot
+   * @returns {Promise<number>} Number of restored transcriptions
+   */
+  async restoreSnapshot(meetingId, transcriptions) {
+    try {
+      if (transcriptions.length === 0) {
+        return 0;
+      }
+
+      await Transcription.insertMany(transcriptions);
+
+      this.logSuccess('Transcriptions restored', {
+        meetingId,
+        count: transcriptions.length
+      });
+
+      return transcriptions.length;
+    } catch (error) {
+      this.logAndThrow(error, 'Restore transcriptions', { meetingId });
+    }
+  }
+
+  /**
+   * Copy all transcriptions of a meeting to another meeting
+   * Embeddings are copied as-is, so the copy is searchable without re-embedding
+   * @param {string} sourceMeetingId - Meeting to copy from
+   * @param {string} targetMeetingId - Meeting to copy to
+   * @param {Object} options - Copy options
+   * @param {boolean} options.keepPeople - Keep speaker-to-person links (people belong to one user)
+   * @returns {Promise<number>} Number of copied transcriptions
+   */
+  async copyToMeeting(sourceMeetingId, targetMeetingId, { keepPeople = true } = {}) {
+    try {
+      const transcriptions = await Transcription.find({ meetingId: sourceMeetingId })
+        .select('+embedding +embeddingModel')
+        .lean();
+
+      if (transcriptions.length === 0) {
+        return 0;
+      }
+
+      await Transcription.insertMany(transcriptions.map(transcription => ({
+        meetingId: targetMeetingId,
+        startTime: transcription.startTime,
+        endTime: transcription.endTime,
+        speaker: transcription.speaker,
+        personId: keepPeople ? transcription.personId : null,
+        text: transcription.text,
+        embedding: transcription.embedding,
+        embeddingModel: transcription.embeddingModel,
+        isEdited: transcription.isEdited
+      })));
+
+      this.logSuccess('Transcriptions copied', {
+        sourceMeetingId,
+        targetMeetingId,
+        count: transcriptions.length
+      });
+
+      return transcriptions.length;
+    } catch (error) {
+      this.logAndThrow(error, 'Copy transcriptions', { sourceMeetingId, targetMeetingId });
+    }
+  }
+
   /**
    * Get transcription count for meeting
    * @param {string} meetingId - Meeting ID
@@ -369,6 +490,12 @@ class TranscriptionDataService extends BaseService {
       // Fallback to regular query if no search or retrieval service unavailable
       const query = { personId };
 
+      // Leave out segments of meetings in the trash
+      const trashedIds = await Meeting.findTrashedIds(await Transcription.distinct('meetingId', query));
+      if (trashedIds.length > 0) {
+        query.meetingId = { $nin: trashedIds };
+      }
+
       const result = await Transcription.findPaginated(
         query,
         { page: parseInt(page), limit: parseInt(limit), sort, populate: true }
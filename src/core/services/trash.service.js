@@ -0,0 +1,141 @@
+/**
+ * Trash Service
+ * Lists trashed projects and meetings and permanently deletes them after the retention window
+ *
+ * Deleting a project or meeting only sets deletedAt (see soft-delete.plugin); restoring
+ * is handled by ProjectService and MeetingService. The purge job calls purgeExpired,
+ * which does the real cascading cleanup through purgeProject and purgeMeeting.
+ */
+const BaseService = require('./base.service');
+const Project = require('../../models/project.model');
+const Meeting = require('../../models/meeting.model');
+const { getProjectRole, hasProjectRole } = require('../utils/project-roles');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashService extends BaseService {
+  constructor(logger, meetingService, projectService) {
+    super(logger);
+    this.meetingService = meetingService;
+    this.projectService = projectService;
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+  }
+
+  /**
+   * List what the user can restore: projects they own and meetings trashed on their
+   * own in projects where they are an editor or the owner
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { projects, meetings, retentionDays }
+   */
+  async listTrash(userId) {
+    try {
+      const trashedProjects = await Project.find({ userId, deletedAt: { $ne: null } })
+        .sort({ deletedAt: -1 })
+        .lean();
+
+      const meetingCounts = await Meeting.aggregate([
+        { $match: { projectId: { $in: trashedProjects.map(p => p._id) }, deletedWithProject: true } },
+        { $group: { _id: '$projectId', count: { $sum: 1 } } }
+      ]);
+      const countByProject = new Map(meetingCounts.map(c => [c._id.toString(), c.count]));
+
+      const editableProjects = (await Project.find(Project.accessibleBy(userId)).select('name userId members'))
+        .filter(project => hasProjectRole(getProjectRole(project, userId), 'editor'));
+      const projectNames = new Map(editableProjects.map(p => [p._id.toString(), p.name]));
+
+      const trashedMeetings = await Meeting.find({
+        projectId: { $in: editableProjects.map(p => p._id) },
+        deletedAt: { $ne: null },
+        deletedWithProject: false
+      })
+        .select('title projectId duration recordingType transcriptionStatus deletedAt deletedBy createdAt')
+        .sort({ deletedAt: -1 })
+        .lean();
+
+      const projects = trashedProjects.map(project => ({
+        _id: project._id,
+        name: project.name,
+        description: project.description,
+        meetingsCount: countByProject.get(project._id.toString()) || 0,
+        deletedAt: project.deletedAt,
+        purgeAt: this._purgeAt(project.deletedAt)
+      }));
+
+      const meetings = trashedMeetings.map(meeting => ({
+        ...meeting,
+        projectName: projectNames.get(meeting.projectId.toString()),
+        purgeAt: this._purgeAt(meeting.deletedAt)
+      }));
+
+      this.logSuccess('Trash retrieved', {
+        userId,
+        projects: projects.length,
+        meetings: meetings.length
+      });
+
+      return { projects, meetings, retentionDays: this.retentionDays };
+    } catch (error) {
+      this.logAndThrow(error, 'List trash', { userId });
+    }
+  }
+
+  /**
+   * Permanently delete every project and meeting trashed before the retention window
+   * A failure is logged and skipped so one broken item does not block the rest
+   * @returns {Promise<Object>} { projects, meetings, failed }
+   */
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS);
+    const result = { projects: 0, meetings: 0, failed: 0 };
+
+    try {
+      const projects = await Project.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+      for (const project of projects) {
+        try {
+          result.meetings += await this.projectService.purgeProject(project._id.toString());
+          result.projects++;
+        } catch (error) {
+          result.failed++;
+          this.logger.warn('Failed to purge trashed project', {
+            projectId: project._id,
+            error: error.message
+          });
+        }
+      }
+
+      // Meetings trashed with a project go with it; these were trashed on their own
+      const meetings = await Meeting.find({
+        deletedAt: { $ne: null, $lte: cutoff },
+        deletedWithProject: false
+      }).select('_id');
+      for (const meeting of meetings) {
+        try {
+          await this.meetingService.purgeMeeting(meeting._id.toString());
+          result.meetings++;
+        } catch (error) {
+          result.failed++;
+          this.logger.warn('Failed to purge trashed meeting', {
+            meetingId: meeting._id,
+            error: error.message
+          });
+        }
+      }
+
+      this.logSuccess('Expired trash purged', { ...result, cutoff });
+
+      return result;
+    } catch (error) {
+      this.logAndThrow(error, 'Purge expired trash', { cutoff });
+    }
+  }
+
+  /**
+   * When a trashed item will be permanently deleted
+   * @private
+   */
+  _purgeAt(deletedAt) {
+    return new Date(deletedAt.getTime() + this.retentionDays * DAY_MS);
+  }
+}
+
+module.exports = TrashService;
@@ -0,0 +1,394 @@
+/**
+ * Two-Factor Service
+ * TOTP enrollment, recovery codes and second-step verification at login
+ *
+ * Only email/password accounts can enroll; Google accounts rely on Google's own MFA.
+ */
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const User = require('../../models/user.model');
+const BaseService = require('./base.service');
+const {
+  generateSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes
+} = require('../utils/totp');
+const {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError
+} = require('../../utils/errors');
+
+const TWO_FACTOR_FIELDS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.lastUsedStep',
+  '+twoFactor.recoveryCodes',
+  '+twoFactor.failedAttempts',
+  '+twoFactor.lockedUntil'
+].join(' ');
+
+const CHALLENGE_PURPOSE = '2fa_challenge';
+
+class TwoFactorService extends BaseService {
+  constructor(logger) {
+    super(logger);
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'Meno';
+    this.challengeExpiry = process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m';
+    this.maxFailedAttempts = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+    this.lockoutMs = (parseInt(process.env.TWO_FACTOR_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+  }
+
+  /**
+   * Get the two-factor status of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { available, enabled, enabledAt, recoveryCodesRemaining }
+   */
+  async getStatus(userId) {
+    try {
+      const user = await this._getUser(userId);
+
+      return {
+        available: user.provider === 'email',
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: this._countUnusedRecoveryCodes(user)
+      };
+    } catch (error) {
+      this.logAndThrow(error, 'Get two-factor status', { userId });
+    }
+  }
+
+  /**
+   * Start enrollment by generating a secret
+   * Two-factor authentication stays off until the secret is confirmed with a code.
+   * Calling setup again replaces the pending secret.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async setup(userId) {
+    try {
+      const user = await this._getUser(userId);
+      this._assertEmailAccount(user);
+
+      if (user.twoFactor.enabled) {
+        throw new ConflictError('Two-factor authentication is already enabled');
+      }
+
+      const secret = generateSecret();
+      user.twoFactor.pendingSecret = encryptSecret(secret);
+      await user.save();
+
+      this.logSuccess('Two-factor setup started', { userId });
+
+      return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: this.issuer })
+      };
+    } catch (error) {
+      this.logAndThrow(error, 'Two-factor setup', { userId });
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodes } (codes are only returned here)
+   */
+  async enable(userId, code) {
+    try {
+      const user = await this._getUser(userId);
+      this._assertEmailAccount(user);
+
+      if (user.twoFactor.enabled) {
+        throw new ConflictError('Two-factor authentication is already enabled');
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        throw new BadRequestError('Start two-factor setup before enabling it');
+      }
+
+      const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+      if (step === null) {
+        throw new BadRequestError('Invalid verification code');
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = null;
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({ hash: hashRecoveryCode(recoveryCode) }));
+      user.twoFactor.failedAttempts = 0;
+      user.twoFactor.lockedUntil = null;
+      await user.save();
+
+      this.logSuccess('Two-factor authentication enabled', { userId });
+
+      return {
+        enabled: true,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodes
+      };
+    } catch (error) {
+      this.logAndThrow(error, 'Enable two-factor authentication', { userId });
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { password, code } or { password, recoveryCode }
+   * @returns {Promise<Object>} { enabled: false }
+   */
+  async disable(userId, { password, code, recoveryCode }) {
+    try {
+      const user = await User.findById(userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      if (!user.twoFactor.enabled) {
+        throw new BadRequestError('Two-factor authentication is not enabled');
+      }
+
+      if (!(await user.comparePassword(password))) {
+        throw new BadRequestError('Incorrect password');
+      }
+
+      await this.verifySecondFactor(user, { code, recoveryCode });
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            twoFactor: {
+              enabled: false,
+              enabledAt: null,
+              secret: null,
+              pendingSecret: null,
+              lastUsedStep: null,
+              recoveryCodes: [],
+              failedAttempts: 0,
+              lockedUntil: null
+            }
+          }
+        }
+      );
+
+      this.logSuccess('Two-factor authentication disabled', { userId });
+
+      return { enabled: false };
+    } catch (error) {
+      this.logAndThrow(error, 'Disable two-factor authentication', { userId });
+    }
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<Object>} { recoveryCodes }
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      const user = await this._getUser(userId);
+
+      if (!user.twoFactor.enabled) {
+        throw new BadRequestError('Two-factor authentication is not enabled');
+      }
+
+      await this.verifySecondFactor(user, { code });
+
+      const recoveryCodes = generateRecoveryCodes();
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(recoveryCode => ({ hash: hashRecoveryCode(recoveryCode) })) } }
+      );
+
+      this.logSuccess('Recovery codes regenerated', { userId });
+
+      return { recoveryCodes };
+    } catch (error) {
+      this.logAndThrow(error, 'Regenerate recovery codes', { userId });
+    }
+  }
+
+  /**
+   * Check a TOTP code or recovery code
+   * Each TOTP code and recovery code is accepted once. Too many failures lock
+   * verification for a while.
+   * @param {Object} user - User document loaded with two-factor fields
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<Object>} { method, recoveryCodesRemaining }
+   */
+  async verifySecondFactor(user, { code, recoveryCode }) {
+    if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > new Date()) {
+      throw new AppError('Too many failed two-factor attempts. Try again later', 429);
+    }
+
+    let accepted = false;
+    let method;
+
+    if (code) {
+      method = 'totp';
+      const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+      if (step !== null) {
+        // Conditional update so a code racing against itself is only accepted once
+        const result = await User.updateOne(
+          {
+            _id: user._id,
+            $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+          },
+          { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': null } }
+        );
+        accepted = result.modifiedCount > 0;
+      }
+    } else if (recoveryCode) {
+      method = 'recovery_code';
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } }
+        },
+        {
+          $set: {
+            'twoFactor.recoveryCodes.$.usedAt': new Date(),
+            'twoFactor.failedAttempts': 0,
+            'twoFactor.lockedUntil': null
+          }
+        }
+      );
+      accepted = result.modifiedCount > 0;
+    }
+
+    if (!accepted) {
+      await this._recordFailedAttempt(user);
+      throw new UnauthorizedError('Invalid two-factor code');
+    }
+
+    const recoveryCodesRemaining = this._countUnusedRecoveryCodes(user) - (method === 'recovery_code' ? 1 : 0);
+
+    this.logger.info('Second factor verified', { userId: user._id, method, recoveryCodesRemaining });
+
+    return { method, recoveryCodesRemaining };
+  }
+
+  /**
+   * Verify the second factor of a login challenge
+   * @param {string} userId - User ID from the challenge token
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<Object>} { method, recoveryCodesRemaining }
+   */
+  async verifyLogin(userId, factor) {
+    const user = await this._getUser(userId);
+    if (!user.twoFactor.enabled) {
+      // Turned off since the password step; nothing left to check
+      return { method: null, recoveryCodesRemaining: 0 };
+    }
+    return this.verifySecondFactor(user, factor);
+  }
+
+  /**
+   * Issue the short-lived token that stands for a correct password while the
+   * second factor is pending. It is signed with a key derived from JWT_SECRET, so it
+   * is not accepted as an access token.
+   * @param {Object} user - User document
+   * @returns {Object} { challengeToken, expiresIn }
+   */
+  createLoginChallenge(user) {
+    const challengeToken = jwt.sign(
+      { userId: user._id, purpose: CHALLENGE_PURPOSE },
+      this._getChallengeKey(),
+      { expiresIn: this.challengeExpiry }
+    );
+
+    return {
+      challengeToken,
+      expiresIn: jwt.decode(challengeToken).exp - Math.floor(Date.now() / 1000)
+    };
+  }
+
+  /**
+   * Verify a login challenge token
+   * @param {string} challengeToken - Token from the password step
+   * @returns {string} User ID
+   */
+  verifyLoginChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, this._getChallengeKey());
+      if (decoded.purpose !== CHALLENGE_PURPOSE) {
+        throw new Error('Wrong token purpose');
+      }
+      return decoded.userId;
+    } catch (error) {
+      throw new UnauthorizedError('Login challenge is invalid or expired. Please log in again');
+    }
+  }
+
+  /**
+   * Count failed attempts and lock verification after too many
+   * @private
+   */
+  async _recordFailedAttempt(user) {
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { 'twoFactor.failedAttempts': 1 } },
+      { new: true }
+    ).select('+twoFactor.failedAttempts');
+
+    if (updated && updated.twoFactor.failedAttempts >= this.maxFailedAttempts) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': new Date(Date.now() + this.lockoutMs) } }
+      );
+      this.logger.warn('Two-factor verification locked after failed attempts', { userId: user._id });
+    }
+  }
+
+  /**
+   * Load a user with two-factor fields
+   * @private
+   */
+  async _getUser(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    return user;
+  }
+
+  /**
+   * @private
+   */
+  _assertEmailAccount(user) {
+    if (user.provider !== 'email') {
+      throw new BadRequestError('Two-factor authentication for this account is managed by its sign-in provider (e.g. Google)');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _countUnusedRecoveryCodes(user) {
+    return (user.twoFactor.recoveryCodes || []).filter(recoveryCode => !recoveryCode.usedAt).length;
+  }
+
+  /**
+   * @private
+   */
+  _getChallengeKey() {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update(CHALLENGE_PURPOSE).digest('hex');
+  }
+}
+
+module.exports = TwoFactorService;
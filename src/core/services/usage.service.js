@@ -1,20 +1,34 @@
 /**
  * Usage Service
  * Core business logic for usage tracking and validation
+ *
+ * Usage is recorded in an append-only ledger (UsageEntry). The currentMonthUsage
+ * counters on users and organizations are a cache of the current month's ledger
+ * sum, refreshed whenever an entry is written or usage is read.
  */
 const BaseService = require('./base.service');
 const User = require('../../models/user.model');
-const Project = require('../../models/project.model');
 const Meeting = require('../../models/meeting.model');
-const { NotFoundError, ValidationError } = require('../../utils/errors');
+const Organization = require('../../models/organization.model');
+const UsageEntry = require('../../models/usage-entry.model');
+const { UsageEntryReason } = require('../constants');
+const { ForbiddenError, NotFoundError } = require('../../utils/errors');
+
+// When moving a meeting to the trash gives its minutes back
+const DELETE_REFUND_POLICIES = ['never', 'untranscribed', 'always'];
 
 class UsageService extends BaseService {
   constructor(logger) {
     super(logger);
+
+    const policy = (process.env.USAGE_REFUND_ON_DELETE || 'untranscribed').toLowerCase();
+    this.deleteRefundPolicy = DELETE_REFUND_POLICIES.includes(policy) ? policy : 'untranscribed';
   }
 
   /**
-   * Get current month's usage from cache or recalculate
+   * Get current month's usage from the ledger
+   * For organization members, used/limit/tier reflect the pooled quota and
+   * memberUsed is the user's own contribution
    */
   async getCurrentMonthUsage(userId) {
     try {
@@ -24,29 +38,37 @@ class UsageService extends BaseService {
         throw new NotFoundError(`User not found with ID: ${userId}`);
       }
 
-      // Check if cache needs reset
-      if (user.needsUsageReset()) {
-        user.resetMonthlyUsage();
-        await user.save();
-      }
+      const period = UsageEntry.periodOf();
+      const organization = await user.getOrganization();
+      const holder = organization || user;
 
-      const remaining = await user.getRemainingDuration();
+      const memberUsed = await this._refreshUsageCache(user, { userId: user._id }, period);
+      const used = organization
+        ? await this._refreshUsageCache(organization, { organizationId: organization._id }, period)
+        : memberUsed;
+
+      const remaining = await holder.getRemainingDuration();
 
       this.logSuccess('Current month usage retrieved', {
         userId,
-        used: user.currentMonthUsage.duration,
+        organizationId: organization?._id,
+        used,
         remaining
       });
 
       return {
-        used: user.currentMonthUsage.duration,
-        limit: user.tier.limits.monthlyDuration,
+        used,
+        limit: holder.tier.limits.monthlyDuration,
         remaining: remaining,
-        percentage: user.tier.limits.monthlyDuration === -1
+        percentage: holder.tier.limits.monthlyDuration === -1
           ? 0
-          : Math.round((user.currentMonthUsage.duration / user.tier.limits.monthlyDuration) * 100),
+          : Math.round((used / holder.tier.limits.monthlyDuration) * 100),
         resetDate: this._getNextResetDate(),
-        tier: user.tier.name
+        tier: holder.tier.name,
+        ...(organization && {
+          organization: { _id: organization._id, name: organization.name },
+          memberUsed
+        })
       };
     } catch (error) {
       this.logAndThrow(error, 'Get current month usage', { userId });
@@ -54,44 +76,25 @@ class UsageService extends BaseService {
   }
 
   /**
-   * Recalculate monthly usage from meetings collection (fallback)
+   * Rebuild a user's (and their organization's) usage cache from the ledger
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} User's net seconds this month
    */
   async recalculateMonthlyUsage(userId) {
     try {
-      const now = new Date();
-      const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0));
-      const endOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0, 23, 59, 59));
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new NotFoundError(`User not found with ID: ${userId}`);
+      }
 
-      // Find all user's projects
-      const projects = await Project.find({ userId }).select('_id');
-      const projectIds = projects.map(p => p._id);
+      const period = UsageEntry.periodOf();
+      const totalDuration = await this._refreshUsageCache(user, { userId: user._id }, period);
 
-      // Aggregate meetings duration for this month
-      const result = await Meeting.aggregate([
-        {
-          $match: {
-            projectId: { $in: projectIds },
-            createdAt: { $gte: startOfMonth, $lte: endOfMonth }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            totalDuration: { $sum: '$duration' }
-          }
+      if (user.organizationId) {
+        const organization = await Organization.findById(user.organizationId);
+        if (organization) {
+          await this._refreshUsageCache(organization, { organizationId: organization._id }, period);
         }
-      ]);
-
-      const totalDuration = result.length > 0 ? result[0].totalDuration || 0 : 0;
-
-      // Update user's cache
-      const user = await User.findById(userId).populate('tier');
-      if (user) {
-        user.currentMonthUsage.duration = totalDuration;
-        user.currentMonthUsage.lastReset = now;
-        user.currentMonthUsage.month = now.getUTCMonth() + 1;
-        user.currentMonthUsage.year = now.getUTCFullYear();
-        await user.save();
       }
 
       this.logSuccess('Monthly usage recalculated', { userId, totalDuration });
@@ -128,38 +131,225 @@ class UsageService extends BaseService {
   }
 
   /**
-   * Increment usage after successful upload
+   * Charge a meeting's audio duration to a user for the current month
+   * Organization members also draw from the pooled quota.
+   * @param {string} userId - User ID
+   * @param {Object} meeting - Meeting document
+   * @param {number} seconds - Duration in seconds
+   * @param {string} reason - UsageEntryReason
+   * @returns {Promise<Object|null>} Ledger entry, or null for an unknown duration
    */
-  async incrementUsage(userId, durationInSeconds) {
+  async recordCharge(userId, meeting, seconds, reason) {
     try {
-      const user = await User.findById(userId).populate('tier');
+      if (!seconds || seconds <= 0) {
+        return null;
+      }
 
+      const user = await User.findById(userId).select('organizationId');
       if (!user) {
         throw new NotFoundError(`User not found with ID: ${userId}`);
       }
 
-      user.addUsage(durationInSeconds);
-      await user.save();
+      const entry = await UsageEntry.create({
+        userId: user._id,
+        organizationId: user.organizationId || null,
+        meetingId: meeting._id,
+        meetingTitle: meeting.title,
+        seconds,
+        reason,
+        ...UsageEntry.periodOf()
+      });
 
-      this.logSuccess('Usage incremented', {
+      await this._syncUsageCache(entry);
+
+      this.logSuccess('Usage charged', {
         userId,
-        added: durationInSeconds,
-        newTotal: user.currentMonthUsage.duration
+        organizationId: entry.organizationId,
+        meetingId: meeting._id,
+        seconds,
+        reason
       });
 
+      return entry;
+    } catch (error) {
+      this.logAndThrow(error, 'Record usage charge', { userId, meetingId: meeting?._id, seconds, reason });
+    }
+  }
+
+  /**
+   * Credit back every charge of a meeting that has not been refunded yet
+   * Credits count towards the month of the charge they reverse.
+   * @param {string} meetingId - Meeting ID
+   * @param {string} reason - UsageEntryReason
+   * @returns {Promise<Object>} { meetingId, refundedSeconds }
+   */
+  async refundMeeting(meetingId, reason) {
+    try {
+      const charges = await UsageEntry.find({ meetingId, seconds: { $gt: 0 } });
+      const refundedSeconds = await this._creditCharges(charges, reason);
+
+      if (refundedSeconds > 0) {
+        this.logSuccess('Usage refunded', { meetingId, refundedSeconds, reason });
+      }
+
+      return { meetingId, refundedSeconds };
+    } catch (error) {
+      this.logAndThrow(error, 'Refund meeting usage', { meetingId, reason });
+    }
+  }
+
+  /**
+   * Credit back a single charge, leaving the meeting's other charges in place
+   * @param {Object} charge - Charge ledger entry (see recordCharge)
+   * @param {string} reason - UsageEntryReason
+   * @returns {Promise<number>} Seconds credited, 0 if the charge was already refunded
+   */
+  async refundCharge(charge, reason) {
+    try {
+      const refundedSeconds = await this._creditCharges([charge], reason);
+
+      if (refundedSeconds > 0) {
+        this.logSuccess('Usage charge refunded', { chargeId: charge._id, meetingId: charge.meetingId, refundedSeconds, reason });
+      }
+
+      return refundedSeconds;
+    } catch (error) {
+      this.logAndThrow(error, 'Refund usage charge', { chargeId: charge?._id, reason });
+    }
+  }
+
+  /**
+   * Refund a meeting that is being moved to the trash, according to USAGE_REFUND_ON_DELETE
+   * (never, untranscribed or always)
+   * @param {Object} meeting - Meeting document
+   * @returns {Promise<Object|null>} Refund result, or null when the policy does not refund
+   */
+  async refundDeletedMeeting(meeting) {
+    if (this.deleteRefundPolicy === 'never') {
+      return null;
+    }
+
+    if (this.deleteRefundPolicy === 'untranscribed' && meeting.transcriptionStatus === 'completed') {
+      return null;
+    }
+
+    // Meetings whose transcription failed were already credited
+    return await this.refundMeeting(meeting._id, UsageEntryReason.MEETING_DELETED);
+  }
+
+  /**
+   * Reverse the refund given when a meeting was moved to the trash (see refundDeletedMeeting)
+   * Each credit is charged again in the month it was booked in, so trashing and
+   * restoring a meeting leaves every month's usage as it was.
+   * @param {Object} meeting - Meeting document
+   * @returns {Promise<number>} Seconds charged again, 0 if trashing refunded nothing
+   */
+  async rechargeRestoredMeeting(meeting) {
+    try {
+      const entries = await UsageEntry.find({ meetingId: meeting._id }).sort({ createdAt: -1, _id: -1 });
+
+      // Only the credits written by the latest trashing; earlier ones were already reversed
+      const credits = [];
+      for (const entry of entries) {
+        if (entry.reason !== UsageEntryReason.MEETING_DELETED) {
+          break;
+        }
+        credits.push(entry);
+      }
+
+      let rechargedSeconds = 0;
+
+      for (const credit of credits) {
+        const charge = await UsageEntry.create({
+          userId: credit.userId,
+          organizationId: credit.organizationId,
+          meetingId: meeting._id,
+          meetingTitle: meeting.title,
+          seconds: -credit.seconds,
+          reason: UsageEntryReason.MEETING_RESTORED,
+          year: credit.year,
+          month: credit.month
+        });
+
+        rechargedSeconds += charge.seconds;
+        await this._syncUsageCache(charge);
+      }
+
+      if (rechargedSeconds > 0) {
+        this.logSuccess('Usage of restored meeting charged again', { meetingId: meeting._id, rechargedSeconds });
+      }
+
+      return rechargedSeconds;
+    } catch (error) {
+      this.logAndThrow(error, 'Recharge restored meeting usage', { meetingId: meeting._id });
+    }
+  }
+
+  /**
+   * Charge a meeting again when its transcription is retried after a refunded failure
+   * @param {Object} meeting - Meeting document
+   * @returns {Promise<Object|null>} New charge, or null if the meeting is still charged
+   */
+  async rechargeMeeting(meeting) {
+    try {
+      const entries = await UsageEntry.find({ meetingId: meeting._id }).sort({ createdAt: -1 });
+      const lastCharge = entries.find(entry => entry.seconds > 0);
+      const net = entries.reduce((sum, entry) => sum + entry.seconds, 0);
+
+      if (!lastCharge || net > 0) {
+        return null;
+      }
+
+      return await this.recordCharge(lastCharge.userId, meeting, lastCharge.seconds, UsageEntryReason.TRANSCRIPTION_RETRY);
+    } catch (error) {
+      this.logAndThrow(error, 'Recharge meeting usage', { meetingId: meeting._id });
+    }
+  }
+
+  /**
+   * Get a user's ledger entries for one month
+   * @param {string} userId - User ID
+   * @param {Object} period - { year, month }, defaults to the current month
+   * @returns {Promise<Object>} Totals and entries, newest first
+   */
+  async getLedger(userId, { year, month } = {}) {
+    try {
+      const period = { ...UsageEntry.periodOf(), ...(year && { year }), ...(month && { month }) };
+
+      const entries = await UsageEntry.find({ userId, year: period.year, month: period.month })
+        .sort({ createdAt: -1 })
+        .limit(1000);
+
+      const charged = entries.filter(e => e.seconds > 0).reduce((sum, e) => sum + e.seconds, 0);
+      const credited = entries.filter(e => e.seconds < 0).reduce((sum, e) => sum - e.seconds, 0);
+
+      this.logSuccess('Usage ledger retrieved', { userId, ...period, count: entries.length });
+
       return {
-        used: user.currentMonthUsage.duration,
-        added: durationInSeconds
+        ...period,
+        charged,
+        credited,
+        net: Math.max(0, charged - credited),
+        entries: entries.map(entry => entry.toSafeObject())
       };
     } catch (error) {
-      this.logAndThrow(error, 'Increment usage', { userId, durationInSeconds });
+      this.logAndThrow(error, 'Get usage ledger', { userId, year, month });
     }
   }
 
   /**
    * Get usage history for multiple months
+   * With options.organizationId, returns pooled usage for the organization with a
+   * per-member breakdown; only organization admins may request it
+   * @param {string} userId - Requesting user ID
+   * @param {number} months - Number of months including the current one
+   * @param {Object} options - History options
+   * @param {string} options.organizationId - Organization to report on
+   * @returns {Promise<Array>} Monthly usage, newest first
    */
-  async getUsageHistory(userId, months = 3) {
+  async getUsageHistory(userId, months = 3, options = {}) {
+    const { organizationId = null } = options;
+
     try {
       const user = await User.findById(userId).populate('tier');
 
@@ -167,50 +357,171 @@ class UsageService extends BaseService {
         throw new NotFoundError(`User not found with ID: ${userId}`);
       }
 
-      // Find all user's projects
-      const projects = await Project.find({ userId }).select('_id');
-      const projectIds = projects.map(p => p._id);
+      let members = null;
+
+      if (organizationId) {
+        const organization = await Organization.findById(organizationId);
+
+        if (!organization) {
+          throw new NotFoundError('Organization not found');
+        }
+
+        if (!organization.isAdmin(userId)) {
+          throw new ForbiddenError('Only organization admins can view member usage');
+        }
+
+        const memberIds = organization.members.map(m => m.userId);
+        members = await User.find({ _id: { $in: memberIds } }).select('name email').lean();
+      }
 
       const now = new Date();
+      const oldest = UsageEntry.periodOf(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1)));
+      const rows = await UsageEntry.netByMeeting(
+        organizationId ? { organizationId } : { userId: user._id },
+        oldest
+      );
+
       const history = [];
 
-      // Calculate usage for each of the past N months
       for (let i = 0; i < months; i++) {
-        const targetDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
-        const startOfMonth = new Date(Date.UTC(targetDate.getUTCFullYear(), targetDate.getUTCMonth(), 1, 0, 0, 0));
-        const endOfMonth = new Date(Date.UTC(targetDate.getUTCFullYear(), targetDate.getUTCMonth() + 1, 0, 23, 59, 59));
-
-        const result = await Meeting.aggregate([
-          {
-            $match: {
-              projectId: { $in: projectIds },
-              createdAt: { $gte: startOfMonth, $lte: endOfMonth }
-            }
-          },
-          {
-            $group: {
-              _id: null,
-              totalDuration: { $sum: '$duration' },
-              meetingCount: { $sum: 1 }
-            }
-          }
-        ]);
+        const { year, month } = UsageEntry.periodOf(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1)));
+        const monthRows = rows.filter(r => r.year === year && r.month === month);
+
+        const entry = { month, year, ...this._summarize(monthRows) };
+
+        if (members) {
+          entry.members = members.map(member => ({
+            userId: member._id,
+            name: member.name,
+            email: member.email,
+            ...this._summarize(monthRows.filter(r => r.userId.toString() === member._id.toString()))
+          }));
+        }
 
-        history.push({
-          month: targetDate.getUTCMonth() + 1,
-          year: targetDate.getUTCFullYear(),
-          duration: result.length > 0 ? result[0].totalDuration || 0 : 0,
-          meetingCount: result.length > 0 ? result[0].meetingCount || 0 : 0
-        });
+        history.push(entry);
       }
 
-      this.logSuccess('Usage history retrieved', { userId, months });
+      this.logSuccess('Usage history retrieved', { userId, months, organizationId });
       return history;
     } catch (error) {
-      this.logAndThrow(error, 'Get usage history', { userId, months });
+      this.logAndThrow(error, 'Get usage history', { userId, months, organizationId });
+    }
+  }
+
+  /**
+   * Net duration and number of still-charged meetings of ledger rows
+   * @param {Array} rows - Rows from UsageEntry.netByMeeting
+   * @returns {Object} { duration, meetingCount }
+   * @private
+   */
+  _summarize(rows) {
+    return {
+      duration: Math.max(0, rows.reduce((sum, r) => sum + r.seconds, 0)),
+      meetingCount: rows.filter(r => r.meetingId && r.seconds > 0).length
+    };
+  }
+
+  /**
+   * Write credits for the given charges that have not been refunded yet
+   * @param {Array<Object>} charges - Charge ledger entries
+   * @param {string} reason - UsageEntryReason
+   * @returns {Promise<number>} Seconds credited
+   * @private
+   */
+  async _creditCharges(charges, reason) {
+    const refunded = new Set(
+      (await UsageEntry.find({ refundOf: { $in: charges.map(c => c._id) } }).distinct('refundOf'))
+        .map(id => id.toString())
+    );
+
+    let refundedSeconds = 0;
+
+    for (const charge of charges) {
+      if (refunded.has(charge._id.toString())) {
+        continue;
+      }
+
+      let credit;
+      try {
+        credit = await UsageEntry.create({
+          userId: charge.userId,
+          organizationId: charge.organizationId,
+          meetingId: charge.meetingId,
+          meetingTitle: charge.meetingTitle,
+          seconds: -charge.seconds,
+          reason,
+          year: charge.year,
+          month: charge.month,
+          refundOf: charge._id
+        });
+      } catch (createError) {
+        // Refunded concurrently (unique refundOf)
+        if (createError.code === 11000) {
+          continue;
+        }
+        throw createError;
+      }
+
+      refundedSeconds += charge.seconds;
+      await this._syncUsageCache(credit);
+    }
+
+    return refundedSeconds;
+  }
+
+  /**
+   * Update the usage caches touched by a new ledger entry
+   * Entries for past months do not affect the current quota.
+   * @param {Object} entry - UsageEntry document
+   * @private
+   */
+  async _syncUsageCache(entry) {
+    const period = UsageEntry.periodOf();
+    if (entry.year !== period.year || entry.month !== period.month) {
+      return;
+    }
+
+    const userUsed = await UsageEntry.sumForPeriod({ userId: entry.userId }, period);
+    await User.updateOne({ _id: entry.userId }, { $set: this._cacheFields(userUsed, period) });
+
+    if (entry.organizationId) {
+      const organizationUsed = await UsageEntry.sumForPeriod({ organizationId: entry.organizationId }, period);
+      await Organization.updateOne({ _id: entry.organizationId }, { $set: this._cacheFields(organizationUsed, period) });
     }
   }
 
+  /**
+   * Recompute a user's or organization's cache from the ledger and apply it to the loaded document
+   * @param {Object} holder - User or Organization document
+   * @param {Object} filter - Ledger filter ({ userId } or { organizationId })
+   * @param {Object} period - { year, month }
+   * @returns {Promise<number>} Net seconds
+   * @private
+   */
+  async _refreshUsageCache(holder, filter, period) {
+    const used = await UsageEntry.sumForPeriod(filter, period);
+    const fields = this._cacheFields(used, period);
+
+    await holder.constructor.updateOne({ _id: holder._id }, { $set: fields });
+
+    holder.currentMonthUsage.duration = used;
+    holder.currentMonthUsage.month = period.month;
+    holder.currentMonthUsage.year = period.year;
+
+    return used;
+  }
+
+  /**
+   * @private
+   */
+  _cacheFields(duration, { year, month }) {
+    return {
+      'currentMonthUsage.duration': duration,
+      'currentMonthUsage.month': month,
+      'currentMonthUsage.year': year
+    };
+  }
+
   /**
    * Reset monthly usage cache for all users (cron job helper)
    */
@@ -220,20 +531,23 @@ class UsageService extends BaseService {
       const currentMonth = now.getUTCMonth() + 1;
       const currentYear = now.getUTCFullYear();
 
-      const result = await User.updateMany(
-        {},
-        {
-          $set: {
-            'currentMonthUsage.duration': 0,
-            'currentMonthUsage.lastReset': now,
-            'currentMonthUsage.month': currentMonth,
-            'currentMonthUsage.year': currentYear
-          }
+      const reset = {
+        $set: {
+          'currentMonthUsage.duration': 0,
+          'currentMonthUsage.lastReset': now,
+          'currentMonthUsage.month': currentMonth,
+          'currentMonthUsage.year': currentYear
         }
-      );
+      };
+
+      const result = await User.updateMany({}, reset);
+
+      // Pooled organization quotas reset on the same schedule
+      const orgResult = await Organization.updateMany({}, reset);
 
       this.logSuccess('All users monthly cache reset', {
         modifiedCount: result.modifiedCount,
+        organizationsModified: orgResult.modifiedCount,
         month: currentMonth,
         year: currentYear
       });
@@ -4,10 +4,9 @@
  */
 const BaseService = require('./base.service');
 const User = require('../../models/user.model');
-const Meeting = require('../../models/meeting.model');
-const Project = require('../../models/project.model');
-const mongoose = require('mongoose');
-const { NotFoundError, ConflictError } = require('../../utils/errors');
+const UsageEntry = require('../../models/usage-entry.model');
+const TierConfig = require('../../models/tierConfig.model');
+const { NotFoundError, ConflictError, BadRequestError } = require('../../utils/errors');
 
 class UserService extends BaseService {
   constructor(logger, storageProvider) {
@@ -17,14 +16,38 @@ class UserService extends BaseService {
 
   /**
    * Get all users with pagination
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.status - Account status
+   * @param {string} filters.role - System role
+   * @param {string} filters.tier - Tier name
+   * @param {string} filters.search - Case-insensitive match on name or email
    */
-  async getAllUsers(page = 1, limit = 10) {
+  async getAllUsers(page = 1, limit = 10, filters = {}) {
     try {
       const { skip, limit: parsedLimit } = this.getPaginationParams(page, limit);
+      const query = {};
+
+      if (filters.status) query.status = filters.status;
+      if (filters.role) query.role = filters.role;
+
+      if (filters.tier) {
+        const tier = await TierConfig.findOne({ name: filters.tier.toLowerCase() }).select('_id');
+        if (!tier) {
+          return { users: [], total: 0, page: parseInt(page), limit: parsedLimit };
+        }
+        query.tier = tier._id;
+      }
+
+      if (filters.search) {
+        const pattern = new RegExp(filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ name: pattern }, { email: pattern }];
+      }
 
       const [users, total] = await Promise.all([
-        User.find().skip(skip).limit(parsedLimit).sort({ createdAt: -1 }).populate('tier'),
-        User.countDocuments()
+        User.find(query).skip(skip).limit(parsedLimit).sort({ createdAt: -1 }).populate('tier'),
+        User.countDocuments(query)
       ]);
 
       this.logSuccess('Users retrieved', { count: users.length, total });
@@ -132,6 +155,100 @@ class UserService extends BaseService {
     }
   }
 
+  /**
+   * Suspend or reactivate a user account - Admin only
+   * Suspended users are rejected by the auth middleware on their next request
+   * @param {string} userId - Target user ID
+   * @param {string} status - 'active', 'inactive' or 'suspended'
+   * @param {string} adminId - Acting admin user ID
+   */
+  async updateUserStatus(userId, status, adminId) {
+    try {
+      if (userId.toString() === adminId.toString() && status !== 'active') {
+        throw new BadRequestError('You cannot suspend or deactivate your own account');
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { status },
+        { new: true, runValidators: true }
+      ).populate('tier');
+
+      if (!user) {
+        throw new NotFoundError(`User not found with ID: ${userId}`);
+      }
+
+      this.logSuccess('User status updated', { userId, status, adminId });
+      return user;
+    } catch (error) {
+      this.logAndThrow(error, 'Update user status', { userId, status });
+    }
+  }
+
+  /**
+   * Move a user to another tier - Admin only
+   * Organization members keep using the organization tier until they leave
+   * @param {string} userId - Target user ID
+   * @param {string} tierName - Tier name (free, plus, pro)
+   * @param {string} adminId - Acting admin user ID
+   */
+  async updateUserTier(userId, tierName, adminId) {
+    try {
+      const tier = await TierConfig.findOne({ name: tierName.toLowerCase() });
+      if (!tier) {
+        throw new NotFoundError(`Tier not found: ${tierName}`);
+      }
+
+      if (!tier.isActive) {
+        throw new BadRequestError(`Tier '${tier.name}' is not active`);
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { tier: tier._id, tierStartDate: new Date() },
+        { new: true, runValidators: true }
+      ).populate('tier');
+
+      if (!user) {
+        throw new NotFoundError(`User not found with ID: ${userId}`);
+      }
+
+      this.logSuccess('User tier updated', { userId, tierName: tier.name, adminId });
+      return user;
+    } catch (error) {
+      this.logAndThrow(error, 'Update user tier', { userId, tierName });
+    }
+  }
+
+  /**
+   * Grant or revoke the admin role - Admin only
+   * @param {string} userId - Target user ID
+   * @param {string} role - 'user' or 'admin'
+   * @param {string} adminId - Acting admin user ID
+   */
+  async updateUserRole(userId, role, adminId) {
+    try {
+      if (userId.toString() === adminId.toString() && role !== 'admin') {
+        throw new BadRequestError('You cannot remove your own admin role');
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { role },
+        { new: true, runValidators: true }
+      ).populate('tier');
+
+      if (!user) {
+        throw new NotFoundError(`User not found with ID: ${userId}`);
+      }
+
+      this.logSuccess('User role updated', { userId, role, adminId });
+      return user;
+    } catch (error) {
+      this.logAndThrow(error, 'Update user role', { userId, role });
+    }
+  }
+
   /**
    * Upload user avatar
    */
@@ -171,7 +288,7 @@ class UserService extends BaseService {
 
   /**
    * Get monthly usage statistics for a user
-   * Calculates total meeting duration for specified month
+   * Net duration charged in the usage ledger for the specified month (UTC)
    * @param {string} userId - User ID
    * @param {number} year - Year (defaults to current year)
    * @param {number} month - Month (1-12, defaults to current month)
@@ -186,73 +303,36 @@ class UserService extends BaseService {
       }
 
       // Use current year/month if not provided
-      const now = new Date();
-      const targetYear = year || now.getFullYear();
-      const targetMonth = month || now.getMonth() + 1; // JavaScript months are 0-indexed
+      const current = UsageEntry.periodOf();
+      const targetYear = year || current.year;
+      const targetMonth = month || current.month;
 
       // Calculate start and end of month
-      const startOfMonth = new Date(targetYear, targetMonth - 1, 1);
-      const endOfMonth = new Date(targetYear, targetMonth, 1);
+      const startOfMonth = new Date(Date.UTC(targetYear, targetMonth - 1, 1));
+      const endOfMonth = new Date(Date.UTC(targetYear, targetMonth, 1));
 
-      this.logger.debug('Calculating monthly usage', {
-        userId,
-        year: targetYear,
-        month: targetMonth,
-        startOfMonth,
-        endOfMonth
-      });
-
-      // Aggregate meetings by userId and date range
-      const result = await Meeting.aggregate([
-        // Step 1: Lookup project for each meeting
-        {
-          $lookup: {
-            from: 'projects',
-            localField: 'projectId',
-            foreignField: '_id',
-            as: 'project'
-          }
-        },
-        // Step 2: Unwind project array
-        { $unwind: '$project' },
-        // Step 3: Filter by userId and date range
-        {
-          $match: {
-            'project.userId': new mongoose.Types.ObjectId(userId),
-            createdAt: {
-              $gte: startOfMonth,
-              $lt: endOfMonth
-            }
-          }
-        },
-        // Step 4: Group and sum duration
-        {
-          $group: {
-            _id: null,
-            totalDuration: { $sum: { $ifNull: ['$duration', 0] } },
-            meetingCount: { $sum: 1 }
-          }
-        }
-      ]);
+      const rows = (await UsageEntry.netByMeeting({ userId: user._id }, { year: targetYear, month: targetMonth }))
+        .filter(row => row.year === targetYear && row.month === targetMonth);
 
-      const usageData = result[0] || { totalDuration: 0, meetingCount: 0 };
+      const totalDuration = Math.max(0, rows.reduce((sum, row) => sum + row.seconds, 0));
+      const meetingCount = rows.filter(row => row.meetingId && row.seconds > 0).length;
 
       this.logSuccess('Monthly usage calculated', {
         userId,
         year: targetYear,
         month: targetMonth,
-        totalDuration: usageData.totalDuration,
-        meetingCount: usageData.meetingCount
+        totalDuration,
+        meetingCount
       });
 
       return {
         userId,
         year: targetYear,
         month: targetMonth,
-        totalDurationSeconds: usageData.totalDuration,
-        totalDurationMinutes: Math.round(usageData.totalDuration / 60),
-        totalDurationHours: (usageData.totalDuration / 3600).toFixed(2),
-        meetingCount: usageData.meetingCount,
+        totalDurationSeconds: totalDuration,
+        totalDurationMinutes: Math.round(totalDuration / 60),
+        totalDurationHours: (totalDuration / 3600).toFixed(2),
+        meetingCount,
         period: {
           start: startOfMonth,
           end: endOfMonth
@@ -0,0 +1,484 @@
+/**
+ * Webhook Service
+ * Business logic for user webhook endpoints and signed meeting lifecycle events
+ *
+ * Events are addressed to the owner of the meeting's project. Emitting an event
+ * creates one WebhookDelivery log entry per subscribed endpoint and enqueues a
+ * BullMQ job for it; the worker sends the request (see deliver) and BullMQ retries
+ * failed deliveries with exponential backoff.
+ *
+ * Endpoint URLs must resolve to public addresses (see outbound-url). Only the response
+ * status is recorded, never the response body.
+ */
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../../models/webhook.model');
+const WebhookDelivery = require('../../models/webhook-delivery.model');
+const Meeting = require('../../models/meeting.model');
+const Project = require('../../models/project.model');
+const User = require('../../models/user.model');
+const BaseService = require('./base.service');
+const queueService = require('../queue/queue.service');
+const { SIGNATURE_HEADER, generateSecret, signPayload } = require('../utils/webhook-events');
+const { assertPublicUrl, safeLookup } = require('../utils/outbound-url');
+const { FEATURES } = require('../utils/tier-features');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+
+class WebhookService extends BaseService {
+  constructor(logger) {
+    super(logger);
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+  }
+
+  /**
+   * Register a webhook endpoint
+   * @param {string} userId - Owner user ID
+   * @param {Object} data - Webhook data
+   * @param {string} data.url - Endpoint URL
+   * @param {Array<string>} data.events - Subscribed event types
+   * @param {string} [data.description] - Description
+   * @param {string} [data.projectId] - Restrict events to one owned project
+   * @returns {Promise<Object>} Created webhook, including its secret (only returned here and on rotation)
+   */
+  async createWebhook(userId, { url, events, description, projectId }) {
+    try {
+      await assertPublicUrl(url);
+
+      if (projectId) {
+        await this._verifyProjectOwnership(projectId, userId);
+      }
+
+      const secret = generateSecret();
+      const webhook = new Webhook({
+        userId,
+        url,
+        events,
+        description,
+        projectId: projectId || null,
+        secret
+      });
+
+      await webhook.save();
+
+      this.logSuccess('Webhook created', { webhookId: webhook._id, userId, events });
+
+      return { ...webhook.toSafeObject(), secret };
+    } catch (error) {
+      this.logAndThrow(error, 'Create webhook', { userId });
+    }
+  }
+
+  /**
+   * List a user's webhooks
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Array>} Webhooks
+   */
+  async listWebhooks(userId) {
+    try {
+      const webhooks = await Webhook.find({ userId }).sort({ createdAt: -1 });
+      return webhooks.map(webhook => webhook.toSafeObject());
+    } catch (error) {
+      this.logAndThrow(error, 'List webhooks', { userId });
+    }
+  }
+
+  /**
+   * Get a webhook owned by the user
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Webhook
+   */
+  async getWebhook(webhookId, userId) {
+    try {
+      const webhook = await this._findOwnedWebhook(webhookId, userId);
+      return webhook.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Get webhook', { webhookId, userId });
+    }
+  }
+
+  /**
+   * Update a webhook's URL, events, project filter, description or active flag
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner user ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated webhook
+   */
+  async updateWebhook(webhookId, userId, updates) {
+    try {
+      const webhook = await this._findOwnedWebhook(webhookId, userId);
+
+      if (updates.url !== undefined) {
+        await assertPublicUrl(updates.url);
+      }
+
+      if (updates.projectId) {
+        await this._verifyProjectOwnership(updates.projectId, userId);
+      }
+
+      const allowedFields = ['url', 'events', 'description', 'projectId', 'active'];
+      allowedFields.forEach(field => {
+        if (updates[field] !== undefined) {
+          webhook[field] = updates[field];
+        }
+      });
+
+      await webhook.save();
+
+      this.logSuccess('Webhook updated', { webhookId, userId, fields: Object.keys(updates) });
+
+      return webhook.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Update webhook', { webhookId, userId });
+    }
+  }
+
+  /**
+   * Replace a webhook's signing secret
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Webhook including the new secret
+   */
+  async rotateSecret(webhookId, userId) {
+    try {
+      const webhook = await this._findOwnedWebhook(webhookId, userId);
+
+      const secret = generateSecret();
+      webhook.secret = secret;
+      await webhook.save();
+
+      this.logSuccess('Webhook secret rotated', { webhookId, userId });
+
+      return { ...webhook.toSafeObject(), secret };
+    } catch (error) {
+      this.logAndThrow(error, 'Rotate webhook secret', { webhookId, userId });
+    }
+  }
+
+  /**
+   * Delete a webhook and its delivery logs
+   * Deliveries still queued are dropped by the worker once the webhook is gone
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteWebhook(webhookId, userId) {
+    try {
+      const webhook = await this._findOwnedWebhook(webhookId, userId);
+
+      await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+      await webhook.deleteOne();
+
+      this.logSuccess('Webhook deleted', { webhookId, userId });
+
+      return { success: true, message: 'Webhook deleted successfully' };
+    } catch (error) {
+      this.logAndThrow(error, 'Delete webhook', { webhookId, userId });
+    }
+  }
+
+  /**
+   * List delivery logs of a webhook, newest first
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Items per page
+   * @param {string} [options.status] - Filter by delivery status
+   * @returns {Promise<Object>} { deliveries, total }
+   */
+  async listDeliveries(webhookId, userId, { page = 1, limit = 20, status } = {}) {
+    try {
+      const webhook = await this._findOwnedWebhook(webhookId, userId);
+
+      const query = { webhookId: webhook._id };
+      if (status) {
+        query.status = status;
+      }
+
+      const { skip } = this.getPaginationParams(page, limit);
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        WebhookDelivery.countDocuments(query)
+      ]);
+
+      return {
+        deliveries: deliveries.map(delivery => delivery.toSafeObject()),
+        total
+      };
+    } catch (error) {
+      this.logAndThrow(error, 'List webhook deliveries', { webhookId, userId });
+    }
+  }
+
+  /**
+   * Send a logged event again as a new delivery
+   * The new delivery keeps the original eventId and payload
+   * @param {string} webhookId - Webhook ID
+   * @param {string} deliveryId - Delivery to resend
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} New delivery
+   */
+  async redeliver(webhookId, deliveryId, userId) {
+    try {
+      const webhook = await this._findOwnedWebhook(webhookId, userId);
+
+      if (!webhook.active) {
+        throw new BadRequestError('Webhook is disabled; enable it before redelivering');
+      }
+
+      const original = await WebhookDelivery.findOne({ _id: deliveryId, webhookId: webhook._id });
+      if (!original) {
+        throw new NotFoundError('Delivery not found');
+      }
+
+      const delivery = await WebhookDelivery.create({
+        webhookId: webhook._id,
+        userId: webhook.userId,
+        eventId: original.eventId,
+        event: original.event,
+        payload: original.payload,
+        redeliveryOf: original._id
+      });
+
+      await queueService.enqueueWebhookDelivery(delivery._id);
+
+      this.logSuccess('Webhook redelivery enqueued', {
+        webhookId,
+        deliveryId: delivery._id,
+        redeliveryOf: original._id,
+        userId
+      });
+
+      return delivery.toSafeObject();
+    } catch (error) {
+      this.logAndThrow(error, 'Redeliver webhook event', { webhookId, deliveryId, userId });
+    }
+  }
+
+  /**
+   * Emit a meeting event to the webhooks of the meeting's project owner
+   * Never throws: webhook failures must not fail the operation that produced the event
+   * @param {string} event - Event type (see WEBHOOK_EVENTS)
+   * @param {string} meetingId - Meeting ID
+   * @param {Object} data - Event-specific data merged into payload.data
+   * @returns {Promise<number>} Number of deliveries enqueued
+   */
+  async emitMeetingEvent(event, meetingId, data = {}) {
+    try {
+      const meeting = await Meeting.findById(meetingId).populate('projectId', 'userId');
+      const ownerId = meeting?.projectId?.userId;
+
+      if (!ownerId) {
+        return 0;
+      }
+
+      const webhooks = await Webhook.findSubscribers(ownerId, event, meeting.projectId._id);
+      if (webhooks.length === 0) {
+        return 0;
+      }
+
+      // Endpoints stay registered after a downgrade but stop receiving events
+      const owner = await User.findById(ownerId);
+      if (!owner || !(await owner.hasFeature(FEATURES.API_ACCESS))) {
+        this.logger.debug('Skipping webhook event - owner plan has no API access', { event, meetingId });
+        return 0;
+      }
+
+      const payload = {
+        id: crypto.randomUUID(),
+        type: event,
+        createdAt: new Date().toISOString(),
+        data: {
+          meeting: {
+            id: meeting._id.toString(),
+            projectId: meeting.projectId._id.toString(),
+            title: meeting.title,
+            duration: meeting.duration,
+            transcriptionStatus: meeting.transcriptionStatus,
+            createdAt: meeting.createdAt
+          },
+          ...data
+        }
+      };
+
+      let enqueued = 0;
+      for (const webhook of webhooks) {
+        const delivery = await WebhookDelivery.create({
+          webhookId: webhook._id,
+          userId: ownerId,
+          eventId: payload.id,
+          event,
+          payload
+        });
+
+        try {
+          await queueService.enqueueWebhookDelivery(delivery._id);
+          enqueued++;
+        } catch (error) {
+          delivery.status = 'failed';
+          delivery.error = `Failed to enqueue delivery: ${error.message}`;
+          await delivery.save();
+        }
+      }
+
+      this.logger.debug('Webhook event emitted', { event, meetingId, enqueued });
+
+      return enqueued;
+    } catch (error) {
+      this.logger.error('Failed to emit webhook event', {
+        error: error.message,
+        event,
+        meetingId
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Send one delivery attempt (called by the webhook delivery worker)
+   * Throws when the endpoint does not answer with a 2xx so BullMQ retries the job
+   * @param {string} deliveryId - Delivery ID
+   * @param {Object} options - Attempt info
+   * @param {number} options.attempt - 1-based attempt number
+   * @param {boolean} options.isFinalAttempt - Whether BullMQ will not retry after this attempt
+   * @returns {Promise<Object>} Delivery result
+   */
+  async deliver(deliveryId, { attempt = 1, isFinalAttempt = true } = {}) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) {
+      return { delivered: false, reason: 'delivery_not_found' };
+    }
+
+    const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+    if (!webhook || !webhook.active) {
+      delivery.status = 'failed';
+      delivery.error = 'Webhook was disabled or deleted';
+      await delivery.save();
+      return { delivered: false, reason: 'webhook_inactive' };
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+
+    delivery.attempts = attempt;
+
+    try {
+      // Checked again on every attempt: the host may have been re-pointed since it was saved
+      await assertPublicUrl(webhook.url);
+
+      const responseStatus = await this._post(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Meno-Webhooks/1.0',
+        'X-Meno-Event': delivery.event,
+        'X-Meno-Event-Id': delivery.eventId,
+        'X-Meno-Delivery': delivery._id.toString(),
+        [SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+      }, body);
+
+      delivery.responseStatus = responseStatus;
+      delivery.durationMs = Date.now() - startedAt;
+
+      if (responseStatus < 200 || responseStatus >= 300) {
+        throw new Error(`Endpoint responded with HTTP ${responseStatus}`);
+      }
+
+      delivery.status = 'success';
+      delivery.error = undefined;
+      delivery.deliveredAt = new Date();
+      await delivery.save();
+
+      await Webhook.updateOne(
+        { _id: webhook._id },
+        { lastDeliveryAt: delivery.deliveredAt, lastDeliveryStatus: 'success' }
+      );
+
+      return { delivered: true, responseStatus };
+    } catch (error) {
+      delivery.durationMs = delivery.durationMs ?? Date.now() - startedAt;
+      delivery.error = error.message;
+      delivery.status = isFinalAttempt ? 'failed' : 'pending';
+      await delivery.save();
+
+      if (isFinalAttempt) {
+        await Webhook.updateOne(
+          { _id: webhook._id },
+          { lastDeliveryAt: new Date(), lastDeliveryStatus: 'failed' }
+        );
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * POST a body to an endpoint and return the response status
+   * Connects through safeLookup so the address actually dialled is checked as well (DNS
+   * rebinding). Redirects are not followed and the response body is discarded unread.
+   * @param {string} url - Endpoint URL
+   * @param {Object} headers - Request headers
+   * @param {string} body - Request body
+   * @returns {Promise<number>} HTTP status code
+   * @private
+   */
+  _post(url, headers, body) {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: safeLookup
+      }, (response) => {
+        clearTimeout(timer);
+        response.destroy();
+        resolve(response.statusCode);
+      });
+
+      const timer = setTimeout(() => {
+        const timeoutError = new Error(`Endpoint did not respond within ${this.timeoutMs}ms`);
+        timeoutError.name = 'TimeoutError';
+        request.destroy(timeoutError);
+      }, this.timeoutMs);
+
+      request.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      request.end(body);
+    });
+  }
+
+  /**
+   * Find a webhook owned by the user
+   * @param {string} webhookId - Webhook ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Webhook document
+   * @private
+   */
+  async _findOwnedWebhook(webhookId, userId) {
+    const webhook = await Webhook.findOne({ _id: webhookId, userId });
+    if (!webhook) {
+      throw new NotFoundError('Webhook not found');
+    }
+    return webhook;
+  }
+
+  /**
+   * Ensure the user owns the project a webhook is restricted to
+   * Events are sent to the project owner, so only owned projects can be selected
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User ID
+   * @private
+   */
+  async _verifyProjectOwnership(projectId, userId) {
+    const project = await Project.exists({ _id: projectId, userId });
+    if (!project) {
+      throw new NotFoundError('Project not found or not owned by you');
+    }
+  }
+}
+
+module.exports = WebhookService;
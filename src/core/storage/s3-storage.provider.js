@@ -0,0 +1,483 @@
+/**
+ * S3 Storage Provider
+ * Implementation for Amazon S3 and S3-compatible object stores (MinIO, Ceph, R2, ...)
+ *
+ * Installation required: npm install @aws-sdk/client-s3 @aws-sdk/lib-storage @aws-sdk/s3-request-presigner
+ *
+ * Configuration:
+ * - AWS_BUCKET_NAME: Default bucket name
+ * - AWS_REGION: Bucket region (default: us-east-1)
+ * - AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY: Access key; when omitted the SDK's default
+ *   credential chain is used (instance profile, ECS task role, ~/.aws/credentials, ...)
+ * - AWS_S3_ENDPOINT: Custom endpoint for S3-compatible stores (e.g. http://localhost:9000 for MinIO)
+ * - AWS_S3_FORCE_PATH_STYLE: 'true' for path-style URLs (required by MinIO)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const StorageProvider = require('./storage-provider.interface');
+
+class S3StorageProvider extends StorageProvider {
+  constructor(logger, config = {}) {
+    super();
+    this.logger = logger;
+    this.bucket = config.bucket || process.env.AWS_BUCKET_NAME;
+    this.initialized = false;
+
+    // Lazy initialization - only load the AWS SDK when actually used
+    this.s3Client = null;
+    this.sdk = null;
+    this.config = {
+      region: config.region || process.env.AWS_REGION || 'us-east-1',
+      endpoint: config.endpoint || process.env.AWS_S3_ENDPOINT,
+      forcePathStyle: config.forcePathStyle ?? process.env.AWS_S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: config.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: config.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY
+    };
+  }
+
+  /**
+   * Initialize S3 client (lazy loading)
+   * @private
+   */
+  async _initializeClient() {
+    if (this.initialized) return;
+
+    try {
+      // Dynamic import to avoid dependency if not using S3
+      const clientS3 = require('@aws-sdk/client-s3');
+      const { Upload } = require('@aws-sdk/lib-storage');
+      const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+      this.sdk = { ...clientS3, Upload, getSignedUrl };
+
+      const clientConfig = {
+        region: this.config.region,
+        forcePathStyle: this.config.forcePathStyle
+      };
+
+      if (this.config.endpoint) {
+        clientConfig.endpoint = this.config.endpoint;
+      }
+
+      // Without explicit keys the SDK falls back to its default credential chain
+      if (this.config.accessKeyId && this.config.secretAccessKey) {
+        clientConfig.credentials = {
+          accessKeyId: this.config.accessKeyId,
+          secretAccessKey: this.config.secretAccessKey
+        };
+      }
+
+      this.s3Client = new clientS3.S3Client(clientConfig);
+
+      this.logger.info('S3 storage provider initialized', {
+        region: this.config.region,
+        endpoint: this.config.endpoint || 'AWS',
+        bucket: this.bucket,
+        forcePathStyle: this.config.forcePathStyle,
+        authMethod: clientConfig.credentials ? 'Access Key' : 'Default Credential Chain'
+      });
+
+      // Verify access before marking the client ready
+      await this._verifyBucketAccess();
+      this.initialized = true;
+    } catch (error) {
+      this.logger.error('Failed to initialize S3 storage provider', {
+        error: error.message,
+        endpoint: this.config.endpoint || 'AWS',
+        bucket: this.bucket
+      });
+
+      if (error.code === 'MODULE_NOT_FOUND') {
+        throw new Error(
+          'S3 Storage not available. Install the AWS SDK: ' +
+            'npm install @aws-sdk/client-s3 @aws-sdk/lib-storage @aws-sdk/s3-request-presigner'
+        );
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Verify bucket access on initialization
+   * @private
+   */
+  async _verifyBucketAccess() {
+    try {
+      await this.s3Client.send(new this.sdk.HeadBucketCommand({ Bucket: this.bucket }));
+
+      this.logger.info('S3 bucket access verified', { bucket: this.bucket });
+    } catch (error) {
+      const status = error.$metadata?.httpStatusCode;
+
+      this.logger.error('S3 bucket access verification failed', {
+        error: error.message,
+        status,
+        bucket: this.bucket
+      });
+
+      if (status === 404) {
+        throw new Error(`Bucket "${this.bucket}" does not exist`);
+      }
+
+      if (status === 301) {
+        throw new Error(`Bucket "${this.bucket}" is not in region "${this.config.region}". Set AWS_REGION to the bucket's region.`);
+      }
+
+      if (status === 403) {
+        throw new Error(
+          `S3 authorization error: Insufficient permissions for bucket "${this.bucket}". ` +
+            'Ensure the credentials allow s3:ListBucket, s3:GetObject, s3:PutObject and s3:DeleteObject.'
+        );
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Upload file to S3
+   * @param {string} filePath - Object key within bucket
+   * @param {Buffer|string} data - File data or source file path
+   * @param {Object} options - Upload options
+   * @returns {Promise<Object>} Upload result with URI
+   */
+  async upload(filePath, data, options = {}) {
+    await this._initializeClient();
+
+    try {
+      let fileSize;
+
+      // Handle different data types
+      if (typeof data === 'string') {
+        // Data is a path to existing file; multipart upload keeps memory use flat
+        const stats = await fs.promises.stat(data);
+        const upload = new this.sdk.Upload({
+          client: this.s3Client,
+          params: this._putParams(filePath, fs.createReadStream(data), options)
+        });
+        await upload.done();
+        fileSize = stats.size;
+      } else if (Buffer.isBuffer(data)) {
+        // Data is a buffer
+        await this.s3Client.send(new this.sdk.PutObjectCommand(this._putParams(filePath, data, options)));
+        fileSize = data.length;
+      } else {
+        throw new Error('Data must be a file path string or Buffer');
+      }
+
+      const uri = this.buildUri('s3', this.bucket, filePath);
+
+      this.logger.info('File uploaded to S3', {
+        uri,
+        size: fileSize,
+        bucket: this.bucket
+      });
+
+      return {
+        uri,
+        size: fileSize,
+        metadata: {
+          contentType: options.contentType || 'application/octet-stream',
+          uploadedAt: new Date()
+        }
+      };
+    } catch (error) {
+      this.logger.error('S3 upload failed', {
+        error: error.message,
+        filePath,
+        bucket: this.bucket
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Upload file from stream to S3
+   * The stream is sent as a multipart upload, so its length does not need to be known
+   * @param {string} filePath - Object key within bucket
+   * @param {ReadableStream} readableStream - Readable stream source
+   * @param {Object} options - Upload options
+   * @returns {Promise<Object>} Upload result with URI
+   */
+  async uploadStream(filePath, readableStream, options = {}) {
+    await this._initializeClient();
+
+    let fileSize = 0;
+
+    // Track bytes uploaded
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        fileSize += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    const upload = new this.sdk.Upload({
+      client: this.s3Client,
+      params: this._putParams(filePath, counter, options)
+    });
+
+    // A failing source aborts the multipart upload instead of leaving it half written
+    pipeline(readableStream, counter, (error) => {
+      if (error) {
+        this.logger.error('Read stream error during S3 upload', {
+          error: error.message,
+          filePath
+        });
+        upload.abort().catch(() => {});
+      }
+    });
+
+    try {
+      await upload.done();
+
+      const uri = this.buildUri('s3', this.bucket, filePath);
+
+      this.logger.info('Stream uploaded to S3', {
+        uri,
+        size: fileSize,
+        bucket: this.bucket
+      });
+
+      return {
+        uri,
+        size: fileSize,
+        metadata: {
+          contentType: options.contentType || 'application/octet-stream',
+          uploadedAt: new Date()
+        }
+      };
+    } catch (error) {
+      this.logger.error('S3 stream upload failed', {
+        error: error.message,
+        filePath,
+        bucket: this.bucket
+      });
+      readableStream.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Download file from S3
+   * @param {string} uri - Storage URI (s3://bucket/path)
+   * @returns {Promise<Buffer>} File data
+   */
+  async download(uri) {
+    await this._initializeClient();
+
+    try {
+      const { bucket, path: key } = this.parseUri(uri);
+      const response = await this.s3Client.send(new this.sdk.GetObjectCommand({ Bucket: bucket, Key: key }));
+      const data = Buffer.from(await response.Body.transformToByteArray());
+
+      this.logger.info('File downloaded from S3', {
+        uri,
+        size: data.length
+      });
+
+      return data;
+    } catch (error) {
+      this.logger.error('S3 download failed', {
+        error: error.message,
+        uri
+      });
+      throw new Error(`File not found: ${uri}`);
+    }
+  }
+
+  /**
+   * Download file from S3 to temporary location for processing
+   * @param {string} uri - Storage URI (s3://bucket/path)
+   * @param {string} tempDir - Temporary directory path (default: /tmp)
+   * @returns {Promise<string>} Path to temporary file
+   */
+  async downloadToTemp(uri, tempDir = '/tmp') {
+    await this._initializeClient();
+
+    // Use system temp directory if /tmp doesn't exist (Windows compatibility)
+    const actualTempDir = fs.existsSync(tempDir) ? tempDir : os.tmpdir();
+
+    try {
+      const { bucket, path: key } = this.parseUri(uri);
+
+      // Generate unique temp file path
+      const ext = path.extname(key);
+      const timestamp = Date.now();
+      const random = Math.random().toString(36).substring(7);
+      const tempFileName = `s3-temp-${timestamp}-${random}${ext}`;
+      const tempFilePath = path.join(actualTempDir, tempFileName);
+
+      this.logger.info('Downloading S3 file to temp location', {
+        uri,
+        tempFilePath
+      });
+
+      // Stream the object to disk instead of buffering it
+      const response = await this.s3Client.send(new this.sdk.GetObjectCommand({ Bucket: bucket, Key: key }));
+      try {
+        await new Promise((resolve, reject) => {
+          pipeline(response.Body, fs.createWriteStream(tempFilePath), (error) => (error ? reject(error) : resolve()));
+        });
+      } catch (streamError) {
+        await fs.promises.unlink(tempFilePath).catch(() => {});
+        throw streamError;
+      }
+
+      const stats = fs.statSync(tempFilePath);
+
+      this.logger.info('S3 file downloaded to temp location', {
+        uri,
+        tempFilePath,
+        size: stats.size
+      });
+
+      return tempFilePath;
+    } catch (error) {
+      this.logger.error('S3 download to temp failed', {
+        error: error.message,
+        uri,
+        tempDir: actualTempDir
+      });
+      throw new Error(`Failed to download file to temp: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get presigned URL for temporary file access
+   * @param {string} uri - Storage URI
+   * @param {number} expiresIn - URL expiration time in seconds (S3 allows at most 7 days)
+   * @returns {Promise<string>} Presigned URL
+   */
+  async getSignedUrl(uri, expiresIn = 3600) {
+    await this._initializeClient();
+
+    try {
+      const { bucket, path: key } = this.parseUri(uri);
+
+      const url = await this.sdk.getSignedUrl(
+        this.s3Client,
+        new this.sdk.GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn }
+      );
+
+      this.logger.info('Presigned URL generated for S3 file', {
+        uri,
+        expiresIn
+      });
+
+      return url;
+    } catch (error) {
+      this.logger.error('S3 presigned URL generation failed', {
+        error: error.message,
+        uri
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete file from S3
+   * S3 reports success for keys that do not exist, so missing files count as deleted
+   * @param {string} uri - Storage URI
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(uri) {
+    await this._initializeClient();
+
+    try {
+      const { bucket, path: key } = this.parseUri(uri);
+
+      await this.s3Client.send(new this.sdk.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+
+      this.logger.info('File deleted from S3', { uri });
+
+      return true;
+    } catch (error) {
+      this.logger.error('S3 deletion failed', {
+        error: error.message,
+        uri
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Check if file exists in S3
+   * @param {string} uri - Storage URI
+   * @returns {Promise<boolean>} Existence status
+   */
+  async exists(uri) {
+    await this._initializeClient();
+
+    try {
+      const { bucket, path: key } = this.parseUri(uri);
+
+      await this.s3Client.send(new this.sdk.HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode !== 404) {
+        this.logger.error('S3 exists check failed', {
+          error: error.message,
+          uri
+        });
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Get file metadata from S3
+   * S3 keeps no creation time; objects are immutable, so the last modified time is used
+   * @param {string} uri - Storage URI
+   * @returns {Promise<Object>} File metadata
+   */
+  async getMetadata(uri) {
+    await this._initializeClient();
+
+    try {
+      const { bucket, path: key } = this.parseUri(uri);
+
+      const head = await this.s3Client.send(new this.sdk.HeadObjectCommand({ Bucket: bucket, Key: key }));
+
+      return {
+        size: head.ContentLength,
+        createdAt: head.LastModified,
+        modifiedAt: head.LastModified,
+        contentType: head.ContentType
+      };
+    } catch (error) {
+      this.logger.error('S3 metadata retrieval failed', {
+        error: error.message,
+        uri
+      });
+      throw new Error(`File not found: ${uri}`);
+    }
+  }
+
+  /**
+   * Build PutObject parameters
+   * S3 user metadata only holds strings, so values are stringified
+   * @private
+   */
+  _putParams(filePath, body, options) {
+    const metadata = {};
+    for (const [key, value] of Object.entries(options.metadata || {})) {
+      if (value !== undefined && value !== null) {
+        metadata[key] = String(value);
+      }
+    }
+
+    return {
+      Bucket: this.bucket,
+      Key: filePath,
+      Body: body,
+      ContentType: options.contentType || 'application/octet-stream',
+      Metadata: metadata
+    };
+  }
+}
+
+module.exports = S3StorageProvider;
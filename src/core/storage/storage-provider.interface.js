@@ -18,7 +18,7 @@ class StorageProvider {
 
   /**
    * Download a file from storage
-   * @param {string} uri - Storage URI (e.g., local://path or gcs://bucket/path)
+   * @param {string} uri - Storage URI (e.g., local://path, gcs://bucket/path or s3://bucket/path)
    * @returns {Promise<Buffer>} File data as buffer
    */
   async download(uri) {
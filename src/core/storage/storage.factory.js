@@ -3,14 +3,20 @@
  * Creates appropriate storage provider based on configuration
  *
  * Environment Variables:
- * - STORAGE_PROVIDER: 'local' or 'gcs' (default: 'local')
+ * - STORAGE_PROVIDER: 'local', 'gcs' or 's3' (default: 'local')
  * - LOCAL_STORAGE_PATH: Path for local storage (default: './storage')
  * - GCS_PROJECT_ID: Google Cloud project ID
  * - GCS_BUCKET_NAME: GCS bucket name
  * - GCS_KEYFILE_PATH: Path to GCS service account key
+ * - AWS_BUCKET_NAME: S3 bucket name
+ * - AWS_REGION: S3 bucket region
+ * - AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY: S3 access key (optional)
+ * - AWS_S3_ENDPOINT: Endpoint of an S3-compatible store such as MinIO (optional)
+ * - AWS_S3_FORCE_PATH_STYLE: 'true' for path-style bucket URLs (MinIO)
  */
 const LocalStorageProvider = require('./local-storage.provider');
 const GCSStorageProvider = require('./gcs-storage.provider');
+const S3StorageProvider = require('./s3-storage.provider');
 
 class StorageFactory {
   /**
@@ -38,6 +44,16 @@ class StorageFactory {
           keyFilename: config.keyFilename || process.env.GCS_KEYFILE_PATH
         });
 
+      case 's3':
+        return new S3StorageProvider(logger, {
+          bucket: config.bucket || process.env.AWS_BUCKET_NAME,
+          region: config.region || process.env.AWS_REGION,
+          endpoint: config.endpoint || process.env.AWS_S3_ENDPOINT,
+          forcePathStyle: config.forcePathStyle,
+          accessKeyId: config.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: config.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY
+        });
+
       default:
         logger.warn(`Unknown storage provider: ${provider}, falling back to local`);
         return new LocalStorageProvider(logger, {
@@ -49,7 +65,7 @@ class StorageFactory {
 
   /**
    * Get storage provider from URI
-   * @param {string} uri - Storage URI (e.g., local://bucket/path or gcs://bucket/path)
+   * @param {string} uri - Storage URI (e.g., local://bucket/path, gcs://bucket/path or s3://bucket/path)
    * @param {Object} logger - Logger instance
    * @param {Object} config - Storage configuration
    * @returns {StorageProvider} Appropriate storage provider for the URI
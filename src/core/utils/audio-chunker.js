@@ -0,0 +1,83 @@
+/**
+ * Audio Chunker
+ * Splits long recordings into overlapping windows using ffmpeg
+ *
+ * Windows overlap so that speech cut at a window boundary is transcribed in full
+ * by at least one window; the overlap is also used to match speaker labels
+ * between neighbouring windows (see transcript-stitcher.js)
+ */
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+
+/**
+ * Plan overlapping windows covering the whole recording
+ * @param {number} durationSeconds - Total audio duration in seconds
+ * @param {Object} options - Window options
+ * @param {number} options.windowSeconds - Length of each window in seconds
+ * @param {number} options.overlapSeconds - Overlap between consecutive windows in seconds
+ * @returns {Array<Object>} Windows as { index, startMs, endMs }
+ */
+function planWindows(durationSeconds, { windowSeconds, overlapSeconds }) {
+  if (!durationSeconds || durationSeconds <= 0) {
+    return [];
+  }
+
+  if (overlapSeconds >= windowSeconds) {
+    throw new Error('Window overlap must be shorter than the window length');
+  }
+
+  const durationMs = Math.round(durationSeconds * 1000);
+  const windowMs = windowSeconds * 1000;
+  const stepMs = (windowSeconds - overlapSeconds) * 1000;
+
+  const windows = [];
+  for (let startMs = 0; startMs < durationMs; startMs += stepMs) {
+    const endMs = Math.min(startMs + windowMs, durationMs);
+    windows.push({ index: windows.length, startMs, endMs });
+
+    if (endMs === durationMs) {
+      break;
+    }
+  }
+
+  return windows;
+}
+
+/**
+ * Extract one window of audio into a mono, speech-optimised MP3
+ * Re-encoding keeps each window small enough to send inline to the model
+ * @param {string} inputPath - Source audio file
+ * @param {string} outputPath - Destination file (.mp3)
+ * @param {Object} window - Window from planWindows
+ * @returns {Promise<string>} Output path
+ */
+async function extractWindow(inputPath, outputPath, { startMs, endMs }) {
+  return new Promise((resolve, reject) => {
+    if (!fs.existsSync(inputPath)) {
+      return reject(new Error(`Audio file not found: ${inputPath}`));
+    }
+
+    // Set custom ffmpeg path if provided in environment
+    if (process.env.FFMPEG_PATH) {
+      ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH);
+    }
+
+    ffmpeg(inputPath)
+      .setStartTime(startMs / 1000)
+      .setDuration((endMs - startMs) / 1000)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(16000)
+      .audioCodec('libmp3lame')
+      .audioBitrate('48k')
+      .format('mp3')
+      .on('error', (err) => reject(new Error(`Failed to extract audio window: ${err.message}`)))
+      .on('end', () => resolve(outputPath))
+      .save(outputPath);
+  });
+}
+
+module.exports = {
+  planWindows,
+  extractWindow
+};
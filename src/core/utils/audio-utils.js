@@ -98,7 +98,7 @@ async function getAudioMetadata(filePath) {
 
 /**
  * Extract audio duration from storage URI or file path
- * Supports both local file paths and storage URIs (gcs://, local://)
+ * Supports both local file paths and storage URIs (gcs://, s3://, local://)
  *
  * Works with all supported audio formats including:
  * - MP3 (.mp3) - Full support via ffprobe
@@ -141,10 +141,10 @@ async function getAudioDurationFromStorage(filePathOrUri, storageProvider = null
     }
   }
 
-  // Handle gcs:// URIs - download to temp and extract
-  if (protocol === 'gcs') {
+  // Handle gcs:// and s3:// URIs - download to temp and extract
+  if (protocol === 'gcs' || protocol === 's3') {
     if (!storageProvider || !storageProvider.downloadToTemp) {
-      throw new Error('Storage provider with downloadToTemp method is required for GCS URIs');
+      throw new Error('Storage provider with downloadToTemp method is required for remote storage URIs');
     }
 
     let tempFilePath = null;
@@ -161,7 +161,7 @@ async function getAudioDurationFromStorage(filePathOrUri, storageProvider = null
       return duration;
     } catch (error) {
       // If temp file exists, it will be cleaned up by withTempFile
-      throw new Error(`Failed to extract duration from GCS: ${error.message}`);
+      throw new Error(`Failed to extract duration from remote storage: ${error.message}`);
     }
   }
 
@@ -170,7 +170,7 @@ async function getAudioDurationFromStorage(filePathOrUri, storageProvider = null
 
 /**
  * Extract comprehensive audio metadata from storage URI or file path
- * Supports both local file paths and storage URIs (gcs://, local://)
+ * Supports both local file paths and storage URIs (gcs://, s3://, local://)
  * @param {string} filePathOrUri - Local file path or storage URI
  * @param {Object} storageProvider - Storage provider instance (optional, required for remote URIs)
  * @returns {Promise<Object>} Audio metadata object
@@ -202,10 +202,10 @@ async function getAudioMetadataFromStorage(filePathOrUri, storageProvider = null
     }
   }
 
-  // Handle gcs:// URIs - download to temp and extract
-  if (protocol === 'gcs') {
+  // Handle gcs:// and s3:// URIs - download to temp and extract
+  if (protocol === 'gcs' || protocol === 's3') {
     if (!storageProvider || !storageProvider.downloadToTemp) {
-      throw new Error('Storage provider with downloadToTemp method is required for GCS URIs');
+      throw new Error('Storage provider with downloadToTemp method is required for remote storage URIs');
     }
 
     let tempFilePath = null;
@@ -221,7 +221,7 @@ async function getAudioMetadataFromStorage(filePathOrUri, storageProvider = null
 
       return metadata;
     } catch (error) {
-      throw new Error(`Failed to extract metadata from GCS: ${error.message}`);
+      throw new Error(`Failed to extract metadata from remote storage: ${error.message}`);
     }
   }
 
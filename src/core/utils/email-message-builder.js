@@ -0,0 +1,154 @@
+/**
+ * Email Message Builder
+ * Utilities for building transactional email messages (plain text and HTML)
+ */
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Build a message with a single call-to-action link
+ * @param {Object} options - Message content
+ * @param {string} options.subject - Subject line
+ * @param {string} options.greeting - First line
+ * @param {string} options.intro - Paragraph before the link
+ * @param {string} options.actionLabel - Link text
+ * @param {string} options.url - Link target
+ * @param {string} options.outro - Paragraph after the link
+ * @returns {Object} { subject, text, html }
+ */
+function buildActionMessage({ subject, greeting, intro, actionLabel, url, outro }) {
+  const text = [greeting, '', intro, '', `${actionLabel}: ${url}`, '', outro, '', '— Meno'].join('\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; color: #1f2933; line-height: 1.5;">
+    <p>${escapeHtml(greeting)}</p>
+    <p>${escapeHtml(intro)}</p>
+    <p>
+      <a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 18px; background: #2563eb; color: #ffffff; text-decoration: none; border-radius: 6px;">${escapeHtml(actionLabel)}</a>
+    </p>
+    <p style="font-size: 13px; color: #52606d;">If the button does not work, copy this link into your browser:<br>${escapeHtml(url)}</p>
+    <p>${escapeHtml(outro)}</p>
+    <p>— Meno</p>
+  </body>
+</html>`;
+
+  return { subject, text, html };
+}
+
+/**
+ * Build the password reset email
+ * @param {string} userName - User's name
+ * @param {string} url - Reset link
+ * @param {number} expiresInMinutes - Link lifetime
+ * @returns {Object} { subject, text, html }
+ */
+function buildPasswordResetMessage(userName, url, expiresInMinutes) {
+  return buildActionMessage({
+    subject: 'Reset your Meno password',
+    greeting: `Hi ${userName},`,
+    intro: `We received a request to reset the password of your Meno account. The link below is valid for ${expiresInMinutes} minutes and can be used once.`,
+    actionLabel: 'Reset password',
+    url,
+    outro: 'If you did not ask for a password reset, you can ignore this email; your password will not change.'
+  });
+}
+
+/**
+ * Build the email address verification email
+ * @param {string} userName - User's name
+ * @param {string} url - Verification link
+ * @param {number} expiresInHours - Link lifetime
+ * @returns {Object} { subject, text, html }
+ */
+function buildEmailVerificationMessage(userName, url, expiresInHours) {
+  return buildActionMessage({
+    subject: 'Verify your email for Meno',
+    greeting: `Hi ${userName},`,
+    intro: `Please confirm that this is your email address. The link below is valid for ${expiresInHours} hours.`,
+    actionLabel: 'Verify email',
+    url,
+    outro: 'If you did not create a Meno account, you can ignore this email.'
+  });
+}
+
+/**
+ * Build the email inviting someone to collaborate on a project
+ * @param {string} inviterName - Name of the user who sent the invitation
+ * @param {string} projectName - Project name
+ * @param {string} role - Offered role ('editor' or 'viewer')
+ * @param {string} url - Link to the invitations page
+ * @param {Date} expiresAt - Invitation expiry
+ * @returns {Object} { subject, text, html }
+ */
+function buildProjectInvitationMessage(inviterName, projectName, role, url, expiresAt) {
+  return buildActionMessage({
+    subject: `${inviterName} invited you to "${projectName}" on Meno`,
+    greeting: 'Hi,',
+    intro: `${inviterName} invited you to collaborate on the project "${projectName}" as ${role === 'editor' ? 'an editor' : 'a viewer'}. Sign in (or create an account) with this email address and verify it to accept. The invitation expires on ${expiresAt.toISOString().slice(0, 10)}.`,
+    actionLabel: 'View invitation',
+    url,
+    outro: 'If you were not expecting this invitation, you can ignore this email.'
+  });
+}
+
+/**
+ * Build the email inviting someone to join an organization
+ * @param {string} inviterName - Name of the admin who sent the invitation
+ * @param {string} organizationName - Organization name
+ * @param {string} role - Offered role ('admin' or 'member')
+ * @param {string} url - Link to the invitations page
+ * @param {Date} expiresAt - Invitation expiry
+ * @returns {Object} { subject, text, html }
+ */
+function buildOrganizationInvitationMessage(inviterName, organizationName, role, url, expiresAt) {
+  return buildActionMessage({
+    subject: `${inviterName} invited you to join ${organizationName} on Meno`,
+    greeting: 'Hi,',
+    intro: `${inviterName} invited you to join the organization "${organizationName}" as ${role === 'admin' ? 'an admin' : 'a member'}. Members share the organization's plan, and their uploads count towards its monthly quota. Sign in (or create an account) with this email address and verify it to accept. The invitation expires on ${expiresAt.toISOString().slice(0, 10)}.`,
+    actionLabel: 'View invitation',
+    url,
+    outro: 'If you were not expecting this invitation, you can ignore this email.'
+  });
+}
+
+/**
+ * Build the notice sent after a password was changed through a reset link
+ * @param {string} userName - User's name
+ * @returns {Object} { subject, text }
+ */
+function buildPasswordChangedMessage(userName) {
+  return {
+    subject: 'Your Meno password was changed',
+    text: [
+      `Hi ${userName},`,
+      '',
+      'The password of your Meno account was just reset, and you were signed out on all devices.',
+      '',
+      'If this was not you, reset your password again right away and contact support.',
+      '',
+      '— Meno'
+    ].join('\n')
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  buildPasswordResetMessage,
+  buildEmailVerificationMessage,
+  buildProjectInvitationMessage,
+  buildOrganizationInvitationMessage,
+  buildPasswordChangedMessage
+};
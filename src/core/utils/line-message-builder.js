@@ -24,6 +24,21 @@ function formatDuration(seconds) {
   return `${secs}s`;
 }
 
+// Characters of the meeting summary shown in notifications
+const SUMMARY_PREVIEW_LENGTH = 200;
+
+/**
+ * Truncate text to a maximum length, adding an ellipsis when cut
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Truncated text (empty string if no text)
+ */
+function truncateText(text, maxLength) {
+  if (!text) return '';
+  const trimmed = text.trim();
+  return trimmed.length > maxLength ? `${trimmed.substring(0, maxLength - 1)}…` : trimmed;
+}
+
 /**
  * Build welcome message for new users
  * @param {string} userName - User's name
@@ -194,6 +209,8 @@ function buildErrorMessage(errorType, details = {}) {
 
     usage_limit: `⚠️ Monthly Limit Reached\n\nYou've reached your monthly audio duration limit.\n\nTo continue using Meno:\n• Upgrade your plan in the web app\n• Wait for your limit to reset next month\n\nVisit: ${details.webAppUrl}/settings/billing`,
 
+    feature_unavailable: `⚠️ Upgrade Required\n\nUploading audio from LINE is not included in your current plan.\n\nUpgrade your plan in the web app to keep using this integration.\n\nVisit: ${details.webAppUrl}/settings/billing`,
+
     invalid_token: `❌ Invalid Code\n\nThe code you entered is invalid or has expired.\n\nPlease:\n1. Get a new code from the web app\n2. Send it here within 5 minutes`,
 
     download_failed: `❌ Processing Failed\n\nWe couldn't process your audio file. This might be due to:\n• Network issues\n• Unsupported file format\n\nPlease try again or contact support if the issue persists.`,
@@ -213,6 +230,23 @@ function buildErrorMessage(errorType, details = {}) {
   };
 }
 
+/**
+ * Build transcription failed notification message
+ * @param {Object} meeting - Meeting object
+ * @param {string} webAppUrl - Web app base URL
+ * @returns {Object} LINE text message
+ */
+function buildTranscriptionFailedMessage(meeting, webAppUrl) {
+  const projectId = meeting.projectId?._id || meeting.projectId;
+  const meetingId = meeting._id || meeting.id;
+  const meetingUrl = `${webAppUrl}/projects/${projectId}/meetings/${meetingId}`;
+
+  return {
+    type: 'text',
+    text: `❌ Transcription Failed\n\n"${meeting.title || 'Your Meeting'}" (${formatDuration(meeting.duration)}) could not be transcribed.\n\nYour recording is saved. You can retry the transcription from the web app:\n${meetingUrl}`,
+  };
+}
+
 /**
  * Build transcription complete notification message
  * @param {Object} meeting - Meeting object
@@ -223,6 +257,7 @@ function buildTranscriptionCompleteMessage(meeting, webAppUrl) {
   const projectId = meeting.projectId?._id || meeting.projectId;
   const meetingId = meeting._id || meeting.id;
   const meetingUrl = `${webAppUrl}/projects/${projectId}/meetings/${meetingId}`;
+  const summaryPreview = truncateText(meeting.description || meeting.summary, SUMMARY_PREVIEW_LENGTH);
 
   return {
     type: 'flex',
@@ -259,6 +294,29 @@ function buildTranscriptionCompleteMessage(meeting, webAppUrl) {
             paddingAll: '16px',
             paddingBottom: '8px',
           },
+          {
+            type: 'box',
+            layout: 'vertical',
+            contents: [
+              {
+                type: 'text',
+                text: `⏱ ${formatDuration(meeting.duration)}`,
+                size: 'xs',
+                color: '#64748b',
+              },
+              ...(summaryPreview ? [{
+                type: 'text',
+                text: summaryPreview,
+                size: 'sm',
+                color: '#334155',
+                wrap: true,
+                maxLines: 4,
+                margin: 'sm',
+              }] : []),
+            ],
+            paddingStart: '16px',
+            paddingEnd: '16px',
+          },
           {
             type: 'box',
             layout: 'horizontal',
@@ -356,5 +414,6 @@ module.exports = {
   buildMeetingCreatedMessage,
   buildErrorMessage,
   buildTranscriptionCompleteMessage,
+  buildTranscriptionFailedMessage,
   buildHelpMessage,
 };
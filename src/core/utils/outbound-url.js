@@ -0,0 +1,153 @@
+/**
+ * Outbound URL Guard
+ * Keeps user-supplied URLs (webhook endpoints) from reaching the server's own network
+ *
+ * A URL is only allowed when every address its host resolves to is public: loopback,
+ * private, link-local (cloud metadata at 169.254.169.254), CGNAT, multicast and other
+ * reserved ranges are rejected. Checking the URL once is not enough because DNS can
+ * change between the check and the request (DNS rebinding), so requests also connect
+ * through safeLookup, which applies the same check to the address actually dialled.
+ */
+const dns = require('dns');
+const net = require('net');
+const { BadRequestError } = require('../../utils/errors');
+
+const blockedAddresses = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local, cloud metadata services
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // Documentation
+  ['192.88.99.0', 24], // 6to4 relay anycast
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['198.51.100.0', 24], // Documentation
+  ['203.0.113.0', 24], // Documentation
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved, broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+
+[
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['64:ff9b::', 96], // NAT64 (can embed private IPv4)
+  ['64:ff9b:1::', 48], // Local-use NAT64
+  ['100::', 64], // Discard-only
+  ['2001::', 23], // IETF protocol assignments (Teredo, ORCHID, ...)
+  ['2001:db8::', 32], // Documentation
+  ['2002::', 16], // 6to4 (can embed private IPv4)
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether outbound requests may go to private addresses (self-hosted setups with internal receivers)
+ * @returns {boolean}
+ */
+function privateAddressesAllowed() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+/**
+ * Check that an IP address is publicly routable
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as the IPv4 address they carry.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for private, loopback, link-local and reserved addresses
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return !blockedAddresses.check(address, 'ipv4');
+  }
+  if (family !== 6) {
+    return false;
+  }
+
+  const mapped = address.match(/^::ffff:(?:0:)?(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return isPublicAddress(mapped[1]);
+  }
+
+  // Mapped addresses written in hex (::ffff:a00:1) are never expected from DNS
+  if (/^::ffff:/i.test(address)) {
+    return false;
+  }
+
+  return !blockedAddresses.check(address, 'ipv6');
+}
+
+/**
+ * Ensure a URL is http(s) and its host only resolves to public addresses
+ * @param {string} url - URL to check
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} If the URL is invalid, does not resolve or targets a non-public address
+ */
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new BadRequestError('URL must be a valid http or https URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new BadRequestError('URL must be a valid http or https URL');
+  }
+
+  if (privateAddressesAllowed()) {
+    return;
+  }
+
+  // Bracketed IPv6 literals come back from URL with their brackets
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true, verbatim: true })).map(entry => entry.address);
+    } catch (error) {
+      throw new BadRequestError(`URL host ${hostname} could not be resolved`);
+    }
+  }
+
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw new BadRequestError('URL must not point to a private, loopback or reserved address');
+  }
+}
+
+/**
+ * dns.lookup replacement for http(s).request that refuses non-public addresses
+ * Used for the connection itself so a host cannot be re-pointed after assertPublicUrl.
+ * Hosts given as IP literals skip lookup entirely; check those with assertPublicUrl.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options (net passes { all: true } for happy eyeballs)
+ * @param {Function} callback - dns.lookup callback
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || privateAddressesAllowed()) {
+      return callback(error, address, family);
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!addresses.every(isPublicAddress)) {
+      return callback(new BadRequestError('URL must not point to a private, loopback or reserved address'));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl,
+  safeLookup
+};
@@ -0,0 +1,67 @@
+/**
+ * Project Roles
+ * Role hierarchy for shared projects
+ *
+ * - owner: the project's userId; full control including members and deletion
+ * - editor: can upload, transcribe, edit and delete meetings and segments
+ * - viewer: read-only access to meetings, transcripts and chat
+ */
+
+// Ordered from least to most privileged
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+// Roles that can be granted to collaborators (ownership is not transferable here)
+const MEMBER_ROLES = ['editor', 'viewer'];
+
+/**
+ * Resolve a user's role in a project
+ * Works with both Mongoose documents and lean objects
+ * @param {Object} project - Project with userId and members
+ * @param {string} userId - User ID
+ * @returns {string|null} 'owner', 'editor', 'viewer' or null if no access
+ */
+const getProjectRole = (project, userId) => {
+  if (!project || !userId) {
+    return null;
+  }
+
+  const requestUserId = userId.toString();
+
+  if (project.userId?.toString() === requestUserId) {
+    return 'owner';
+  }
+
+  const member = (project.members || []).find(m => m.userId?.toString() === requestUserId);
+  return member ? member.role : null;
+};
+
+/**
+ * Check whether a role satisfies a required role
+ * @param {string|null} role - Actual role
+ * @param {string} requiredRole - Minimum role required
+ * @returns {boolean} True if role is at least requiredRole
+ */
+const hasProjectRole = (role, requiredRole) => {
+  if (!role) {
+    return false;
+  }
+
+  return PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(requiredRole);
+};
+
+/**
+ * Minimum role for an HTTP method: reads need viewer, writes need editor
+ * @param {string} method - HTTP method
+ * @returns {string} Required role
+ */
+const getRequiredRoleForMethod = (method) => {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(method) ? 'viewer' : 'editor';
+};
+
+module.exports = {
+  PROJECT_ROLES,
+  MEMBER_ROLES,
+  getProjectRole,
+  hasProjectRole,
+  getRequiredRoleForMethod
+};
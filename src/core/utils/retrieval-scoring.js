@@ -0,0 +1,147 @@
+/**
+ * Retrieval Scoring Utilities
+ * In-process similarity and keyword scoring used when MongoDB Atlas
+ * $vectorSearch / $search are not available (self-hosted MongoDB, local dev)
+ */
+
+// BM25 tuning parameters (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// CJK ideographs, kana and hangul have no whitespace word boundaries
+const CJK_CHAR_REGEX = /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/;
+
+/**
+ * Compute cosine similarity between two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Cosine similarity in [-1, 1] (0 when vectors are incompatible)
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Normalize cosine similarity to [0, 1]
+ * Matches the vectorSearchScore Atlas reports for cosine indexes,
+ * so existing scoreThreshold values keep the same meaning
+ * @param {number} cosine - Cosine similarity
+ * @returns {number} Normalized score
+ */
+function normalizeCosineScore(cosine) {
+  return (1 + cosine) / 2;
+}
+
+/**
+ * Tokenize text for keyword scoring
+ * Latin/numeric words are lowercased; CJK characters become single-character tokens
+ * @param {string} text - Input text
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+
+  const tokens = [];
+  const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+  words.forEach(word => {
+    if (CJK_CHAR_REGEX.test(word)) {
+      // Split mixed words into CJK characters and runs of other letters
+      let buffer = '';
+      for (const char of word) {
+        if (CJK_CHAR_REGEX.test(char)) {
+          if (buffer) {
+            tokens.push(buffer);
+            buffer = '';
+          }
+          tokens.push(char);
+        } else {
+          buffer += char;
+        }
+      }
+      if (buffer) {
+        tokens.push(buffer);
+      }
+    } else {
+      tokens.push(word);
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Score documents against a query with BM25
+ * Corpus statistics (document frequency, average length) come from the provided documents
+ * @param {string} query - Query text
+ * @param {Array<string>} documents - Document texts
+ * @returns {Array<number>} BM25 score per document (same order as input)
+ */
+function bm25Scores(query, documents) {
+  const queryTerms = [...new Set(tokenize(query))];
+
+  if (queryTerms.length === 0 || documents.length === 0) {
+    return documents.map(() => 0);
+  }
+
+  const docTokens = documents.map(doc => tokenize(doc));
+  const avgLength = docTokens.reduce((sum, tokens) => sum + tokens.length, 0) / documents.length || 1;
+
+  // Document frequency per query term
+  const docFrequency = new Map(queryTerms.map(term => [term, 0]));
+  docTokens.forEach(tokens => {
+    const unique = new Set(tokens);
+    queryTerms.forEach(term => {
+      if (unique.has(term)) {
+        docFrequency.set(term, docFrequency.get(term) + 1);
+      }
+    });
+  });
+
+  const totalDocs = documents.length;
+
+  return docTokens.map(tokens => {
+    const termFrequency = new Map();
+    tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+
+    return queryTerms.reduce((score, term) => {
+      const tf = termFrequency.get(term) || 0;
+      if (tf === 0) {
+        return score;
+      }
+
+      const df = docFrequency.get(term);
+      const idf = Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
+      const lengthNorm = 1 - BM25_B + BM25_B * (tokens.length / avgLength);
+
+      return score + idf * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm));
+    }, 0);
+  });
+}
+
+module.exports = {
+  cosineSimilarity,
+  normalizeCosineScore,
+  tokenize,
+  bm25Scores
+};
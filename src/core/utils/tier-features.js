@@ -0,0 +1,29 @@
+/**
+ * Tier Features
+ * Feature flags stored in TierConfig.features and checked by routes
+ * Values must match those seeded in scripts/seedTiers.js
+ */
+
+const FEATURES = {
+  SUMMARY_STREAM: 'summary_stream',
+  ACTION_ITEMS: 'action_items',
+  HYBRID_SEARCH: 'hybrid_search',
+  EXPORT_FORMATS: 'export_formats',
+  INTEGRATIONS: 'integrations',
+  API_ACCESS: 'api_access'
+};
+
+// Human-readable names used in upgrade messages
+const FEATURE_LABELS = {
+  [FEATURES.SUMMARY_STREAM]: 'AI summaries',
+  [FEATURES.ACTION_ITEMS]: 'Action item generation',
+  [FEATURES.HYBRID_SEARCH]: 'Hybrid search',
+  [FEATURES.EXPORT_FORMATS]: 'Transcript export',
+  [FEATURES.INTEGRATIONS]: 'Messaging integrations',
+  [FEATURES.API_ACCESS]: 'API access and webhooks'
+};
+
+module.exports = {
+  FEATURES,
+  FEATURE_LABELS
+};
@@ -0,0 +1,69 @@
+/**
+ * Token Scopes
+ * Permissions granted to personal access tokens, and the token format
+ *
+ * Tokens look like `meno_pat_<40 url-safe characters>`. Only a SHA-256 hash is stored;
+ * the first characters after the prefix are kept so users can tell their tokens apart.
+ * Bearer JWTs from a login are not scoped and can reach every route.
+ */
+const crypto = require('crypto');
+
+const SCOPES = {
+  PROJECTS_READ: 'projects:read',
+  MEETINGS_READ: 'meetings:read',
+  MEETINGS_WRITE: 'meetings:write',
+  SEARCH: 'search',
+  ACTION_ITEMS_WRITE: 'action_items:write'
+};
+
+// Descriptions shown in the API docs and token management UI
+const SCOPE_DESCRIPTIONS = {
+  [SCOPES.PROJECTS_READ]: 'List and read projects',
+  [SCOPES.MEETINGS_READ]: 'Read meetings, transcripts, status and action items, and download audio',
+  [SCOPES.MEETINGS_WRITE]: 'Upload, import, edit and delete meetings and transcripts, and start transcription',
+  [SCOPES.SEARCH]: 'Search transcripts',
+  [SCOPES.ACTION_ITEMS_WRITE]: 'Generate, update and delete action items'
+};
+
+const TOKEN_PREFIX = 'meno_pat_';
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 8;
+
+/**
+ * Generate a new personal access token
+ * @returns {Object} { token, tokenHash, prefix }
+ */
+function generateAccessToken() {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+  return {
+    token,
+    tokenHash: hashAccessToken(token),
+    prefix: token.substring(0, DISPLAY_PREFIX_LENGTH)
+  };
+}
+
+/**
+ * Hash a personal access token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashAccessToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check whether a bearer token is a personal access token (rather than a JWT)
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+function isAccessToken(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+module.exports = {
+  SCOPES,
+  SCOPE_DESCRIPTIONS,
+  TOKEN_PREFIX,
+  generateAccessToken,
+  hashAccessToken,
+  isAccessToken
+};
@@ -0,0 +1,244 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication, compatible with
+ * Google Authenticator, 1Password, Authy and similar apps, plus recovery codes.
+ *
+ * Secrets are stored encrypted with AES-256-GCM. The key is derived from
+ * TWO_FACTOR_ENCRYPTION_KEY, falling back to JWT_SECRET.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20; // 160 bits, as recommended by RFC 4226
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode bytes as unpadded base32 (the format authenticator apps expect)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Build the otpauth:// URI shown as a QR code during enrollment
+ * @param {Object} options - URI options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Account label (the user's email)
+ * @param {string} options.issuer - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Compute the HOTP code for a counter (RFC 4226)
+ * @param {Buffer} key - Secret bytes
+ * @param {number} counter - Counter value
+ * @returns {string} Zero-padded code
+ */
+function generateHotp(key, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Time step for a timestamp
+ * @param {number} timestampMs - Unix time in milliseconds
+ * @returns {number} Time step counter
+ */
+function getTimeStep(timestampMs = Date.now()) {
+  return Math.floor(timestampMs / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Compute the current TOTP code (mainly for tests and scripts)
+ * @param {string} secret - Base32 secret
+ * @param {number} timestampMs - Unix time in milliseconds
+ * @returns {string} Code
+ */
+function generateTotp(secret, timestampMs = Date.now()) {
+  return generateHotp(base32Decode(secret), getTimeStep(timestampMs));
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Verify options
+ * @param {number} options.window - Accepted steps before and after the current one (default: 1)
+ * @param {number} options.timestampMs - Time to verify at (default: now)
+ * @returns {number|null} Matching time step (store it to reject replays), or null
+ */
+function verifyTotp(secret, code, { window = 1, timestampMs = Date.now() } = {}) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = getTimeStep(timestampMs);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Derive the secret encryption key
+ * @returns {Buffer} 32-byte key
+ * @private
+ */
+function getEncryptionKey() {
+  const keyMaterial = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!keyMaterial) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET is required for two-factor authentication');
+  }
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+}
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} "iv.tag.ciphertext" (base64url)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} encrypted - Value produced by encryptSecret
+ * @returns {string} Base32 secret
+ */
+function decryptSecret(encrypted) {
+  const [iv, tag, ciphertext] = encrypted.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Normalize a recovery code as typed by a user
+ * @param {string} code - Recovery code
+ * @returns {string} Lowercase code without separators
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Generate a set of single-use recovery codes
+ * @returns {Array<string>} Codes formatted as "xxxxx-xxxxx"
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.substring(0, 5)}-${code.substring(5)}`;
+  });
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  buildOtpauthUri,
+  generateTotp,
+  verifyTotp,
+  getTimeStep,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  RECOVERY_CODE_COUNT
+};
@@ -0,0 +1,208 @@
+/**
+ * Transcript Formatter
+ * Utilities for rendering transcription segments into subtitle and document formats
+ *
+ * Supported Formats:
+ * - srt  - SubRip subtitles (HH:MM:SS,mmm)
+ * - vtt  - WebVTT subtitles (HH:MM:SS.mmm)
+ * - txt  - Plain text transcript with timestamps
+ * - md   - Markdown document with speaker headings
+ * - json - Structured JSON export
+ */
+
+const EXPORT_FORMATS = {
+  srt: { mimeType: 'application/x-subrip', extension: 'srt' },
+  vtt: { mimeType: 'text/vtt', extension: 'vtt' },
+  txt: { mimeType: 'text/plain', extension: 'txt' },
+  md: { mimeType: 'text/markdown', extension: 'md' },
+  json: { mimeType: 'application/json', extension: 'json' }
+};
+
+/**
+ * Format milliseconds as a subtitle timestamp
+ * @param {number} milliseconds - Time offset in milliseconds
+ * @param {string} separator - Separator between seconds and milliseconds ("," for SRT, "." for VTT)
+ * @returns {string} Formatted timestamp (e.g., "01:02:03,456")
+ */
+function formatTimestamp(milliseconds, separator = '.') {
+  const totalMs = Math.max(0, Math.round(milliseconds || 0));
+  const totalSeconds = Math.floor(totalMs / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const ms = totalMs % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * Format milliseconds as a short clock position for documents
+ * @param {number} milliseconds - Time offset in milliseconds
+ * @returns {string} Formatted time (e.g., "02:03" or "1:02:03")
+ */
+function formatClock(milliseconds) {
+  const totalSeconds = Math.floor(Math.max(0, milliseconds || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  const mmss = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+  return hours > 0 ? `${hours}:${mmss}` : mmss;
+}
+
+/**
+ * Resolve display name for a segment
+ * Prefers the assigned person's name, falls back to the raw speaker label
+ * @param {Object} segment - Transcription segment (personId may be populated)
+ * @returns {string} Speaker display name
+ */
+function getSpeakerName(segment) {
+  return segment.personId?.name || segment.speaker || 'Unknown Speaker';
+}
+
+/**
+ * Render segments as SubRip (SRT) subtitles
+ * @param {Array} segments - Ordered transcription segments
+ * @returns {string} SRT document
+ */
+function toSrt(segments) {
+  return segments
+    .map((segment, index) => [
+      String(index + 1),
+      `${formatTimestamp(segment.startTime, ',')} --> ${formatTimestamp(segment.endTime, ',')}`,
+      `${getSpeakerName(segment)}: ${segment.text}`
+    ].join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Render segments as WebVTT subtitles
+ * Uses voice tags so players can style speakers individually
+ * @param {Array} segments - Ordered transcription segments
+ * @returns {string} WebVTT document
+ */
+function toVtt(segments) {
+  const cues = segments.map((segment, index) => [
+    String(index + 1),
+    `${formatTimestamp(segment.startTime, '.')} --> ${formatTimestamp(segment.endTime, '.')}`,
+    `<v ${getSpeakerName(segment).replace(/>/g, '')}>${segment.text}`
+  ].join('\n'));
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Render segments as plain text
+ * @param {Array} segments - Ordered transcription segments
+ * @param {Object} meeting - Meeting document (for header)
+ * @returns {string} Plain text transcript
+ */
+function toText(segments, meeting = {}) {
+  const header = meeting.title ? `${meeting.title}\n\n` : '';
+  const lines = segments.map(segment =>
+    `[${formatClock(segment.startTime)}] ${getSpeakerName(segment)}: ${segment.text}`
+  );
+
+  return header + lines.join('\n') + '\n';
+}
+
+/**
+ * Render segments as a Markdown document
+ * Consecutive segments from the same speaker are grouped under one heading
+ * @param {Array} segments - Ordered transcription segments
+ * @param {Object} meeting - Meeting document (for title, date and summary)
+ * @returns {string} Markdown transcript
+ */
+function toMarkdown(segments, meeting = {}) {
+  const parts = [`# ${meeting.title || 'Meeting Transcript'}`];
+
+  if (meeting.createdAt) {
+    parts.push(`_${new Date(meeting.createdAt).toISOString().split('T')[0]}_`);
+  }
+
+  if (meeting.summary) {
+    parts.push('## Summary', meeting.summary);
+  }
+
+  parts.push('## Transcript');
+
+  let currentSpeaker = null;
+  let block = [];
+
+  const flush = () => {
+    if (block.length > 0) {
+      parts.push(block.join(' '));
+      block = [];
+    }
+  };
+
+  segments.forEach(segment => {
+    const speaker = getSpeakerName(segment);
+    if (speaker !== currentSpeaker) {
+      flush();
+      parts.push(`**${speaker}** _(${formatClock(segment.startTime)})_`);
+      currentSpeaker = speaker;
+    }
+    block.push(segment.text);
+  });
+  flush();
+
+  return parts.join('\n\n') + '\n';
+}
+
+/**
+ * Render segments as structured JSON
+ * @param {Array} segments - Ordered transcription segments
+ * @param {Object} meeting - Meeting document
+ * @returns {string} JSON document
+ */
+function toJson(segments, meeting = {}) {
+  return JSON.stringify({
+    meeting: {
+      _id: meeting._id,
+      title: meeting.title,
+      description: meeting.description || null,
+      duration: meeting.duration || null,
+      createdAt: meeting.createdAt
+    },
+    segments: segments.map(segment => ({
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      speaker: getSpeakerName(segment),
+      personId: segment.personId?._id || segment.personId || null,
+      text: segment.text
+    }))
+  }, null, 2);
+}
+
+/**
+ * Render segments in the requested export format
+ * @param {string} format - One of EXPORT_FORMATS keys
+ * @param {Array} segments - Ordered transcription segments
+ * @param {Object} meeting - Meeting document
+ * @returns {string} Rendered document
+ */
+function formatTranscript(format, segments, meeting = {}) {
+  switch (format) {
+    case 'srt':
+      return toSrt(segments);
+    case 'vtt':
+      return toVtt(segments);
+    case 'txt':
+      return toText(segments, meeting);
+    case 'md':
+      return toMarkdown(segments, meeting);
+    case 'json':
+      return toJson(segments, meeting);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  formatTimestamp,
+  formatClock,
+  getSpeakerName,
+  formatTranscript
+};
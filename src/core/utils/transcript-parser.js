@@ -0,0 +1,221 @@
+/**
+ * Transcript Parser
+ * Utilities for parsing subtitle and JSON transcript files into transcription segments
+ *
+ * Supported Formats:
+ * - srt  - SubRip subtitles
+ * - vtt  - WebVTT subtitles (voice tags <v Name> are used as speaker)
+ * - json - Array of segments, or { segments: [...] } as produced by the transcript export
+ *
+ * Parsed segments use the same shape as TranscriptionDataService.saveTranscriptions:
+ * { startTime, endTime, speaker, text } with times in milliseconds
+ */
+const path = require('path');
+
+const IMPORT_FORMATS = ['srt', 'vtt', 'json'];
+
+const DEFAULT_SPEAKER = 'Speaker 1';
+const MAX_SEGMENT_TEXT_LENGTH = 5000;
+
+// Matches "00:01:02,345 --> 00:01:04,000" (SRT) and "01:02.345 --> 01:04.000" (VTT, hours optional)
+const CUE_TIMING_REGEX = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+/**
+ * Parse a subtitle timestamp into milliseconds
+ * @param {string} timestamp - Timestamp (HH:MM:SS,mmm / HH:MM:SS.mmm / MM:SS.mmm)
+ * @returns {number} Time in milliseconds
+ */
+function parseTimestamp(timestamp) {
+  const [clock, fraction = '0'] = timestamp.trim().split(/[.,]/);
+  const parts = clock.split(':').map(Number);
+
+  while (parts.length < 3) {
+    parts.unshift(0);
+  }
+
+  const [hours, minutes, seconds] = parts;
+  const ms = parseInt(fraction.padEnd(3, '0').substring(0, 3), 10);
+
+  return ((hours * 3600) + (minutes * 60) + seconds) * 1000 + ms;
+}
+
+/**
+ * Split a "Name: text" line into speaker and text
+ * Only treats short prefixes as speaker names to avoid splitting sentences containing colons
+ * @param {string} text - Cue text
+ * @returns {Object} { speaker, text }
+ */
+function extractSpeakerPrefix(text) {
+  const match = text.match(/^([^:\n]{1,50}):\s+([\s\S]+)$/);
+
+  if (match && !/^\d+$/.test(match[1].trim())) {
+    return { speaker: match[1].trim(), text: match[2].trim() };
+  }
+
+  return { speaker: null, text };
+}
+
+/**
+ * Build a segment from cue timing and text lines
+ * @param {number} startTime - Start time in ms
+ * @param {number} endTime - End time in ms
+ * @param {string} speaker - Speaker name (may be null)
+ * @param {string} text - Cue text
+ * @returns {Object|null} Segment or null when cue is empty/invalid
+ */
+function buildSegment(startTime, endTime, speaker, text) {
+  const cleanText = text.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+
+  if (!cleanText || endTime <= startTime) {
+    return null;
+  }
+
+  return {
+    startTime,
+    endTime,
+    speaker: speaker || DEFAULT_SPEAKER,
+    text: cleanText.substring(0, MAX_SEGMENT_TEXT_LENGTH)
+  };
+}
+
+/**
+ * Parse subtitle cues (shared by SRT and WebVTT)
+ * @param {string} content - File content
+ * @returns {Array} Parsed segments
+ */
+function parseCues(content) {
+  const blocks = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  const segments = [];
+
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter(line => line.trim().length > 0);
+    const timingIndex = lines.findIndex(line => CUE_TIMING_REGEX.test(line));
+
+    if (timingIndex === -1) {
+      // WEBVTT header, NOTE, STYLE and REGION blocks have no timing line
+      return;
+    }
+
+    const [, start, end] = lines[timingIndex].match(CUE_TIMING_REGEX);
+    let text = lines.slice(timingIndex + 1).join(' ');
+    let speaker = null;
+
+    // WebVTT voice tag: <v Speaker Name>text
+    const voiceMatch = text.match(/^<v(?:\.[^\s>]+)?\s+([^>]+)>/);
+    if (voiceMatch) {
+      speaker = voiceMatch[1].trim();
+      text = text.substring(voiceMatch[0].length);
+    } else {
+      ({ speaker, text } = extractSpeakerPrefix(text));
+    }
+
+    const segment = buildSegment(parseTimestamp(start), parseTimestamp(end), speaker, text);
+    if (segment) {
+      segments.push(segment);
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * Parse JSON transcript
+ * Accepts an array of segments or an object with a segments array.
+ * Times are in milliseconds; `start`/`end` in seconds are also accepted.
+ * @param {string} content - File content
+ * @returns {Array} Parsed segments
+ */
+function parseJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Invalid JSON transcript: ${error.message}`);
+  }
+
+  const items = Array.isArray(data) ? data : data?.segments;
+
+  if (!Array.isArray(items)) {
+    throw new Error('JSON transcript must be an array of segments or an object with a "segments" array');
+  }
+
+  return items
+    .map(item => {
+      const startTime = item.startTime !== undefined
+        ? Number(item.startTime)
+        : Math.round(Number(item.start) * 1000);
+      const endTime = item.endTime !== undefined
+        ? Number(item.endTime)
+        : Math.round(Number(item.end) * 1000);
+
+      if (!Number.isFinite(startTime) || !Number.isFinite(endTime) || typeof item.text !== 'string') {
+        return null;
+      }
+
+      return buildSegment(startTime, endTime, item.speaker, item.text);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Detect transcript format from file name and content
+ * @param {string} filename - Original file name
+ * @param {string} content - File content
+ * @returns {string|null} Detected format or null
+ */
+function detectFormat(filename, content) {
+  const ext = path.extname(filename || '').toLowerCase().replace('.', '');
+
+  if (IMPORT_FORMATS.includes(ext)) {
+    return ext;
+  }
+
+  const trimmed = content.replace(/^\uFEFF/, '').trimStart();
+
+  if (trimmed.startsWith('WEBVTT')) {
+    return 'vtt';
+  }
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    return 'json';
+  }
+  if (CUE_TIMING_REGEX.test(trimmed)) {
+    return 'srt';
+  }
+
+  return null;
+}
+
+/**
+ * Parse a transcript file into ordered segments
+ * @param {string} content - File content
+ * @param {string} format - One of IMPORT_FORMATS
+ * @returns {Array} Segments sorted by start time
+ */
+function parseTranscript(content, format) {
+  let segments;
+
+  switch (format) {
+    case 'srt':
+    case 'vtt':
+      segments = parseCues(content);
+      break;
+    case 'json':
+      segments = parseJson(content);
+      break;
+    default:
+      throw new Error(`Unsupported transcript format: ${format}`);
+  }
+
+  return segments.sort((a, b) => a.startTime - b.startTime);
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  parseTimestamp,
+  detectFormat,
+  parseTranscript
+};
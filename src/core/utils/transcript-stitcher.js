@@ -0,0 +1,199 @@
+/**
+ * Transcript Stitcher
+ * Combines segments transcribed from overlapping audio windows into one transcript
+ *
+ * Each window is diarized independently, so "Speaker 1" in one window is not necessarily
+ * "Speaker 1" in the next. Speakers are matched through the overlap region, where both
+ * windows transcribed the same speech: local labels are mapped to the global label they
+ * share the most overlapping (and similar) speech with. Speakers who are silent in the
+ * overlap are paired with the previous window's remaining speakers, so a speaker who
+ * joins exactly as another leaves can be mislabelled; longer overlaps reduce this.
+ */
+
+const GENERIC_SPEAKER_PATTERN = /^Speaker (\d+)$/;
+
+/**
+ * Character bigrams of a text (language-agnostic, works without word boundaries)
+ * @param {string} text - Input text
+ * @returns {Set<string>} Bigram set
+ */
+function toBigrams(text) {
+  const normalized = (text || '').toLowerCase().replace(/[\s\p{P}]+/gu, '');
+  const bigrams = new Set();
+  for (let i = 0; i < normalized.length - 1; i++) {
+    bigrams.add(normalized.slice(i, i + 2));
+  }
+  return bigrams;
+}
+
+/**
+ * Jaccard similarity between two texts (0-1)
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity
+ */
+function textSimilarity(a, b) {
+  const setA = toBigrams(a);
+  const setB = toBigrams(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let intersection = 0;
+  for (const bigram of setA) {
+    if (setB.has(bigram)) intersection++;
+  }
+  return intersection / (setA.size + setB.size - intersection);
+}
+
+/**
+ * Match local speaker labels of a window to global labels of the previous window
+ * @param {Array} previousSegments - Previous window segments, speakers already global
+ * @param {Array} currentSegments - Current window segments with local speakers
+ * @param {number} overlapStartMs - Start of the overlap region
+ * @param {number} overlapEndMs - End of the overlap region
+ * @returns {Map<string, string>} Local label -> global label for matched speakers
+ */
+function matchSpeakers(previousSegments, currentSegments, overlapStartMs, overlapEndMs) {
+  const inOverlap = (segment) => segment.endTime > overlapStartMs && segment.startTime < overlapEndMs;
+  const previous = previousSegments.filter(inOverlap);
+  const current = currentSegments.filter(inOverlap);
+
+  // Score every (local, global) pair by shared speaking time, weighted by text agreement
+  const scores = new Map();
+  for (const cur of current) {
+    for (const prev of previous) {
+      const sharedMs = Math.min(cur.endTime, prev.endTime) - Math.max(cur.startTime, prev.startTime);
+      if (sharedMs <= 0) continue;
+
+      const key = `${cur.speaker}\u0000${prev.speaker}`;
+      const weight = sharedMs * (0.5 + 0.5 * textSimilarity(cur.text, prev.text));
+      scores.set(key, (scores.get(key) || 0) + weight);
+    }
+  }
+
+  // Greedy one-to-one assignment, best pairs first
+  const mapping = new Map();
+  const usedGlobal = new Set();
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+  for (const [key] of ranked) {
+    const [local, global] = key.split('\u0000');
+    if (mapping.has(local) || usedGlobal.has(global)) continue;
+    mapping.set(local, global);
+    usedGlobal.add(global);
+  }
+
+  return mapping;
+}
+
+/**
+ * Speakers of a window ordered by total speaking time, longest first
+ * @param {Array} segments - Window segments
+ * @returns {Array<string>} Speaker labels
+ */
+function rankSpeakersByTalkTime(segments) {
+  const talkTime = new Map();
+  for (const segment of segments) {
+    talkTime.set(segment.speaker, (talkTime.get(segment.speaker) || 0) + (segment.endTime - segment.startTime));
+  }
+  return [...talkTime.entries()].sort((a, b) => b[1] - a[1]).map(([speaker]) => speaker);
+}
+
+/**
+ * Merge consecutive segments of the same speaker, up to a maximum segment length
+ * Mirrors the merging applied when transcribing a recording in a single request
+ * @param {Array} segments - Chronological segments
+ * @param {number} maxDurationMs - Maximum merged segment duration
+ * @returns {Array} Merged segments
+ */
+function mergeConsecutiveSpeakers(segments, maxDurationMs = 30000) {
+  const merged = [];
+  for (const segment of segments) {
+    const last = merged[merged.length - 1];
+    if (last && last.speaker === segment.speaker && (segment.endTime - last.startTime) <= maxDurationMs) {
+      last.endTime = segment.endTime;
+      last.text = `${last.text} ${segment.text}`;
+    } else {
+      merged.push({ ...segment });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Stitch per-window transcripts into one chronological transcript
+ * Segments must already use absolute timestamps (window offset applied).
+ * Each window keeps the segments whose midpoint falls between the midpoints of its
+ * overlaps with the previous and next windows, so overlapping speech appears once.
+ * @param {Array<Object>} windows - Windows sorted by index: { startMs, endMs, segments }
+ * @param {Object} options - Stitch options
+ * @param {number} options.maxMergeDurationMs - Maximum merged segment duration
+ * @param {boolean} options.merge - Merge consecutive segments of the same speaker
+ * @returns {Array} Stitched segments with global speaker labels
+ */
+function stitchWindows(windows, { maxMergeDurationMs = 30000, merge = true } = {}) {
+  const stitched = [];
+  let nextSpeakerNumber = 1;
+  let previousMapped = [];
+
+  windows.forEach((window, i) => {
+    const previousWindow = windows[i - 1];
+    const nextWindow = windows[i + 1];
+
+    // Resolve this window's local speaker labels to global ones
+    const mapping = previousWindow
+      ? matchSpeakers(previousMapped, window.segments, window.startMs, previousWindow.endMs)
+      : new Map();
+
+    // Speakers silent in the overlap: pair them with the previous window's remaining
+    // speakers (most talkative first) before assuming anyone new joined
+    const unusedGlobal = rankSpeakersByTalkTime(previousMapped)
+      .filter(speaker => ![...mapping.values()].includes(speaker));
+
+    for (const segment of window.segments) {
+      if (mapping.has(segment.speaker)) continue;
+
+      // Named speakers (not "Speaker N") keep their name across windows
+      if (!GENERIC_SPEAKER_PATTERN.test(segment.speaker)) {
+        mapping.set(segment.speaker, segment.speaker);
+      } else if (unusedGlobal.length > 0) {
+        mapping.set(segment.speaker, unusedGlobal.shift());
+      } else {
+        mapping.set(segment.speaker, `Speaker ${nextSpeakerNumber++}`);
+      }
+    }
+
+    const mapped = window.segments.map(segment => ({
+      ...segment,
+      speaker: mapping.get(segment.speaker)
+    }));
+
+    // Keep only the part of the window this window is responsible for
+    const lowerCut = previousWindow ? (window.startMs + previousWindow.endMs) / 2 : -Infinity;
+    const upperCut = nextWindow ? (nextWindow.startMs + window.endMs) / 2 : Infinity;
+
+    for (const segment of mapped) {
+      const midpoint = (segment.startTime + segment.endTime) / 2;
+      if (midpoint >= lowerCut && midpoint < upperCut) {
+        stitched.push(segment);
+      }
+    }
+
+    previousMapped = mapped;
+  });
+
+  // Keep timestamps monotonic across window boundaries
+  let lastEndTime = 0;
+  for (const segment of stitched) {
+    segment.startTime = Math.max(segment.startTime, lastEndTime);
+    segment.endTime = Math.max(segment.endTime, segment.startTime);
+    lastEndTime = segment.endTime;
+  }
+
+  return merge ? mergeConsecutiveSpeakers(stitched, maxMergeDurationMs) : stitched;
+}
+
+module.exports = {
+  stitchWindows,
+  matchSpeakers,
+  mergeConsecutiveSpeakers,
+  textSimilarity
+};
@@ -0,0 +1,51 @@
+/**
+ * Webhook Events
+ * Event types users can subscribe webhook endpoints to, and request signing
+ *
+ * Each delivery is signed with the endpoint secret:
+ *   X-Meno-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * Receivers should recompute the HMAC over the raw request body and reject
+ * timestamps that are too old to prevent replays.
+ */
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = {
+  MEETING_CREATED: 'meeting.created',
+  TRANSCRIPTION_COMPLETED: 'transcription.completed',
+  TRANSCRIPTION_FAILED: 'transcription.failed',
+  SUMMARY_SAVED: 'summary.saved',
+  ACTION_ITEMS_GENERATED: 'action_items.generated'
+};
+
+const SIGNATURE_HEADER = 'X-Meno-Signature';
+
+/**
+ * Generate a random endpoint secret
+ * @returns {string} Secret prefixed with "whsec_"
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Compute the signature header value for a payload
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Raw JSON body as sent
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} Header value
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  SIGNATURE_HEADER,
+  generateSecret,
+  signPayload
+};
@@ -0,0 +1,132 @@
+/**
+ * Zip Archive Utilities
+ * Helpers for writing zip archives with archiver and reading them back with yauzl
+ *
+ * Writers append one entry at a time and wait for it to be consumed, so large
+ * entries (audio files) are never all held in memory at once. Readers look entries
+ * up by name and never extract to disk, so entry paths cannot escape anywhere.
+ */
+const yauzl = require('yauzl');
+
+/**
+ * Add an entry and wait until the archive has consumed it
+ * @param {Object} archive - archiver instance
+ * @param {string} name - Entry path inside the archive
+ * @param {Buffer|string} data - Entry contents
+ * @param {Object} options - archiver entry options (e.g. { store: true })
+ * @returns {Promise<void>}
+ */
+function appendEntry(archive, name, data, options = {}) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onError);
+      archive.off('close', onClose);
+    };
+    const onEntry = (entry) => {
+      if (entry.name === name) {
+        cleanup();
+        resolve();
+      }
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    // Destroyed archives (e.g. the client went away) never emit the entry
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Archive closed before the entry was written'));
+    };
+
+    archive.on('entry', onEntry);
+    archive.once('error', onError);
+    archive.once('close', onClose);
+    archive.append(data, { name, ...options });
+  });
+}
+
+/**
+ * Add a pretty-printed JSON entry
+ * @param {Object} archive - archiver instance
+ * @param {string} name - Entry path inside the archive
+ * @param {*} value - Value to serialize
+ * @returns {Promise<void>}
+ */
+function appendJson(archive, name, value) {
+  return appendEntry(archive, name, JSON.stringify(value, null, 2));
+}
+
+/**
+ * Open a zip file for reading entries by name
+ * @param {string} filePath - Path of the zip file
+ * @returns {Promise<Object>} Reader { names, has(name), readBuffer(name), readJson(name), close() }
+ * @throws {Error} If the file is not a valid zip archive
+ */
+function openZip(filePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (openError, zipfile) => {
+      if (openError) {
+        return reject(openError);
+      }
+
+      const entries = new Map();
+
+      zipfile.on('entry', (entry) => {
+        // Directory entries end with a slash and carry no data
+        if (!entry.fileName.endsWith('/')) {
+          entries.set(entry.fileName, entry);
+        }
+        zipfile.readEntry();
+      });
+      zipfile.once('error', reject);
+      zipfile.once('end', () => resolve(createReader(zipfile, entries)));
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * @private
+ */
+function createReader(zipfile, entries) {
+  const readBuffer = (name) => new Promise((resolve, reject) => {
+    const entry = entries.get(name);
+    if (!entry) {
+      return reject(new Error(`Missing archive entry: ${name}`));
+    }
+
+    zipfile.openReadStream(entry, (streamError, stream) => {
+      if (streamError) {
+        return reject(streamError);
+      }
+
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.once('error', reject);
+      stream.once('end', () => resolve(Buffer.concat(chunks)));
+    });
+  });
+
+  return {
+    names: () => Array.from(entries.keys()),
+    has: (name) => entries.has(name),
+    sizeOf: (name) => entries.get(name)?.uncompressedSize ?? null,
+    readBuffer,
+    readJson: async (name) => {
+      const data = await readBuffer(name);
+      try {
+        return JSON.parse(data.toString('utf8'));
+      } catch (error) {
+        throw new Error(`Invalid JSON in archive entry ${name}`);
+      }
+    },
+    close: () => zipfile.close()
+  };
+}
+
+module.exports = {
+  appendEntry,
+  appendJson,
+  openZip
+};
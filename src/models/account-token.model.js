@@ -0,0 +1,121 @@
+/**
+ * Account Token Model
+ * Single-use tokens sent by email for password resets and email verification
+ *
+ * Only an HMAC of each token (keyed with JWT_SECRET) is stored, so a copy of the
+ * database is not enough to use a pending link.
+ */
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { AccountTokenType } = require('../core/constants');
+
+const accountTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    type: {
+      type: String,
+      enum: Object.values(AccountTokenType),
+      required: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // Address the token was sent to; a verification token only verifies this address
+    email: {
+      type: String,
+      required: true,
+      lowercase: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    },
+    requestedIp: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+accountTokenSchema.index({ userId: 1, type: 1, createdAt: -1 });
+
+// TTL index to auto-delete expired tokens
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex HMAC-SHA256
+ */
+accountTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(token).digest('hex');
+};
+
+/**
+ * Issue a new token, invalidating earlier unused tokens of the same type
+ * @param {Object} user - User document
+ * @param {string} type - Token type
+ * @param {Object} options - { ttlMs, requestedIp }
+ * @returns {Promise<Object>} { token, accountToken }
+ */
+accountTokenSchema.statics.issue = async function (user, type, { ttlMs, requestedIp = null }) {
+  await this.updateMany(
+    { userId: user._id, type, usedAt: null },
+    { $set: { usedAt: new Date(), expiresAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const accountToken = await this.create({
+    userId: user._id,
+    type,
+    tokenHash: this.hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs),
+    requestedIp
+  });
+
+  return { token, accountToken };
+};
+
+/**
+ * Atomically mark a valid token as used
+ * @param {string} token - Plain token
+ * @param {string} type - Token type
+ * @returns {Promise<Object|null>} Used token, or null when unknown, used or expired
+ */
+accountTokenSchema.statics.consume = function (token, type) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { tokenHash: this.hashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+/**
+ * Find the most recently issued token of a type (for request throttling)
+ * @param {string} userId - User ID
+ * @param {string} type - Token type
+ * @returns {Promise<Object|null>}
+ */
+accountTokenSchema.statics.findLatest = function (userId, type) {
+  return this.findOne({ userId, type }).sort({ createdAt: -1 });
+};
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+module.exports = AccountToken;
@@ -0,0 +1,210 @@
+/**
+ * Chat Conversation Model
+ * MongoDB schema for persisted chat threads over project or meeting transcripts
+ */
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChatMessage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [user, assistant]
+ *         content:
+ *           type: string
+ *         citations:
+ *           type: array
+ *           description: Sources cited by an assistant answer (empty for user messages)
+ *           items:
+ *             $ref: '#/components/schemas/ChatCitation'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ChatConversation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated conversation ID
+ *         userId:
+ *           type: string
+ *           description: User who started the conversation
+ *         projectId:
+ *           type: string
+ *           description: Project the conversation belongs to
+ *         scope:
+ *           type: string
+ *           enum: [project, meeting]
+ *           description: Whether retrieval covers the whole project or a single meeting
+ *         meetingId:
+ *           type: string
+ *           description: Meeting ID for meeting-scoped conversations
+ *         title:
+ *           type: string
+ *           description: Conversation title (first question, truncated)
+ *         messageCount:
+ *           type: integer
+ *         lastMessageAt:
+ *           type: string
+ *           format: date-time
+ *         messages:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChatMessage'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const citationSchema = new mongoose.Schema(
+  {
+    index: Number,
+    transcriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transcription'
+    },
+    meetingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting'
+    },
+    meetingTitle: String,
+    meetingDate: Date,
+    startTime: Number,
+    endTime: Number,
+    speaker: String,
+    text: String,
+    score: Number
+  },
+  { _id: false }
+);
+
+const messageSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: {
+        values: ['user', 'assistant'],
+        message: '{VALUE} is not a valid message role'
+      },
+      required: true
+    },
+    content: {
+      type: String,
+      required: true
+    },
+    citations: {
+      type: [citationSchema],
+      default: []
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }
+);
+
+const chatConversationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project ID is required'],
+      index: true
+    },
+    scope: {
+      type: String,
+      enum: {
+        values: ['project', 'meeting'],
+        message: '{VALUE} is not a valid chat scope'
+      },
+      default: 'project'
+    },
+    meetingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting',
+      default: null
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    messages: {
+      type: [messageSchema],
+      default: []
+    },
+    messageCount: {
+      type: Number,
+      default: 0
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient querying
+chatConversationSchema.index({ projectId: 1, lastMessageAt: -1 });
+chatConversationSchema.index({ meetingId: 1, lastMessageAt: -1 });
+
+// Instance method to get safe object
+chatConversationSchema.methods.toSafeObject = function () {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Instance method to get prior turns in the shape expected by the chat prompt
+chatConversationSchema.methods.getHistory = function () {
+  return this.messages.map(message => ({
+    role: message.role,
+    content: message.content
+  }));
+};
+
+// Static method to get paginated conversations (without message bodies)
+chatConversationSchema.statics.findPaginated = async function (query, options = {}) {
+  const { page = 1, limit = 20 } = options;
+
+  const conversations = await this.find(query)
+    .select('-messages -__v')
+    .sort({ lastMessageAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean();
+
+  const total = await this.countDocuments(query);
+
+  return {
+    conversations,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+const ChatConversation = mongoose.model('ChatConversation', chatConversationSchema);
+
+module.exports = ChatConversation;
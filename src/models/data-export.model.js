@@ -0,0 +1,114 @@
+/**
+ * Data Export Model
+ * A user's request for a zip of all their account data (GDPR access/portability)
+ *
+ * The archive is assembled by the worker and kept in the storage provider until
+ * expiresAt; expired archives are deleted by the next export job.
+ */
+const mongoose = require('mongoose');
+const { DataExportStatus } = require('../core/constants');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DataExport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, completed, failed, expired]
+ *         size:
+ *           type: integer
+ *           description: Archive size in bytes, once completed
+ *         counts:
+ *           type: object
+ *           properties:
+ *             projects:
+ *               type: integer
+ *             meetings:
+ *               type: integer
+ *             audioFiles:
+ *               type: integer
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The archive can be downloaded until this time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    status: {
+      type: String,
+      enum: Object.values(DataExportStatus),
+      default: DataExportStatus.PENDING
+    },
+    fileUri: {
+      type: String,
+      default: null
+    },
+    size: {
+      type: Number,
+      default: null,
+      min: [0, 'Size cannot be negative']
+    },
+    counts: {
+      projects: { type: Number, default: 0 },
+      meetings: { type: Number, default: 0 },
+      audioFiles: { type: Number, default: 0 }
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Instance method to get safe export object (storage location stays internal)
+dataExportSchema.methods.toSafeObject = function () {
+  const obj = this.toObject();
+  delete obj.__v;
+  delete obj.fileUri;
+  return obj;
+};
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = DataExport;
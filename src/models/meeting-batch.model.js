@@ -0,0 +1,164 @@
+/**
+ * Meeting Batch Model
+ * A bulk operation (move, delete, re-transcribe, regenerate action items) over many meetings
+ *
+ * Access is checked for every meeting when the batch is created; the worker then
+ * applies the action meeting by meeting, re-checking access and recording each result
+ * so clients can poll the batch for progress.
+ */
+const mongoose = require('mongoose');
+const { MeetingBatchStatus, MeetingBatchAction } = require('../core/constants');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MeetingBatch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         action:
+ *           type: string
+ *           enum: [move, delete, retranscribe, regenerate_action_items]
+ *         targetProjectId:
+ *           type: string
+ *           nullable: true
+ *           description: Destination project of a move
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, completed, failed]
+ *         total:
+ *           type: integer
+ *         processed:
+ *           type: integer
+ *         succeeded:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         progress:
+ *           type: integer
+ *           description: Percentage of meetings processed
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               meetingId:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [pending, succeeded, failed]
+ *               error:
+ *                 type: string
+ *                 nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const batchItemSchema = new mongoose.Schema(
+  {
+    meetingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    error: {
+      type: String,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+const meetingBatchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    action: {
+      type: String,
+      enum: {
+        values: Object.values(MeetingBatchAction),
+        message: '{VALUE} is not a valid bulk action'
+      },
+      required: [true, 'Action is required']
+    },
+    targetProjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null
+    },
+    status: {
+      type: String,
+      enum: Object.values(MeetingBatchStatus),
+      default: MeetingBatchStatus.PENDING
+    },
+    items: {
+      type: [batchItemSchema],
+      default: []
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+    processed: {
+      type: Number,
+      default: 0
+    },
+    succeeded: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+meetingBatchSchema.index({ userId: 1, createdAt: -1 });
+
+// Instance method to get safe batch object
+meetingBatchSchema.methods.toSafeObject = function () {
+  const obj = this.toObject();
+  delete obj.__v;
+  obj.progress = obj.total > 0 ? Math.round((obj.processed / obj.total) * 100) : 100;
+  return obj;
+};
+
+const MeetingBatch = mongoose.model('MeetingBatch', meetingBatchSchema);
+
+module.exports = MeetingBatch;
@@ -3,6 +3,7 @@
  * MongoDB schema for meeting data with audio file and transcription tracking
  */
 const mongoose = require('mongoose');
+const softDeletePlugin = require('./plugins/soft-delete.plugin');
 
 /**
  * @swagger
@@ -42,7 +43,7 @@ const mongoose = require('mongoose');
  *           description: Audio duration in seconds
  *         recordingType:
  *           type: string
- *           enum: [upload, direct]
+ *           enum: [upload, direct, integration, import]
  *           description: How the meeting was created
  *         transcriptionStatus:
  *           type: string
@@ -60,6 +61,31 @@ const mongoose = require('mongoose');
  *               type: string
  *             originalName:
  *               type: string
+ *             live:
+ *               type: object
+ *               description: Live recording state (recordings streamed over WebSocket only)
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [recording, finalizing, completed, failed]
+ *                 startedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 endedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 bytesReceived:
+ *                   type: number
+ *                 windowsTranscribed:
+ *                   type: number
+ *                 endReason:
+ *                   type: string
+ *                   example: stopped
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the meeting (or its project) was moved to the trash
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -95,7 +121,15 @@ const meetingSchema = new mongoose.Schema(
     },
     audioFile: {
       type: String,
-      required: [true, 'Audio file is required']
+      // Imported transcripts have no audio; live recordings only get it once finalized
+      required: [
+        function () {
+          const liveStatus = this.metadata?.live?.status;
+          return this.recordingType !== 'import' && (!liveStatus || liveStatus === 'completed');
+        },
+        'Audio file is required'
+      ],
+      default: null
     },
     duration: {
       type: Number,
@@ -105,8 +139,8 @@ const meetingSchema = new mongoose.Schema(
     recordingType: {
       type: String,
       enum: {
-        values: ['upload', 'direct', 'integration'],
-        message: 'Recording type must be either upload, direct, or integration'
+        values: ['upload', 'direct', 'integration', 'import'],
+        message: 'Recording type must be either upload, direct, integration, or import'
       },
       required: [true, 'Recording type is required']
     },
@@ -138,6 +172,11 @@ const meetingSchema = new mongoose.Schema(
       min: [0, 'Progress cannot be negative'],
       max: [100, 'Progress cannot exceed 100']
     },
+    // Trashed together with its project (restored with it rather than on its own)
+    deletedWithProject: {
+      type: Boolean,
+      default: false
+    },
     metadata: {
       fileSize: {
         type: Number,
@@ -177,6 +216,17 @@ const meetingSchema = new mongoose.Schema(
         lastChunkAt: {
           type: Date,
           default: null
+        },
+        // Chunked transcription of long recordings (0 when transcribed in one request)
+        windowsTotal: {
+          type: Number,
+          default: 0,
+          min: [0, 'Window count cannot be negative']
+        },
+        windowsCompleted: {
+          type: Number,
+          default: 0,
+          min: [0, 'Window count cannot be negative']
         }
       },
       actionItems: {
@@ -194,6 +244,66 @@ const meetingSchema = new mongoose.Schema(
           default: null
         }
       },
+      import: {
+        format: {
+          type: String,
+          enum: ['srt', 'vtt', 'json', null],
+          default: null
+        },
+        originalName: {
+          type: String,
+          trim: true,
+          default: null
+        },
+        segmentCount: {
+          type: Number,
+          default: 0,
+          min: [0, 'Segment count cannot be negative']
+        },
+        importedAt: {
+          type: Date,
+          default: null
+        }
+      },
+      // Live recordings streamed over WebSocket (recordingType 'direct')
+      live: {
+        status: {
+          type: String,
+          enum: ['recording', 'finalizing', 'completed', 'failed', null],
+          default: null
+        },
+        startedAt: {
+          type: Date,
+          default: null
+        },
+        endedAt: {
+          type: Date,
+          default: null
+        },
+        bytesReceived: {
+          type: Number,
+          default: 0,
+          min: [0, 'Bytes received cannot be negative']
+        },
+        // Rolling transcription window plan, reused by the final transcription job
+        windowSeconds: {
+          type: Number,
+          default: null
+        },
+        overlapSeconds: {
+          type: Number,
+          default: null
+        },
+        windowsTranscribed: {
+          type: Number,
+          default: 0,
+          min: [0, 'Window count cannot be negative']
+        },
+        endReason: {
+          type: String,
+          default: null
+        }
+      },
       integration: {
         provider: {
           type: String,
@@ -225,6 +335,9 @@ const meetingSchema = new mongoose.Schema(
   }
 );
 
+// Trashed meetings (deletedAt set) are hidden from queries, see soft-delete.plugin
+meetingSchema.plugin(softDeletePlugin);
+
 // Indexes
 // Note: projectId already covered by compound index below
 meetingSchema.index({ projectId: 1, createdAt: -1 });
@@ -264,7 +377,7 @@ meetingSchema.statics.findWithTranscriptionCount = async function (query, option
   const { page = 1, limit = 10, sort = '-createdAt' } = options;
 
   const meetings = await this.aggregate([
-    { $match: query },
+    { $match: { ...query, deletedAt: null } },
     { $sort: this._parseSortString(sort) },
     { $skip: (page - 1) * limit },
     { $limit: limit }
@@ -283,6 +396,12 @@ meetingSchema.statics.findWithTranscriptionCount = async function (query, option
   };
 };
 
+// Static method to pick the trashed meetings out of a list of meeting IDs
+// Used to leave trashed meetings out of queries on collections that reference them
+meetingSchema.statics.findTrashedIds = function (meetingIds) {
+  return this.distinct('_id', { _id: { $in: meetingIds }, deletedAt: { $ne: null } });
+};
+
 // Helper to parse sort string
 meetingSchema.statics._parseSortString = function (sortStr) {
   const sort = {};
@@ -0,0 +1,119 @@
+/**
+ * Organization Invitation Model
+ * MongoDB schema for pending invitations to join an organization
+ */
+const mongoose = require('mongoose');
+
+// Invitations expire after 14 days unless re-sent
+const INVITATION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrganizationInvitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated invitation ID
+ *         organizationId:
+ *           type: string
+ *           description: Organization the invitee will join
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Invitee email address
+ *         role:
+ *           type: string
+ *           enum: [admin, member]
+ *         invitedBy:
+ *           type: string
+ *           description: User ID of the inviting admin
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, revoked]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const organizationInvitationSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization ID is required'],
+      index: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ['admin', 'member'],
+        message: '{VALUE} is not a valid organization role'
+      },
+      default: 'member'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Inviter is required']
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'accepted', 'declined', 'revoked'],
+        message: '{VALUE} is not a valid invitation status'
+      },
+      default: 'pending'
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + INVITATION_TTL_MS)
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient querying
+organizationInvitationSchema.index({ email: 1, status: 1 });
+organizationInvitationSchema.index({ organizationId: 1, email: 1, status: 1 });
+
+// Virtual to check if invitation has expired
+organizationInvitationSchema.virtual('isExpired').get(function () {
+  return this.expiresAt < new Date();
+});
+
+// Instance method to get safe object
+organizationInvitationSchema.methods.toSafeObject = function () {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Instance method to extend expiry when an invitation is re-sent
+organizationInvitationSchema.methods.renew = function () {
+  this.expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+};
+
+const OrganizationInvitation = mongoose.model('OrganizationInvitation', organizationInvitationSchema);
+
+module.exports = OrganizationInvitation;
@@ -0,0 +1,241 @@
+/**
+ * Organization Model
+ * MongoDB schema for workspace accounts that own a tier and pool usage across members
+ */
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Organization:
+ *       type: object
+ *       required:
+ *         - name
+ *         - ownerId
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated organization ID
+ *         name:
+ *           type: string
+ *           description: Organization name
+ *         ownerId:
+ *           type: string
+ *           description: User who created the organization
+ *         tier:
+ *           type: string
+ *           description: Reference to the organization's subscription tier (shared by all members)
+ *         members:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrganizationMember'
+ *         currentMonthUsage:
+ *           type: object
+ *           description: Pooled usage of all members this month
+ *           properties:
+ *             duration:
+ *               type: number
+ *               description: Cached total duration used this month (seconds)
+ *             lastReset:
+ *               type: string
+ *               format: date-time
+ *             month:
+ *               type: number
+ *             year:
+ *               type: number
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     OrganizationMember:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [admin, member]
+ *           description: Admins manage members and see per-member usage
+ *         joinedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const memberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Member user ID is required']
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ['admin', 'member'],
+        message: '{VALUE} is not a valid organization role'
+      },
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Organization name is required'],
+      trim: true,
+      minlength: [2, 'Organization name must be at least 2 characters'],
+      maxlength: [100, 'Organization name cannot exceed 100 characters']
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Owner is required']
+    },
+    tier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TierConfig',
+      required: true
+    },
+    members: {
+      type: [memberSchema],
+      default: []
+    },
+    currentMonthUsage: {
+      duration: {
+        type: Number,
+        default: 0,
+        min: [0, 'Duration cannot be negative']
+      },
+      lastReset: {
+        type: Date,
+        default: Date.now
+      },
+      month: {
+        type: Number,
+        min: 1,
+        max: 12,
+        default: function() {
+          return new Date().getUTCMonth() + 1;
+        }
+      },
+      year: {
+        type: Number,
+        default: function() {
+          return new Date().getUTCFullYear();
+        }
+      }
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes
+organizationSchema.index({ 'members.userId': 1 });
+organizationSchema.index({ tier: 1 });
+
+// Instance method to get safe object
+organizationSchema.methods.toSafeObject = function () {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Instance method to find a member entry
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find(m => (m.userId._id || m.userId).toString() === userId.toString()) || null;
+};
+
+// Instance method to check if user is an organization admin
+organizationSchema.methods.isAdmin = function(userId) {
+  return this.getMember(userId)?.role === 'admin';
+};
+
+// Instance method to check if usage cache needs reset
+organizationSchema.methods.needsUsageReset = function() {
+  const now = new Date();
+  return (
+    this.currentMonthUsage.month !== now.getUTCMonth() + 1 ||
+    this.currentMonthUsage.year !== now.getUTCFullYear()
+  );
+};
+
+// Instance method to reset monthly usage cache
+organizationSchema.methods.resetMonthlyUsage = function() {
+  const now = new Date();
+  this.currentMonthUsage.duration = 0;
+  this.currentMonthUsage.lastReset = now;
+  this.currentMonthUsage.month = now.getUTCMonth() + 1;
+  this.currentMonthUsage.year = now.getUTCFullYear();
+};
+
+// Instance method to get remaining pooled duration quota
+organizationSchema.methods.getRemainingDuration = async function() {
+  await this.populate('tier');
+
+  if (this.needsUsageReset()) {
+    this.resetMonthlyUsage();
+  }
+
+  if (this.tier.limits.monthlyDuration === -1) {
+    return -1; // Unlimited
+  }
+
+  return Math.max(0, this.tier.limits.monthlyDuration - this.currentMonthUsage.duration);
+};
+
+// Instance method to check if a member can upload file against the pooled quota
+// Returns the same shape as User#canUploadFile
+organizationSchema.methods.canUploadFile = async function(durationInSeconds, fileSizeInBytes) {
+  await this.populate('tier');
+
+  if (this.needsUsageReset()) {
+    this.resetMonthlyUsage();
+  }
+
+  if (fileSizeInBytes > this.tier.limits.maxFileSize) {
+    return {
+      allowed: false,
+      reason: 'file_size_exceeded',
+      limit: this.tier.limits.maxFileSize,
+      current: fileSizeInBytes
+    };
+  }
+
+  if (this.tier.limits.monthlyDuration !== -1) {
+    const totalUsage = this.currentMonthUsage.duration + durationInSeconds;
+    if (totalUsage > this.tier.limits.monthlyDuration) {
+      return {
+        allowed: false,
+        reason: 'duration_limit_exceeded',
+        limit: this.tier.limits.monthlyDuration,
+        current: this.currentMonthUsage.duration,
+        requested: durationInSeconds
+      };
+    }
+  }
+
+  return {
+    allowed: true,
+    remaining: this.tier.limits.monthlyDuration === -1
+      ? -1
+      : this.tier.limits.monthlyDuration - this.currentMonthUsage.duration
+  };
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+module.exports = Organization;
@@ -0,0 +1,125 @@
+/**
+ * Personal Access Token Model
+ * User-managed API keys for scripts and CI, limited to a set of scopes
+ */
+const mongoose = require('mongoose');
+const { SCOPES, hashAccessToken } = require('../core/utils/token-scopes');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PersonalAccessToken:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "CI uploads"
+ *         prefix:
+ *           type: string
+ *           description: First characters of the token, to recognize it
+ *           example: "meno_pat_Xk3v9QbT"
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [projects:read, meetings:read, meetings:write, search, action_items:write]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Never expires when empty
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const personalAccessTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Token name is required'],
+      trim: true,
+      maxlength: [100, 'Token name cannot exceed 100 characters']
+    },
+    // SHA-256 of the token; the token itself is only returned when it is created
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    prefix: {
+      type: String,
+      required: true
+    },
+    scopes: {
+      type: [{
+        type: String,
+        enum: Object.values(SCOPES)
+      }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required'
+      }
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedIp: {
+      type: String,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Instance method to check whether the token can still be used
+personalAccessTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Instance method to get safe token object (without hash)
+personalAccessTokenSchema.methods.toSafeObject = function () {
+  const obj = this.toObject();
+  delete obj.tokenHash;
+  delete obj.__v;
+  return obj;
+};
+
+// Static method to find the usable token matching a plain token string
+personalAccessTokenSchema.statics.findActiveByToken = async function (token) {
+  const accessToken = await this.findOne({ tokenHash: hashAccessToken(token) });
+  return accessToken && accessToken.isActive() ? accessToken : null;
+};
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+
+module.exports = PersonalAccessToken;
@@ -0,0 +1,44 @@
+/**
+ * Soft Delete Plugin
+ * Adds deletedAt/deletedBy to a schema and hides soft-deleted documents from reads
+ *
+ * find, findOne, countDocuments and distinct (and therefore populate) only match
+ * documents whose deletedAt is null, unless the filter mentions deletedAt itself or
+ * the query sets the withDeleted option:
+ *   Meeting.findById(id).setOptions({ withDeleted: true })
+ * Aggregation pipelines and updates are not filtered; add { deletedAt: null } to a
+ * pipeline's $match where trashed documents must be left out.
+ */
+const mongoose = require('mongoose');
+
+const READ_OPERATIONS = ['find', 'findOne', 'countDocuments', 'distinct'];
+
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(READ_OPERATIONS, function () {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  // Instance method to check whether the document is in the trash
+  schema.methods.isDeleted = function () {
+    return this.deletedAt != null;
+  };
+};
+
+module.exports = softDeletePlugin;
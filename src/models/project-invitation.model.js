@@ -0,0 +1,120 @@
+/**
+ * Project Invitation Model
+ * MongoDB schema for pending invitations to collaborate on a project
+ */
+const mongoose = require('mongoose');
+const { MEMBER_ROLES } = require('../core/utils/project-roles');
+
+// Invitations expire after 14 days unless re-sent
+const INVITATION_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProjectInvitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated invitation ID
+ *         projectId:
+ *           type: string
+ *           description: Project the invitee will join
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Invitee email address
+ *         role:
+ *           type: string
+ *           enum: [editor, viewer]
+ *         invitedBy:
+ *           type: string
+ *           description: User ID of the inviter
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, revoked]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const projectInvitationSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project ID is required'],
+      index: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      enum: {
+        values: MEMBER_ROLES,
+        message: '{VALUE} is not a valid member role'
+      },
+      required: [true, 'Role is required']
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Inviter is required']
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'accepted', 'declined', 'revoked'],
+        message: '{VALUE} is not a valid invitation status'
+      },
+      default: 'pending'
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + INVITATION_TTL_MS)
+    },
+    respondedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Compound indexes for efficient querying
+projectInvitationSchema.index({ email: 1, status: 1 });
+projectInvitationSchema.index({ projectId: 1, email: 1, status: 1 });
+
+// Virtual to check if invitation has expired
+projectInvitationSchema.virtual('isExpired').get(function () {
+  return this.expiresAt < new Date();
+});
+
+// Instance method to get safe object
+projectInvitationSchema.methods.toSafeObject = function () {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+// Instance method to extend expiry when an invitation is re-sent
+projectInvitationSchema.methods.renew = function () {
+  this.expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+};
+
+const ProjectInvitation = mongoose.model('ProjectInvitation', projectInvitationSchema);
+
+module.exports = ProjectInvitation;
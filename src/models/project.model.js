@@ -3,6 +3,8 @@
  * MongoDB schema for project data
  */
 const mongoose = require('mongoose');
+const { MEMBER_ROLES } = require('../core/utils/project-roles');
+const softDeletePlugin = require('./plugins/soft-delete.plugin');
 
 /**
  * @swagger
@@ -29,14 +31,64 @@ const mongoose = require('mongoose');
  *         userId:
  *           type: string
  *           description: Owner user ID
+ *         members:
+ *           type: array
+ *           description: Collaborators with access to the project
+ *           items:
+ *             $ref: '#/components/schemas/ProjectMember'
+ *         role:
+ *           type: string
+ *           enum: [owner, editor, viewer]
+ *           description: The requesting user's role (included in list and detail responses)
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the project was moved to the trash
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     ProjectMember:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *           description: Collaborator user ID
+ *         role:
+ *           type: string
+ *           enum: [editor, viewer]
+ *           description: Editors can modify meetings and transcripts, viewers have read-only access
+ *         addedAt:
+ *           type: string
+ *           format: date-time
  */
 
+const memberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Member user ID is required']
+    },
+    role: {
+      type: String,
+      enum: {
+        values: MEMBER_ROLES,
+        message: '{VALUE} is not a valid member role'
+      },
+      required: [true, 'Member role is required']
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
 const projectSchema = new mongoose.Schema(
   {
     name: {
@@ -56,6 +108,10 @@ const projectSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: [true, 'User ID is required']
+    },
+    members: {
+      type: [memberSchema],
+      default: []
     }
   },
   {
@@ -65,9 +121,13 @@ const projectSchema = new mongoose.Schema(
   }
 );
 
+// Trashed projects (deletedAt set) are hidden from queries, see soft-delete.plugin
+projectSchema.plugin(softDeletePlugin);
+
 // Indexes
 // Note: userId already covered by compound index below
 projectSchema.index({ userId: 1, createdAt: -1 });
+projectSchema.index({ 'members.userId': 1 });
 
 // Virtual for meetings count
 projectSchema.virtual('meetings', {
@@ -83,17 +143,25 @@ projectSchema.methods.toSafeObject = function () {
   return obj;
 };
 
+// Static method to build a query matching projects the user owns or is a member of
+// Casts to ObjectId explicitly because the query is also used in aggregation pipelines
+projectSchema.statics.accessibleBy = function (userId) {
+  const id = new mongoose.Types.ObjectId(userId.toString());
+  return { $or: [{ userId: id }, { 'members.userId': id }] };
+};
+
 // Static method to get projects with meeting count
 projectSchema.statics.findWithMeetingCount = async function (query, options = {}) {
   const { page = 1, limit = 10, sort = '-createdAt' } = options;
 
   const projects = await this.aggregate([
-    { $match: query },
+    { $match: { ...query, deletedAt: null } },
     {
       $lookup: {
         from: 'meetings',
         localField: '_id',
         foreignField: 'projectId',
+        pipeline: [{ $match: { deletedAt: null } }, { $project: { _id: 1 } }],
         as: 'meetingsData'
       }
     },
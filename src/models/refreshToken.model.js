@@ -24,6 +24,39 @@ const refreshTokenSchema = new mongoose.Schema({
   revokedAt: {
     type: Date,
     default: null
+  },
+  // Why the token was revoked: rotated, logout, reuse_detected, session_revoked or all_sessions
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  // Every token issued by refreshing the same login shares a family; the family is the device session
+  familyId: {
+    type: String,
+    index: true
+  },
+  // Token issued when this one was rotated
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  // When the session (first token of the family) was created
+  sessionStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
   }
 }, {
   timestamps: true
@@ -40,23 +73,77 @@ refreshTokenSchema.methods.isValid = function() {
   return !this.revoked && this.expiresAt > new Date();
 };
 
+// Instance method to convert a session's current token to a safe object (never exposes the token)
+refreshTokenSchema.methods.toSessionObject = function(currentSessionId = null) {
+  const sessionId = this.familyId || this._id.toString();
+  return {
+    id: sessionId,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    createdAt: this.sessionStartedAt || this.createdAt,
+    lastUsedAt: this.lastUsedAt || this.updatedAt,
+    expiresAt: this.expiresAt,
+    current: sessionId === currentSessionId
+  };
+};
+
 // Static method to revoke token
-refreshTokenSchema.statics.revokeToken = async function(token) {
+refreshTokenSchema.statics.revokeToken = async function(token, reason = 'logout') {
   const refreshToken = await this.findOne({ token });
   if (refreshToken) {
     refreshToken.revoked = true;
     refreshToken.revokedAt = new Date();
+    refreshToken.revokedReason = reason;
     await refreshToken.save();
   }
   return refreshToken;
 };
 
-// Static method to revoke all user tokens
-refreshTokenSchema.statics.revokeAllUserTokens = async function(userId) {
-  await this.updateMany(
-    { userId, revoked: false },
-    { revoked: true, revokedAt: new Date() }
+// Static method to atomically mark a token as rotated into its (already saved) successor;
+// returns null if it was already revoked
+refreshTokenSchema.statics.claimForRotation = async function(tokenId, replacedBy) {
+  return await this.findOneAndUpdate(
+    { _id: tokenId, revoked: false },
+    { revoked: true, revokedAt: new Date(), revokedReason: 'rotated', replacedBy },
+    { new: true }
+  );
+};
+
+// Static method to revoke every active token of a session (token family)
+refreshTokenSchema.statics.revokeFamily = async function(userId, familyId, reason) {
+  // Tokens issued before families existed are their own session
+  const filter = mongoose.Types.ObjectId.isValid(familyId) && familyId.length === 24
+    ? { $or: [{ familyId }, { _id: familyId, familyId: { $exists: false } }] }
+    : { familyId };
+
+  const result = await this.updateMany(
+    { ...filter, userId, revoked: false },
+    { revoked: true, revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to find the active sessions of a user (one current token per family)
+refreshTokenSchema.statics.findActiveSessions = async function(userId) {
+  return await this.find({
+    userId,
+    revoked: false,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke all user tokens, optionally keeping one session
+refreshTokenSchema.statics.revokeAllUserTokens = async function(userId, { reason = 'all_sessions', exceptFamilyId = null } = {}) {
+  const filter = { userId, revoked: false };
+  if (exceptFamilyId) {
+    filter.familyId = { $ne: exceptFamilyId };
+  }
+
+  const result = await this.updateMany(
+    filter,
+    { revoked: true, revokedAt: new Date(), revokedReason: reason }
   );
+  return result.modifiedCount;
 };
 
 // Static method to clean up revoked tokens (optional cleanup)
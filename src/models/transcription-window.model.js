@@ -0,0 +1,73 @@
+/**
+ * Transcription Window Model
+ * Checkpoints for chunked transcription of long recordings
+ *
+ * One document per completed audio window. When a transcription job is retried,
+ * windows that already have a checkpoint are skipped. Checkpoints are removed once
+ * the stitched transcript is saved, and expire on their own if a job is abandoned.
+ */
+const mongoose = require('mongoose');
+
+const windowSegmentSchema = new mongoose.Schema(
+  {
+    startTime: { type: Number, required: true },
+    endTime: { type: Number, required: true },
+    speaker: { type: String, required: true },
+    text: { type: String, default: '' }
+  },
+  { _id: false }
+);
+
+const transcriptionWindowSchema = new mongoose.Schema(
+  {
+    meetingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting',
+      required: [true, 'Meeting ID is required']
+    },
+    index: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    startMs: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    endMs: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Window plan the checkpoint belongs to; checkpoints from a different plan are discarded
+    windowMs: {
+      type: Number,
+      required: true
+    },
+    overlapMs: {
+      type: Number,
+      required: true
+    },
+    // Segments with absolute timestamps and the window's own speaker labels
+    segments: {
+      type: [windowSegmentSchema],
+      default: []
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+transcriptionWindowSchema.index({ meetingId: 1, index: 1 }, { unique: true });
+transcriptionWindowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TranscriptionWindow = mongoose.model('TranscriptionWindow', transcriptionWindowSchema);
+
+module.exports = TranscriptionWindow;
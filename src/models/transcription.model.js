@@ -93,6 +93,11 @@ const transcriptionSchema = new mongoose.Schema(
       required: false,
       select: false // Don't return by default to reduce payload size
     },
+    embeddingModel: {
+      type: String,
+      default: undefined,
+      select: false // Provider signature (provider:model:dimensions) that produced the embedding
+    },
     isEdited: {
       type: Boolean,
       default: false
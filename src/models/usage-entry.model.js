@@ -0,0 +1,183 @@
+/**
+ * Usage Entry Model
+ * Append-only ledger of transcription minutes charged to and credited back to users
+ *
+ * Every upload or live recording adds a charge (positive seconds) for the month it
+ * happened in; refunds add a credit (negative seconds) for the same month as the
+ * charge they reverse. Monthly usage is the sum of a month's entries, and the
+ * currentMonthUsage counters on users and organizations are only a cache of it.
+ */
+const mongoose = require('mongoose');
+const { UsageEntryReason } = require('../core/constants');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UsageEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         meetingId:
+ *           type: string
+ *           nullable: true
+ *         meetingTitle:
+ *           type: string
+ *           description: Title at the time of the charge (kept after the meeting is deleted)
+ *         seconds:
+ *           type: number
+ *           description: Positive for charges, negative for credits
+ *         reason:
+ *           type: string
+ *           enum: [upload, live_recording, transcription_retry, retranscription, transcription_failed, meeting_deleted, meeting_restored, meeting_copy, bundle_import, backfill]
+ *         year:
+ *           type: integer
+ *         month:
+ *           type: integer
+ *           description: Month (1-12, UTC) the entry counts towards
+ *         refundOf:
+ *           type: string
+ *           nullable: true
+ *           description: Charge reversed by this credit
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const usageEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    // Organization whose pooled quota the entry counts towards, at the time of the charge
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null
+    },
+    meetingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting',
+      default: null
+    },
+    meetingTitle: {
+      type: String,
+      default: null
+    },
+    seconds: {
+      type: Number,
+      required: [true, 'Seconds are required']
+    },
+    reason: {
+      type: String,
+      enum: Object.values(UsageEntryReason),
+      required: [true, 'Reason is required']
+    },
+    year: {
+      type: Number,
+      required: true
+    },
+    month: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 12
+    },
+    refundOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'UsageEntry',
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Indexes
+usageEntrySchema.index({ userId: 1, year: 1, month: 1 });
+usageEntrySchema.index({ organizationId: 1, year: 1, month: 1 });
+usageEntrySchema.index({ meetingId: 1 });
+// A charge can only be refunded once
+usageEntrySchema.index(
+  { refundOf: 1 },
+  { unique: true, partialFilterExpression: { refundOf: { $type: 'objectId' } } }
+);
+
+// Instance method to get safe entry object
+usageEntrySchema.methods.toSafeObject = function () {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+/**
+ * Billing period (UTC month) of a date
+ * @param {Date} date - Date (defaults to now)
+ * @returns {Object} { year, month }
+ */
+usageEntrySchema.statics.periodOf = function (date = new Date()) {
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 };
+};
+
+/**
+ * Net seconds of the entries matching a filter in one period
+ * @param {Object} filter - { userId } or { organizationId }
+ * @param {Object} period - { year, month }
+ * @returns {Promise<number>} Net seconds (never below zero)
+ */
+usageEntrySchema.statics.sumForPeriod = async function (filter, { year, month }) {
+  const [result] = await this.aggregate([
+    { $match: { ...castIds(filter), year, month } },
+    { $group: { _id: null, seconds: { $sum: '$seconds' } } }
+  ]);
+  return Math.max(0, result?.seconds || 0);
+};
+
+/**
+ * Net seconds per month, user and meeting since a period
+ * @param {Object} filter - { userId } or { organizationId } (ID values may be arrays)
+ * @param {Object} since - First { year, month } to include
+ * @returns {Promise<Array>} [{ year, month, userId, meetingId, seconds }]
+ */
+usageEntrySchema.statics.netByMeeting = async function (filter, since) {
+  const rows = await this.aggregate([
+    {
+      $match: {
+        ...castIds(filter),
+        $or: [
+          { year: { $gt: since.year } },
+          { year: since.year, month: { $gte: since.month } }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: { year: '$year', month: '$month', userId: '$userId', meetingId: '$meetingId' },
+        seconds: { $sum: '$seconds' }
+      }
+    }
+  ]);
+
+  return rows.map(row => ({ ...row._id, seconds: row.seconds }));
+};
+
+/**
+ * Cast ID filter values for aggregation pipelines (which do not cast)
+ * @private
+ */
+function castIds(filter) {
+  const toId = id => new mongoose.Types.ObjectId(id.toString());
+  return Object.fromEntries(
+    Object.entries(filter).map(([key, value]) => [
+      key,
+      Array.isArray(value) ? { $in: value.map(toId) } : toId(value)
+    ])
+  );
+}
+
+const UsageEntry = mongoose.model('UsageEntry', usageEntrySchema);
+
+module.exports = UsageEntry;
@@ -5,6 +5,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const TierConfig = require('./tierConfig.model');
+const Organization = require('./organization.model');
 
 /**
  * @swagger
@@ -23,6 +24,23 @@ const TierConfig = require('./tierConfig.model');
  *           type: string
  *           format: email
  *           description: User email (unique)
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the user confirmed the email address (always true for Google accounts)
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         twoFactor:
+ *           type: object
+ *           description: Two-factor authentication status (secrets are never returned)
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             enabledAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
  *         name:
  *           type: string
  *           description: User full name
@@ -44,6 +62,10 @@ const TierConfig = require('./tierConfig.model');
  *           type: string
  *           enum: [active, inactive, suspended]
  *           description: User account status
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *           description: System role (admins can manage users, tiers and view system usage)
  *         tier:
  *           type: string
  *           description: Reference to user's subscription tier
@@ -51,12 +73,15 @@ const TierConfig = require('./tierConfig.model');
  *           type: string
  *           format: date-time
  *           description: When the current tier started
+ *         organizationId:
+ *           type: string
+ *           description: Organization whose tier and pooled quota apply to this user (null for individual accounts)
  *         currentMonthUsage:
  *           type: object
  *           properties:
  *             duration:
  *               type: number
- *               description: Cached total duration used this month (seconds)
+ *               description: Net duration used this month (seconds), cached from the usage ledger
  *             lastReset:
  *               type: string
  *               format: date-time
@@ -85,6 +110,14 @@ const userSchema = new mongoose.Schema(
       trim: true,
       match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
     },
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null
+    },
     name: {
       type: String,
       required: [true, 'Name is required'],
@@ -119,6 +152,11 @@ const userSchema = new mongoose.Schema(
       enum: ['active', 'inactive', 'suspended'],
       default: 'active'
     },
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user'
+    },
     tier: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'TierConfig',
@@ -128,6 +166,12 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: Date.now
     },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      default: null,
+      index: true
+    },
     currentMonthUsage: {
       duration: {
         type: Number,
@@ -164,7 +208,56 @@ const userSchema = new mongoose.Schema(
           default: Date.now
         }
       }
-    ]
+    ],
+    // TOTP two-factor authentication (email accounts only; Google accounts rely on Google's MFA)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      enabledAt: {
+        type: Date,
+        default: null
+      },
+      // Encrypted TOTP secret (see core/utils/totp)
+      secret: {
+        type: String,
+        default: null,
+        select: false
+      },
+      // Secret generated by setup, waiting for the first code to confirm it
+      pendingSecret: {
+        type: String,
+        default: null,
+        select: false
+      },
+      // Last accepted time step, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        default: null,
+        select: false
+      },
+      recoveryCodes: {
+        type: [
+          {
+            _id: false,
+            hash: String,
+            usedAt: { type: Date, default: null }
+          }
+        ],
+        select: false
+      },
+      failedAttempts: {
+        type: Number,
+        default: 0,
+        select: false
+      },
+      lockedUntil: {
+        type: Date,
+        default: null,
+        select: false
+      }
+    }
   },
   {
     timestamps: true,
@@ -207,6 +300,9 @@ userSchema.methods.toSafeObject = function () {
   const obj = this.toObject();
   delete obj.__v;
   delete obj.password;
+  if (obj.twoFactor) {
+    obj.twoFactor = { enabled: obj.twoFactor.enabled, enabledAt: obj.twoFactor.enabledAt };
+  }
   return obj;
 };
 
@@ -231,18 +327,40 @@ userSchema.methods.resetMonthlyUsage = function() {
   this.currentMonthUsage.year = now.getUTCFullYear();
 };
 
-// Instance method to add usage to cache
-userSchema.methods.addUsage = function(durationInSeconds) {
-  // Reset cache if we're in a new month
-  if (this.needsUsageReset()) {
-    this.resetMonthlyUsage();
+// Instance method to get the organization whose pooled quota applies, if any
+userSchema.methods.getOrganization = async function() {
+  if (!this.organizationId) {
+    return null;
   }
 
-  this.currentMonthUsage.duration += durationInSeconds;
+  return await Organization.findById(this.organizationId).populate('tier');
+};
+
+// Instance method to get the tier that applies to the user (organization tier for members)
+userSchema.methods.getEffectiveTier = async function() {
+  const organization = await this.getOrganization();
+  if (organization) {
+    return organization.tier;
+  }
+
+  await this.populate('tier');
+  return this.tier;
+};
+
+// Instance method to check if the user's effective tier includes a feature flag
+userSchema.methods.hasFeature = async function(feature) {
+  const tier = await this.getEffectiveTier();
+  return !!tier && tier.features.includes(feature);
 };
 
 // Instance method to get remaining duration quota
 userSchema.methods.getRemainingDuration = async function() {
+  // Organization members draw from the pooled quota
+  const organization = await this.getOrganization();
+  if (organization) {
+    return await organization.getRemainingDuration();
+  }
+
   // Ensure tier is populated
   await this.populate('tier');
 
@@ -262,6 +380,12 @@ userSchema.methods.getRemainingDuration = async function() {
 
 // Instance method to check if user can upload file
 userSchema.methods.canUploadFile = async function(durationInSeconds, fileSizeInBytes) {
+  // Organization members draw from the pooled quota
+  const organization = await this.getOrganization();
+  if (organization) {
+    return await organization.canUploadFile(durationInSeconds, fileSizeInBytes);
+  }
+
   // Ensure tier is populated
   await this.populate('tier');
 
@@ -0,0 +1,128 @@
+/**
+ * Webhook Delivery Model
+ * Log of every event sent (or being sent) to a webhook endpoint
+ *
+ * One document per delivery; BullMQ retries update the same document. A manual
+ * redelivery creates a new document with the same eventId so receivers can dedupe.
+ * Logs expire after 30 days.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         webhookId:
+ *           type: string
+ *         eventId:
+ *           type: string
+ *           description: Event ID, shared by redeliveries of the same event
+ *         event:
+ *           type: string
+ *           example: transcription.completed
+ *         status:
+ *           type: string
+ *           enum: [pending, success, failed]
+ *         attempts:
+ *           type: integer
+ *         responseStatus:
+ *           type: integer
+ *           nullable: true
+ *         error:
+ *           type: string
+ *         durationMs:
+ *           type: integer
+ *         redeliveryOf:
+ *           type: string
+ *           nullable: true
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: [true, 'Webhook ID is required']
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    eventId: {
+      type: String,
+      required: true
+    },
+    event: {
+      type: String,
+      required: true
+    },
+    // Exact JSON body sent to the endpoint
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'success', 'failed'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    responseStatus: {
+      type: Number,
+      default: null
+    },
+    error: {
+      type: String
+    },
+    durationMs: {
+      type: Number
+    },
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+      default: null
+    },
+    deliveredAt: {
+      type: Date
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to get safe delivery object
+webhookDeliverySchema.methods.toSafeObject = function () {
+  const obj = this.toObject();
+  delete obj.__v;
+  delete obj.expiresAt;
+  // Logs written before response bodies stopped being stored
+  delete obj.responseBody;
+  return obj;
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,134 @@
+/**
+ * Webhook Model
+ * User-registered HTTP endpoints that receive signed meeting lifecycle events
+ */
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../core/utils/webhook-events');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       required:
+ *         - url
+ *         - events
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated webhook ID
+ *         userId:
+ *           type: string
+ *           description: Owner of the webhook
+ *         url:
+ *           type: string
+ *           format: uri
+ *           description: Endpoint receiving POST requests
+ *         description:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [meeting.created, transcription.completed, transcription.failed, summary.saved, action_items.generated]
+ *         projectId:
+ *           type: string
+ *           nullable: true
+ *           description: Only send events for this project (all owned projects when empty)
+ *         active:
+ *           type: boolean
+ *         lastDeliveryAt:
+ *           type: string
+ *           format: date-time
+ *         lastDeliveryStatus:
+ *           type: string
+ *           enum: [success, failed]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+const webhookSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true
+    },
+    url: {
+      type: String,
+      required: [true, 'Webhook URL is required'],
+      trim: true,
+      maxlength: [2048, 'Webhook URL cannot exceed 2048 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    // HMAC signing secret; only returned when the webhook is created
+    secret: {
+      type: String,
+      required: true,
+      select: false
+    },
+    events: {
+      type: [{
+        type: String,
+        enum: Object.values(WEBHOOK_EVENTS)
+      }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: 'At least one event is required'
+      }
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null
+    },
+    active: {
+      type: Boolean,
+      default: true
+    },
+    lastDeliveryAt: {
+      type: Date
+    },
+    lastDeliveryStatus: {
+      type: String,
+      enum: ['success', 'failed']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes
+webhookSchema.index({ userId: 1, active: 1, events: 1 });
+
+// Instance method to get safe webhook object (without secret)
+webhookSchema.methods.toSafeObject = function () {
+  const obj = this.toObject();
+  delete obj.secret;
+  delete obj.__v;
+  return obj;
+};
+
+// Static method to find active webhooks subscribed to an event for a project owner
+webhookSchema.statics.findSubscribers = function (userId, event, projectId) {
+  return this.find({
+    userId,
+    active: true,
+    events: event,
+    $or: [{ projectId: null }, { projectId }]
+  });
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
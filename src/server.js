@@ -55,7 +55,9 @@ const start = async () => {
     logger.info('Storage Configuration:', {
       provider: config.storage.provider,
       localPath: config.storage.provider === 'local' ? config.storage.localPath : 'N/A',
-      gcsBucket: config.storage.provider === 'gcs' ? config.storage.gcsBucket : 'N/A'
+      gcsBucket: config.storage.provider === 'gcs' ? config.storage.gcsBucket : 'N/A',
+      s3Bucket: config.storage.provider === 's3' ? config.storage.s3Bucket : 'N/A',
+      s3Endpoint: config.storage.provider === 's3' ? (config.storage.s3Endpoint || 'AWS') : 'N/A'
     });
 
     // Log authentication configuration
@@ -80,6 +82,7 @@ const start = async () => {
     logger.info('Embedding Service Configuration:', {
       provider: config.embedding.provider,
       openaiApiKey: maskSecret(config.embedding.openaiApiKey),
+      apiUrl: config.embedding.apiUrl,
       model: config.embedding.model,
       dimensions: config.embedding.dimensions,
       vectorSearchEnabled: config.embedding.vectorSearchEnabled
@@ -143,10 +146,19 @@ const start = async () => {
       console.log('');
     });
 
+    // Live recording WebSocket endpoint shares the HTTP server
+    const liveRecordingGateway = app.get('liveRecordingGateway');
+    liveRecordingGateway.attach(server);
+
     // Graceful shutdown
     const shutdown = async (signal) => {
       logger.info(`${signal} received, shutting down gracefully...`);
 
+      // Save the audio of recordings still in progress
+      await liveRecordingGateway.close().catch((error) => {
+        logger.error('Failed to finalize live recordings', { error: error.message });
+      });
+
       server.close(async () => {
         logger.info('HTTP server closed');
 
@@ -54,6 +54,47 @@ const queueConfigs = {
       timeout: 60 * 60 * 1000, // 60 minutes timeout for large transcription jobs (>40 mins audio)
     },
   },
+  webhookDelivery: {
+    name: 'webhook-delivery-queue',
+    defaultJobOptions: {
+      ...defaultJobOptions,
+      attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+      backoff: {
+        type: 'exponential',
+        delay: 30 * 1000, // 30s, 1m, 2m, 4m... (about 1 hour over 8 attempts)
+      },
+      timeout: 60 * 1000,
+    },
+  },
+  dataExport: {
+    name: 'data-export-queue',
+    defaultJobOptions: {
+      ...defaultJobOptions,
+      attempts: 2,
+      backoff: {
+        type: 'exponential',
+        delay: 60 * 1000,
+      },
+      timeout: 60 * 60 * 1000, // Archives include every audio file of the account
+    },
+  },
+  trashPurge: {
+    name: 'trash-purge-queue',
+    every: 60 * 60 * 1000, // Look for expired trash every hour
+    defaultJobOptions: {
+      ...defaultJobOptions,
+      attempts: 1, // The next scheduled run picks up anything left behind
+      timeout: 30 * 60 * 1000,
+    },
+  },
+  meetingBatch: {
+    name: 'meeting-batch-queue',
+    defaultJobOptions: {
+      ...defaultJobOptions,
+      attempts: 2, // A retry resumes with the meetings that were not processed yet
+      timeout: 60 * 60 * 1000, // Regenerating action items calls the LLM once per meeting
+    },
+  },
   // Future queue configurations can be added here
 };
 
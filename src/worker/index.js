@@ -17,9 +17,25 @@ const TranscriptionServiceFactory = require('../core/services/transcription-serv
 const TranscriptionDataService = require('../core/services/transcription-data.service');
 const EmbeddingService = require('../core/services/embedding.service');
 const RetrievalService = require('../core/services/retrieval.service');
+const LineService = require('../core/services/line.service');
+const IntegrationNotificationService = require('../core/services/integration-notification.service');
+const WebhookService = require('../core/services/webhook.service');
+const AccountDataService = require('../core/services/account-data.service');
+const UsageService = require('../core/services/usage.service');
+const ProjectService = require('../core/services/project.service');
+const TrashService = require('../core/services/trash.service');
+const MeetingBatchService = require('../core/services/meeting-batch.service');
+const AuthorizationService = require('../core/services/authorization.service');
+const ActionItemService = require('../core/services/action-item.service');
+const queueService = require('../core/queue/queue.service');
 const { redisConnection, workerConfig, queueConfigs } = require('./config/queue.config');
 const { JOB_TYPES, QUEUE_NAMES } = require('../core/queue/job-types');
 const processTranscriptionJob = require('./processors/transcription.processor');
+const processWebhookDeliveryJob = require('./processors/webhook-delivery.processor');
+const processDataExportJob = require('./processors/data-export.processor');
+const processTrashPurgeJob = require('./processors/trash-purge.processor');
+const processMeetingBatchJob = require('./processors/meeting-batch.processor');
+const transcriptionEvents = require('../core/queue/transcription-events');
 
 // Import all models to register them with Mongoose
 // This is needed for populate() to work correctly
@@ -29,6 +45,13 @@ require('../models/meeting.model');
 require('../models/transcription.model');
 require('../models/person.model');
 require('../models/action-item.model');
+require('../models/integration.model');
+require('../models/webhook.model');
+require('../models/webhook-delivery.model');
+require('../models/data-export.model');
+require('../models/usage-entry.model');
+require('../models/chat-conversation.model');
+require('../models/meeting-batch.model');
 
 /**
  * Parse command line arguments
@@ -36,7 +59,7 @@ require('../models/action-item.model');
 function parseArguments() {
   const args = process.argv.slice(2);
   const options = {
-    jobTypes: ['transcription'], // Default job types to process
+    jobTypes: ['transcription', 'webhook-delivery', 'data-export', 'trash-purge', 'meeting-batch'], // Default job types to process
     concurrency: null, // Will use env var or default if not specified
     help: false,
   };
@@ -87,8 +110,10 @@ Usage:
 
 Options:
   --type, -t <types>         Job types to process (comma-separated)
-                             Default: transcription
-                             Example: --type transcription,embedding
+                             Default: transcription,webhook-delivery,data-export,trash-purge,meeting-batch
+                             Available: transcription, transcription-large, webhook-delivery, data-export,
+                                        trash-purge, meeting-batch
+                             Example: --type transcription,webhook-delivery
 
   --concurrency, -c <num>    Number of concurrent jobs to process
                              Default: WORKER_CONCURRENCY env var or 2
@@ -102,6 +127,9 @@ Environment Variables:
   REDIS_PORT                 Redis port (default: 6379)
   MONGODB_URI                MongoDB connection string
   TRANSCRIPTION_PROVIDER     Transcription service provider (mock, gemini)
+  WEBHOOK_TIMEOUT_MS         Timeout for outbound webhook requests (default: 10000)
+  DATA_EXPORT_EXPIRY_DAYS    Days an account data export can be downloaded (default: 7)
+  TRASH_RETENTION_DAYS       Days deleted projects and meetings stay restorable (default: 30)
 
 Examples:
   # Start worker with default settings
@@ -113,8 +141,8 @@ Examples:
   # Short form
   node src/worker/index.js -t transcription -c 5
 
-  # Multiple job types (future)
-  node src/worker/index.js -t transcription,embedding -c 3
+  # Transcription and webhook deliveries in one process
+  node src/worker/index.js -t transcription,webhook-delivery -c 3
 `);
 }
 
@@ -137,7 +165,9 @@ function initializeServices() {
   const audioStorageProvider = StorageFactory.createProvider(logger, {
     provider: process.env.STORAGE_PROVIDER || 'local',
     basePath: process.env.LOCAL_STORAGE_PATH || './storage',
-    bucket: process.env.GCS_BUCKET_NAME || 'audio-files',
+    bucket: process.env.STORAGE_PROVIDER === 's3'
+      ? process.env.AWS_BUCKET_NAME
+      : (process.env.GCS_BUCKET_NAME || 'audio-files'),
     projectId: process.env.GCS_PROJECT_ID,
     keyFilename: process.env.GCS_KEYFILE_PATH,
   });
@@ -161,16 +191,24 @@ function initializeServices() {
 
   logger.info('✅ Transcription data service initialized');
 
-  // Initialize meeting service with minimal dependencies (worker only needs DB access)
+  // Initialize webhook service (outbound meeting events)
+  const webhookService = new WebhookService(logger);
+
+  // Initialize usage service (credits failed transcriptions back to the ledger)
+  const usageService = new UsageService(logger);
+
+  // Initialize meeting service with minimal dependencies (bulk operations also need authorization and action items)
   const meetingService = new MeetingService(
     logger,
     null, // fileService - not needed in worker
-    null, // projectService - not needed in worker
+    null, // projectService - will be set after project service
     null, // transcriptionService - will be set after factory
     transcriptionDataService,
     audioStorageProvider,
-    null, // authorizationService - not needed in worker
-    null  // actionItemService - not needed in worker
+    new AuthorizationService(logger),
+    new ActionItemService(logger),
+    webhookService,
+    usageService
   );
 
   logger.info('✅ Meeting service initialized (minimal dependencies for worker)');
@@ -189,10 +227,40 @@ function initializeServices() {
     provider: config.transcription.provider,
   });
 
+  // Initialize integration notifications (LINE "transcription complete" pushes)
+  const lineService = new LineService(logger);
+  const integrationNotificationService = new IntegrationNotificationService(logger, lineService);
+
+  logger.info('✅ Integration notification service initialized');
+
+  // Initialize account data service (export archives only; deletion runs in the API)
+  const accountDataService = new AccountDataService(
+    logger,
+    audioStorageProvider,
+    transcriptionDataService,
+    null, // projectService - not needed in worker
+    null, // userService - not needed in worker
+    null // fileService - not needed in worker
+  );
+
+  // Initialize trash service (scheduled purge of expired trash)
+  const projectService = new ProjectService(logger, meetingService);
+  const trashService = new TrashService(logger, meetingService, projectService);
+
+  // Bulk meeting operations run MeetingService methods as the requesting user
+  meetingService.projectService = projectService;
+  const meetingBatchService = new MeetingBatchService(logger, meetingService, projectService);
+
   return {
     transcriptionService,
     transcriptionDataService,
     audioStorageProvider,
+    integrationNotificationService,
+    webhookService,
+    accountDataService,
+    usageService,
+    trashService,
+    meetingBatchService,
   };
 }
 
@@ -419,6 +487,154 @@ async function startWorker() {
       logger.info('✅ Transcription-large worker created');
     }
 
+    // Create webhook delivery worker if included in job types
+    if (cliOptions.jobTypes.includes(JOB_TYPES.WEBHOOK_DELIVERY)) {
+      const webhookDeliveryWorker = new Worker(
+        QUEUE_NAMES[JOB_TYPES.WEBHOOK_DELIVERY],
+        async (job) => {
+          return await processWebhookDeliveryJob(job, services);
+        },
+        {
+          connection: redisConnection,
+          concurrency: concurrency,
+        }
+      );
+
+      // Worker event handlers
+      webhookDeliveryWorker.on('failed', (job, error) => {
+        logger.warn('Webhook delivery job failed', {
+          jobId: job?.id,
+          jobType: JOB_TYPES.WEBHOOK_DELIVERY,
+          deliveryId: job?.data?.deliveryId,
+          error: error.message,
+          attemptsMade: job?.attemptsMade,
+          attemptsRemaining: job ? ((job.opts?.attempts || 1) - job.attemptsMade) : 0,
+        });
+      });
+
+      webhookDeliveryWorker.on('error', (error) => {
+        logger.error('Worker error', {
+          jobType: JOB_TYPES.WEBHOOK_DELIVERY,
+          error: error.message,
+          stack: error.stack,
+        });
+      });
+
+      workers.push({ type: JOB_TYPES.WEBHOOK_DELIVERY, worker: webhookDeliveryWorker });
+      logger.info('✅ Webhook delivery worker created');
+    }
+
+    // Create data export worker if included in job types
+    if (cliOptions.jobTypes.includes(JOB_TYPES.DATA_EXPORT)) {
+      const dataExportWorker = new Worker(
+        QUEUE_NAMES[JOB_TYPES.DATA_EXPORT],
+        async (job) => {
+          return await processDataExportJob(job, services);
+        },
+        {
+          connection: redisConnection,
+          concurrency: 1, // Archives hold one audio file in memory at a time
+        }
+      );
+
+      // Worker event handlers
+      dataExportWorker.on('failed', (job, error) => {
+        logger.error('Job failed', {
+          jobId: job?.id,
+          jobType: JOB_TYPES.DATA_EXPORT,
+          exportId: job?.data?.exportId,
+          error: error.message,
+          attemptsMade: job?.attemptsMade,
+          attemptsRemaining: job ? ((job.opts?.attempts || 1) - job.attemptsMade) : 0,
+        });
+      });
+
+      dataExportWorker.on('error', (error) => {
+        logger.error('Worker error', {
+          jobType: JOB_TYPES.DATA_EXPORT,
+          error: error.message,
+          stack: error.stack,
+        });
+      });
+
+      workers.push({ type: JOB_TYPES.DATA_EXPORT, worker: dataExportWorker });
+      logger.info('✅ Data export worker created');
+    }
+
+    // Create trash purge worker if included in job types
+    if (cliOptions.jobTypes.includes(JOB_TYPES.TRASH_PURGE)) {
+      const trashPurgeWorker = new Worker(
+        QUEUE_NAMES[JOB_TYPES.TRASH_PURGE],
+        async (job) => {
+          return await processTrashPurgeJob(job, services);
+        },
+        {
+          connection: redisConnection,
+          concurrency: 1,
+        }
+      );
+
+      // Worker event handlers
+      trashPurgeWorker.on('failed', (job, error) => {
+        logger.error('Job failed', {
+          jobId: job?.id,
+          jobType: JOB_TYPES.TRASH_PURGE,
+          error: error.message,
+        });
+      });
+
+      trashPurgeWorker.on('error', (error) => {
+        logger.error('Worker error', {
+          jobType: JOB_TYPES.TRASH_PURGE,
+          error: error.message,
+          stack: error.stack,
+        });
+      });
+
+      // The schedule lives in Redis; re-registering it on every start is harmless
+      await queueService.scheduleTrashPurge();
+
+      workers.push({ type: JOB_TYPES.TRASH_PURGE, worker: trashPurgeWorker });
+      logger.info('✅ Trash purge worker created');
+    }
+
+    // Create meeting batch worker if included in job types
+    if (cliOptions.jobTypes.includes(JOB_TYPES.MEETING_BATCH)) {
+      const meetingBatchWorker = new Worker(
+        QUEUE_NAMES[JOB_TYPES.MEETING_BATCH],
+        async (job) => {
+          return await processMeetingBatchJob(job, services);
+        },
+        {
+          connection: redisConnection,
+          concurrency: concurrency,
+        }
+      );
+
+      // Worker event handlers
+      meetingBatchWorker.on('failed', (job, error) => {
+        logger.error('Job failed', {
+          jobId: job?.id,
+          jobType: JOB_TYPES.MEETING_BATCH,
+          batchId: job?.data?.batchId,
+          error: error.message,
+          attemptsMade: job?.attemptsMade,
+          attemptsRemaining: job ? ((job.opts?.attempts || 1) - job.attemptsMade) : 0,
+        });
+      });
+
+      meetingBatchWorker.on('error', (error) => {
+        logger.error('Worker error', {
+          jobType: JOB_TYPES.MEETING_BATCH,
+          error: error.message,
+          stack: error.stack,
+        });
+      });
+
+      workers.push({ type: JOB_TYPES.MEETING_BATCH, worker: meetingBatchWorker });
+      logger.info('✅ Meeting batch worker created');
+    }
+
     // Future: Add other job type workers here
     // if (cliOptions.jobTypes.includes(JOB_TYPES.EMBEDDING)) { ... }
 
@@ -441,6 +657,9 @@ async function startWorker() {
           logger.info('Worker closed', { jobType: type });
         }
 
+        // Close live progress publisher
+        await transcriptionEvents.close();
+
         // Close MongoDB connection
         const mongoose = require('mongoose');
         await mongoose.connection.close();
@@ -0,0 +1,50 @@
+/**
+ * Data Export Job Processor
+ *
+ * Assembles the zip of a user's account data and stores it for download.
+ * A failed build throws so BullMQ retries the job.
+ */
+
+const logger = require('../../components/logging');
+
+/**
+ * Process a data export job
+ *
+ * @param {object} job - BullMQ job object
+ * @param {object} job.data - Job data
+ * @param {string} job.data.exportId - DataExport ID
+ * @param {object} services - Injected services
+ * @returns {Promise<object>} Processing result
+ */
+async function processDataExportJob(job, services) {
+  const { exportId } = job.data;
+  const { accountDataService } = services;
+
+  logger.info('Processing data export job', {
+    jobId: job.id,
+    exportId,
+    attempt: job.attemptsMade + 1,
+  });
+
+  try {
+    const result = await accountDataService.buildExport(exportId);
+
+    logger.info('Data export job completed', {
+      jobId: job.id,
+      ...result,
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Data export job failed', {
+      jobId: job.id,
+      exportId,
+      error: error.message,
+    });
+
+    // Re-throw error so BullMQ can handle retry logic
+    throw error;
+  }
+}
+
+module.exports = processDataExportJob;
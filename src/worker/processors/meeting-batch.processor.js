@@ -0,0 +1,50 @@
+/**
+ * Meeting Batch Job Processor
+ *
+ * Applies a bulk operation (move, delete, re-transcribe, regenerate action items)
+ * to the meetings of a MeetingBatch, recording progress on the batch as it goes.
+ */
+
+const logger = require('../../components/logging');
+
+/**
+ * Process a meeting batch job
+ *
+ * @param {object} job - BullMQ job object
+ * @param {object} job.data - Job data
+ * @param {string} job.data.batchId - MeetingBatch ID
+ * @param {object} services - Injected services
+ * @returns {Promise<object>} Batch result counts
+ */
+async function processMeetingBatchJob(job, services) {
+  const { batchId } = job.data;
+  const { meetingBatchService } = services;
+
+  logger.info('Processing meeting batch job', {
+    jobId: job.id,
+    batchId,
+    attempt: job.attemptsMade + 1,
+  });
+
+  try {
+    const result = await meetingBatchService.processBatch(batchId);
+
+    logger.info('Meeting batch job completed', {
+      jobId: job.id,
+      ...result,
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Meeting batch job failed', {
+      jobId: job.id,
+      batchId,
+      error: error.message,
+    });
+
+    // Re-throw error so BullMQ can handle retry logic
+    throw error;
+  }
+}
+
+module.exports = processMeetingBatchJob;
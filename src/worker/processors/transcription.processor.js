@@ -10,6 +10,9 @@ const path = require('path');
 const fs = require('fs').promises;
 const Meeting = require('../../models/meeting.model');
 const logger = require('../../components/logging');
+const transcriptionEvents = require('../../core/queue/transcription-events');
+const { WEBHOOK_EVENTS } = require('../../core/utils/webhook-events');
+const { UsageEntryReason } = require('../../core/constants');
 
 /**
  * Process a transcription job
@@ -24,7 +27,14 @@ const logger = require('../../components/logging');
  */
 async function processTranscriptionJob(job, services) {
   const { meetingId, audioUri, options } = job.data;
-  const { transcriptionService, transcriptionDataService, audioStorageProvider } = services;
+  const {
+    transcriptionService,
+    transcriptionDataService,
+    audioStorageProvider,
+    integrationNotificationService,
+    webhookService,
+    usageService
+  } = services;
 
   let tempFilePath = null;
 
@@ -55,6 +65,7 @@ async function processTranscriptionJob(job, services) {
     // Call transcription service with retry logic for 503 errors
     // For Gemini streaming: service handles incremental saves internally
     // For mock service: returns all segments at once
+    // Long recordings are chunked by Gemini and resume from checkpointed windows on retry
     const segments = await retryTranscription(async () => {
       return await transcriptionService.transcribeAudio(
         audioFilePath,
@@ -84,7 +95,8 @@ async function processTranscriptionJob(job, services) {
 
     // Update meeting status to completed
     // (Gemini streaming already sets this, but safe to set again)
-    const meeting = await Meeting.findById(meetingId);
+    // Meetings moved to the trash meanwhile are still updated so they can be restored intact
+    const meeting = await Meeting.findById(meetingId).setOptions({ withDeleted: true });
     if (meeting && meeting.transcriptionStatus !== 'completed') {
       await meeting.updateTranscriptionProgress('completed', 100);
     }
@@ -94,7 +106,7 @@ async function processTranscriptionJob(job, services) {
     if (transcriptionService.constructor.name === 'MockTranscriptionService') {
       logger.info('Generating title and description for mock transcription', { meetingId });
       try {
-        const meetingDoc = await Meeting.findById(meetingId);
+        const meetingDoc = await Meeting.findById(meetingId).setOptions({ withDeleted: true });
         if (meetingDoc && (!meetingDoc.description || meetingDoc.description.trim() === '')) {
           meetingDoc.description = 'Mock transcription completed';
           await meetingDoc.save();
@@ -111,6 +123,22 @@ async function processTranscriptionJob(job, services) {
     // Update progress to 100%
     await job.updateProgress(100);
 
+    transcriptionEvents.publishStatus(meetingId, 'completed', {
+      progress: 100,
+      segmentsCount: segments?.length || 0,
+    });
+
+    // Notify the user on the messaging app the meeting came from (if enabled)
+    if (integrationNotificationService) {
+      await integrationNotificationService.notifyTranscriptionCompleted(meetingId);
+    }
+
+    if (webhookService) {
+      await webhookService.emitMeetingEvent(WEBHOOK_EVENTS.TRANSCRIPTION_COMPLETED, meetingId, {
+        segmentsCount: segments?.length || 0,
+      });
+    }
+
     logger.info('Transcription job completed successfully', {
       jobId: job.id,
       meetingId,
@@ -142,7 +170,7 @@ async function processTranscriptionJob(job, services) {
     });
 
     // Update meeting status to failed
-    const meeting = await Meeting.findById(meetingId);
+    const meeting = await Meeting.findById(meetingId).setOptions({ withDeleted: true });
     if (meeting && meeting.transcriptionStatus !== 'failed') {
       meeting.metadata = meeting.metadata || {};
       meeting.metadata.transcription = meeting.metadata.transcription || {};
@@ -150,6 +178,39 @@ async function processTranscriptionJob(job, services) {
       await meeting.updateTranscriptionProgress('failed', 0);
     }
 
+    // Only notify once BullMQ has no retries left for this job
+    const attempts = job.opts?.attempts || 1;
+    const willRetry = job.attemptsMade + 1 < attempts;
+
+    transcriptionEvents.publishStatus(meetingId, 'failed', {
+      error: error.message,
+      willRetry,
+    });
+
+    if (!willRetry) {
+      // The minutes of a transcription that never succeeded are credited back
+      if (usageService) {
+        try {
+          await usageService.refundMeeting(meetingId, UsageEntryReason.TRANSCRIPTION_FAILED);
+        } catch (usageError) {
+          logger.warn('Failed to credit usage for failed transcription', {
+            meetingId,
+            error: usageError.message,
+          });
+        }
+      }
+
+      if (integrationNotificationService) {
+        await integrationNotificationService.notifyTranscriptionFailed(meetingId);
+      }
+
+      if (webhookService) {
+        await webhookService.emitMeetingEvent(WEBHOOK_EVENTS.TRANSCRIPTION_FAILED, meetingId, {
+          error: error.message,
+        });
+      }
+    }
+
     // Clean up temp file on error
     if (tempFilePath) {
       await fs.unlink(tempFilePath).catch((err) =>
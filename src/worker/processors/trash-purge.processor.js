@@ -0,0 +1,41 @@
+/**
+ * Trash Purge Job Processor
+ *
+ * Permanently deletes projects and meetings that have been in the trash longer than
+ * the retention window. Runs on a schedule (see QueueService.scheduleTrashPurge).
+ */
+
+const logger = require('../../components/logging');
+
+/**
+ * Process a trash purge job
+ *
+ * @param {object} job - BullMQ job object
+ * @param {object} services - Injected services
+ * @returns {Promise<object>} Purge counts
+ */
+async function processTrashPurgeJob(job, services) {
+  const { trashService } = services;
+
+  logger.info('Processing trash purge job', { jobId: job.id });
+
+  try {
+    const result = await trashService.purgeExpired();
+
+    logger.info('Trash purge job completed', {
+      jobId: job.id,
+      ...result,
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Trash purge job failed', {
+      jobId: job.id,
+      error: error.message,
+    });
+
+    throw error;
+  }
+}
+
+module.exports = processTrashPurgeJob;
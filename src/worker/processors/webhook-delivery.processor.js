@@ -0,0 +1,51 @@
+/**
+ * Webhook Delivery Job Processor
+ *
+ * Sends one logged webhook event to its endpoint. A failed request throws so
+ * BullMQ retries the job with the queue's exponential backoff.
+ */
+
+const logger = require('../../components/logging');
+
+/**
+ * Process a webhook delivery job
+ *
+ * @param {object} job - BullMQ job object
+ * @param {object} job.data - Job data
+ * @param {string} job.data.deliveryId - WebhookDelivery ID
+ * @param {object} services - Injected services
+ * @returns {Promise<object>} Processing result
+ */
+async function processWebhookDeliveryJob(job, services) {
+  const { deliveryId } = job.data;
+  const { webhookService } = services;
+
+  const attempt = job.attemptsMade + 1;
+  const isFinalAttempt = attempt >= (job.opts?.attempts || 1);
+
+  try {
+    const result = await webhookService.deliver(deliveryId, { attempt, isFinalAttempt });
+
+    logger.info('Webhook delivery processed', {
+      jobId: job.id,
+      deliveryId,
+      attempt,
+      ...result,
+    });
+
+    return { deliveryId, ...result };
+  } catch (error) {
+    logger.warn('Webhook delivery attempt failed', {
+      jobId: job.id,
+      deliveryId,
+      attempt,
+      isFinalAttempt,
+      error: error.message,
+    });
+
+    // Re-throw error so BullMQ can handle retry logic
+    throw error;
+  }
+}
+
+module.exports = processWebhookDeliveryJob;